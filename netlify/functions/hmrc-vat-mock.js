@@ -0,0 +1,55 @@
+import { validateMtdPayload } from '../../src/utils/vatReturn.js';
+
+// Stands in for HMRC's "Submit VAT return for period" endpoint
+// (POST /organisations/vat/{vrn}/returns) so a return's MTD payload can be
+// checked without HMRC credentials. It applies the same validation HMRC
+// does and answers in the same shape, but nothing is filed.
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body)
+});
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { code: 'METHOD_NOT_ALLOWED', message: 'Method not allowed' });
+  }
+
+  const vrn = event.queryStringParameters?.vrn;
+  if (vrn && !/^\d{9}$/.test(vrn)) {
+    return respond(400, { code: 'VRN_INVALID', message: 'The provided VRN is invalid' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body || '');
+  } catch {
+    return respond(400, { code: 'INVALID_REQUEST', message: 'Invalid request', errors: [] });
+  }
+
+  const errors = validateMtdPayload(payload);
+  if (errors.length > 0) {
+    return respond(400, { code: 'INVALID_REQUEST', message: 'Invalid request', errors });
+  }
+
+  const owed = payload.totalVatDue > payload.vatReclaimedCurrPeriod && payload.netVatDue > 0;
+  const formBundleNumber = String(Date.now()).padStart(12, '0').slice(-12);
+
+  return respond(201, {
+    processingDate: new Date().toISOString(),
+    paymentIndicator: owed ? 'DD' : 'BANK',
+    formBundleNumber,
+    ...(owed ? { chargeRefNumber: `XM${formBundleNumber}` } : {})
+  });
+};
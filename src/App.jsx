@@ -9,6 +9,9 @@ import Purchases from './pages/Inventory'; // Import as Purchases but use existi
 import ReceiptScanner from './pages/ReceiptScanner';
 import ExcelImporter from './pages/ExcelImporter';
 import TaxExports from './pages/TaxExports';
+import VatReturns from './pages/VatReturns';
+import Suppliers from './pages/Suppliers';
+import Stock from './pages/Stock';
 import Admin from './pages/Admin';
 import Settings from './pages/Settings';
 import SubscriptionManagement from './pages/SubscriptionManagement';
@@ -19,6 +22,7 @@ import PaymentSuccess from './pages/PaymentSuccess';
 import { AuthProvider } from './context/AuthContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import AdminRoute from './components/AdminRoute';
+import FeatureGate from './components/FeatureGate';
 import StripeProvider from './components/StripeProvider';
 import WebhookListener from './components/WebhookListener';
 
@@ -83,11 +87,15 @@ function AppRoutes() {
           <Route index element={<Navigate to="/app/dashboard" replace />} />
           <Route path="dashboard" element={<Dashboard />} />
           <Route path="purchases" element={<Purchases />} />
+          <Route path="stock" element={<Stock />} />
           {/* Keep old inventory route for backwards compatibility */}
           <Route path="inventory" element={<Navigate to="/app/purchases" replace />} />
           <Route path="receipt-scanner" element={<ReceiptScanner />} />
           <Route path="excel-importer" element={<ExcelImporter />} />
           <Route path="tax-exports" element={<TaxExports />} />
+          {/* Returns lock their periods' purchases, so the page stays shut without the plan */}
+          <Route path="vat-returns" element={<FeatureGate feature="vatReturns"><VatReturns /></FeatureGate>} />
+          <Route path="suppliers" element={<Suppliers />} />
           <Route path="support" element={<Support />} />
           <Route path="settings/*" element={<Settings />} />
           <Route path="subscription" element={<SubscriptionManagement />} />
@@ -107,10 +115,13 @@ function AppRoutes() {
         {/* Legacy Routes - Redirect to App */}
         <Route path="/dashboard" element={<Navigate to="/app/dashboard" replace />} />
         <Route path="/purchases" element={<Navigate to="/app/purchases" replace />} />
+        <Route path="/stock" element={<Navigate to="/app/stock" replace />} />
         <Route path="/inventory" element={<Navigate to="/app/purchases" replace />} />
         <Route path="/receipt-scanner" element={<Navigate to="/app/receipt-scanner" replace />} />
         <Route path="/excel-importer" element={<Navigate to="/app/excel-importer" replace />} />
         <Route path="/tax-exports" element={<Navigate to="/app/tax-exports" replace />} />
+        <Route path="/vat-returns" element={<Navigate to="/app/vat-returns" replace />} />
+        <Route path="/suppliers" element={<Navigate to="/app/suppliers" replace />} />
         <Route path="/support" element={<Navigate to="/app/support" replace />} />
         <Route path="/settings" element={<Navigate to="/app/settings" replace />} />
         <Route path="/subscription" element={<Navigate to="/app/subscription" replace />} />
@@ -0,0 +1,97 @@
+import { RiInformationLine } from 'react-icons/ri';
+import { ACCOUNTING_PACKAGES, TAX_RATE_KEYS, findAccountingPackage } from '../utils/accountingExports';
+
+const inputClass = 'w-full rounded-md border-gray-600 bg-gray-700 text-white text-sm p-2';
+
+/**
+ * Package choice and mappings for an accounting package export: an
+ * account for each of the categories being exported, and the package's
+ * name for each VAT rate. Every change is saved, so the next export
+ * starts from the same mappings.
+ */
+export default function AccountingExportPanel({ packageId, onPackageChange, profile, onProfileChange, categories }) {
+  const accountingPackage = findAccountingPackage(packageId);
+
+  const setAccount = (category, account) => {
+    onProfileChange({ ...profile, accountCodes: { ...profile.accountCodes, [category]: account } });
+  };
+
+  const setTaxRate = (key, name) => {
+    onProfileChange({ ...profile, taxRates: { ...profile.taxRates, [key]: name } });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {ACCOUNTING_PACKAGES.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => onPackageChange(option.id)}
+            className={`p-3 rounded-lg text-sm font-medium transition-colors text-left ${
+              accountingPackage.id === option.id
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+            }`}
+          >
+            {option.label}
+            <span className="block text-xs font-normal opacity-75">{option.fileType}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-start rounded-md border border-gray-600 bg-gray-700/50 p-3 text-xs text-gray-300">
+        <RiInformationLine className="mr-2 mt-0.5 h-4 w-4 flex-shrink-0 text-blue-400" />
+        <span>{accountingPackage.hint} Mappings are saved for your next export.</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h5 className="text-sm font-medium text-white mb-2">Categories to {accountingPackage.accountLabel.toLowerCase()}s</h5>
+          <div className="space-y-2">
+            {categories.map(category => (
+              <label key={category} className="grid grid-cols-2 gap-2 items-center text-sm text-gray-300">
+                <span className="truncate" title={category}>{category}</span>
+                <input
+                  type="text"
+                  value={profile.accountCodes[category] || ''}
+                  onChange={(e) => setAccount(category, e.target.value)}
+                  placeholder={profile.defaultAccount || accountingPackage.defaultAccount}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+            <label className="grid grid-cols-2 gap-2 items-center text-sm text-gray-300">
+              <span>Anything else</span>
+              <input
+                type="text"
+                value={profile.defaultAccount}
+                onChange={(e) => onProfileChange({ ...profile, defaultAccount: e.target.value })}
+                placeholder={accountingPackage.defaultAccount}
+                className={inputClass}
+              />
+            </label>
+          </div>
+        </div>
+
+        <div>
+          <h5 className="text-sm font-medium text-white mb-2">VAT rates to {accountingPackage.label} tax rates</h5>
+          <div className="space-y-2">
+            {TAX_RATE_KEYS.map(({ key, label }) => (
+              <label key={key} className="grid grid-cols-2 gap-2 items-center text-sm text-gray-300">
+                <span>{label}</span>
+                <input
+                  type="text"
+                  value={profile.taxRates[key] || ''}
+                  onChange={(e) => setTaxRate(key, e.target.value)}
+                  placeholder={accountingPackage.taxRates[key]}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
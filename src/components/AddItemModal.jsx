@@ -1,7 +1,13 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { RiCloseLine, RiAlertLine, RiInformationLine } from 'react-icons/ri';
-import { useState } from 'react';
+import { RiCloseLine, RiAlertLine, RiInformationLine, RiMagicLine } from 'react-icons/ri';
+import { useState, useCallback } from 'react';
 import useFeatureAccess from '../hooks/useFeatureAccess';
+import useCategories from '../hooks/useCategories';
+import { describeRule } from '../utils/categoryRules';
+import { BASE_CURRENCY, convertPurchase, currencySymbol } from '../utils/currency';
+import CurrencyFields from './CurrencyFields';
+import VatSchemeFields from './VatSchemeFields';
+import { paidDateFromForm } from '../utils/vatSchemes';
 
 export default function AddItemModal({ isOpen, onClose, onAdd }) {
   const [formData, setFormData] = useState({
@@ -12,7 +18,13 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
     unitPrice: '',
     dateAdded: new Date().toISOString().split('T')[0],
     vatIncluded: false,
-    vatPercentage: '20.00'
+    vatPercentage: '20.00',
+    supplier: '',
+    currency: BASE_CURRENCY,
+    exchangeRate: '',
+    unpaid: false,
+    paidDate: '',
+    capitalAsset: false
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -20,30 +32,11 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
 
   const { canAddInventoryItem, currentPlan } = useFeatureAccess();
 
-  const categories = [
-    { value: '', label: 'Select a category' },
-    { value: 'Electronics', label: '📱 Electronics' },
-    { value: 'Clothing', label: '👕 Clothing & Apparel' },
-    { value: 'Food & Beverages', label: '🍎 Food & Beverages' },
-    { value: 'Home & Garden', label: '🏠 Home & Garden' },
-    { value: 'Sports & Outdoors', label: '⚽ Sports & Outdoors' },
-    { value: 'Books & Media', label: '📚 Books & Media' },
-    { value: 'Health & Beauty', label: '💄 Health & Beauty' },
-    { value: 'Automotive', label: '🚗 Automotive' },
-    { value: 'Tools & Hardware', label: '🔧 Tools & Hardware' },
-    { value: 'Office Supplies', label: '📎 Office Supplies' },
-    { value: 'Toys & Games', label: '🎮 Toys & Games' },
-    { value: 'Pet Supplies', label: '🐕 Pet Supplies' },
-    { value: 'Jewelry & Accessories', label: '💍 Jewelry & Accessories' },
-    { value: 'Art & Crafts', label: '🎨 Art & Crafts' },
-    { value: 'Music & Instruments', label: '🎵 Music & Instruments' },
-    { value: 'Baby & Kids', label: '👶 Baby & Kids' },
-    { value: 'Furniture', label: '🪑 Furniture' },
-    { value: 'Appliances', label: '🔌 Appliances' },
-    { value: 'Medical & Healthcare', label: '🏥 Medical & Healthcare' },
-    { value: 'Industrial', label: '🏭 Industrial' },
-    { value: 'Other', label: '📦 Other' }
-  ];
+  const { categories, categoryNames, matchRule } = useCategories();
+
+  // Fields the user has set themselves, which rules then leave alone
+  const [touched, setTouched] = useState({ category: false, vat: false });
+  const [appliedRule, setAppliedRule] = useState(null);
 
   const vatRates = [
     { value: '0.00', label: '0% (Zero-rated)' },
@@ -51,19 +44,52 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
     { value: '20.00', label: '20% (Standard rate)' }
   ];
 
+  // Fill in category and VAT from the first matching rule as the name,
+  // supplier or description is typed
+  const applyRules = (data) => {
+    const rule = matchRule(data);
+    setAppliedRule(rule);
+    if (!rule) return data;
+
+    const updated = { ...data };
+    const category = categories.find(c => c.id === rule.categoryId);
+    if (category && !touched.category) updated.category = category.name;
+    if (!touched.vat) {
+      if (rule.vatPercentage !== null && rule.vatPercentage !== undefined) {
+        updated.vatPercentage = rule.vatPercentage.toFixed(2);
+      }
+      if (rule.vatIncluded !== null && rule.vatIncluded !== undefined) {
+        updated.vatIncluded = rule.vatIncluded;
+      }
+    }
+    return updated;
+  };
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
+    const updated = { ...formData, [name]: type === 'checkbox' ? checked : value };
+
+    if (name === 'category') {
+      setTouched(prev => ({ ...prev, category: true }));
+    } else if (name === 'vatIncluded') {
+      setTouched(prev => ({ ...prev, vat: true }));
+    }
+
+    setFormData(['name', 'supplier', 'description'].includes(name) ? applyRules(updated) : updated);
 
     // Clear error when user starts typing
     if (error) setError('');
   };
 
+  const handleCurrencyChange = useCallback((changes) => {
+    setFormData(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const isForeign = formData.currency !== BASE_CURRENCY;
+
   const handleVatRateChange = (e) => {
     const value = e.target.value;
+    setTouched(prev => ({ ...prev, vat: true }));
     setFormData(prev => ({
       ...prev,
       vatPercentage: value
@@ -150,17 +176,24 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
     try {
       setIsSubmitting(true);
 
-      // Create the item object with proper structure including VAT fields
-      const newItem = {
+      // Create the item object with proper structure including VAT fields;
+      // a foreign price is kept as paid and converted to pounds
+      const newItem = convertPurchase({
         name: formData.name.trim(),
         category: formData.category,
         quantity: quantity,
         unitPrice: unitPrice,
+        originalUnitPrice: unitPrice,
         description: formData.description.trim() || '',
         dateAdded: formData.dateAdded,
         vatIncluded: formData.vatIncluded,
-        vatPercentage: vatPercentage
-      };
+        vatPercentage: vatPercentage,
+        supplier: formData.supplier.trim(),
+        currency: formData.currency,
+        exchangeRate: formData.exchangeRate,
+        paidDate: paidDateFromForm(formData, formData.dateAdded),
+        capitalAsset: formData.capitalAsset
+      });
 
       console.log('===AddItemModal: Submitting item with VAT===');
       console.log('Form data:', formData);
@@ -180,8 +213,16 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
         unitPrice: '',
         dateAdded: new Date().toISOString().split('T')[0],
         vatIncluded: false,
-        vatPercentage: '20.00'
+        vatPercentage: '20.00',
+        supplier: '',
+        currency: BASE_CURRENCY,
+        exchangeRate: '',
+        unpaid: false,
+        paidDate: '',
+        capitalAsset: false
       });
+      setTouched({ category: false, vat: false });
+      setAppliedRule(null);
 
       // Close modal
       onClose();
@@ -204,8 +245,16 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
         unitPrice: '',
         dateAdded: new Date().toISOString().split('T')[0],
         vatIncluded: false,
-        vatPercentage: '20.00'
+        vatPercentage: '20.00',
+        supplier: '',
+        currency: BASE_CURRENCY,
+        exchangeRate: '',
+        unpaid: false,
+        paidDate: '',
+        capitalAsset: false
       });
+      setTouched({ category: false, vat: false });
+      setAppliedRule(null);
       setError('');
       onClose();
     }
@@ -310,12 +359,36 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
                         value={formData.category}
                         onChange={handleChange}
                       >
-                        {categories.map((category) => (
-                          <option key={category.value} value={category.value}>
-                            {category.label}
+                        <option value="">Select a category</option>
+                        {categoryNames.map((category) => (
+                          <option key={category} value={category}>
+                            {category}
                           </option>
                         ))}
                       </select>
+                      {appliedRule && (
+                        <p className="mt-1 flex items-center text-xs text-primary-300">
+                          <RiMagicLine className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+                          Filled in by rule: {describeRule(appliedRule, categories)}
+                        </p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label htmlFor="supplier" className="block text-sm font-medium text-white">
+                        Supplier
+                      </label>
+                      <input
+                        type="text"
+                        name="supplier"
+                        id="supplier"
+                        disabled={isSubmitting}
+                        className="mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2 disabled:opacity-50"
+                        value={formData.supplier}
+                        onChange={handleChange}
+                        placeholder="Where it was bought (optional)"
+                        maxLength={100}
+                      />
                     </div>
 
                     <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
@@ -356,66 +429,77 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
                       </div>
                     </div>
 
+                    <CurrencyFields
+                      currency={formData.currency}
+                      exchangeRate={formData.exchangeRate}
+                      dateAdded={formData.dateAdded}
+                      unitPrice={formData.unitPrice}
+                      onChange={handleCurrencyChange}
+                      disabled={isSubmitting}
+                    />
+
                     {/* VAT Configuration Section */}
-                    <div className="border-t border-gray-700 pt-4">
-                      <h4 className="text-md font-medium text-white mb-4 flex items-center">
-                        <RiInformationLine className="h-5 w-5 mr-2 text-blue-400" />
-                        VAT Configuration
-                      </h4>
-
-                      <div className="space-y-4">
-                        <div>
-                          <div className="flex items-center">
-                            <input
-                              id="vatIncluded"
-                              name="vatIncluded"
-                              type="checkbox"
-                              disabled={isSubmitting}
-                              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-700 bg-gray-700 rounded disabled:opacity-50"
-                              checked={formData.vatIncluded}
-                              onChange={handleChange}
-                            />
-                            <label htmlFor="vatIncluded" className="ml-2 block text-sm text-white">
-                              Price includes VAT
-                            </label>
+                    {!isForeign && (
+                      <div className="border-t border-gray-700 pt-4">
+                        <h4 className="text-md font-medium text-white mb-4 flex items-center">
+                          <RiInformationLine className="h-5 w-5 mr-2 text-blue-400" />
+                          VAT Configuration
+                        </h4>
+
+                        <div className="space-y-4">
+                          <div>
+                            <div className="flex items-center">
+                              <input
+                                id="vatIncluded"
+                                name="vatIncluded"
+                                type="checkbox"
+                                disabled={isSubmitting}
+                                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-700 bg-gray-700 rounded disabled:opacity-50"
+                                checked={formData.vatIncluded}
+                                onChange={handleChange}
+                              />
+                              <label htmlFor="vatIncluded" className="ml-2 block text-sm text-white">
+                                Price includes VAT
+                              </label>
+                            </div>
+                            <p className="mt-1 text-xs text-gray-400">
+                              {formData.vatIncluded 
+                                ? 'The unit price you enter includes VAT' 
+                                : 'The unit price you enter excludes VAT'
+                              }
+                            </p>
                           </div>
-                          <p className="mt-1 text-xs text-gray-400">
-                            {formData.vatIncluded 
-                              ? 'The unit price you enter includes VAT' 
-                              : 'The unit price you enter excludes VAT'
-                            }
-                          </p>
-                        </div>
 
-                        <div>
-                          <label htmlFor="vatRate" className="block text-sm font-medium text-white">
-                            VAT Rate <span className="text-red-400">*</span>
-                          </label>
-                          <select
-                            id="vatRate"
-                            name="vatRate"
-                            disabled={isSubmitting}
-                            className="mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2 disabled:opacity-50"
-                            value={formData.vatPercentage}
-                            onChange={handleVatRateChange}
-                          >
-                            {vatRates.map((rate) => (
-                              <option key={rate.value} value={rate.value}>
-                                {rate.label}
-                              </option>
-                            ))}
-                          </select>
+                          <div>
+                            <label htmlFor="vatRate" className="block text-sm font-medium text-white">
+                              VAT Rate <span className="text-red-400">*</span>
+                            </label>
+                            <select
+                              id="vatRate"
+                              name="vatRate"
+                              disabled={isSubmitting}
+                              className="mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2 disabled:opacity-50"
+                              value={formData.vatPercentage}
+                              onChange={handleVatRateChange}
+                            >
+                              {vatRates.map((rate) => (
+                                <option key={rate.value} value={rate.value}>
+                                  {rate.label}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
                         </div>
                       </div>
-                    </div>
+                    )}
 
                     <div>
                       <label htmlFor="unitPrice" className="block text-sm font-medium text-white">
-                        Unit Price {formData.vatIncluded ? '(Inc. VAT)' : '(Ex. VAT)'} <span className="text-red-400">*</span>
+                        Unit Price {isForeign ? `(${formData.currency})` : formData.vatIncluded ? '(Inc. VAT)' : '(Ex. VAT)'} <span className="text-red-400">*</span>
                       </label>
                       <div className="relative mt-1 rounded-md shadow-sm">
                         <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
-                          <span className="text-gray-400 sm:text-sm">£</span>
+                          <span className="text-gray-400 sm:text-sm">{currencySymbol(formData.currency)}</span>
                         </div>
                         <input
                           type="number"
@@ -434,7 +518,7 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
                       </div>
 
                       {/* VAT Breakdown Display */}
-                      {formData.unitPrice && parseFloat(formData.unitPrice) > 0 && (
+                      {!isForeign && formData.unitPrice && parseFloat(formData.unitPrice) > 0 && (
                         <div className="mt-2 p-3 bg-gray-700/50 rounded-md border border-gray-600">
                           <h5 className="text-sm font-medium text-white mb-2">VAT Breakdown:</h5>
                           <div className="grid grid-cols-3 gap-2 text-xs">
@@ -455,6 +539,15 @@ export default function AddItemModal({ isOpen, onClose, onAdd }) {
                       )}
                     </div>
 
+                    <VatSchemeFields
+                      unpaid={formData.unpaid}
+                      paidDate={formData.paidDate}
+                      capitalAsset={formData.capitalAsset}
+                      dateAdded={formData.dateAdded}
+                      onChange={handleCurrencyChange}
+                      disabled={isSubmitting}
+                    />
+
                     <div>
                       <label htmlFor="description" className="block text-sm font-medium text-white">
                         Description
@@ -0,0 +1,641 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useDropzone } from 'react-dropzone';
+import { FiUploadCloud, FiCheck, FiX, FiTrash2, FiPlus, FiAlertTriangle, FiRefreshCw, FiLoader, FiFileText } from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import receiptStorage from '../services/receiptStorage';
+import { scanReceiptFile, isPdfFile, describeUnreadPages } from '../services/receiptOcr';
+import { getOcrPoolSize, isAbortError } from '../services/ocrWorkerPool';
+import { LOW_CONFIDENCE_THRESHOLD, reconcileReceipt, pricesIncludeVat } from '../utils/receipt-parser';
+import { useAuth } from '../context/AuthContext';
+import useCategories from '../hooks/useCategories';
+import { findDuplicatePurchaseItems, mergePurchaseItem, findOrCreateSupplier } from '../services/db';
+import { computeReceiptHash } from '../services/imageHash';
+import { DUPLICATE_ACTIONS, applyDuplicateActions, defaultDuplicateActions } from '../utils/duplicates';
+import { applySupplierDefaults } from '../utils/suppliers';
+import useExchangeRates from '../hooks/useExchangeRates';
+import { BASE_CURRENCY, CURRENCIES, convertPurchase, detectCurrency, formatMoney } from '../utils/currency';
+import DuplicateReviewPanel from './DuplicateReviewPanel';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Statuses that have been counted against the limit or are about to be
+const RESERVED_STATUSES = ['queued', 'scanning'];
+
+let nextEntryId = 1;
+
+// Header fields read from the receipt, in the form saveReceiptRecord takes
+const getReceiptHeader = (details) => ({
+  merchantName: details?.merchant,
+  transactionDate: details?.transactionDate,
+  transactionTime: details?.transactionTime,
+  vatNumber: details?.vatNumber,
+  subtotal: details?.subtotal,
+  vatBreakdown: details?.vatLines,
+  totalAmount: details?.total,
+  totalsMatch: details?.reconciliation ? details.reconciliation.status === 'matched' : null
+});
+
+// The supplier's defaults apply first, then categorise runs the user's
+// rules; a VAT rate read off the receipt is kept. Foreign receipts are
+// converted to pounds at exchangeRate
+const buildPurchases = (details, validItems, receiptId, { categorise, categories, supplier = null, currency = BASE_CURRENCY, exchangeRate = null }) => {
+  const purchaseDate = details?.transactionDate || new Date().toISOString().split('T')[0];
+  const merchantNote = details?.merchant ? ` at ${details.merchant}` : '';
+
+  return validItems.map(item => {
+    const keepVat = typeof item.vatRate === 'number';
+    const purchase = categorise(applySupplierDefaults({
+      name: item.name.trim(),
+      quantity: item.quantity,
+      unitPrice: item.price,
+      category: 'Scanned Items',
+      description: `Scanned from receipt${receiptId ? ` (Receipt #${receiptId})` : ''}${merchantNote} on ${new Date(purchaseDate).toLocaleDateString()}`,
+      status: 'In Stock',
+      dateAdded: purchaseDate,
+      vatIncluded: pricesIncludeVat(details),
+      vatPercentage: keepVat ? item.vatRate : 20,
+      receiptId: receiptId || null,
+      supplier: details?.merchant || ''
+    }, supplier, categories, { keepVat }), { keepVat });
+
+    return convertPurchase({ ...purchase, currency, exchangeRate, originalUnitPrice: item.price });
+  });
+};
+
+/**
+ * Queue of receipt images that are OCR'd in the background and reviewed
+ * one receipt at a time. Every receipt uses one scan from the monthly
+ * allowance, so a batch can never scan more receipts than `scanLimit`
+ * has remaining; the rest wait as "limit reached".
+ */
+const BatchReceiptScanner = ({ scanLimit, onScanUsed, onItemsScanned }) => {
+  const { user } = useAuth();
+  const { categories, categorise } = useCategories();
+  const { rateFor } = useExchangeRates();
+  const [queue, setQueue] = useState([]);
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  const controllersRef = useRef(new Map());
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+
+  const updateEntry = useCallback((id, changes) => {
+    setQueue(prev => prev.map(entry => (
+      entry.id === id ? { ...entry, ...(typeof changes === 'function' ? changes(entry) : changes) } : entry
+    )));
+  }, []);
+
+  // Scans left this month after the receipts already waiting in the queue
+  const getAvailableScans = (entries) => {
+    const remaining = scanLimit?.remaining ?? 0;
+    const reserved = entries.filter(entry => RESERVED_STATUSES.includes(entry.status)).length;
+    return remaining - reserved;
+  };
+
+  const onDrop = useCallback((acceptedFiles, fileRejections) => {
+    setRejectedFiles(fileRejections.map(({ file, errors }) => `${file.name}: ${errors[0]?.message || 'not accepted'}`));
+
+    setQueue(prev => {
+      let available = getAvailableScans(prev);
+      const added = acceptedFiles.map(file => {
+        const allowed = available > 0;
+        if (allowed) available--;
+        return {
+          id: nextEntryId++,
+          file,
+          preview: URL.createObjectURL(file),
+          status: allowed ? 'queued' : 'blocked',
+          progress: 0,
+          details: null,
+          items: [],
+          duplicateReview: null,
+          error: ''
+        };
+      });
+      return [...prev, ...added];
+    });
+  }, [scanLimit?.remaining]);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    accept: {
+      'image/jpeg': [],
+      'image/png': [],
+      'image/webp': [],
+      'application/pdf': []
+    },
+    maxSize: MAX_FILE_SIZE,
+    multiple: true
+  });
+
+  const startScan = useCallback(async (entry) => {
+    const controller = new AbortController();
+    controllersRef.current.set(entry.id, controller);
+    updateEntry(entry.id, { status: 'scanning', progress: 0, error: '' });
+
+    try {
+      const result = await scanReceiptFile(entry.file, {
+        straighten: true,
+        signal: controller.signal,
+        onProgress: (fraction) => updateEntry(entry.id, { progress: Math.round(fraction * 100) })
+      });
+
+      // The OCR ran, so this receipt has used one of the month's scans
+      onScanUsed();
+
+      updateEntry(entry.id, {
+        status: 'review',
+        progress: 100,
+        details: result.details,
+        unreadPagesWarning: describeUnreadPages(result),
+        currency: detectCurrency(result.text),
+        items: result.details.items.map(item => ({ ...item }))
+      });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('Batch OCR failed:', entry.file.name, error);
+      updateEntry(entry.id, { status: 'failed', error: 'Could not read this receipt' });
+    } finally {
+      controllersRef.current.delete(entry.id);
+    }
+  }, [onScanUsed, updateEntry]);
+
+  // Keep as many scans running as there are OCR workers
+  useEffect(() => {
+    const running = queue.filter(entry => entry.status === 'scanning').length;
+    const slots = getOcrPoolSize() - running;
+    if (slots <= 0) return;
+
+    queue
+      .filter(entry => entry.status === 'queued' && !controllersRef.current.has(entry.id))
+      .slice(0, slots)
+      .forEach(startScan);
+  }, [queue, startScan]);
+
+  // Leaving the page stops the background scans and frees the previews
+  useEffect(() => () => {
+    controllersRef.current.forEach(controller => controller.abort());
+    controllersRef.current.clear();
+    queueRef.current.forEach(entry => URL.revokeObjectURL(entry.preview));
+  }, []);
+
+  const removeEntry = (entry) => {
+    const controller = controllersRef.current.get(entry.id);
+    if (controller) {
+      controller.abort();
+      controllersRef.current.delete(entry.id);
+    }
+    URL.revokeObjectURL(entry.preview);
+    setQueue(prev => prev.filter(other => other.id !== entry.id));
+  };
+
+  const retryEntry = (entry) => {
+    if (getAvailableScans(queue) <= 0) {
+      updateEntry(entry.id, { status: 'blocked' });
+      return;
+    }
+    updateEntry(entry.id, { status: 'queued', error: '' });
+  };
+
+  const updateItem = (entryId, index, field, value) => {
+    updateEntry(entryId, entry => ({
+      duplicateReview: null,
+      items: entry.items.map((item, i) => {
+        if (i !== index) return item;
+        if (field === 'price' || field === 'quantity') {
+          return { ...item, [field]: parseFloat(value) || 0 };
+        }
+        return { ...item, [field]: value };
+      })
+    }));
+  };
+
+  const removeItem = (entryId, index) => {
+    updateEntry(entryId, entry => ({ duplicateReview: null, items: entry.items.filter((_, i) => i !== index) }));
+  };
+
+  const addItem = (entryId) => {
+    updateEntry(entryId, entry => ({ duplicateReview: null, items: [...entry.items, { name: '', quantity: 1, price: 0 }] }));
+  };
+
+  // How a receipt's items are priced: its currency, and for foreign
+  // receipts the rate from the user's table on the receipt date
+  const currencyOptions = (entry) => {
+    const currency = entry.currency || BASE_CURRENCY;
+    if (currency === BASE_CURRENCY) return { currency };
+    const rate = rateFor(currency, entry.details?.transactionDate || new Date().toISOString().split('T')[0]);
+    return { currency, exchangeRate: rate ? rate.rate : null };
+  };
+
+  // Look for an earlier copy of this receipt and for lines already saved
+  // as purchases, including ones saved from earlier in this batch
+  const checkForDuplicates = async (entry, validItems) => {
+    const receiptMatch = await receiptStorage.findDuplicateReceipt({
+      ...getReceiptHeader(entry.details),
+      imageHash: await computeReceiptHash(entry.file)
+    });
+    const duplicates = validItems.length > 0
+      ? await findDuplicatePurchaseItems(buildPurchases(entry.details, validItems, null, { categorise, categories, ...currencyOptions(entry) }), user.email)
+      : [];
+
+    if (!receiptMatch && duplicates.length === 0) return null;
+    return {
+      receiptMatch,
+      receiptAction: DUPLICATE_ACTIONS.MERGE,
+      duplicates,
+      actions: defaultDuplicateActions(duplicates)
+    };
+  };
+
+  const updateDuplicateReview = (entryId, changes) => {
+    updateEntry(entryId, entry => ({ duplicateReview: { ...entry.duplicateReview, ...changes(entry.duplicateReview) } }));
+  };
+
+  const acceptEntry = async (entry) => {
+    if (!user?.email) return;
+
+    const validItems = entry.items.filter(item =>
+      item.name.trim().length > 0 &&
+      item.price > 0 &&
+      item.quantity > 0
+    );
+
+    const pricing = currencyOptions(entry);
+    if (validItems.length > 0 && pricing.currency !== BASE_CURRENCY && !pricing.exchangeRate) {
+      updateEntry(entry.id, {
+        error: `No ${pricing.currency} rate for this date in your exchange rate table. Add one in Settings, then save again.`
+      });
+      return;
+    }
+
+    updateEntry(entry.id, { status: 'saving', error: '' });
+
+    try {
+      const { details, duplicateReview } = entry;
+
+      // Nothing is written until possible duplicates have been reviewed
+      if (!duplicateReview) {
+        const review = await checkForDuplicates(entry, validItems);
+        if (review) {
+          updateEntry(entry.id, { status: 'review', duplicateReview: review });
+          return;
+        }
+      }
+
+      const receiptAction = duplicateReview?.receiptMatch
+        ? duplicateReview.receiptAction
+        : DUPLICATE_ACTIONS.KEEP_BOTH;
+
+      if (receiptAction === DUPLICATE_ACTIONS.SKIP) {
+        updateEntry(entry.id, { status: 'rejected' });
+        return;
+      }
+
+      // Merging links the items to the receipt already on file
+      let receiptRecord = receiptAction === DUPLICATE_ACTIONS.MERGE
+        ? duplicateReview.receiptMatch.receipt
+        : null;
+
+      let supplier = null;
+      if (details?.merchant) {
+        try {
+          supplier = await findOrCreateSupplier({ name: details.merchant, vatNumber: details.vatNumber }, user.email);
+        } catch (supplierError) {
+          console.error('❌ Supplier lookup failed:', supplierError);
+        }
+      }
+
+      if (!receiptRecord) {
+        try {
+          const uploadResult = await receiptStorage.uploadReceipt(entry.file);
+          receiptRecord = await receiptStorage.saveReceiptRecord({
+            storagePath: uploadResult.path,
+            fileName: uploadResult.fileName,
+            fileSize: uploadResult.fileSize,
+            mimeType: uploadResult.mimeType,
+            scannedItems: validItems,
+            scanStatus: 'completed',
+            imageHash: uploadResult.imageHash,
+            supplierId: supplier?.id || null,
+            ...getReceiptHeader(details)
+          });
+        } catch (uploadError) {
+          // Same as the single scanner: keep the items even if the image fails
+          console.error('❌ Batch receipt save failed:', uploadError);
+        }
+      }
+
+      if (validItems.length > 0) {
+        const { toAdd, toMerge } = applyDuplicateActions(
+          buildPurchases(details, validItems, receiptRecord?.id, { categorise, categories, supplier, ...pricing }),
+          duplicateReview?.duplicates || [],
+          duplicateReview?.actions || {}
+        );
+
+        for (const { existing, item } of toMerge) {
+          await mergePurchaseItem(existing, item, user.email);
+        }
+        if (toAdd.length > 0) {
+          await onItemsScanned(toAdd);
+        }
+      }
+
+      updateEntry(entry.id, { status: 'saved' });
+    } catch (error) {
+      console.error('❌ Batch save failed:', error);
+      updateEntry(entry.id, { status: 'review', error: `Save failed: ${error.message}` });
+    }
+  };
+
+  const rejectEntry = (entry) => {
+    updateEntry(entry.id, { status: 'rejected' });
+  };
+
+  const acceptAllReviewed = async () => {
+    for (const entry of queue.filter(other => other.status === 'review')) {
+      await acceptEntry(entry);
+    }
+  };
+
+  const clearFinished = () => {
+    queue
+      .filter(entry => ['saved', 'rejected'].includes(entry.status))
+      .forEach(entry => URL.revokeObjectURL(entry.preview));
+    setQueue(prev => prev.filter(entry => !['saved', 'rejected'].includes(entry.status)));
+  };
+
+  const counts = queue.reduce((acc, entry) => {
+    acc[entry.status] = (acc[entry.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const getTotalsLabel = (entry) => {
+    if (!entry.details) return null;
+    const reconciliation = reconcileReceipt(entry.items, entry.details);
+    if (reconciliation.expectedTotal === null) return null;
+    return {
+      itemsTotal: reconciliation.itemsTotal,
+      expected: reconciliation.expectedTotal,
+      matches: reconciliation.status === 'matched'
+    };
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Drop zone */}
+      <div
+        {...getRootProps()}
+        className={`border-2 border-dashed rounded-xl p-6 sm:p-10 text-center cursor-pointer transition-colors ${
+          isDragActive ? 'border-blue-500 bg-blue-900/20' : 'border-gray-600 bg-gray-800 hover:border-gray-500'
+        }`}
+      >
+        <input {...getInputProps()} />
+        <SafeIcon icon={FiUploadCloud} className="h-10 w-10 text-blue-400 mx-auto mb-3" />
+        <p className="text-white font-medium text-sm sm:text-base">
+          {isDragActive ? 'Drop the receipts here' : 'Drop receipt images here, or click to choose several'}
+        </p>
+        <p className="text-gray-400 text-xs sm:text-sm mt-1">
+          JPEG, PNG, WebP or PDF up to 10MB each. Receipts are read in the background.
+        </p>
+        {scanLimit && scanLimit.limit !== -1 && (
+          <p className="text-gray-400 text-xs mt-2">
+            {Math.max(0, getAvailableScans(queue))} of {scanLimit.limit} monthly scans left for new receipts
+          </p>
+        )}
+      </div>
+
+      {rejectedFiles.length > 0 && (
+        <div className="bg-red-900/30 border border-red-700 rounded-lg p-3 text-red-200 text-xs sm:text-sm">
+          {rejectedFiles.map(message => <p key={message}>{message}</p>)}
+        </div>
+      )}
+
+      {counts.blocked > 0 && (
+        <div className="flex items-start bg-amber-900/30 border border-amber-700 rounded-lg p-3">
+          <SafeIcon icon={FiAlertTriangle} className="h-5 w-5 text-amber-400 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-amber-200 text-xs sm:text-sm">
+            {counts.blocked} receipt{counts.blocked > 1 ? 's were' : ' was'} not scanned because your monthly scan limit has been reached.
+            Upgrade to Professional for unlimited scans.
+          </p>
+        </div>
+      )}
+
+      {queue.length > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <p className="text-gray-300 text-xs sm:text-sm">
+            {queue.length} receipts · {counts.queued || 0} waiting · {counts.scanning || 0} scanning · {counts.review || 0} to review · {counts.saved || 0} saved
+          </p>
+          <div className="flex gap-2">
+            {counts.review > 0 && (
+              <button
+                onClick={acceptAllReviewed}
+                className="flex items-center gap-1 bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg text-xs sm:text-sm"
+              >
+                <SafeIcon icon={FiCheck} className="h-4 w-4" />
+                Accept All ({counts.review})
+              </button>
+            )}
+            {(counts.saved > 0 || counts.rejected > 0) && (
+              <button
+                onClick={clearFinished}
+                className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-2 rounded-lg text-xs sm:text-sm"
+              >
+                Clear Finished
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Review list */}
+      <div className="space-y-4">
+        {queue.map(entry => {
+          const totals = entry.status === 'review' ? getTotalsLabel(entry) : null;
+
+          return (
+            <div
+              key={entry.id}
+              className={`bg-gray-800 rounded-xl border border-gray-700 p-3 sm:p-4 ${
+                ['saved', 'rejected'].includes(entry.status) ? 'opacity-60' : ''
+              }`}
+            >
+              <div className="flex items-start gap-3">
+                {isPdfFile(entry.file) ? (
+                  <div className="h-16 w-16 sm:h-20 sm:w-20 rounded-lg flex-shrink-0 bg-gray-700 flex items-center justify-center">
+                    <SafeIcon icon={FiFileText} className="h-8 w-8 text-red-400" />
+                  </div>
+                ) : (
+                  <img
+                    src={entry.preview}
+                    alt={entry.file.name}
+                    className="h-16 w-16 sm:h-20 sm:w-20 object-cover rounded-lg flex-shrink-0 bg-gray-700"
+                  />
+                )}
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-white font-medium text-sm truncate">
+                      {entry.details?.merchant || entry.file.name}
+                    </p>
+                    <button
+                      onClick={() => removeEntry(entry)}
+                      className="text-gray-400 hover:text-red-400 p-1 flex-shrink-0"
+                      title="Remove from batch"
+                    >
+                      <SafeIcon icon={FiX} className="h-4 w-4" />
+                    </button>
+                  </div>
+
+                  {entry.details && (
+                    <p className="text-gray-400 text-xs">
+                      {entry.details.transactionDate || 'No date found'}
+                      {entry.details.total !== null && ` · ${formatMoney(entry.details.total, entry.currency)}`}
+                      {` · ${entry.items.length} items`}
+                    </p>
+                  )}
+                  {entry.unreadPagesWarning && <p className="text-amber-300 text-xs mt-1">{entry.unreadPagesWarning}</p>}
+
+                  {entry.status === 'queued' && <p className="text-gray-400 text-xs mt-1">Waiting to scan...</p>}
+                  {entry.status === 'scanning' && (
+                    <div className="mt-2">
+                      <div className="w-full bg-gray-600 rounded-full h-2">
+                        <div className="bg-blue-500 h-2 rounded-full transition-all duration-300" style={{ width: `${entry.progress}%` }} />
+                      </div>
+                      <p className="text-gray-400 text-xs mt-1">Scanning... {entry.progress}%</p>
+                    </div>
+                  )}
+                  {entry.status === 'blocked' && (
+                    <div className="flex items-center gap-2 mt-1">
+                      <p className="text-amber-300 text-xs">Monthly scan limit reached</p>
+                      <button onClick={() => retryEntry(entry)} className="text-blue-400 hover:text-blue-300 text-xs">
+                        Try again
+                      </button>
+                    </div>
+                  )}
+                  {entry.status === 'failed' && (
+                    <div className="flex items-center gap-2 mt-1">
+                      <p className="text-red-400 text-xs">{entry.error}</p>
+                      <button onClick={() => retryEntry(entry)} className="flex items-center text-blue-400 hover:text-blue-300 text-xs">
+                        <SafeIcon icon={FiRefreshCw} className="h-3 w-3 mr-1" />
+                        Retry
+                      </button>
+                    </div>
+                  )}
+                  {entry.status === 'saving' && (
+                    <p className="flex items-center text-blue-300 text-xs mt-1">
+                      <SafeIcon icon={FiLoader} className="h-3 w-3 mr-1 animate-spin" />
+                      Saving...
+                    </p>
+                  )}
+                  {entry.status === 'saved' && <p className="text-green-400 text-xs mt-1">Saved to purchases</p>}
+                  {entry.status === 'rejected' && (
+                    <p className="text-gray-400 text-xs mt-1">
+                      {entry.duplicateReview?.receiptAction === DUPLICATE_ACTIONS.SKIP ? 'Skipped as a duplicate' : 'Rejected'}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {entry.status === 'review' && (
+                <div className="mt-3 space-y-2">
+                  <label className="flex items-center gap-2 text-xs text-gray-400">
+                    Currency
+                    <select
+                      value={entry.currency || BASE_CURRENCY}
+                      onChange={(e) => updateEntry(entry.id, { currency: e.target.value, duplicateReview: null, error: '' })}
+                      className="bg-gray-700 text-white rounded px-2 py-1 text-xs border-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {CURRENCIES.map(option => (
+                        <option key={option.code} value={option.code}>{option.code}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {entry.items.map((item, index) => (
+                    <div
+                      key={index}
+                      className={`grid grid-cols-[1fr_4rem_5rem_auto] gap-2 items-center ${
+                        typeof item.confidence === 'number' && item.confidence < LOW_CONFIDENCE_THRESHOLD
+                          ? 'border-l-2 border-amber-500 pl-2'
+                          : ''
+                      }`}
+                    >
+                      <input
+                        type="text"
+                        value={item.name}
+                        onChange={(e) => updateItem(entry.id, index, 'name', e.target.value)}
+                        placeholder="Item name"
+                        className="bg-gray-700 text-white rounded px-2 py-1 text-xs sm:text-sm border-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={item.quantity}
+                        onChange={(e) => updateItem(entry.id, index, 'quantity', e.target.value)}
+                        className="bg-gray-700 text-white rounded px-2 py-1 text-xs sm:text-sm border-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={item.price}
+                        onChange={(e) => updateItem(entry.id, index, 'price', e.target.value)}
+                        className="bg-gray-700 text-white rounded px-2 py-1 text-xs sm:text-sm border-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button onClick={() => removeItem(entry.id, index)} className="text-red-400 hover:text-red-300 p-1">
+                        <SafeIcon icon={FiTrash2} className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+
+                  {totals && !totals.matches && (
+                    <p className="text-amber-300 text-xs">
+                      Items add up to {formatMoney(totals.itemsTotal, entry.currency)} but the receipt total is {formatMoney(totals.expected, entry.currency)}
+                    </p>
+                  )}
+                  {entry.error && <p className="text-red-400 text-xs">{entry.error}</p>}
+
+                  {entry.duplicateReview && (
+                    <DuplicateReviewPanel
+                      receiptMatch={entry.duplicateReview.receiptMatch}
+                      receiptAction={entry.duplicateReview.receiptAction}
+                      onReceiptActionChange={(action) => updateDuplicateReview(entry.id, () => ({ receiptAction: action }))}
+                      duplicates={entry.duplicateReview.duplicates}
+                      actions={entry.duplicateReview.actions}
+                      onActionChange={(index, action) => updateDuplicateReview(entry.id, review => ({
+                        actions: { ...review.actions, [index]: action }
+                      }))}
+                    />
+                  )}
+
+                  <div className="flex flex-wrap gap-2 pt-1">
+                    <button
+                      onClick={() => addItem(entry.id)}
+                      className="flex items-center gap-1 bg-gray-700 hover:bg-gray-600 text-white px-3 py-1.5 rounded-lg text-xs"
+                    >
+                      <SafeIcon icon={FiPlus} className="h-3 w-3" />
+                      Add Item
+                    </button>
+                    <button
+                      onClick={() => rejectEntry(entry)}
+                      className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1.5 rounded-lg text-xs"
+                    >
+                      Reject
+                    </button>
+                    <button
+                      onClick={() => acceptEntry(entry)}
+                      disabled={!user}
+                      className="flex items-center gap-1 bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg text-xs disabled:opacity-50"
+                    >
+                      <SafeIcon icon={FiCheck} className="h-3 w-3" />
+                      {entry.duplicateReview ? 'Save With These Choices' : `Accept ${entry.items.length} Items`}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BatchReceiptScanner;
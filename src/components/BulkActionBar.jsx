@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { RiCloseLine, RiPriceTag3Line, RiPercentLine, RiCalendarLine, RiDeleteBin6Line, RiFileExcelLine, RiFileTextLine } from 'react-icons/ri';
+
+const controlClass = 'rounded-md border-gray-600 bg-gray-800 px-2 py-1.5 text-sm text-white placeholder-gray-400 focus:border-primary-500 focus:ring-primary-500';
+const buttonClass = 'inline-flex items-center rounded-md px-3 py-1.5 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+/**
+ * Actions for the purchases ticked on the Purchases page: set category,
+ * set VAT, move dates, export and delete. Edits are passed up as
+ * { category } / { vatPercentage, vatIncluded } / { shiftDays }.
+ */
+const BulkActionBar = ({
+  selectedCount,
+  categoryOptions = [],
+  onApplyEdit,
+  onDelete,
+  onExport,
+  onClearSelection,
+  disabled = false
+}) => {
+  const [category, setCategory] = useState('');
+  const [vatPercentage, setVatPercentage] = useState('20');
+  const [vatIncluded, setVatIncluded] = useState('true');
+  const [shiftDays, setShiftDays] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const days = parseInt(shiftDays);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="rounded-lg border border-primary-700 bg-primary-900/20 p-3 space-y-3"
+    >
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-white">
+          {selectedCount} purchase{selectedCount === 1 ? '' : 's'} selected
+        </span>
+        <button
+          type="button"
+          onClick={onClearSelection}
+          className="inline-flex items-center text-sm text-gray-300 hover:text-white"
+        >
+          <RiCloseLine className="mr-1 h-4 w-4" />
+          Clear selection
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+        {/* Category */}
+        <div className="flex items-center gap-2">
+          <RiPriceTag3Line className="h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            list="bulk-category-options"
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            placeholder="Category"
+            className={`${controlClass} w-36`}
+          />
+          <datalist id="bulk-category-options">
+            {categoryOptions.map(option => (
+              <option key={option} value={option} />
+            ))}
+          </datalist>
+          <button
+            type="button"
+            onClick={() => onApplyEdit({ category: category.trim() })}
+            disabled={disabled || !category.trim()}
+            className={`${buttonClass} bg-gray-700 text-white hover:bg-gray-600`}
+          >
+            Set
+          </button>
+        </div>
+
+        {/* VAT */}
+        <div className="flex items-center gap-2">
+          <RiPercentLine className="h-4 w-4 text-gray-400" />
+          <select value={vatPercentage} onChange={(e) => setVatPercentage(e.target.value)} className={controlClass}>
+            <option value="20">20%</option>
+            <option value="5">5%</option>
+            <option value="0">0%</option>
+          </select>
+          <select value={vatIncluded} onChange={(e) => setVatIncluded(e.target.value)} className={controlClass}>
+            <option value="true">Included</option>
+            <option value="false">Excluded</option>
+          </select>
+          <button
+            type="button"
+            onClick={() => onApplyEdit({ vatPercentage: parseFloat(vatPercentage), vatIncluded: vatIncluded === 'true' })}
+            disabled={disabled}
+            className={`${buttonClass} bg-gray-700 text-white hover:bg-gray-600`}
+          >
+            Set VAT
+          </button>
+        </div>
+
+        {/* Date shift */}
+        <div className="flex items-center gap-2">
+          <RiCalendarLine className="h-4 w-4 text-gray-400" />
+          <input
+            type="number"
+            step="1"
+            value={shiftDays}
+            onChange={(e) => setShiftDays(e.target.value)}
+            placeholder="± days"
+            className={`${controlClass} w-24`}
+          />
+          <button
+            type="button"
+            onClick={() => {
+              onApplyEdit({ shiftDays: days });
+              setShiftDays('');
+            }}
+            disabled={disabled || !days}
+            className={`${buttonClass} bg-gray-700 text-white hover:bg-gray-600`}
+          >
+            Shift dates
+          </button>
+        </div>
+
+        {/* Export */}
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => onExport('excel')}
+            disabled={disabled}
+            className={`${buttonClass} border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white`}
+          >
+            <RiFileExcelLine className="mr-1 h-4 w-4" />
+            Excel
+          </button>
+          <button
+            type="button"
+            onClick={() => onExport('csv')}
+            disabled={disabled}
+            className={`${buttonClass} border border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white`}
+          >
+            <RiFileTextLine className="mr-1 h-4 w-4" />
+            CSV
+          </button>
+        </div>
+
+        {/* Delete */}
+        <div className="flex items-center gap-2 sm:ml-auto">
+          {confirmingDelete ? (
+            <>
+              <span className="text-sm text-red-300">Delete {selectedCount}?</span>
+              <button
+                type="button"
+                onClick={() => {
+                  setConfirmingDelete(false);
+                  onDelete();
+                }}
+                disabled={disabled}
+                className={`${buttonClass} bg-red-600 text-white hover:bg-red-700`}
+              >
+                Delete
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmingDelete(false)}
+                className={`${buttonClass} text-gray-300 hover:text-white`}
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setConfirmingDelete(true)}
+              disabled={disabled}
+              className={`${buttonClass} border border-red-700 text-red-400 hover:bg-red-900/30 hover:text-red-300`}
+            >
+              <RiDeleteBin6Line className="mr-1 h-4 w-4" />
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default BulkActionBar;
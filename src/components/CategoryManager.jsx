@@ -0,0 +1,432 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { RiAddLine, RiEditLine, RiArchiveLine, RiInboxUnarchiveLine, RiGitMergeLine, RiDeleteBin6Line, RiArrowUpLine, RiArrowDownLine, RiCheckLine, RiCloseLine, RiMagicLine } from 'react-icons/ri';
+import {
+  createPurchaseCategory,
+  renamePurchaseCategory,
+  archivePurchaseCategory,
+  mergePurchaseCategories,
+  saveCategoryRule,
+  deleteCategoryRule
+} from '../services/db';
+import { useAuth } from '../context/AuthContext';
+import useCategories from '../hooks/useCategories';
+import { RULE_FIELDS, RULE_MATCH_TYPES, MAX_CATEGORY_NAME_LENGTH, validateCategoryName, describeRule } from '../utils/categoryRules';
+
+const inputClass = 'block w-full rounded-md border-gray-600 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+const iconButtonClass = 'p-1.5 rounded-md text-gray-400 hover:text-white hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+const EMPTY_RULE = {
+  field: 'name',
+  matchType: 'contains',
+  pattern: '',
+  categoryId: '',
+  vatPercentage: '',
+  vatIncluded: ''
+};
+
+/**
+ * Settings tab for the user's purchase categories (add, rename, merge,
+ * archive) and the rules that categorise new purchases automatically.
+ */
+export default function CategoryManager() {
+  const { user } = useAuth();
+  const { categories, rules, loading, reload } = useCategories();
+  const [newCategory, setNewCategory] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [merging, setMerging] = useState(null); // { source, targetId }
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const activeCategories = categories.filter(category => !category.archived);
+  const archivedCategories = categories.filter(category => category.archived);
+
+  // Runs a change, reloads and reports the outcome
+  const runChange = async (change, successMessage) => {
+    try {
+      setIsSaving(true);
+      setError('');
+      await change();
+      await reload();
+      setMessage(successMessage);
+      setTimeout(() => setMessage(''), 4000);
+      return true;
+    } catch (err) {
+      console.error('Error updating categories:', err);
+      setError(err.message || 'Failed to update categories');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddCategory = async (e) => {
+    e.preventDefault();
+    let name;
+    try {
+      name = validateCategoryName(newCategory, categories);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (await runChange(() => createPurchaseCategory(name, user.email), `Added "${name}"`)) {
+      setNewCategory('');
+    }
+  };
+
+  const handleRename = async () => {
+    const category = categories.find(c => c.id === editing.id);
+    let name;
+    try {
+      name = validateCategoryName(editing.name, categories, category.id);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    if (name === category.name) {
+      setEditing(null);
+      return;
+    }
+
+    const renamed = await runChange(
+      () => renamePurchaseCategory(category, name, user.email),
+      `Renamed "${category.name}" to "${name}" on all purchases`
+    );
+    if (renamed) setEditing(null);
+  };
+
+  const handleMerge = async () => {
+    const target = categories.find(c => c.id === merging.targetId);
+    if (!target) return;
+
+    const merged = await runChange(
+      () => mergePurchaseCategories(merging.source, target, user.email),
+      `Merged "${merging.source.name}" into "${target.name}"`
+    );
+    if (merged) setMerging(null);
+  };
+
+  const handleArchive = (category, archived) => runChange(
+    () => archivePurchaseCategory(category.id, archived, user.email),
+    archived ? `Archived "${category.name}"` : `Restored "${category.name}"`
+  );
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    if (!newRule.pattern.trim()) {
+      setError('Enter the text the rule should look for');
+      return;
+    }
+    if (!newRule.categoryId && newRule.vatPercentage === '') {
+      setError('Choose a category or a VAT rate for the rule to apply');
+      return;
+    }
+
+    const rule = {
+      field: newRule.field,
+      matchType: newRule.matchType,
+      pattern: newRule.pattern.trim(),
+      categoryId: newRule.categoryId || null,
+      vatPercentage: newRule.vatPercentage === '' ? null : parseFloat(newRule.vatPercentage),
+      vatIncluded: newRule.vatIncluded === '' ? null : newRule.vatIncluded === 'true',
+      priority: rules.reduce((max, r) => Math.max(max, r.priority ?? 0), 0) + 1,
+      enabled: true
+    };
+
+    if (await runChange(() => saveCategoryRule(rule, user.email), 'Rule added')) {
+      setNewRule(EMPTY_RULE);
+    }
+  };
+
+  // Swap priorities with the neighbouring rule
+  const moveRule = (index, offset) => {
+    const rule = rules[index];
+    const other = rules[index + offset];
+    if (!other) return;
+
+    const rulePriority = rule.priority ?? index;
+    const otherPriority = other.priority ?? index + offset;
+    const [first, second] = rulePriority === otherPriority
+      ? [index + offset, index]
+      : [otherPriority, rulePriority];
+
+    runChange(async () => {
+      await saveCategoryRule({ ...rule, priority: first }, user.email);
+      await saveCategoryRule({ ...other, priority: second }, user.email);
+    }, 'Rule order updated');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="rounded-md bg-red-900/50 p-4 text-sm text-red-200">{error}</div>
+      )}
+      {message && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="rounded-md bg-green-900/50 p-4 text-sm text-green-200"
+        >
+          {message}
+        </motion.div>
+      )}
+
+      {/* Categories */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h3 className="text-lg font-medium leading-6 text-white">Purchase Categories</h3>
+        <p className="mt-1 text-sm text-gray-400 mb-6">
+          Renaming or merging a category updates every purchase that uses it. Archived categories are hidden when adding purchases but stay on existing ones.
+        </p>
+
+        <form onSubmit={handleAddCategory} className="flex gap-2 mb-6">
+          <input
+            type="text"
+            value={newCategory}
+            onChange={(e) => setNewCategory(e.target.value)}
+            maxLength={MAX_CATEGORY_NAME_LENGTH}
+            placeholder="New category name"
+            className={inputClass}
+          />
+          <button
+            type="submit"
+            disabled={isSaving || !newCategory.trim()}
+            className="inline-flex items-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50 whitespace-nowrap"
+          >
+            <RiAddLine className="mr-1 h-4 w-4" />
+            Add
+          </button>
+        </form>
+
+        <ul className="divide-y divide-gray-700">
+          {activeCategories.map(category => (
+            <li key={category.id} className="py-3">
+              {editing?.id === category.id ? (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    maxLength={MAX_CATEGORY_NAME_LENGTH}
+                    className={inputClass}
+                    autoFocus
+                  />
+                  <button type="button" onClick={handleRename} disabled={isSaving} className={iconButtonClass} title="Save">
+                    <RiCheckLine className="h-4 w-4" />
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} className={iconButtonClass} title="Cancel">
+                    <RiCloseLine className="h-4 w-4" />
+                  </button>
+                </div>
+              ) : merging?.source.id === category.id ? (
+                <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+                  <span className="text-sm text-white whitespace-nowrap">Merge "{category.name}" into</span>
+                  <select
+                    value={merging.targetId}
+                    onChange={(e) => setMerging({ ...merging, targetId: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">Choose a category</option>
+                    {activeCategories.filter(c => c.id !== category.id).map(c => (
+                      <option key={c.id} value={c.id}>{c.name}</option>
+                    ))}
+                  </select>
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={handleMerge}
+                      disabled={isSaving || !merging.targetId}
+                      className="inline-flex items-center rounded-md bg-primary-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      Merge
+                    </button>
+                    <button type="button" onClick={() => setMerging(null)} className={iconButtonClass} title="Cancel">
+                      <RiCloseLine className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-white">{category.name}</span>
+                  <div className="flex items-center gap-1">
+                    <button
+                      type="button"
+                      onClick={() => setEditing({ id: category.id, name: category.name })}
+                      disabled={isSaving}
+                      className={iconButtonClass}
+                      title="Rename"
+                    >
+                      <RiEditLine className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setMerging({ source: category, targetId: '' })}
+                      disabled={isSaving || activeCategories.length < 2}
+                      className={iconButtonClass}
+                      title="Merge into another category"
+                    >
+                      <RiGitMergeLine className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleArchive(category, true)}
+                      disabled={isSaving}
+                      className={iconButtonClass}
+                      title="Archive"
+                    >
+                      <RiArchiveLine className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {archivedCategories.length > 0 && (
+          <div className="mt-6">
+            <h4 className="text-sm font-medium text-gray-400 mb-2">Archived</h4>
+            <ul className="divide-y divide-gray-700">
+              {archivedCategories.map(category => (
+                <li key={category.id} className="py-2 flex items-center justify-between">
+                  <span className="text-sm text-gray-400">{category.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleArchive(category, false)}
+                    disabled={isSaving}
+                    className={iconButtonClass}
+                    title="Restore"
+                  >
+                    <RiInboxUnarchiveLine className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {/* Rules */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h3 className="flex items-center text-lg font-medium leading-6 text-white">
+          <RiMagicLine className="h-5 w-5 mr-2 text-primary-400" />
+          Auto-categorisation Rules
+        </h3>
+        <p className="mt-1 text-sm text-gray-400 mb-6">
+          Rules fill in the category and VAT of purchases you add by hand, scan from receipts or import from a spreadsheet. They are tried from the top and the first match wins.
+        </p>
+
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-6">No rules yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-700 mb-6">
+            {rules.map((rule, index) => (
+              <li key={rule.id} className="py-3 flex items-center justify-between gap-3">
+                <label className="flex items-center gap-3 min-w-0">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled !== false}
+                    onChange={(e) => runChange(
+                      () => saveCategoryRule({ ...rule, enabled: e.target.checked }, user.email),
+                      e.target.checked ? 'Rule enabled' : 'Rule disabled'
+                    )}
+                    disabled={isSaving}
+                    className="h-4 w-4 rounded border-gray-600 bg-gray-700 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className={`text-sm truncate ${rule.enabled === false ? 'text-gray-500' : 'text-white'}`}>
+                    {describeRule(rule, categories)}
+                  </span>
+                </label>
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button type="button" onClick={() => moveRule(index, -1)} disabled={isSaving || index === 0} className={iconButtonClass} title="Move up">
+                    <RiArrowUpLine className="h-4 w-4" />
+                  </button>
+                  <button type="button" onClick={() => moveRule(index, 1)} disabled={isSaving || index === rules.length - 1} className={iconButtonClass} title="Move down">
+                    <RiArrowDownLine className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => runChange(() => deleteCategoryRule(rule.id, user.email), 'Rule deleted')}
+                    disabled={isSaving}
+                    className={`${iconButtonClass} hover:text-red-400`}
+                    title="Delete rule"
+                  >
+                    <RiDeleteBin6Line className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={handleAddRule} className="grid grid-cols-1 sm:grid-cols-6 gap-3 items-end">
+          <div className="sm:col-span-2">
+            <label className="block text-xs font-medium text-gray-400 mb-1">When</label>
+            <div className="flex gap-2">
+              <select value={newRule.field} onChange={(e) => setNewRule({ ...newRule, field: e.target.value })} className={inputClass}>
+                {RULE_FIELDS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+              <select value={newRule.matchType} onChange={(e) => setNewRule({ ...newRule, matchType: e.target.value })} className={inputClass}>
+                {RULE_MATCH_TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="sm:col-span-1">
+            <label className="block text-xs font-medium text-gray-400 mb-1">Text</label>
+            <input
+              type="text"
+              value={newRule.pattern}
+              onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+              placeholder="e.g. screw"
+              className={inputClass}
+            />
+          </div>
+          <div className="sm:col-span-1">
+            <label className="block text-xs font-medium text-gray-400 mb-1">Category</label>
+            <select value={newRule.categoryId} onChange={(e) => setNewRule({ ...newRule, categoryId: e.target.value })} className={inputClass}>
+              <option value="">Leave as is</option>
+              {activeCategories.map(category => <option key={category.id} value={category.id}>{category.name}</option>)}
+            </select>
+          </div>
+          <div className="sm:col-span-1">
+            <label className="block text-xs font-medium text-gray-400 mb-1">VAT</label>
+            <div className="flex gap-2">
+              <select value={newRule.vatPercentage} onChange={(e) => setNewRule({ ...newRule, vatPercentage: e.target.value })} className={inputClass}>
+                <option value="">Leave</option>
+                <option value="20">20%</option>
+                <option value="5">5%</option>
+                <option value="0">0%</option>
+              </select>
+              <select value={newRule.vatIncluded} onChange={(e) => setNewRule({ ...newRule, vatIncluded: e.target.value })} className={inputClass}>
+                <option value="">–</option>
+                <option value="true">Inc</option>
+                <option value="false">Ex</option>
+              </select>
+            </div>
+          </div>
+          <div className="sm:col-span-1">
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="w-full inline-flex items-center justify-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+            >
+              <RiAddLine className="mr-1 h-4 w-4" />
+              Add rule
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useEffect } from 'react';
+import { RiExchangeLine } from 'react-icons/ri';
+import useExchangeRates from '../hooks/useExchangeRates';
+import { CURRENCIES, BASE_CURRENCY, formatMoney, toGbp } from '../utils/currency';
+
+const fieldClass = 'mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2 disabled:opacity-50';
+
+/**
+ * Currency and exchange rate inputs for the purchase forms. An empty rate
+ * is filled in from the user's rate table for the purchase date; a rate
+ * that differs from the table can be swapped for it. Calls onChange with
+ * the fields that changed.
+ */
+export default function CurrencyFields({ currency, exchangeRate, dateAdded, unitPrice, onChange, disabled = false }) {
+  const { rateFor } = useExchangeRates();
+
+  const isForeign = currency !== BASE_CURRENCY;
+  const tableRate = isForeign ? rateFor(currency, dateAdded) : null;
+
+  useEffect(() => {
+    if (isForeign && tableRate && exchangeRate === '') {
+      onChange({ exchangeRate: String(tableRate.rate) });
+    }
+  }, [isForeign, tableRate, exchangeRate, onChange]);
+
+  const handleCurrencyChange = (e) => {
+    onChange({ currency: e.target.value, exchangeRate: '' });
+  };
+
+  const rate = parseFloat(exchangeRate);
+  const price = parseFloat(unitPrice);
+
+  return (
+    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+      <div>
+        <label htmlFor="currency" className="block text-sm font-medium text-white">
+          Currency
+        </label>
+        <select
+          id="currency"
+          name="currency"
+          disabled={disabled}
+          className={fieldClass}
+          value={currency}
+          onChange={handleCurrencyChange}
+        >
+          {CURRENCIES.map(option => (
+            <option key={option.code} value={option.code}>
+              {option.code} - {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isForeign && (
+        <div>
+          <label htmlFor="exchangeRate" className="block text-sm font-medium text-white">
+            Exchange Rate ({currency} per £1) <span className="text-red-400">*</span>
+          </label>
+          <input
+            type="number"
+            name="exchangeRate"
+            id="exchangeRate"
+            min="0"
+            step="0.0001"
+            required
+            disabled={disabled}
+            className={fieldClass}
+            value={exchangeRate}
+            onChange={(e) => onChange({ exchangeRate: e.target.value })}
+          />
+          <p className="mt-1 text-xs text-gray-400">
+            {tableRate
+              ? `Rate table: ${tableRate.rate} from ${new Date(tableRate.date).toLocaleDateString('en-GB')}`
+              : 'No rate in your table for this date. Enter one, or import rates in Settings.'}
+            {tableRate && tableRate.rate !== rate && (
+              <button
+                type="button"
+                onClick={() => onChange({ exchangeRate: String(tableRate.rate) })}
+                disabled={disabled}
+                className="ml-2 text-primary-400 hover:text-primary-300 underline"
+              >
+                Use it
+              </button>
+            )}
+          </p>
+        </div>
+      )}
+
+      {isForeign && (
+        <div className="sm:col-span-2 flex items-start rounded-md border border-gray-600 bg-gray-700/50 p-3 text-xs text-gray-300">
+          <RiExchangeLine className="mr-2 mt-0.5 h-4 w-4 flex-shrink-0 text-blue-400" />
+          <span>
+            {rate > 0 && price > 0
+              ? `${formatMoney(price, currency)} is ${formatMoney(toGbp(price, rate))} per unit. `
+              : ''}
+            Purchases in other currencies carry no UK VAT to reclaim, so the price is recorded as paid.
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
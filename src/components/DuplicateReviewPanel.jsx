@@ -0,0 +1,137 @@
+import React from 'react';
+import { FiCopy } from 'react-icons/fi';
+import SafeIcon from '../common/SafeIcon';
+import { DUPLICATE_ACTIONS, describeReceiptMatch } from '../utils/duplicates';
+
+const RECEIPT_OPTIONS = [
+  { action: DUPLICATE_ACTIONS.MERGE, label: 'Use existing receipt' },
+  { action: DUPLICATE_ACTIONS.SKIP, label: "Don't save" },
+  { action: DUPLICATE_ACTIONS.KEEP_BOTH, label: 'Keep both' }
+];
+
+const ITEM_OPTIONS = [
+  { action: DUPLICATE_ACTIONS.MERGE, label: 'Merge' },
+  { action: DUPLICATE_ACTIONS.SKIP, label: 'Skip' },
+  { action: DUPLICATE_ACTIONS.KEEP_BOTH, label: 'Keep both' }
+];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : 'unknown date');
+const formatMoney = (value) => `£${(parseFloat(value) || 0).toFixed(2)}`;
+
+const ChoiceButtons = ({ options, value, onChange, disabled }) => (
+  <div className="flex flex-wrap gap-1">
+    {options.map(option => (
+      <button
+        key={option.action}
+        type="button"
+        onClick={() => onChange(option.action)}
+        disabled={disabled}
+        className={`px-2 py-1 rounded text-xs font-medium disabled:opacity-50 ${
+          value === option.action
+            ? 'bg-amber-500 text-gray-900'
+            : 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+/**
+ * Lists the entries about to be saved that look like ones already saved,
+ * and lets the user choose for each whether to merge it into the existing
+ * entry, skip it, or keep both. Shown before anything is written.
+ *
+ * receiptMatch comes from receiptStorage.findDuplicateReceipt and
+ * duplicates from findDuplicatePurchaseItems; actions maps each
+ * duplicate's index to one of DUPLICATE_ACTIONS.
+ */
+const DuplicateReviewPanel = ({
+  receiptMatch,
+  receiptAction,
+  onReceiptActionChange,
+  duplicates,
+  actions,
+  onActionChange,
+  disabled = false
+}) => {
+  const receiptSkipped = receiptMatch && receiptAction === DUPLICATE_ACTIONS.SKIP;
+
+  return (
+    <div className="p-3 sm:p-4 rounded-lg border bg-amber-900/30 border-amber-700 space-y-3">
+      <div className="flex items-start">
+        <SafeIcon icon={FiCopy} className="h-5 w-5 text-amber-400 mr-3 mt-0.5 flex-shrink-0" />
+        <div>
+          <h3 className="text-amber-200 font-medium text-sm sm:text-base">Possible Duplicates</h3>
+          <p className="text-amber-300 text-xs sm:text-sm">
+            Some of this looks like purchases you've already saved. Choose what to do with each before saving.
+          </p>
+        </div>
+      </div>
+
+      {receiptMatch && (
+        <div className="bg-gray-800 rounded-lg p-3 space-y-2">
+          <p className="text-white text-sm">
+            <span className="font-medium">Receipt: </span>
+            {describeReceiptMatch(receiptMatch)} as
+            {' '}{receiptMatch.receipt.merchant_name || receiptMatch.receipt.file_name}
+            {receiptMatch.receipt.total_amount != null && ` (${formatMoney(receiptMatch.receipt.total_amount)})`}
+            , saved {formatDate(receiptMatch.receipt.created_at)}
+          </p>
+          <ChoiceButtons
+            options={RECEIPT_OPTIONS}
+            value={receiptAction}
+            onChange={onReceiptActionChange}
+            disabled={disabled}
+          />
+          {receiptSkipped && (
+            <p className="text-amber-300 text-xs">Nothing from this receipt will be saved.</p>
+          )}
+        </div>
+      )}
+
+      {duplicates.length > 0 && !receiptSkipped && (
+        <div className="bg-gray-800 rounded-lg p-3 space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+            <span className="text-white text-sm font-medium">
+              {duplicates.length} item{duplicates.length === 1 ? '' : 's'} already saved
+            </span>
+            <div className="flex items-center gap-2">
+              <span className="text-gray-400 text-xs">All:</span>
+              <ChoiceButtons
+                options={ITEM_OPTIONS}
+                value={duplicates.every(({ index }) => actions[index] === actions[duplicates[0].index]) ? actions[duplicates[0].index] : null}
+                onChange={(action) => duplicates.forEach(({ index }) => onActionChange(index, action))}
+                disabled={disabled}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2 max-h-60 overflow-y-auto">
+            {duplicates.map(({ index, item, existing }) => (
+              <div key={index} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 border-t border-gray-700 pt-2">
+                <div className="min-w-0">
+                  <p className="text-white text-sm truncate">
+                    {item.name} · {item.quantity} × {formatMoney(item.unitPrice)}
+                  </p>
+                  <p className="text-gray-400 text-xs truncate">
+                    Matches "{existing.name}" · {existing.quantity} × {formatMoney(existing.unitPrice)} on {formatDate(existing.dateAdded)}
+                  </p>
+                </div>
+                <ChoiceButtons
+                  options={ITEM_OPTIONS}
+                  value={actions[index]}
+                  onChange={(action) => onActionChange(index, action)}
+                  disabled={disabled}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReviewPanel;
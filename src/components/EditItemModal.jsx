@@ -1,6 +1,12 @@
 import { motion, AnimatePresence } from 'framer-motion';
 import { RiCloseLine, RiInformationLine } from 'react-icons/ri';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import useCategories from '../hooks/useCategories';
+import { BASE_CURRENCY, convertPurchase, currencySymbol, normaliseCurrency } from '../utils/currency';
+import CurrencyFields from './CurrencyFields';
+import PurchaseAttachments from './PurchaseAttachments';
+import VatSchemeFields from './VatSchemeFields';
+import { paymentFormFields, paidDateFromForm } from '../utils/vatSchemes';
 
 export default function EditItemModal({ isOpen, onClose, onSave, item }) {
   const [formData, setFormData] = useState({
@@ -11,32 +17,23 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
     unitPrice: '',
     dateAdded: '',
     vatIncluded: false,
-    vatPercentage: '20.00'
+    vatPercentage: '20.00',
+    supplier: '',
+    currency: BASE_CURRENCY,
+    exchangeRate: '',
+    unpaid: false,
+    paidDate: '',
+    capitalAsset: false
   });
+  const [error, setError] = useState('');
 
-  const categories = [
-    { value: 'Electronics', label: '📱 Electronics' },
-    { value: 'Clothing', label: '👕 Clothing & Apparel' },
-    { value: 'Food & Beverages', label: '🍎 Food & Beverages' },
-    { value: 'Home & Garden', label: '🏠 Home & Garden' },
-    { value: 'Sports & Outdoors', label: '⚽ Sports & Outdoors' },
-    { value: 'Books & Media', label: '📚 Books & Media' },
-    { value: 'Health & Beauty', label: '💄 Health & Beauty' },
-    { value: 'Automotive', label: '🚗 Automotive' },
-    { value: 'Tools & Hardware', label: '🔧 Tools & Hardware' },
-    { value: 'Office Supplies', label: '📎 Office Supplies' },
-    { value: 'Toys & Games', label: '🎮 Toys & Games' },
-    { value: 'Pet Supplies', label: '🐕 Pet Supplies' },
-    { value: 'Jewelry & Accessories', label: '💍 Jewelry & Accessories' },
-    { value: 'Art & Crafts', label: '🎨 Art & Crafts' },
-    { value: 'Music & Instruments', label: '🎵 Music & Instruments' },
-    { value: 'Baby & Kids', label: '👶 Baby & Kids' },
-    { value: 'Furniture', label: '🪑 Furniture' },
-    { value: 'Appliances', label: '🔌 Appliances' },
-    { value: 'Medical & Healthcare', label: '🏥 Medical & Healthcare' },
-    { value: 'Industrial', label: '🏭 Industrial' },
-    { value: 'Other', label: '📦 Other' }
-  ];
+  const { categoryNames } = useCategories();
+
+  // An archived or renamed-away category stays selectable on the purchase
+  // that still has it
+  const categoryOptions = formData.category && !categoryNames.includes(formData.category)
+    ? [formData.category, ...categoryNames]
+    : categoryNames;
 
   const vatRates = [
     { value: '0.00', label: '0% (Zero-rated)' },
@@ -46,16 +43,25 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
 
   useEffect(() => {
     if (item) {
+      // Foreign purchases are edited in the currency they were paid in
+      const currency = normaliseCurrency(item.currency);
+      const price = currency === BASE_CURRENCY ? item.unitPrice : item.originalUnitPrice ?? item.unitPrice;
       setFormData({
         name: item.name || '',
         category: item.category || '',
         quantity: item.quantity?.toString() || '',
         description: item.description || '',
-        unitPrice: item.unitPrice?.toString() || '',
+        unitPrice: price?.toString() || '',
         dateAdded: item.dateAdded || new Date().toISOString().split('T')[0],
         vatIncluded: item.vatIncluded || false,
-        vatPercentage: item.vatPercentage?.toString() || '20.00'
+        vatPercentage: item.vatPercentage?.toString() || '20.00',
+        supplier: item.supplier || '',
+        currency,
+        exchangeRate: currency === BASE_CURRENCY ? '' : item.exchangeRate?.toString() || '',
+        ...paymentFormFields(item),
+        capitalAsset: !!item.capitalAsset
       });
+      setError('');
     }
   }, [item]);
 
@@ -67,6 +73,12 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
     }));
   };
 
+  const handleCurrencyChange = useCallback((changes) => {
+    setFormData(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const isForeign = formData.currency !== BASE_CURRENCY;
+
   const handleVatRateChange = (e) => {
     const value = e.target.value;
     setFormData(prev => ({
@@ -108,13 +120,25 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    const updatedItem = {
-      ...item,
-      ...formData,
-      quantity: parseInt(formData.quantity),
-      unitPrice: parseFloat(formData.unitPrice),
-      vatPercentage: parseFloat(formData.vatPercentage)
-    };
+    // `unpaid` is a form flag; the item keeps a null paid date instead
+    const { unpaid, ...fields } = formData;
+    let updatedItem;
+    try {
+      updatedItem = convertPurchase({
+        ...item,
+        ...fields,
+        quantity: parseInt(formData.quantity),
+        unitPrice: parseFloat(formData.unitPrice),
+        originalUnitPrice: parseFloat(formData.unitPrice),
+        vatPercentage: parseFloat(formData.vatPercentage),
+        paidDate: paidDateFromForm({ unpaid, paidDate: fields.paidDate }, fields.dateAdded),
+        // A changed supplier name is linked to its supplier again when saved
+        supplierId: formData.supplier.trim() === (item.supplier || '') ? item.supplierId : null
+      });
+    } catch (conversionError) {
+      setError(conversionError.message);
+      return;
+    }
     
     onSave(updatedItem);
     onClose();
@@ -156,6 +180,11 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
               <div className="sm:flex sm:items-start">
                 <div className="mt-3 w-full text-center sm:mt-0 sm:text-left">
                   <h3 className="text-lg font-medium leading-6 text-white">Edit Item</h3>
+                  {error && (
+                    <div className="mt-3 p-3 bg-red-900/50 border border-red-700 rounded-md">
+                      <p className="text-red-300 text-sm">{error}</p>
+                    </div>
+                  )}
                   <form onSubmit={handleSubmit} className="mt-6 space-y-6">
                     <div>
                       <label htmlFor="name" className="block text-sm font-medium text-white">
@@ -184,14 +213,29 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
                         value={formData.category}
                         onChange={handleChange}
                       >
-                        {categories.map((category) => (
-                          <option key={category.value} value={category.value}>
-                            {category.label}
+                        {categoryOptions.map((category) => (
+                          <option key={category} value={category}>
+                            {category}
                           </option>
                         ))}
                       </select>
                     </div>
 
+                    <div>
+                      <label htmlFor="supplier" className="block text-sm font-medium text-white">
+                        Supplier
+                      </label>
+                      <input
+                        type="text"
+                        name="supplier"
+                        id="supplier"
+                        className="mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2"
+                        value={formData.supplier}
+                        onChange={handleChange}
+                        maxLength={100}
+                      />
+                    </div>
+
                     <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
                       <div>
                         <label htmlFor="quantity" className="block text-sm font-medium text-white">
@@ -226,64 +270,74 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
                       </div>
                     </div>
 
+                    <CurrencyFields
+                      currency={formData.currency}
+                      exchangeRate={formData.exchangeRate}
+                      dateAdded={formData.dateAdded}
+                      unitPrice={formData.unitPrice}
+                      onChange={handleCurrencyChange}
+                    />
+
                     {/* VAT Configuration Section */}
-                    <div className="border-t border-gray-700 pt-4">
-                      <h4 className="text-md font-medium text-white mb-4 flex items-center">
-                        <RiInformationLine className="h-5 w-5 mr-2 text-blue-400" />
-                        VAT Configuration
-                      </h4>
-
-                      <div className="space-y-4">
-                        <div>
-                          <div className="flex items-center">
-                            <input
-                              id="vatIncluded"
-                              name="vatIncluded"
-                              type="checkbox"
-                              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-700 bg-gray-700 rounded"
-                              checked={formData.vatIncluded}
-                              onChange={handleChange}
-                            />
-                            <label htmlFor="vatIncluded" className="ml-2 block text-sm text-white">
-                              Price includes VAT
-                            </label>
+                    {!isForeign && (
+                      <div className="border-t border-gray-700 pt-4">
+                        <h4 className="text-md font-medium text-white mb-4 flex items-center">
+                          <RiInformationLine className="h-5 w-5 mr-2 text-blue-400" />
+                          VAT Configuration
+                        </h4>
+
+                        <div className="space-y-4">
+                          <div>
+                            <div className="flex items-center">
+                              <input
+                                id="vatIncluded"
+                                name="vatIncluded"
+                                type="checkbox"
+                                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-700 bg-gray-700 rounded"
+                                checked={formData.vatIncluded}
+                                onChange={handleChange}
+                              />
+                              <label htmlFor="vatIncluded" className="ml-2 block text-sm text-white">
+                                Price includes VAT
+                              </label>
+                            </div>
+                            <p className="mt-1 text-xs text-gray-400">
+                              {formData.vatIncluded 
+                                ? 'The unit price includes VAT' 
+                                : 'The unit price excludes VAT'
+                              }
+                            </p>
                           </div>
-                          <p className="mt-1 text-xs text-gray-400">
-                            {formData.vatIncluded 
-                              ? 'The unit price includes VAT' 
-                              : 'The unit price excludes VAT'
-                            }
-                          </p>
-                        </div>
 
-                        <div>
-                          <label htmlFor="vatRate" className="block text-sm font-medium text-white">
-                            VAT Rate
-                          </label>
-                          <select
-                            id="vatRate"
-                            name="vatRate"
-                            className="mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2"
-                            value={formData.vatPercentage}
-                            onChange={handleVatRateChange}
-                          >
-                            {vatRates.map((rate) => (
-                              <option key={rate.value} value={rate.value}>
-                                {rate.label}
-                              </option>
-                            ))}
-                          </select>
+                          <div>
+                            <label htmlFor="vatRate" className="block text-sm font-medium text-white">
+                              VAT Rate
+                            </label>
+                            <select
+                              id="vatRate"
+                              name="vatRate"
+                              className="mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2"
+                              value={formData.vatPercentage}
+                              onChange={handleVatRateChange}
+                            >
+                              {vatRates.map((rate) => (
+                                <option key={rate.value} value={rate.value}>
+                                  {rate.label}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
                         </div>
                       </div>
-                    </div>
+                    )}
 
                     <div>
                       <label htmlFor="unitPrice" className="block text-sm font-medium text-white">
-                        Unit Price {formData.vatIncluded ? '(Inc. VAT)' : '(Ex. VAT)'}
+                        Unit Price {isForeign ? `(${formData.currency})` : formData.vatIncluded ? '(Inc. VAT)' : '(Ex. VAT)'}
                       </label>
                       <div className="relative mt-1 rounded-md shadow-sm">
                         <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
-                          <span className="text-gray-400 sm:text-sm">£</span>
+                          <span className="text-gray-400 sm:text-sm">{currencySymbol(formData.currency)}</span>
                         </div>
                         <input
                           type="number"
@@ -299,7 +353,7 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
                       </div>
 
                       {/* VAT Breakdown Display */}
-                      {formData.unitPrice && parseFloat(formData.unitPrice) > 0 && (
+                      {!isForeign && formData.unitPrice && parseFloat(formData.unitPrice) > 0 && (
                         <div className="mt-2 p-3 bg-gray-700/50 rounded-md border border-gray-600">
                           <h5 className="text-sm font-medium text-white mb-2">VAT Breakdown:</h5>
                           <div className="grid grid-cols-3 gap-2 text-xs">
@@ -320,6 +374,14 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
                       )}
                     </div>
 
+                    <VatSchemeFields
+                      unpaid={formData.unpaid}
+                      paidDate={formData.paidDate}
+                      capitalAsset={formData.capitalAsset}
+                      dateAdded={formData.dateAdded}
+                      onChange={handleCurrencyChange}
+                    />
+
                     <div>
                       <label htmlFor="description" className="block text-sm font-medium text-white">
                         Description
@@ -334,6 +396,8 @@ export default function EditItemModal({ isOpen, onClose, onSave, item }) {
                       />
                     </div>
 
+                    <PurchaseAttachments purchaseId={item.id} />
+
                     <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
                       <button
                         type="submit"
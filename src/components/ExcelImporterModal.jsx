@@ -3,6 +3,13 @@ import {motion, AnimatePresence} from 'framer-motion';
 import {RiFileExcelLine, RiCloseLine, RiUploadLine, RiCheckLine, RiAlertLine, RiInformationLine, RiEditLine, RiDeleteBin6Line, RiDownloadLine, RiSettings3Line} from 'react-icons/ri';
 import * as XLSX from 'xlsx';
 import {validateFile, sanitizeInput, validateInventoryItem, logSecurityEvent} from '../utils/security';
+import {findDuplicatePurchaseItems, linkPurchasesToSuppliers} from '../services/db';
+import {applyDuplicateActions, defaultDuplicateActions} from '../utils/duplicates';
+import {useAuth} from '../context/AuthContext';
+import useCategories from '../hooks/useCategories';
+import useExchangeRates from '../hooks/useExchangeRates';
+import {BASE_CURRENCY, convertPurchase, detectCurrency, formatMoney, isForeignCurrency, normaliseCurrency} from '../utils/currency';
+import DuplicateReviewPanel from './DuplicateReviewPanel';
 
 export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
   const [isProcessing, setIsProcessing] = useState(false);
@@ -20,12 +27,20 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
     quantity: '',
     unitPrice: '',
     description: '',
-    dateAdded: ''
+    dateAdded: '',
+    supplier: '',
+    currency: ''
   });
   const [previewData, setPreviewData] = useState([]);
   const [currentStep, setCurrentStep] = useState('upload');
   const [showSettings, setShowSettings] = useState(false);
+  const [duplicateReview, setDuplicateReview] = useState(null);
+  const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
   const fileInputRef = useRef(null);
+  const {user} = useAuth();
+  const {categorise} = useCategories();
+  const {rateFor} = useExchangeRates();
 
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
@@ -110,7 +125,11 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
       // Description mappings
       description: ['description', 'desc', 'details', 'notes', 'info', 'specifications', 'specs'],
       // Date mappings
-      dateAdded: ['date', 'date added', 'created date', 'purchase date', 'entry date', 'added on']
+      dateAdded: ['date', 'date added', 'created date', 'purchase date', 'entry date', 'added on'],
+      // Supplier mappings
+      supplier: ['supplier', 'vendor', 'merchant', 'seller', 'shop', 'store', 'bought from'],
+      // Currency mappings
+      currency: ['currency', 'currency code', 'ccy']
     };
 
     // Try to match headers with our expected fields
@@ -246,13 +265,15 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
       throw new Error(`Row ${rowNumber}: Invalid quantity "${quantity}"`);
     }
     
-    const parsedPrice = parseFloat(String(unitPrice).replace(/[£$€¥₹,]/g, ''));
+    const parsedPrice = parseFloat(String(unitPrice).replace(/[£$€¥₹,\s]|\b[A-Za-z]{3}\b/g, ''));
     if (isNaN(parsedPrice) || parsedPrice < 0) {
       throw new Error(`Row ${rowNumber}: Invalid unit price "${unitPrice}"`);
     }
     
-    const category = sanitizeInput(getValue('category') || 'Other');
+    // Rows without a category of their own go through the user's rules
+    const sheetCategory = sanitizeInput(String(getValue('category') || '').trim());
     const description = sanitizeInput(getValue('description') || `Imported from ${uploadedFile?.name || 'spreadsheet'} on ${new Date().toLocaleDateString()}`);
+    const supplier = sanitizeInput(String(getValue('supplier') || '').trim());
     
     // Date handling with validation
     let dateAdded = getValue('dateAdded');
@@ -277,15 +298,37 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
       dateAdded = new Date().toISOString().split('T')[0];
     }
     
-    return {
+    // A currency column, or failing that a symbol on the price ("€12.50");
+    // foreign prices are converted at the rate table's rate for the date
+    const currency = normaliseCurrency(getValue('currency') || detectCurrency(String(unitPrice)));
+    let exchangeRate = null;
+    if (currency !== BASE_CURRENCY) {
+      const rate = rateFor(currency, dateAdded);
+      if (!rate) {
+        throw new Error(`Row ${rowNumber}: No ${currency} exchange rate for ${dateAdded}. Import rates in Settings first`);
+      }
+      exchangeRate = rate.rate;
+    }
+    
+    const item = {
       name,
-      category,
+      category: sheetCategory,
       quantity: parsedQuantity,
       unitPrice: parsedPrice,
       description,
       dateAdded,
+      supplier,
       sourceRow: rowNumber
     };
+
+    const categorised = sheetCategory ? item : categorise(item);
+    return convertPurchase({
+      ...categorised,
+      category: categorised.category || 'Other',
+      currency,
+      exchangeRate,
+      originalUnitPrice: parsedPrice
+    });
   };
 
   const handleEditItem = (index, field, value) => {
@@ -298,8 +341,13 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
     }
     
     if (field === 'unitPrice') {
+      // Prices are edited in the row's own currency
       const numValue = parseFloat(sanitizedValue);
-      updatedItems[index][field] = isNaN(numValue) ? 0 : Math.max(0, numValue);
+      updatedItems[index] = convertPurchase({
+        ...updatedItems[index],
+        unitPrice: isNaN(numValue) ? 0 : Math.max(0, numValue),
+        originalUnitPrice: isNaN(numValue) ? 0 : Math.max(0, numValue)
+      });
     } else if (field === 'quantity') {
       const numValue = parseInt(sanitizedValue);
       updatedItems[index][field] = isNaN(numValue) ? 0 : Math.max(0, numValue);
@@ -315,7 +363,29 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
     setMappedItems(updatedItems);
   };
 
-  const handleConfirmImport = () => {
+  // Rows that match purchases already saved (e.g. a spreadsheet overlapping
+  // an earlier import) are flagged for review on the confirm step
+  const handleContinueToConfirm = async () => {
+    setIsCheckingDuplicates(true);
+    setErrorMessage('');
+
+    try {
+      const duplicates = user?.email ? await findDuplicatePurchaseItems(mappedItems, user.email) : [];
+      setDuplicateReview({duplicates, actions: defaultDuplicateActions(duplicates)});
+    } catch (error) {
+      console.error('Duplicate check failed:', error);
+      setDuplicateReview(null);
+    } finally {
+      setIsCheckingDuplicates(false);
+      setCurrentStep('confirm');
+    }
+  };
+
+  const handleDuplicateAction = (index, action) => {
+    setDuplicateReview(prev => ({...prev, actions: {...prev.actions, [index]: action}}));
+  };
+
+  const handleConfirmImport = async () => {
     if (mappedItems.length === 0) {
       setErrorMessage('No items to import.');
       return;
@@ -340,12 +410,32 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
       return;
     }
     
+    const {toAdd, toMerge, skipped} = applyDuplicateActions(
+      validItems,
+      duplicateReview?.duplicates || [],
+      duplicateReview?.actions || {}
+    );
+
     logSecurityEvent('DATA_IMPORT_CONFIRMED', {
-      itemCount: validItems.length,
+      itemCount: toAdd.length,
+      mergedCount: toMerge.length,
+      skippedDuplicates: skipped,
       fileName: uploadedFile?.name
     });
+
+    // Link the supplier column to saved suppliers in one pass rather than
+    // one lookup per row; each purchase still links itself if this fails
+    let linkedItems = toAdd;
+    setIsImporting(true);
+    try {
+      linkedItems = await linkPurchasesToSuppliers(toAdd, user.email);
+    } catch (error) {
+      console.error('Supplier linking failed:', error);
+    } finally {
+      setIsImporting(false);
+    }
     
-    onItemsImported(validItems, uploadedFile?.name);
+    onItemsImported(linkedItems, uploadedFile?.name, toMerge);
     handleClose();
   };
 
@@ -378,13 +468,16 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
     setValidationErrors([]);
     setEditingItems(false);
     setCurrentStep('upload');
+    setDuplicateReview(null);
     setColumnMapping({
       name: '',
       category: '',
       quantity: '',
       unitPrice: '',
       description: '',
-      dateAdded: ''
+      dateAdded: '',
+      supplier: '',
+      currency: ''
     });
     onClose();
   };
@@ -405,6 +498,12 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
 
   if (!isOpen) return null;
 
+  const importPlan = applyDuplicateActions(
+    mappedItems,
+    duplicateReview?.duplicates || [],
+    duplicateReview?.actions || {}
+  );
+
   return (
     <AnimatePresence>
       <motion.div
@@ -637,10 +736,12 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
                       {Object.entries({
                         name: { label: 'Item Name', required: true, description: 'The name of your product or item' },
                         quantity: { label: 'Quantity', required: true, description: 'Number of items in stock' },
-                        unitPrice: { label: 'Unit Price', required: true, description: 'Price per item (in £)' },
+                        unitPrice: { label: 'Unit Price', required: true, description: 'Price per item, in £ unless the row has a currency' },
                         category: { label: 'Category', required: false, description: 'Type or group of the item' },
                         description: { label: 'Description', required: false, description: 'Details about the item' },
-                        dateAdded: { label: 'Date Added', required: false, description: 'When the item was added' }
+                        dateAdded: { label: 'Date Added', required: false, description: 'When the item was added' },
+                        supplier: { label: 'Supplier', required: false, description: 'Who the item was bought from' },
+                        currency: { label: 'Currency', required: false, description: 'Currency code such as EUR, converted using your exchange rates' }
                       }).map(([key, config]) => (
                         <div key={key} className="bg-gray-800 p-4 rounded-lg">
                           <label className="block text-sm font-medium mb-2">
@@ -768,13 +869,13 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
                                 />
                               </div>
                               <div>
-                                <label className="block text-xs text-gray-400 mb-1">Unit Price (£)</label>
+                                <label className="block text-xs text-gray-400 mb-1">Unit Price ({item.currency || 'GBP'})</label>
                                 <input
                                   type="number"
                                   min="0"
                                   max="1000000"
                                   step="0.01"
-                                  value={item.unitPrice}
+                                  value={item.originalUnitPrice ?? item.unitPrice}
                                   onChange={(e) => handleEditItem(index, 'unitPrice', e.target.value)}
                                   className="w-full bg-gray-700 text-white rounded px-2 py-1 text-sm"
                                 />
@@ -804,6 +905,11 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
                                 <span className="text-primary-400 font-medium">
                                   {formatCurrency(item.unitPrice)}
                                 </span>
+                                {isForeignCurrency(item) && (
+                                  <div className="text-xs text-gray-400">
+                                    {formatMoney(item.originalUnitPrice, item.currency)} at {item.exchangeRate}
+                                  </div>
+                                )}
                                 <div className="text-xs text-gray-400">
                                   Total: {formatCurrency(item.quantity * item.unitPrice)}
                                 </div>
@@ -823,11 +929,11 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
                       Back to Column Matching
                     </button>
                     <button
-                      onClick={() => setCurrentStep('confirm')}
-                      disabled={mappedItems.length === 0}
+                      onClick={handleContinueToConfirm}
+                      disabled={mappedItems.length === 0 || isCheckingDuplicates}
                       className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
                     >
-                      Continue to Import
+                      {isCheckingDuplicates ? 'Checking for duplicates...' : 'Continue to Import'}
                     </button>
                   </div>
                 </div>
@@ -840,10 +946,22 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
                     <RiCheckLine className="mx-auto h-16 w-16 text-green-400 mb-4" />
                     <h4 className="text-xl font-medium text-white mb-2">Ready to Import</h4>
                     <p className="text-gray-400">
-                      {mappedItems.length} items will be added to your inventory
+                      {importPlan.toAdd.length} items will be added to your inventory
+                      {importPlan.toMerge.length > 0 && `, ${importPlan.toMerge.length} merged into existing purchases`}
+                      {importPlan.skipped > 0 && `, ${importPlan.skipped} skipped as duplicates`}
                     </p>
                   </div>
 
+                  {duplicateReview?.duplicates.length > 0 && (
+                    <div className="text-left">
+                      <DuplicateReviewPanel
+                        duplicates={duplicateReview.duplicates}
+                        actions={duplicateReview.actions}
+                        onActionChange={handleDuplicateAction}
+                      />
+                    </div>
+                  )}
+
                   <div className="bg-gray-700 rounded-lg p-6">
                     <h5 className="text-white font-medium mb-4">Import Summary</h5>
                     <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
@@ -881,9 +999,10 @@ export default function ExcelImporterModal({isOpen, onClose, onItemsImported}) {
                     </button>
                     <button
                       onClick={handleConfirmImport}
-                      className="px-8 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium"
+                      disabled={isImporting || importPlan.toAdd.length + importPlan.toMerge.length === 0}
+                      className="px-8 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 font-medium disabled:opacity-50"
                     >
-                      Import {mappedItems.length} Items
+                      Import {importPlan.toAdd.length + importPlan.toMerge.length} Items
                     </button>
                   </div>
                 </div>
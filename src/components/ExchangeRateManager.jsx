@@ -0,0 +1,192 @@
+import { useState, useRef, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { RiAddLine, RiUploadLine, RiDeleteBin6Line } from 'react-icons/ri';
+import { useAuth } from '../context/AuthContext';
+import useExchangeRates from '../hooks/useExchangeRates';
+import { importExchangeRates, addExchangeRate, clearExchangeRates } from '../services/exchangeRates';
+import { CURRENCIES, BASE_CURRENCY } from '../utils/currency';
+
+const inputClass = 'block w-full rounded-md border-gray-600 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+const EMPTY_RATE = { currency: 'EUR', date: '', rate: '' };
+
+/**
+ * Settings tab for the exchange rate table that prices purchases made in
+ * other currencies in pounds. Rates can be imported from a file or added
+ * one at a time.
+ */
+export default function ExchangeRateManager() {
+  const { user } = useAuth();
+  const { rates, reload } = useExchangeRates();
+  const [newRate, setNewRate] = useState(EMPTY_RATE);
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  const foreignCurrencies = CURRENCIES.filter(currency => currency.code !== BASE_CURRENCY);
+
+  // Latest rates first within each currency
+  const ratesByCurrency = useMemo(() => {
+    const grouped = new Map();
+    for (const entry of rates) {
+      if (!grouped.has(entry.currency)) grouped.set(entry.currency, []);
+      grouped.get(entry.currency).push(entry);
+    }
+    return [...grouped.entries()];
+  }, [rates]);
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 4000);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setIsImporting(true);
+      setError('');
+      const { imported, skipped } = await importExchangeRates(file, user.email);
+      reload();
+      showMessage(`Imported ${imported} rates from ${file.name}${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`);
+    } catch (err) {
+      console.error('Error importing exchange rates:', err);
+      setError(err.message || 'Failed to import exchange rates');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleAddRate = (e) => {
+    e.preventDefault();
+    try {
+      setError('');
+      addExchangeRate(newRate, user.email);
+      reload();
+      showMessage(`Added ${newRate.currency} rate from ${new Date(newRate.date).toLocaleDateString('en-GB')}`);
+      setNewRate(prev => ({ ...EMPTY_RATE, currency: prev.currency }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleClear = (currency) => {
+    if (!window.confirm(`Remove every ${currency} rate? Purchases already saved keep the rate they were converted at.`)) return;
+    clearExchangeRates(currency, user.email);
+    reload();
+    showMessage(`Removed the ${currency} rates`);
+  };
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="rounded-md bg-red-900/50 p-4 text-sm text-red-200">{error}</div>
+      )}
+      {message && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="rounded-md bg-green-900/50 p-4 text-sm text-green-200"
+        >
+          {message}
+        </motion.div>
+      )}
+
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h3 className="text-lg font-medium leading-6 text-white">Exchange Rates</h3>
+        <p className="mt-1 text-sm text-gray-400 mb-6">
+          Purchases made in other currencies are converted to pounds at the rate in force on the purchase date, quoted as currency units per £1.
+          Import HMRC&apos;s monthly exchange rates CSV, or any sheet with currency code, rate and start date columns.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3 mb-6">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            onChange={handleImport}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isImporting}
+            className="inline-flex items-center justify-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50 whitespace-nowrap"
+          >
+            <RiUploadLine className="mr-2 h-4 w-4" />
+            {isImporting ? 'Importing...' : 'Import rate file'}
+          </button>
+        </div>
+
+        <form onSubmit={handleAddRate} className="grid grid-cols-1 sm:grid-cols-4 gap-2 mb-6">
+          <select
+            value={newRate.currency}
+            onChange={(e) => setNewRate(prev => ({ ...prev, currency: e.target.value }))}
+            className={inputClass}
+          >
+            {foreignCurrencies.map(currency => (
+              <option key={currency.code} value={currency.code}>{currency.code} - {currency.label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={newRate.date}
+            onChange={(e) => setNewRate(prev => ({ ...prev, date: e.target.value }))}
+            className={inputClass}
+            required
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.0001"
+            value={newRate.rate}
+            onChange={(e) => setNewRate(prev => ({ ...prev, rate: e.target.value }))}
+            placeholder="Units per £1"
+            className={inputClass}
+            required
+          />
+          <button
+            type="submit"
+            className="inline-flex items-center justify-center rounded-md border border-gray-600 px-4 py-2 text-sm font-medium text-gray-300 hover:bg-gray-700 whitespace-nowrap"
+          >
+            <RiAddLine className="mr-1 h-4 w-4" />
+            Add rate
+          </button>
+        </form>
+
+        {ratesByCurrency.length === 0 ? (
+          <p className="text-sm text-gray-400">No rates yet. Rates can also be typed in on each purchase.</p>
+        ) : (
+          <div className="space-y-4">
+            {ratesByCurrency.map(([currency, entries]) => (
+              <div key={currency} className="rounded-md border border-gray-700">
+                <div className="flex items-center justify-between border-b border-gray-700 px-4 py-2">
+                  <span className="text-sm font-medium text-white">{currency}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleClear(currency)}
+                    className="p-1.5 rounded-md text-gray-400 hover:text-red-400 hover:bg-gray-700"
+                    title={`Remove ${currency} rates`}
+                  >
+                    <RiDeleteBin6Line className="h-4 w-4" />
+                  </button>
+                </div>
+                <ul className="max-h-48 overflow-y-auto divide-y divide-gray-700">
+                  {entries.map(entry => (
+                    <li key={entry.date} className="flex justify-between px-4 py-2 text-sm">
+                      <span className="text-gray-400">From {new Date(entry.date).toLocaleDateString('en-GB')}</span>
+                      <span className="text-gray-200">{entry.rate} per £1</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
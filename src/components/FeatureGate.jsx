@@ -164,6 +164,7 @@ function getFeatureTitle(feature) {
     receiptScanner: 'Receipt Scanner',
     excelImporter: 'Excel Importer',
     taxExports: 'Tax Exports',
+    vatReturns: 'VAT Returns',
     unlimitedItems: 'Unlimited Inventory'
   };
   return titles[feature] || 'Premium Feature';
@@ -174,6 +175,7 @@ function getFeatureSubtitle(feature) {
     receiptScanner: 'Scan receipts to automatically add items to your inventory',
     excelImporter: 'Import inventory data from Excel, CSV, or ODS files',
     taxExports: 'Generate tax-ready reports for your accountant',
+    vatReturns: 'Work out and file your nine-box VAT return each period',
     unlimitedItems: 'Store unlimited inventory items'
   };
   return subtitles[feature] || 'Professional feature';
@@ -184,6 +186,7 @@ function getFeatureIcon(feature) {
     receiptScanner: '📱',
     excelImporter: '📊',
     taxExports: '📋',
+    vatReturns: '🏛️',
     unlimitedItems: '📦'
   };
   return icons[feature] || '⭐';
@@ -194,6 +197,7 @@ function getFeatureMessage(feature) {
     receiptScanner: 'Receipt scanning allows you to automatically extract items from receipts and add them to your inventory. Free users get 1 scan per month, Professional users get unlimited scans.',
     excelImporter: 'Excel import lets you bulk import inventory data from spreadsheets. Free users get 1 import per month, Professional users get unlimited imports.',
     taxExports: 'Tax export functionality generates professional, accountant-ready reports with comprehensive VAT calculations and business information.',
+    vatReturns: 'VAT returns work out the nine boxes from your purchases and sales for each VAT period, and lock each period once its return is submitted.',
     unlimitedItems: 'Remove the 100 item limit and store unlimited inventory items with the Professional plan.'
   };
   return messages[feature] || 'This feature is available with the Professional plan.';
@@ -204,6 +208,7 @@ function getRequiredPlan(feature) {
     receiptScanner: 'Professional Plan (for unlimited)',
     excelImporter: 'Professional Plan (for unlimited)',
     taxExports: 'Professional Plan',
+    vatReturns: 'Professional Plan',
     unlimitedItems: 'Professional Plan'
   };
   return requirements[feature] || 'Professional Plan';
@@ -231,6 +236,12 @@ function getFeatureBenefits(feature) {
       'HMRC-compliant reporting',
       'Export history tracking'
     ],
+    vatReturns: [
+      'Nine-box returns for every VAT period',
+      'Sales ledger for output VAT',
+      'Submitted periods locked against edits',
+      'MTD submission checks'
+    ],
     unlimitedItems: [
       'Store unlimited inventory items',
       'No monthly limits',
@@ -262,6 +273,11 @@ function getFeatureWhyPoints(feature) {
       '• Compliance: HMRC-compliant inventory valuations',
       '• Convenience: Multiple formats for different needs'
     ],
+    vatReturns: [
+      '• Accuracy: Boxes worked out from the purchases and sales you record',
+      '• Control: Submitted periods stay as they were filed',
+      '• Compliance: Returns are checked against the MTD format before filing'
+    ],
     unlimitedItems: [
       '• Scalability: Grow your inventory without limits',
       '• Flexibility: Store as many items as your business needs',
@@ -0,0 +1,272 @@
+import { useState, useEffect, useRef } from 'react';
+import { RiAttachment2, RiUploadLine, RiEyeLine, RiDownloadLine, RiDeleteBin6Line, RiCloseLine } from 'react-icons/ri';
+import useFeatureAccess from '../hooks/useFeatureAccess';
+import attachmentStorage, { ATTACHMENT_KINDS } from '../services/attachmentStorage';
+import { RECEIPT_FILE_TYPES } from '../utils/security';
+import { formatFileSize } from '../utils/fileSize';
+
+const kindLabel = (kind) => ATTACHMENT_KINDS.find(option => option.value === kind)?.label || 'Other';
+
+const isImage = (attachment) => attachment.mimeType?.startsWith('image/');
+
+/**
+ * Supporting documents for a purchase: delivery notes, warranties, supplier
+ * invoices. Uploads and deletes take effect straight away rather than when
+ * the purchase is saved, and count towards the plan's attachment storage.
+ */
+export default function PurchaseAttachments({ purchaseId }) {
+  const { canStoreAttachment } = useFeatureAccess();
+  const [attachments, setAttachments] = useState([]);
+  const [usedBytes, setUsedBytes] = useState(0);
+  const [kind, setKind] = useState('delivery_note');
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setPreview(null);
+    setError('');
+    if (!purchaseId || !attachmentStorage.isAvailable()) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    Promise.all([attachmentStorage.getAttachments(purchaseId), attachmentStorage.getStorageUsage()])
+      .then(([list, used]) => {
+        if (cancelled) return;
+        setAttachments(list);
+        setUsedBytes(used);
+      })
+      .catch(err => {
+        console.error('Error loading attachments:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [purchaseId]);
+
+  if (!attachmentStorage.isAvailable()) {
+    return (
+      <div className="border-t border-gray-700 pt-4">
+        <h4 className="text-md font-medium text-white mb-2 flex items-center">
+          <RiAttachment2 className="h-5 w-5 mr-2 text-blue-400" />
+          Attachments
+        </h4>
+        <p className="text-xs text-gray-400">Attachments need cloud storage, which is not available right now.</p>
+      </div>
+    );
+  }
+
+  const quota = canStoreAttachment(0, usedBytes);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const check = canStoreAttachment(file.size, usedBytes);
+    if (!check.allowed) {
+      setError(`${file.name} is ${formatFileSize(file.size)} and only ${formatFileSize(check.remaining)} is free. ${check.reason}`);
+      return;
+    }
+
+    try {
+      setIsUploading(true);
+      setError('');
+      const attachment = await attachmentStorage.uploadAttachment(file, purchaseId, { kind, quota: check.limit });
+      setAttachments(prev => [...prev, attachment]);
+      setUsedBytes(prev => prev + attachment.fileSize);
+    } catch (err) {
+      console.error('Error uploading attachment:', err);
+      setError(err.message || 'Failed to upload attachment');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handlePreview = async (attachment) => {
+    if (preview?.attachment.id === attachment.id) {
+      setPreview(null);
+      return;
+    }
+
+    try {
+      setBusyId(attachment.id);
+      setError('');
+      const url = await attachmentStorage.getAttachmentUrl(attachment);
+      setPreview(url ? { attachment, url } : null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      setBusyId(attachment.id);
+      setError('');
+      const url = await attachmentStorage.getAttachmentUrl(attachment, { download: true });
+      if (!url) return;
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.fileName}? This can't be undone.`)) return;
+
+    try {
+      setBusyId(attachment.id);
+      setError('');
+      await attachmentStorage.deleteAttachment(attachment);
+      setAttachments(prev => prev.filter(existing => existing.id !== attachment.id));
+      setUsedBytes(prev => Math.max(0, prev - attachment.fileSize));
+      if (preview?.attachment.id === attachment.id) setPreview(null);
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(err.message || 'Failed to delete attachment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-700 pt-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-md font-medium text-white flex items-center">
+          <RiAttachment2 className="h-5 w-5 mr-2 text-blue-400" />
+          Attachments
+        </h4>
+        <span className="text-xs text-gray-400">
+          {quota.limit === -1
+            ? `${formatFileSize(usedBytes)} used`
+            : `${formatFileSize(usedBytes)} of ${formatFileSize(quota.limit)} used`}
+        </span>
+      </div>
+
+      {error && (
+        <div className="mb-3 p-3 bg-red-900/50 border border-red-700 rounded-md">
+          <p className="text-red-300 text-sm">{error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-400">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-gray-400">No delivery notes, warranties or invoices attached yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-700 rounded-md border border-gray-700">
+          {attachments.map(attachment => (
+            <li key={attachment.id} className="flex items-center justify-between px-3 py-2">
+              <div className="min-w-0">
+                <p className="text-sm text-white truncate">{attachment.fileName}</p>
+                <p className="text-xs text-gray-400">
+                  {kindLabel(attachment.kind)} · {formatFileSize(attachment.fileSize)}
+                </p>
+              </div>
+              <div className="flex items-center space-x-1 ml-3 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => handlePreview(attachment)}
+                  disabled={busyId === attachment.id}
+                  className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50"
+                  title="Preview"
+                >
+                  <RiEyeLine className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDownload(attachment)}
+                  disabled={busyId === attachment.id}
+                  className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50"
+                  title="Download"
+                >
+                  <RiDownloadLine className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(attachment)}
+                  disabled={busyId === attachment.id}
+                  className="p-1.5 text-gray-400 hover:text-red-400 disabled:opacity-50"
+                  title="Delete"
+                >
+                  <RiDeleteBin6Line className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {preview && (
+        <div className="mt-3 rounded-md border border-gray-700 bg-gray-900 p-2">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs text-gray-400 truncate">{preview.attachment.fileName}</span>
+            <button
+              type="button"
+              onClick={() => setPreview(null)}
+              className="text-gray-400 hover:text-white"
+            >
+              <span className="sr-only">Close preview</span>
+              <RiCloseLine className="h-4 w-4" />
+            </button>
+          </div>
+          {isImage(preview.attachment) ? (
+            <img src={preview.url} alt={preview.attachment.fileName} className="max-h-96 mx-auto rounded" />
+          ) : (
+            <iframe src={preview.url} title={preview.attachment.fileName} className="w-full h-96 rounded bg-white" />
+          )}
+        </div>
+      )}
+
+      <div className="mt-3 flex flex-col sm:flex-row sm:items-center gap-2">
+        <select
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+          disabled={isUploading}
+          className="block rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2"
+        >
+          {ATTACHMENT_KINDS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isUploading || isLoading}
+          className="inline-flex items-center justify-center rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm font-medium text-white hover:bg-gray-600 disabled:opacity-50"
+        >
+          <RiUploadLine className="h-4 w-4 mr-2" />
+          {isUploading ? 'Uploading...' : 'Attach File'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={RECEIPT_FILE_TYPES.join(',')}
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+      <p className="mt-1 text-xs text-gray-400">
+        JPG, PNG, WebP or PDF, up to 10MB. Attachments are saved as soon as they're uploaded.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React, { useRef, useState } from 'react';
+
+const CORNER_LABELS = ['Top left', 'Top right', 'Bottom right', 'Bottom left'];
+
+// Shows the photo with the receipt outline on top. Each corner can be
+// dragged with a mouse or finger; corners are fractions (0-1) of the
+// image's width and height, in the order top-left, top-right,
+// bottom-right, bottom-left.
+const ReceiptQuadEditor = ({ image, corners, onChange, isMobileDevice }) => {
+  const containerRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const getPointerPosition = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+    };
+  };
+
+  const handlePointerDown = (index) => (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragIndex(index);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragIndex === null) return;
+    e.preventDefault();
+
+    const position = getPointerPosition(e);
+    onChange(corners.map((corner, index) => (index === dragIndex ? position : corner)));
+  };
+
+  const handlePointerUp = () => {
+    setDragIndex(null);
+  };
+
+  const points = corners.map(({ x, y }) => `${x * 100},${y * 100}`).join(' ');
+  const handleSize = isMobileDevice ? 'w-7 h-7' : 'w-4 h-4';
+
+  return (
+    <div
+      ref={containerRef}
+      className="relative inline-block max-w-full select-none"
+      style={{ touchAction: 'none' }}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+    >
+      <img
+        src={image}
+        alt="Receipt"
+        draggable={false}
+        className={`max-w-full rounded-lg border border-gray-600 ${isMobileDevice ? 'max-h-[60vh]' : 'max-h-96'}`}
+      />
+
+      <svg
+        className="absolute inset-0 w-full h-full pointer-events-none"
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+      >
+        {/* Dim everything outside the receipt */}
+        <path
+          d={`M0,0 H100 V100 H0 Z M${points.replace(/ /g, ' L')} Z`}
+          fill="rgba(0, 0, 0, 0.5)"
+          fillRule="evenodd"
+        />
+        <polygon
+          points={points}
+          fill="none"
+          stroke="#4ade80"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+
+      {corners.map((corner, index) => (
+        <div
+          key={index}
+          role="slider"
+          aria-label={`${CORNER_LABELS[index]} corner`}
+          aria-valuetext={`${Math.round(corner.x * 100)}%, ${Math.round(corner.y * 100)}%`}
+          onPointerDown={handlePointerDown(index)}
+          className={`absolute ${handleSize} -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white cursor-move ${
+            dragIndex === index ? 'bg-green-300 scale-125' : 'bg-green-500'
+          }`}
+          style={{ left: `${corner.x * 100}%`, top: `${corner.y * 100}%` }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default ReceiptQuadEditor;
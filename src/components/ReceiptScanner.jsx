@@ -2,7 +2,13 @@ import { useState, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { RiCameraLine, RiCloseLine, RiScanLine, RiImageLine, RiRefreshLine, RiCheckLine, RiAlertLine, RiSettings3Line, RiEditLine } from 'react-icons/ri';
 import Webcam from 'react-webcam';
-import Tesseract from 'tesseract.js';
+import { LOW_CONFIDENCE_THRESHOLD } from '../utils/receipt-parser';
+import { scanReceiptImage } from '../services/receiptOcr';
+import { isAbortError } from '../services/ocrWorkerPool';
+import { findDuplicatePurchaseItems, mergePurchaseItem } from '../services/db';
+import { applyDuplicateActions, defaultDuplicateActions } from '../utils/duplicates';
+import { useAuth } from '../context/AuthContext';
+import DuplicateReviewPanel from './DuplicateReviewPanel';
 
 export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
   const [isScanning, setIsScanning] = useState(false);
@@ -17,6 +23,7 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
   const [scanSettings, setScanSettings] = useState({
     language: 'eng',
     enhanceImage: true,
+    autoStraighten: true,
     multiPass: true,
     aggressiveParsing: true,
     minPrice: 0.01,
@@ -25,8 +32,12 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
   });
   const [showSettings, setShowSettings] = useState(false);
   const [editingItems, setEditingItems] = useState(false);
+  const [duplicateReview, setDuplicateReview] = useState(null);
+  const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false);
+  const { user } = useAuth();
   const webcamRef = useRef(null);
   const fileInputRef = useRef(null);
+  const scanAbortRef = useRef(null);
 
   // Ultra-enhanced video constraints
   const videoConstraints = {
@@ -38,63 +49,6 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
     exposureMode: 'continuous'
   };
 
-  // Advanced image preprocessing
-  const preprocessImage = async (imageSrc, enhanceLevel = 'standard') => {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Increase canvas size for better quality
-        const scale = enhanceLevel === 'aggressive' ? 2 : 1.5;
-        canvas.width = img.width * scale;
-        canvas.height = img.height * scale;
-        
-        // Enable image smoothing
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        
-        // Draw scaled image
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-        
-        if (scanSettings.enhanceImage) {
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const data = imageData.data;
-          
-          // Advanced image enhancement
-          for (let i = 0; i < data.length; i += 4) {
-            // Convert to grayscale with better weights
-            const gray = data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722;
-            
-            // Apply gamma correction
-            const gamma = 1.2;
-            const corrected = 255 * Math.pow(gray / 255, 1 / gamma);
-            
-            // Enhanced contrast and brightness
-            const contrast = enhanceLevel === 'aggressive' ? 1.8 : 1.5;
-            const brightness = enhanceLevel === 'aggressive' ? 20 : 10;
-            let enhanced = (corrected - 128) * contrast + 128 + brightness;
-            
-            // Adaptive thresholding based on local context
-            const threshold = enhanceLevel === 'aggressive' ? 150 : 140;
-            enhanced = enhanced > threshold ? 255 : 0;
-            
-            data[i] = enhanced;     // Red
-            data[i + 1] = enhanced; // Green  
-            data[i + 2] = enhanced; // Blue
-            // Alpha remains unchanged
-          }
-          
-          ctx.putImageData(imageData, 0, 0);
-        }
-        
-        resolve(canvas.toDataURL('image/jpeg', 0.95));
-      };
-      img.src = imageSrc;
-    });
-  };
-
   const capture = useCallback(async () => {
     const imageSrc = webcamRef.current.getScreenshot();
     setCapturedImage(imageSrc);
@@ -121,333 +75,53 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
     setErrorMessage('');
     setRawOcrText('');
 
+    const abortController = new AbortController();
+    scanAbortRef.current = abortController;
+
     try {
-      let allText = '';
-      let bestResult = null;
-      let maxConfidence = 0;
-
-      // Multi-pass OCR for better accuracy
-      if (scanSettings.multiPass) {
-        const passes = [
-          { enhance: 'none', psm: Tesseract.PSM.AUTO },
-          { enhance: 'standard', psm: Tesseract.PSM.SINGLE_BLOCK },
-          { enhance: 'standard', psm: Tesseract.PSM.SINGLE_COLUMN },
-          { enhance: 'aggressive', psm: Tesseract.PSM.SPARSE_TEXT }
-        ];
-
-        for (let i = 0; i < passes.length; i++) {
-          const pass = passes[i];
-          setScanProgress(Math.round((i / passes.length) * 80));
-          
-          try {
-            const processedImage = pass.enhance !== 'none' 
-              ? await preprocessImage(imageSrc, pass.enhance)
-              : imageSrc;
-
-            const result = await Tesseract.recognize(
-              processedImage,
-              scanSettings.language,
-              {
-                logger: m => {
-                  if (m.status === 'recognizing text') {
-                    const passProgress = (i / passes.length) * 80 + (m.progress * 20 / passes.length);
-                    setScanProgress(Math.round(passProgress));
-                  }
-                },
-                tessedit_pageseg_mode: pass.psm,
-                tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,£$€¥₹@#%&*()-+=[]{}|\\:";\'<>?/_ ',
-                preserve_interword_spaces: '1',
-                tessedit_do_invert: '0',
-                classify_bln_numeric_mode: '0'
-              }
-            );
-
-            allText += result.data.text + '\n---PASS-SEPARATOR---\n';
-            
-            // Check if this pass has better confidence
-            if (result.data.confidence > maxConfidence) {
-              maxConfidence = result.data.confidence;
-              bestResult = result.data.text;
-            }
-          } catch (passError) {
-            console.warn(`OCR pass ${i + 1} failed:`, passError);
-          }
-        }
-      } else {
-        // Single pass OCR
-        const processedImage = scanSettings.enhanceImage 
-          ? await preprocessImage(imageSrc, 'standard')
-          : imageSrc;
-
-        const result = await Tesseract.recognize(
-          processedImage,
-          scanSettings.language,
-          {
-            logger: m => {
-              if (m.status === 'recognizing text') {
-                setScanProgress(Math.round(m.progress * 80));
-              }
-            },
-            tessedit_pageseg_mode: Tesseract.PSM.AUTO,
-            tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,£$€¥₹@#%&*()-+=[]{}|\\:";\'<>?/_ ',
-            preserve_interword_spaces: '1'
-          }
+      const result = await scanReceiptImage(imageSrc, {
+        signal: abortController.signal,
+        strategy: scanSettings.multiPass ? 'thorough' : 'quick',
+        language: scanSettings.language,
+        enhance: scanSettings.enhanceImage,
+        straighten: scanSettings.autoStraighten,
+        onProgress: (fraction) => setScanProgress(Math.round(fraction * 100))
+      });
+
+      setRawOcrText(result.text);
+
+      const items = result.details.items
+        .map(item => ({
+          ...createInventoryItem(item.name, item.price, item.name),
+          quantity: item.quantity,
+          confidence: item.confidence
+        }))
+        .filter(item =>
+          item.unitPrice >= scanSettings.minPrice &&
+          item.unitPrice <= scanSettings.maxPrice
         );
 
-        allText = result.data.text;
-        bestResult = result.data.text;
-      }
-
-      setScanProgress(90);
-      setRawOcrText(allText);
-
-      // Use the best result for parsing
-      const items = parseReceiptTextUltraEnhanced(bestResult || allText);
-      
-      setScanProgress(100);
-
       if (items.length > 0) {
         setExtractedItems(items);
         setScanStatus('success');
       } else {
         setScanStatus('error');
-        setErrorMessage(`No items found. OCR confidence: ${maxConfidence.toFixed(1)}%. Try adjusting the image or settings.`);
+        setErrorMessage(`No items found. OCR confidence: ${result.confidence.toFixed(1)}%. Try adjusting the image or settings.`);
       }
     } catch (error) {
+      if (isAbortError(error)) return;
       console.error('OCR Error:', error);
       setScanStatus('error');
       setErrorMessage('OCR processing failed. Please try with a clearer image or adjust settings.');
     } finally {
+      if (scanAbortRef.current === abortController) {
+        scanAbortRef.current = null;
+      }
       setIsScanning(false);
       setScanProgress(0);
     }
   };
 
-  const parseReceiptTextUltraEnhanced = (text) => {
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    const items = [];
-    
-    // Ultra-comprehensive price patterns
-    const pricePatterns = [
-      // Standard currency formats
-      /[£$€¥₹]\s*(\d+[.,]\d{2})/g,
-      /(\d+[.,]\d{2})\s*[£$€¥₹]/g,
-      /(\d+[.,]\d{1,2})(?:\s*[£$€¥₹])?$/,
-      // Decimal with various separators
-      /(\d+[.,]\d{1,3})\b/g,
-      // Price ranges and special formats
-      /(\d+\.\d{2})/g,
-      /(\d+,\d{2})/g,
-      // Multi-digit prices
-      /(\d{1,4}[.,]\d{2})/g
-    ];
-
-    // Ultra-comprehensive item patterns
-    const itemPatterns = [
-      // Standard item + price patterns
-      /^([A-Za-z][\w\s&'.-]{1,50})\s+([£$€¥₹]?\s*\d+[.,]\d{1,3})\s*$/,
-      /^(.{2,50}?)\s+(\d+[.,]\d{2})$/,
-      /^([A-Za-z][\w\s&'.-]{1,50})\s*([£$€¥₹]\d+[.,]\d{1,3})$/,
-      // Quantity patterns
-      /^(\d+)\s*[xX×*]\s*(.{2,50}?)\s+([£$€¥₹]?\s*\d+[.,]\d{1,3})$/,
-      /^(.{2,50}?)\s+(\d+)\s*[xX×*]\s+([£$€¥₹]?\s*\d+[.,]\d{1,3})$/,
-      // Weight patterns
-      /^(.{2,50}?)\s+(\d+[.,]?\d*)\s*(?:kg|g|lb|oz)\s+([£$€¥₹]?\s*\d+[.,]\d{1,3})$/,
-      // Multi-line patterns
-      /^([A-Za-z][\w\s&'.-]{1,50})$/
-    ];
-
-    // Enhanced skip patterns - more comprehensive
-    const skipPatterns = [
-      // Totals and calculations
-      /(?:sub)?total\s*[:=]?/i, /grand\s*total/i, /final\s*total/i,
-      /tax\s*[:=]?/i, /vat\s*[:=]?/i, /gst\s*[:=]?/i, /hst\s*[:=]?/i,
-      /discount\s*[:=]?/i, /saving\s*[:=]?/i, /offer/i, /promo/i,
-      /change\s*[:=]?/i, /cash\s*[:=]?/i, /card\s*[:=]?/i, /credit/i, /debit/i,
-      // Receipt metadata
-      /receipt/i, /invoice/i, /bill/i, /ticket/i,
-      /thank\s*you/i, /welcome/i, /visit/i, /again/i, /come\s*back/i,
-      /store/i, /shop/i, /market/i, /supermarket/i, /restaurant/i,
-      /date\s*[:=]?/i, /time\s*[:=]?/i, /till/i, /reg/i, /register/i,
-      /operator/i, /cashier/i, /server/i, /clerk/i,
-      /transaction/i, /sale/i, /purchase/i, /order/i,
-      // Contact and location info
-      /address/i, /phone/i, /tel/i, /website/i, /email/i, /www\./i,
-      /street/i, /road/i, /avenue/i, /drive/i, /lane/i,
-      // Payment and balance info
-      /balance/i, /amount/i, /due/i, /paid/i, /tender/i,
-      /qty/i, /quantity/i, /each/i, /per/i, /unit/i,
-      /sku/i, /upc/i, /barcode/i, /code/i, /ref/i, /id/i,
-      // Symbols and separators
-      /^\*+$/, /^-+$/, /^=+$/, /^\s*$/, /^[.]+$/, /^[_]+$/,
-      // Opening hours and policies
-      /open/i, /close/i, /hours/i, /policy/i, /return/i, /exchange/i,
-      // Common non-items
-      /bag\s*fee/i, /service\s*charge/i, /delivery/i, /tip/i
-    ];
-
-    // Store-specific patterns
-    const storePatterns = [
-      // Major chains
-      /tesco/i, /asda/i, /sainsbury/i, /morrisons/i, /aldi/i, /lidl/i,
-      /walmart/i, /target/i, /costco/i, /kroger/i, /safeway/i,
-      /mcdonalds/i, /kfc/i, /subway/i, /starbucks/i,
-      // Store info
-      /opening\s*hours/i, /customer\s*service/i, /returns/i, /refund/i,
-      /member/i, /loyalty/i, /rewards/i, /points/i
-    ];
-
-    // Process lines with multiple strategies
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      
-      // Skip obvious non-items
-      if (skipPatterns.some(pattern => pattern.test(line)) ||
-          storePatterns.some(pattern => pattern.test(line)) ||
-          line.length < 2 || line.length > 100) {
-        continue;
-      }
-
-      // Strategy 1: Direct item + price matching
-      let matched = false;
-      for (const pattern of itemPatterns) {
-        const match = line.match(pattern);
-        if (match) {
-          if (match.length >= 3) {
-            const [, name, priceStr] = match;
-            const price = extractPrice(priceStr);
-            
-            if (isValidPrice(price) && isValidItemName(name)) {
-              items.push(createInventoryItem(name, price, line));
-              matched = true;
-              break;
-            }
-          } else if (match.length >= 4) {
-            // Quantity pattern
-            const [, qty, name, priceStr] = match;
-            const price = extractPrice(priceStr);
-            const quantity = parseInt(qty) || 1;
-            
-            if (isValidPrice(price) && isValidItemName(name)) {
-              const item = createInventoryItem(name, price / quantity, line);
-              item.quantity = quantity;
-              items.push(item);
-              matched = true;
-              break;
-            }
-          }
-        }
-      }
-
-      if (matched) continue;
-
-      // Strategy 2: Look ahead for price on next line
-      if (i < lines.length - 1) {
-        const nextLine = lines[i + 1];
-        const currentLineClean = line.replace(/[^\w\s&'.-]/g, '').trim();
-        
-        if (isValidItemName(currentLineClean)) {
-          const price = findPriceInLine(nextLine);
-          if (price && isValidPrice(price)) {
-            items.push(createInventoryItem(currentLineClean, price, `${line} ${nextLine}`));
-            i++; // Skip next line
-            continue;
-          }
-        }
-      }
-
-      // Strategy 3: Look for price anywhere in current line
-      if (isValidItemName(line)) {
-        const price = findPriceInLine(line);
-        if (price && isValidPrice(price)) {
-          const nameOnly = line.replace(/[£$€¥₹]?\s*\d+[.,]\d{1,3}/g, '').trim();
-          if (nameOnly.length > 1) {
-            items.push(createInventoryItem(nameOnly, price, line));
-          }
-        }
-      }
-    }
-
-    // Remove duplicates and apply filters
-    const uniqueItems = items
-      .filter((item, index, self) => 
-        index === self.findIndex(t => 
-          t.name.toLowerCase() === item.name.toLowerCase()
-        )
-      )
-      .filter(item => 
-        item.unitPrice >= scanSettings.minPrice && 
-        item.unitPrice <= scanSettings.maxPrice
-      )
-      .slice(0, 50); // Increased limit
-
-    return uniqueItems;
-  };
-
-  const extractPrice = (priceStr) => {
-    if (!priceStr) return null;
-    
-    // Remove currency symbols and extract number
-    const cleaned = priceStr.replace(/[£$€¥₹\s]/g, '');
-    const number = parseFloat(cleaned.replace(',', '.'));
-    
-    return isNaN(number) ? null : number;
-  };
-
-  const findPriceInLine = (line) => {
-    const pricePatterns = [
-      /[£$€¥₹]\s*(\d+[.,]\d{1,3})/,
-      /(\d+[.,]\d{2})\s*[£$€¥₹]?/,
-      /(\d+\.\d{2})/,
-      /(\d+,\d{2})/
-    ];
-
-    for (const pattern of pricePatterns) {
-      const match = line.match(pattern);
-      if (match) {
-        return extractPrice(match[1] || match[0]);
-      }
-    }
-    return null;
-  };
-
-  const isValidPrice = (price) => {
-    return price && 
-           !isNaN(price) && 
-           price > 0 && 
-           price >= scanSettings.minPrice && 
-           price <= scanSettings.maxPrice &&
-           price < 10000; // Reasonable upper limit
-  };
-
-  const isValidItemName = (name) => {
-    if (!name || typeof name !== 'string') return false;
-    
-    const cleaned = name.trim();
-    if (cleaned.length < 2 || cleaned.length > 100) return false;
-    
-    // Must contain at least one letter
-    if (!/[A-Za-z]/.test(cleaned)) return false;
-    
-    // Shouldn't be all numbers
-    if (/^\d+$/.test(cleaned)) return false;
-    
-    // Enhanced non-item detection
-    const nonItemWords = [
-      'total', 'subtotal', 'tax', 'vat', 'change', 'cash', 'card',
-      'date', 'time', 'receipt', 'invoice', 'thank', 'welcome',
-      'store', 'shop', 'till', 'reg', 'operator', 'transaction',
-      'balance', 'amount', 'due', 'paid', 'qty', 'sku', 'barcode'
-    ];
-    
-    const lowerName = cleaned.toLowerCase();
-    if (nonItemWords.some(word => lowerName.includes(word))) {
-      return false;
-    }
-    
-    return true;
-  };
-
   const createInventoryItem = (name, price, originalLine) => {
     const cleanName = cleanItemName(name);
     const description = generateDescription(originalLine, cleanName);
@@ -548,19 +222,62 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
       updatedItems[index][field] = value;
     }
     setExtractedItems(updatedItems);
+    setDuplicateReview(null);
   };
 
   const handleRemoveItem = (index) => {
     const updatedItems = extractedItems.filter((_, i) => i !== index);
     setExtractedItems(updatedItems);
+    setDuplicateReview(null);
   };
 
-  const handleConfirmItems = () => {
-    onItemsExtracted(extractedItems);
+  // The first click checks for purchases already saved; if there are any,
+  // the user picks merge/skip/keep both and confirms again
+  const handleConfirmItems = async () => {
+    if (!duplicateReview && user?.email) {
+      setIsCheckingDuplicates(true);
+      try {
+        const duplicates = await findDuplicatePurchaseItems(extractedItems, user.email);
+        if (duplicates.length > 0) {
+          setDuplicateReview({ duplicates, actions: defaultDuplicateActions(duplicates) });
+          return;
+        }
+      } finally {
+        setIsCheckingDuplicates(false);
+      }
+    }
+
+    const { toAdd, toMerge } = applyDuplicateActions(
+      extractedItems,
+      duplicateReview?.duplicates || [],
+      duplicateReview?.actions || {}
+    );
+
+    try {
+      for (const { existing, item } of toMerge) {
+        await mergePurchaseItem(existing, item, user.email);
+      }
+    } catch (error) {
+      console.error('Error merging duplicate items:', error);
+      setErrorMessage('Could not merge some duplicate items. Please try again.');
+      return;
+    }
+
+    if (toAdd.length > 0) {
+      onItemsExtracted(toAdd);
+    }
     handleClose();
   };
 
+  const cancelScan = () => {
+    if (scanAbortRef.current) {
+      scanAbortRef.current.abort();
+      scanAbortRef.current = null;
+    }
+  };
+
   const handleClose = () => {
+    cancelScan();
     setCapturedImage(null);
     setExtractedItems([]);
     setScanStatus('idle');
@@ -572,16 +289,19 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
     setEditingItems(false);
     setShowRawText(false);
     setRawOcrText('');
+    setDuplicateReview(null);
     onClose();
   };
 
   const retakePhoto = () => {
+    cancelScan();
     setCapturedImage(null);
     setExtractedItems([]);
     setScanStatus('idle');
     setErrorMessage('');
     setShowRawText(false);
     setRawOcrText('');
+    setDuplicateReview(null);
   };
 
   if (!isOpen) return null;
@@ -673,6 +393,15 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
                       />
                       Enhance image quality
                     </label>
+                    <label className="flex items-center text-sm text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={scanSettings.autoStraighten}
+                        onChange={(e) => setScanSettings(prev => ({ ...prev, autoStraighten: e.target.checked }))}
+                        className="mr-2 rounded border-gray-600 bg-gray-700 text-primary-600"
+                      />
+                      Auto-crop and straighten receipt
+                    </label>
                     <label className="flex items-center text-sm text-gray-300">
                       <input
                         type="checkbox"
@@ -897,7 +626,12 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
                       <div className="bg-gray-700 rounded-lg p-4 max-h-96 overflow-y-auto">
                         <div className="space-y-3">
                           {extractedItems.map((item, index) => (
-                            <div key={index} className="bg-gray-800 rounded p-3">
+                            <div
+                              key={index}
+                              className={`bg-gray-800 rounded p-3 ${
+                                item.confidence < LOW_CONFIDENCE_THRESHOLD ? 'border border-yellow-600' : ''
+                              }`}
+                            >
                               {editingItems ? (
                                 <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
                                   <div>
@@ -953,6 +687,12 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
                                       {item.quantity > 1 && (
                                         <span className="text-primary-400 text-sm ml-2">Qty: {item.quantity}</span>
                                       )}
+                                      {item.confidence < LOW_CONFIDENCE_THRESHOLD && (
+                                        <span className="flex items-center text-yellow-400 text-xs ml-2">
+                                          <RiAlertLine className="h-3 w-3 mr-1" />
+                                          Check ({Math.round(item.confidence * 100)}%)
+                                        </span>
+                                      )}
                                     </div>
                                     {item.description && (
                                       <p className="text-gray-400 text-xs mt-1">{item.description}</p>
@@ -990,6 +730,17 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
                     </div>
                   )}
 
+                  {duplicateReview && (
+                    <DuplicateReviewPanel
+                      duplicates={duplicateReview.duplicates}
+                      actions={duplicateReview.actions}
+                      onActionChange={(index, action) => setDuplicateReview(prev => ({
+                        ...prev,
+                        actions: { ...prev.actions, [index]: action }
+                      }))}
+                    />
+                  )}
+
                   {/* Actions */}
                   <div className="flex justify-center space-x-4">
                     <button
@@ -1002,10 +753,13 @@ export default function ReceiptScanner({ isOpen, onClose, onItemsExtracted }) {
                     {scanStatus === 'success' && extractedItems.length > 0 && (
                       <button
                         onClick={handleConfirmItems}
-                        className="flex items-center px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        disabled={isCheckingDuplicates}
+                        className="flex items-center px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:opacity-50"
                       >
                         <RiCheckLine className="h-5 w-5 mr-2" />
-                        Add {extractedItems.length} Items to Inventory
+                        {isCheckingDuplicates
+                          ? 'Checking for duplicates...'
+                          : duplicateReview ? 'Save With These Choices' : `Add ${extractedItems.length} Items to Inventory`}
                       </button>
                     )}
                   </div>
@@ -1,9 +1,23 @@
-import React, { useState, useRef, useCallback } from 'react';
-import { FiUpload, FiX, FiSave, FiTrash2, FiPlus, FiCrop, FiRotateCw, FiCamera, FiMove, FiMaximize2, FiAlertTriangle } from 'react-icons/fi';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
+import { FiUpload, FiX, FiSave, FiTrash2, FiPlus, FiCrop, FiRotateCw, FiCamera, FiMove, FiMaximize2, FiAlertTriangle, FiFileText } from 'react-icons/fi';
 import SafeIcon from '../common/SafeIcon';
 import receiptStorage from '../services/receiptStorage';
 import { useAuth } from '../context/AuthContext';
+import useCategories from '../hooks/useCategories';
 import { motion } from 'framer-motion';
+import { LOW_CONFIDENCE_THRESHOLD, reconcileReceipt, pricesIncludeVat } from '../utils/receipt-parser';
+import { scanReceiptImage, scanReceiptFile, isPdfFile, describeUnreadPages } from '../services/receiptOcr';
+import { validateReceiptFile } from '../utils/security';
+import { isAbortError } from '../services/ocrWorkerPool';
+import { detectReceiptQuad, straightenReceipt, FULL_IMAGE_QUAD } from '../services/receiptGeometry';
+import ReceiptQuadEditor from './ReceiptQuadEditor';
+import DuplicateReviewPanel from './DuplicateReviewPanel';
+import { computeReceiptHash } from '../services/imageHash';
+import { findDuplicatePurchaseItems, mergePurchaseItem, findOrCreateSupplier } from '../services/db';
+import { DUPLICATE_ACTIONS, applyDuplicateActions, defaultDuplicateActions } from '../utils/duplicates';
+import { applySupplierDefaults } from '../utils/suppliers';
+import { BASE_CURRENCY, convertPurchase, detectCurrency, formatMoney } from '../utils/currency';
+import CurrencyFields from './CurrencyFields';
 
 const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }) => {
   const [image, setImage] = useState(null);
@@ -16,6 +30,12 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
   const [showCropper, setShowCropper] = useState(false);
   const [cropArea, setCropArea] = useState(null);
   const [croppedImage, setCroppedImage] = useState(null);
+  const [showQuadEditor, setShowQuadEditor] = useState(false);
+  const [quadCorners, setQuadCorners] = useState(FULL_IMAGE_QUAD);
+  const [quadDetected, setQuadDetected] = useState(false);
+  const [isDetectingQuad, setIsDetectingQuad] = useState(false);
+  const [straightenedImage, setStraightenedImage] = useState(null);
+  const [isStraightening, setIsStraightening] = useState(false);
   const [isSelecting, setIsSelecting] = useState(false);
   const [selectionStart, setSelectionStart] = useState(null);
   const [selectionEnd, setSelectionEnd] = useState(null);
@@ -24,15 +44,26 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
   const [isMobileDevice, setIsMobileDevice] = useState(false);
   const [showMobileInstructions, setShowMobileInstructions] = useState(false);
   const [showAccuracyWarning, setShowAccuracyWarning] = useState(false); // ✅ Add warning state
+  const [receiptDetails, setReceiptDetails] = useState(null);
+  const [unreadPagesWarning, setUnreadPagesWarning] = useState(null);
+  const [duplicateReview, setDuplicateReview] = useState(null);
   
-  // VAT configuration state
-  const [vatIncluded, setVatIncluded] = useState(true);
+  // VAT configuration state. Whether prices include VAT comes from the
+  // receipt, as in the batch scanner, unless the user says otherwise
+  const [vatIncludedOverride, setVatIncludedOverride] = useState(null);
   const [vatPercentage, setVatPercentage] = useState(20);
+  const vatIncluded = pricesIncludeVat(receiptDetails, vatIncludedOverride);
+
+  // Currency the receipt is in, and its rate to the pound
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [exchangeRate, setExchangeRate] = useState('');
   
   const fileInputRef = useRef(null);
   const imageRef = useRef(null);
   const canvasRef = useRef(null);
+  const scanAbortRef = useRef(null);
   const { user } = useAuth();
+  const { categories, categorise } = useCategories();
 
   // Detect mobile device
   React.useEffect(() => {
@@ -63,18 +94,48 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
     setShowCropper(false);
     setCropArea(null);
     setCroppedImage(null);
+    setShowQuadEditor(false);
+    setQuadCorners(FULL_IMAGE_QUAD);
+    setQuadDetected(false);
+    setStraightenedImage(null);
     setIsSelecting(false);
     setSelectionStart(null);
     setSelectionEnd(null);
     setIsSaving(false);
     setOcrText('');
     setShowMobileInstructions(false);
-    setVatIncluded(true);
+    setVatIncludedOverride(null);
     setVatPercentage(20);
+    setCurrency(BASE_CURRENCY);
+    setExchangeRate('');
     setShowAccuracyWarning(false); // ✅ Reset warning
+    setReceiptDetails(null);
+    setUnreadPagesWarning(null);
+    setDuplicateReview(null);
+  };
+
+  const cancelScan = () => {
+    if (scanAbortRef.current) {
+      scanAbortRef.current.abort();
+      scanAbortRef.current = null;
+    }
   };
 
+  // Duplicate choices apply to the items as they were checked; any edit
+  // means checking again
+  useEffect(() => {
+    setDuplicateReview(null);
+  }, [items, receiptDetails, imageFile]);
+
+  // Stop a running scan if the modal is hidden or unmounted
+  useEffect(() => {
+    if (!isOpen) cancelScan();
+    return cancelScan;
+  }, [isOpen]);
+
   const handleClose = () => {
+    // Closing mid-scan stops the OCR worker instead of letting it finish
+    cancelScan();
     resetModal();
     onClose();
   };
@@ -83,27 +144,88 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
     const file = e.target.files[0];
     if (!file) return;
 
-    if (!file.type.startsWith('image/')) {
-      setError('Please select an image file');
+    const validation = validateReceiptFile(file);
+    if (!validation.isValid) {
+      setError(validation.errors[0]);
       return;
     }
 
-    if (file.size > 10 * 1024 * 1024) {
-      setError('Image too large. Please select an image under 10MB');
+    setImageFile(file);
+
+    // PDFs can't be previewed or cropped, so go straight to scanning
+    if (isPdfFile(file)) {
+      setImage(null);
+      setCroppedImage(null);
+      setStraightenedImage(null);
+      setShowQuadEditor(false);
+      setShowCropper(false);
+      setError('');
       return;
     }
 
-    setImageFile(file);
-
     const reader = new FileReader();
     reader.onload = (event) => {
       setImage(event.target.result);
+      setStraightenedImage(null);
+      setCroppedImage(null);
       setError('');
-      setShowCropper(true);
+      openQuadEditor(event.target.result);
     };
     reader.readAsDataURL(file);
   };
 
+  // Find the receipt's edges and let the user adjust them before
+  // straightening; a photo at an angle is the usual cause of empty scans
+  const openQuadEditor = async (imageSrc) => {
+    setShowCropper(false);
+    setShowQuadEditor(true);
+    setQuadCorners(FULL_IMAGE_QUAD);
+    setQuadDetected(false);
+    setIsDetectingQuad(true);
+
+    try {
+      const detected = await detectReceiptQuad(imageSrc);
+      if (detected) {
+        console.log('📐 Receipt edges detected:', detected);
+        setQuadCorners(detected.corners);
+        setQuadDetected(true);
+      }
+    } catch (err) {
+      console.warn('Receipt edge detection failed:', err);
+    } finally {
+      setIsDetectingQuad(false);
+    }
+  };
+
+  const applyStraighten = async () => {
+    setIsStraightening(true);
+    setError('');
+
+    try {
+      const straightened = await straightenReceipt(image, quadCorners);
+      setStraightenedImage(straightened);
+      // Any selected area was relative to the previous image
+      setCroppedImage(null);
+      setCropArea(null);
+      setShowQuadEditor(false);
+    } catch (err) {
+      console.error('Failed to straighten receipt:', err);
+      setError('Could not straighten the receipt. You can still scan the original image.');
+    } finally {
+      setIsStraightening(false);
+    }
+  };
+
+  const skipStraighten = () => {
+    setStraightenedImage(null);
+    setCroppedImage(null);
+    setCropArea(null);
+    setShowQuadEditor(false);
+  };
+
+  // The straightened receipt replaces the photo for area selection and scanning
+  const workingImage = straightenedImage || image;
+
   // Get coordinates from mouse or touch event
   const getEventCoordinates = useCallback((e) => {
     const rect = imageRef.current.getBoundingClientRect();
@@ -180,7 +302,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
   }, [isSelecting, selectionStart, selectionEnd, isMobileDevice]);
 
   const cropImage = useCallback(() => {
-    if (!image || !cropArea || !imageRef.current) return;
+    if (!workingImage || !cropArea || !imageRef.current) return;
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
@@ -206,8 +328,8 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
       setShowCropper(false);
     };
     
-    img.src = image;
-  }, [image, cropArea]);
+    img.src = workingImage;
+  }, [workingImage, cropArea]);
 
   const resetCrop = () => {
     setCropArea(null);
@@ -235,8 +357,9 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
   };
 
   const scanReceipt = async () => {
-    const imageToScan = croppedImage || image;
-    if (!imageToScan) return;
+    const imageToScan = croppedImage || workingImage;
+    const scanningPdf = isPdfFile(imageFile);
+    if (!imageToScan && !scanningPdf) return;
 
     setIsScanning(true);
     setError('');
@@ -244,30 +367,32 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
     setStatus('Loading OCR engine...');
     setShowAccuracyWarning(false); // ✅ Reset warning before scan
 
+    const abortController = new AbortController();
+    scanAbortRef.current = abortController;
+
     try {
-      const Tesseract = await import('tesseract.js');
-      setProgress(20);
-      setStatus('Analyzing image...');
-
-      const { data: { text } } = await Tesseract.recognize(imageToScan, 'eng', {
-        logger: (m) => {
-          if (m.status === 'recognizing text') {
-            setProgress(20 + (m.progress * 60));
-            setStatus(`Reading text... ${Math.round(m.progress * 100)}%`);
-          }
-        },
-        tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
-        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,£$€¥₹@#%&*()-+=[]{}|\\:";\'<>?/_ ',
-        preserve_interword_spaces: '1'
-      });
+      const scanOptions = {
+        signal: abortController.signal,
+        onProgress: (fraction, message) => {
+          setProgress(Math.round(10 + fraction * 85));
+          setStatus(message);
+        }
+      };
+      const result = scanningPdf
+        ? await scanReceiptFile(imageFile, scanOptions)
+        : await scanReceiptImage(imageToScan, scanOptions);
 
-      setOcrText(text);
-      setProgress(90);
-      setStatus('Extracting items...');
+      setOcrText(result.text);
+      setCurrency(detectCurrency(result.text));
+      setExchangeRate('');
 
-      const extractedItems = extractItems(text);
+      const details = result.details;
+      const extractedItems = details.items;
       
       setItems(extractedItems);
+      setReceiptDetails(details);
+      setUnreadPagesWarning(describeUnreadPages(result));
+      setVatIncludedOverride(null);
       setProgress(100);
       
       // ✅ CRITICAL FIX: Show accuracy warning immediately when items are found
@@ -279,9 +404,17 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
       }
 
     } catch (err) {
+      if (isAbortError(err)) {
+        console.log('🛑 Receipt scan cancelled');
+        setStatus('Scan cancelled');
+        return;
+      }
       console.error('OCR Error:', err);
       setError('Failed to scan receipt. Please try again or add items manually.');
     } finally {
+      if (scanAbortRef.current === abortController) {
+        scanAbortRef.current = null;
+      }
       setIsScanning(false);
       setTimeout(() => {
         setProgress(0);
@@ -292,216 +425,16 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
     }
   };
 
-  const extractItems = (text) => {
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 2);
-    const items = [];
-
-    console.log('🔍 Processing lines:', lines.length);
-
-    for (const line of lines) {
-      if (isSkipLine(line)) continue;
-
-      console.log('📝 Processing line:', line);
-
-      const rightmostPrice = findRightmostPrice(line);
-      if (!rightmostPrice) {
-        console.log('❌ No valid price found in line');
-        continue;
-      }
-
-      const { price, priceMatch, priceIndex } = rightmostPrice;
-      console.log('💰 Found price:', price, 'at position:', priceIndex);
-
-      let itemName = line.substring(0, priceIndex).trim();
-      itemName = cleanItemName(itemName);
-      
-      if (itemName.length < 2 || itemName.length > 50) {
-        console.log('❌ Item name too short/long:', itemName);
-        continue;
-      }
-
-      let quantity = 1;
-      const qtyMatch = itemName.match(/^(\d{1,2})\s*[x×*]?\s*/i);
-      if (qtyMatch) {
-        const q = parseInt(qtyMatch[1]);
-        if (q > 0 && q <= 99) {
-          quantity = q;
-          itemName = itemName.replace(/^\d{1,2}\s*[x×*]?\s*/i, '').trim();
-        }
-      }
-
-      if (itemName.length >= 2 && !isItemNameInvalid(itemName)) {
-        const finalItem = {
-          name: capitalizeWords(itemName),
-          quantity: quantity,
-          price: price
-        };
-        
-        console.log('✅ Added item:', finalItem);
-        items.push(finalItem);
-      } else {
-        console.log('❌ Item name invalid:', itemName);
-      }
-    }
-
-    const uniqueItems = removeDuplicates(items);
-    console.log('📦 Final items:', uniqueItems.length);
-    
-    return uniqueItems.slice(0, 30);
-  };
-
-  const findRightmostPrice = (line) => {
-    const pricePatterns = [
-      /([£$€¥₹])\s*(\d{1,4}[.,]\d{2})\s*$/,
-      /(\d{1,4}[.,]\d{2})\s*([£$€¥₹])\s*$/,
-      /(\d{1,4}[.,]\d{2})\s*$/,
-      /([£$€¥₹])\s*(\d{1,4}[.,]\d{2})/g,
-      /(\d{1,4}[.,]\d{2})\s*([£$€¥₹])/g,
-      /(\d{1,4}[.,]\d{2})/g
-    ];
-
-    let bestMatch = null;
-    let bestPrice = null;
-    let bestIndex = -1;
-
-    for (let i = 0; i < pricePatterns.length; i++) {
-      const pattern = pricePatterns[i];
-      
-      if (pattern.global) {
-        let match;
-        let rightmostMatch = null;
-        let rightmostIndex = -1;
-        
-        while ((match = pattern.exec(line)) !== null) {
-          const matchIndex = match.index;
-          if (matchIndex > rightmostIndex) {
-            rightmostMatch = match;
-            rightmostIndex = matchIndex;
-          }
-        }
-        
-        if (rightmostMatch) {
-          const priceStr = rightmostMatch[0];
-          const price = parseFloat(priceStr.replace(/[£$€¥₹\s]/g, '').replace(',', '.'));
-          
-          if (isValidPrice(price, line, rightmostIndex)) {
-            if (!bestMatch || rightmostIndex > bestIndex || i < 3) {
-              bestMatch = rightmostMatch;
-              bestPrice = price;
-              bestIndex = rightmostIndex;
-            }
-          }
-        }
-      } else {
-        const match = line.match(pattern);
-        if (match) {
-          const matchIndex = line.lastIndexOf(match[0]);
-          const priceStr = match[0];
-          const price = parseFloat(priceStr.replace(/[£$€¥₹\s]/g, '').replace(',', '.'));
-          
-          if (isValidPrice(price, line, matchIndex)) {
-            bestMatch = match;
-            bestPrice = price;
-            bestIndex = matchIndex;
-            break;
-          }
-        }
-      }
-    }
-
-    if (bestMatch && bestPrice !== null) {
-      return {
-        price: bestPrice,
-        priceMatch: bestMatch[0],
-        priceIndex: bestIndex
-      };
-    }
-
-    return null;
-  };
-
-  const isValidPrice = (price, line, priceIndex) => {
-    if (price < 0.01 || price > 9999.99) return false;
-    
-    const lineLength = line.length;
-    const relativePosition = priceIndex / lineLength;
-    
-    if (relativePosition < 0.4) return false;
-    
-    const textBeforePrice = line.substring(0, priceIndex).trim();
-    if (textBeforePrice.length < 2) return false;
-    
-    if (relativePosition < 0.5 && price < 10) return false;
-    
-    const textAfterPrice = line.substring(priceIndex + 10).trim();
-    if (textAfterPrice.length > 10) return false;
-    
-    return true;
-  };
-
-  const cleanItemName = (name) => {
-    return name
-      .replace(/^\d{1,2}\s*[x×*]?\s*/i, '')
-      .replace(/\b\d{4,}\b/g, ' ')
-      .replace(/[^\w\s&'.-]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  };
-
-  const isItemNameInvalid = (name) => {
-    const lower = name.toLowerCase();
-    
-    if (/^\d+/.test(name) && name.length < 6) return true;
-    
-    const invalidPatterns = [
-      /^(qty|quantity|price|total|tax|vat|disc|discount)\s*$/i,
-      /^\d{1,2}\/\d{1,2}\/\d{2,4}$/,
-      /^\d{1,2}:\d{2}$/,
-      /^[a-z]\d+$/i,
-      /^\d+[a-z]$/i,
-    ];
-    
-    return invalidPatterns.some(pattern => pattern.test(name));
-  };
-
-  const removeDuplicates = (items) => {
-    const seen = new Set();
-    return items.filter(item => {
-      const key = item.name.toLowerCase().replace(/\s+/g, '');
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
-  };
-
-  const isSkipLine = (line) => {
-    const lower = line.toLowerCase();
-    const skipWords = [
-      'total', 'subtotal', 'tax', 'vat', 'change', 'cash', 'card',
-      'receipt', 'thank', 'welcome', 'store', 'date', 'time', 'till',
-      'balance', 'payment', 'tender', 'operator', 'cashier', 'discount',
-      'sale', 'savings', 'member', 'points', 'rewards'
-    ];
-    
-    if (skipWords.some(word => lower.includes(word))) return true;
-    if (line.length < 5) return true;
-    if (/^\d+$/.test(line)) return true;
-    if (!/[a-zA-Z]{2,}/.test(line)) return true;
-    if (/^[*\-=_#\s\.]{3,}$/.test(line)) return true;
-    if (/^(store|shop|market|receipt|invoice|bill)/i.test(line)) return true;
-    if (/^\d{1,2}[\/\-:]\d{1,2}[\/\-:]\d{2,4}/.test(line)) return true;
-    
-    return false;
-  };
-
-  const capitalizeWords = (str) => {
-    return str.toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
+  const isLowConfidence = (item) => {
+    return typeof item.confidence === 'number' && item.confidence < LOW_CONFIDENCE_THRESHOLD;
   };
 
   const updateItem = (index, field, value) => {
     const newItems = [...items];
     if (field === 'price' || field === 'quantity') {
       newItems[index][field] = parseFloat(value) || 0;
+    } else if (field === 'vatRate') {
+      newItems[index].vatRate = value === '' ? undefined : parseFloat(value);
     } else {
       newItems[index][field] = value;
     }
@@ -516,23 +449,149 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
     setItems([...items, { name: '', quantity: 1, price: 0 }]);
   };
 
+  // Items keep the rate read from their VAT code; anything uncoded uses the default
+  const getItemVatRate = (item) => {
+    return typeof item.vatRate === 'number' ? item.vatRate : vatPercentage;
+  };
+
   // Calculate VAT breakdown for preview
   const calculateVatBreakdown = () => {
     if (!vatIncluded || items.length === 0) return null;
 
     const totalPurchasePrice = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const vatAmount = totalPurchasePrice * (vatPercentage / (100 + vatPercentage));
+    const vatAmount = items.reduce((sum, item) => {
+      const rate = getItemVatRate(item);
+      return sum + (item.price * item.quantity) * (rate / (100 + rate));
+    }, 0);
     const priceExcludingVat = totalPurchasePrice - vatAmount;
+    const rates = [...new Set(items.map(getItemVatRate))].sort((a, b) => b - a);
 
     return {
       totalPurchasePrice,
       vatAmount,
-      priceExcludingVat
+      priceExcludingVat,
+      rateLabel: rates.map(rate => `${rate}%`).join(' / ')
     };
   };
 
   const vatBreakdown = calculateVatBreakdown();
 
+  const updateReceiptDetail = (field, value) => {
+    setReceiptDetails(prev => ({ ...(prev || {}), [field]: value || null }));
+  };
+
+  // Re-checked on every edit so the warning clears once the items are fixed
+  const getTotalsCheck = () => {
+    if (!receiptDetails) return null;
+
+    const reconciliation = reconcileReceipt(items, receiptDetails);
+    if (reconciliation.status === 'unknown') return null;
+
+    return {
+      itemsTotal: reconciliation.itemsTotal,
+      expectedTotal: reconciliation.expectedTotal,
+      difference: reconciliation.difference,
+      matches: reconciliation.status === 'matched'
+    };
+  };
+
+  const totalsCheck = getTotalsCheck();
+
+  const handleCurrencyChange = useCallback((changes) => {
+    if (changes.currency !== undefined) setCurrency(changes.currency);
+    if (changes.exchangeRate !== undefined) setExchangeRate(changes.exchangeRate);
+  }, []);
+
+  const isForeign = currency !== BASE_CURRENCY;
+
+  // Header fields read from the receipt, in the form saveReceiptRecord takes
+  const getReceiptHeader = () => ({
+    merchantName: receiptDetails?.merchant,
+    transactionDate: receiptDetails?.transactionDate,
+    transactionTime: receiptDetails?.transactionTime,
+    vatNumber: receiptDetails?.vatNumber,
+    subtotal: receiptDetails?.subtotal,
+    vatBreakdown: receiptDetails?.vatLines,
+    totalAmount: receiptDetails?.total,
+    totalsMatch: totalsCheck ? totalsCheck.matches : null
+  });
+
+  // Transform items to match the expected format for the database, with
+  // the supplier's defaults and then the user's categorisation rules
+  // applied. A VAT rate printed on the receipt beats either. Foreign
+  // receipts are converted to pounds at the rate entered
+  const buildPurchases = (validItems, receiptId, supplier = null) => {
+    // Purchases are dated by the receipt, falling back to today
+    const purchaseDate = receiptDetails?.transactionDate || new Date().toISOString().split('T')[0];
+    const merchantNote = receiptDetails?.merchant ? ` at ${receiptDetails.merchant}` : '';
+
+    return validItems.map(item => {
+      const keepVat = typeof item.vatRate === 'number';
+      const purchase = categorise(applySupplierDefaults({
+        name: item.name.trim(),
+        quantity: item.quantity,
+        unitPrice: item.price,
+        category: 'Scanned Items',
+        description: `Scanned from receipt${receiptId ? ` (Receipt #${receiptId})` : ''}${merchantNote} on ${new Date(purchaseDate).toLocaleDateString()}`,
+        status: 'In Stock',
+        dateAdded: purchaseDate,
+        // Add VAT configuration
+        vatIncluded: vatIncluded,
+        vatPercentage: getItemVatRate(item),
+        receiptId: receiptId || null,
+        supplier: receiptDetails?.merchant || ''
+      }, supplier, categories, { keepVat }), { keepVat });
+
+      return convertPurchase({ ...purchase, currency, exchangeRate, originalUnitPrice: item.price });
+    });
+  };
+
+  // The saved supplier for the merchant on the receipt, created on first
+  // sight. Items still save without one if this fails
+  const resolveSupplier = async () => {
+    if (!receiptDetails?.merchant) return null;
+    try {
+      return await findOrCreateSupplier({
+        name: receiptDetails.merchant,
+        vatNumber: receiptDetails.vatNumber
+      }, user.email);
+    } catch (supplierError) {
+      console.error('❌ Supplier lookup failed:', supplierError);
+      return null;
+    }
+  };
+
+  // Look for an earlier copy of this receipt and for lines already saved
+  // as purchases. Returns the state for the review panel, or null
+  const checkForDuplicates = async (validItems) => {
+    setStatus('Checking for duplicates...');
+
+    const receiptMatch = imageFile
+      ? await receiptStorage.findDuplicateReceipt({
+        ...getReceiptHeader(),
+        imageHash: await computeReceiptHash(imageFile)
+      })
+      : null;
+
+    const duplicates = validItems.length > 0
+      ? await findDuplicatePurchaseItems(buildPurchases(validItems, null), user.email)
+      : [];
+
+    if (!receiptMatch && duplicates.length === 0) return null;
+
+    console.log('🔁 Possible duplicates found:', { receipt: receiptMatch?.receipt.id, items: duplicates.length });
+    return {
+      receiptMatch,
+      receiptAction: DUPLICATE_ACTIONS.MERGE,
+      duplicates,
+      actions: defaultDuplicateActions(duplicates)
+    };
+  };
+
+  const setDuplicateAction = (index, action) => {
+    setDuplicateReview(prev => ({ ...prev, actions: { ...prev.actions, [index]: action } }));
+  };
+
   const saveItems = async () => {
     console.log('=== 🚀 SAVE ITEMS CALLED ===');
     
@@ -556,14 +615,46 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
       return;
     }
 
+    if (validItems.length > 0 && isForeign && !(parseFloat(exchangeRate) > 0)) {
+      setError(`Enter the ${currency} exchange rate before saving`);
+      return;
+    }
+
     setIsSaving(true);
     setError('');
 
     try {
-      let receiptRecord = null;
+      // Nothing is written until possible duplicates have been reviewed
+      if (!duplicateReview) {
+        const review = await checkForDuplicates(validItems);
+        if (review) {
+          setDuplicateReview(review);
+          setStatus('');
+          return;
+        }
+      }
+
+      const receiptAction = duplicateReview?.receiptMatch
+        ? duplicateReview.receiptAction
+        : DUPLICATE_ACTIONS.KEEP_BOTH;
+
+      if (receiptAction === DUPLICATE_ACTIONS.SKIP) {
+        setStatus('Duplicate receipt skipped - nothing was saved');
+        setTimeout(() => {
+          handleClose();
+        }, 2000);
+        return;
+      }
+
+      // Merging links the items to the receipt already on file
+      let receiptRecord = receiptAction === DUPLICATE_ACTIONS.MERGE
+        ? duplicateReview.receiptMatch.receipt
+        : null;
+      const isNewReceipt = !receiptRecord;
+      const supplier = await resolveSupplier();
 
       // ALWAYS save receipt image and record if we have an image file
-      if (imageFile) {
+      if (imageFile && isNewReceipt) {
         console.log('=== 📸 RECEIPT SAVING PROCESS ===');
         console.log('🔄 Starting receipt save process...');
         console.log('📁 File:', imageFile.name, imageFile.size, 'bytes');
@@ -594,7 +685,10 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
             mimeType: uploadResult.mimeType,
             scannedItems: validItems,
             scanStatus: 'completed',
-            ocrText: ocrText
+            ocrText: ocrText,
+            imageHash: uploadResult.imageHash,
+            supplierId: supplier?.id || null,
+            ...getReceiptHeader()
           };
 
           console.log('💾 Receipt data to save:', {
@@ -623,28 +717,31 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
       }
 
       // Save items to inventory if we have any
+      let savedCount = 0;
       if (validItems.length > 0) {
         setStatus('Saving items to inventory...');
         console.log('📦 Saving items to inventory:', validItems.length);
 
-        // Transform items to match the expected format for the database
-        const transformedItems = validItems.map(item => ({
-          name: item.name.trim(),
-          quantity: item.quantity,
-          unitPrice: item.price,
-          category: 'Scanned Items',
-          description: `Scanned from receipt${receiptRecord ? ` (Receipt #${receiptRecord.id})` : ''} on ${new Date().toLocaleDateString()}`,
-          status: 'In Stock',
-          dateAdded: new Date().toISOString().split('T')[0],
-          // Add VAT configuration
-          vatIncluded: vatIncluded,
-          vatPercentage: vatPercentage
-        }));
-
-        console.log('📦 Transformed items for inventory:', transformedItems);
+        const { toAdd, toMerge, skipped } = applyDuplicateActions(
+          buildPurchases(validItems, receiptRecord?.id, supplier),
+          duplicateReview?.duplicates || [],
+          duplicateReview?.actions || {}
+        );
+
+        for (const { existing, item } of toMerge) {
+          await mergePurchaseItem(existing, item, user.email);
+        }
+        if (skipped > 0) {
+          console.log('⏭️ Skipped duplicate items:', skipped);
+        }
+
+        console.log('📦 Transformed items for inventory:', toAdd);
 
         // Call the parent component's handler with the transformed items
-        await onItemsScanned(transformedItems);
+        if (toAdd.length > 0) {
+          await onItemsScanned(toAdd);
+        }
+        savedCount = toAdd.length + toMerge.length;
         
         console.log('🎉 Items saved to inventory successfully');
       }
@@ -652,12 +749,14 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
       console.log('🎉 All save operations completed successfully');
       
       // Show success message
-      if (receiptRecord && validItems.length > 0) {
-        setStatus(`✅ Receipt and ${validItems.length} items saved successfully!`);
-      } else if (receiptRecord) {
+      if (receiptRecord && isNewReceipt && savedCount > 0) {
+        setStatus(`✅ Receipt and ${savedCount} items saved successfully!`);
+      } else if (receiptRecord && isNewReceipt) {
         setStatus('✅ Receipt saved to history successfully!');
-      } else if (validItems.length > 0) {
-        setStatus(`✅ ${validItems.length} items saved to inventory!`);
+      } else if (savedCount > 0) {
+        setStatus(`✅ ${savedCount} items saved to inventory!`);
+      } else {
+        setStatus('✅ Duplicates skipped - nothing new to save');
       }
       
       // Close the modal after successful save
@@ -676,6 +775,18 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
 
   if (!isOpen) return null;
 
+  const duplicatePanel = duplicateReview && (
+    <DuplicateReviewPanel
+      receiptMatch={duplicateReview.receiptMatch}
+      receiptAction={duplicateReview.receiptAction}
+      onReceiptActionChange={(action) => setDuplicateReview(prev => ({ ...prev, receiptAction: action }))}
+      duplicates={duplicateReview.duplicates}
+      actions={duplicateReview.actions}
+      onActionChange={setDuplicateAction}
+      disabled={isSaving}
+    />
+  );
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-75 flex justify-center items-center z-50 p-2 sm:p-4">
       <div className="bg-gray-900 text-white rounded-xl shadow-2xl w-full max-w-6xl max-h-[95vh] flex flex-col">
@@ -693,7 +804,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
 
         {/* Content */}
         <div className="flex-1 overflow-y-auto p-3 sm:p-6">
-          {!image ? (
+          {!image && !isPdfFile(imageFile) ? (
             /* Upload Section */
             <div className="space-y-4 sm:space-y-6">
               <div
@@ -704,13 +815,13 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                 <p className="text-base sm:text-lg text-gray-300 mb-2">
                   {isMobileDevice ? 'Tap to upload receipt image' : 'Click to upload receipt image'}
                 </p>
-                <p className="text-sm text-gray-500">Supports JPG, PNG, WebP (max 10MB)</p>
+                <p className="text-sm text-gray-500">Supports JPG, PNG, WebP and PDF (max 10MB)</p>
               </div>
               
               <input
                 ref={fileInputRef}
                 type="file"
-                accept="image/*"
+                accept="image/*,application/pdf"
                 onChange={handleFileUpload}
                 className="hidden"
               />
@@ -746,6 +857,57 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                 </div>
               )}
             </div>
+          ) : showQuadEditor ? (
+            /* Receipt Edges */
+            <div className="space-y-4 sm:space-y-6">
+              <div className="text-center">
+                <h3 className="text-base sm:text-lg font-semibold text-white mb-2">
+                  Straighten Receipt
+                </h3>
+                <p className="text-gray-400 mb-4 text-sm sm:text-base">
+                  {isDetectingQuad
+                    ? 'Finding the receipt edges...'
+                    : quadDetected
+                      ? 'We found the receipt edges. Drag the corners if they are not quite right.'
+                      : 'Could not find the receipt edges. Drag the corners onto the receipt, or skip.'}
+                </p>
+              </div>
+
+              <div className="flex justify-center">
+                <ReceiptQuadEditor
+                  image={image}
+                  corners={quadCorners}
+                  onChange={setQuadCorners}
+                  isMobileDevice={isMobileDevice}
+                />
+              </div>
+
+              <div className="flex flex-col sm:flex-row justify-center gap-2 sm:gap-4">
+                <button
+                  onClick={skipStraighten}
+                  disabled={isStraightening}
+                  className="flex items-center justify-center gap-2 bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+                >
+                  Use Original Photo
+                </button>
+                <button
+                  onClick={() => setQuadCorners(FULL_IMAGE_QUAD)}
+                  disabled={isStraightening}
+                  className="flex items-center justify-center gap-2 bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiMaximize2} className="h-4 w-4" />
+                  Reset Corners
+                </button>
+                <button
+                  onClick={applyStraighten}
+                  disabled={isDetectingQuad || isStraightening}
+                  className="flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+                >
+                  <SafeIcon icon={FiCrop} className="h-4 w-4" />
+                  {isStraightening ? 'Straightening...' : 'Straighten & Continue'}
+                </button>
+              </div>
+            </div>
           ) : showCropper ? (
             /* Area Selection - Mobile Optimized */
             <div className="space-y-4 sm:space-y-6">
@@ -802,7 +964,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                 <div className="relative inline-block max-w-full">
                   <img 
                     ref={imageRef}
-                    src={image} 
+                    src={workingImage} 
                     alt="Receipt" 
                     className={`max-w-full rounded-lg border border-gray-600 ${
                       isMobileDevice 
@@ -913,25 +1075,48 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                     />
                   </div>
                 )}
-                <div className="text-center">
-                  <p className="text-xs sm:text-sm text-gray-400 mb-2">Original Image</p>
-                  <img 
-                    src={image} 
-                    alt="Receipt" 
-                    className="max-h-32 sm:max-h-48 rounded-lg border border-gray-600 opacity-70 mx-auto"
-                  />
-                </div>
+                {image ? (
+                  <div className="text-center">
+                    <p className="text-xs sm:text-sm text-gray-400 mb-2">
+                      {straightenedImage ? 'Straightened Receipt' : 'Original Image'}
+                    </p>
+                    <img 
+                      src={workingImage} 
+                      alt="Receipt" 
+                      className="max-h-32 sm:max-h-48 rounded-lg border border-gray-600 opacity-70 mx-auto"
+                    />
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-3 bg-gray-800 border border-gray-600 rounded-lg px-4 py-3">
+                    <SafeIcon icon={FiFileText} className="h-8 w-8 text-red-400 flex-shrink-0" />
+                    <div className="text-left min-w-0">
+                      <p className="text-sm text-white truncate">{imageFile?.name}</p>
+                      <p className="text-xs text-gray-400">PDF document</p>
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* Action Buttons */}
               <div className="flex flex-col sm:flex-row justify-center gap-2 sm:gap-4">
-                <button
-                  onClick={() => setShowCropper(true)}
-                  className="flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm"
-                >
-                  <SafeIcon icon={FiCrop} className="h-4 w-4" />
-                  {croppedImage ? 'Reselect Area' : 'Select Area'}
-                </button>
+                {image && (
+                  <button
+                    onClick={() => setShowQuadEditor(true)}
+                    className="flex items-center justify-center gap-2 bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded-lg text-sm"
+                  >
+                    <SafeIcon icon={FiMove} className="h-4 w-4" />
+                    Adjust Corners
+                  </button>
+                )}
+                {image && (
+                  <button
+                    onClick={() => setShowCropper(true)}
+                    className="flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm"
+                  >
+                    <SafeIcon icon={FiCrop} className="h-4 w-4" />
+                    {croppedImage ? 'Reselect Area' : 'Select Area'}
+                  </button>
+                )}
                 
                 {!isScanning && items.length === 0 && (
                   <button
@@ -939,7 +1124,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                     className="flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 sm:px-6 rounded-lg text-sm"
                   >
                     <SafeIcon icon={FiCamera} className="h-4 w-4" />
-                    {croppedImage ? 'Scan Selected Area' : 'Scan Full Image'}
+                    {!image ? 'Scan PDF' : croppedImage ? 'Scan Selected Area' : 'Scan Full Image'}
                   </button>
                 )}
 
@@ -951,11 +1136,13 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                     className="flex items-center justify-center gap-2 bg-purple-600 hover:bg-purple-700 text-white font-medium py-2 px-4 sm:px-6 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed text-sm"
                   >
                     <SafeIcon icon={FiSave} className="h-4 w-4" />
-                    Save Receipt to History
+                    {duplicateReview && items.length === 0 ? 'Save With These Choices' : 'Save Receipt to History'}
                   </button>
                 )}
               </div>
 
+              {items.length === 0 && duplicatePanel}
+
               {/* Progress */}
               {(isScanning || isSaving) && (
                 <div className="text-center space-y-3">
@@ -967,6 +1154,14 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                     />
                   </div>
                   {progress > 0 && <p className="text-xs sm:text-sm text-gray-400">{progress}% complete</p>}
+                  {isScanning && (
+                    <button
+                      onClick={cancelScan}
+                      className="bg-gray-700 hover:bg-gray-600 text-white py-2 px-4 rounded-lg text-xs sm:text-sm"
+                    >
+                      Cancel Scan
+                    </button>
+                  )}
                 </div>
               )}
 
@@ -996,8 +1191,98 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                 </motion.div>
               )}
 
-              {/* VAT Configuration - Only show when items are found */}
-              {items.length > 0 && (
+              {/* Long PDFs are cut short, so say what was left out */}
+              {unreadPagesWarning && (
+                <div className="p-3 sm:p-4 rounded-lg border bg-amber-900/30 border-amber-700 flex items-start">
+                  <SafeIcon icon={FiFileText} className="h-5 w-5 text-amber-400 mr-3 mt-0.5 flex-shrink-0" />
+                  <p className="text-amber-300 text-xs sm:text-sm">{unreadPagesWarning}</p>
+                </div>
+              )}
+
+              {/* Receipt Details - header and totals read from the receipt */}
+              {receiptDetails && items.length > 0 && (
+                <div className="bg-gray-800 rounded-lg p-4">
+                  <h4 className="text-white font-medium mb-3 text-sm sm:text-base">Receipt Details</h4>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Merchant</label>
+                      <input
+                        type="text"
+                        value={receiptDetails.merchant || ''}
+                        onChange={(e) => updateReceiptDetail('merchant', e.target.value)}
+                        placeholder="Not detected"
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 border-none text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Purchase Date</label>
+                      <input
+                        type="date"
+                        value={receiptDetails.transactionDate || ''}
+                        onChange={(e) => updateReceiptDetail('transactionDate', e.target.value)}
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 border-none text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">VAT Number</label>
+                      <input
+                        type="text"
+                        value={receiptDetails.vatNumber || ''}
+                        onChange={(e) => updateReceiptDetail('vatNumber', e.target.value)}
+                        placeholder="Not detected"
+                        className="w-full bg-gray-700 text-white rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 border-none text-sm"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="mt-3">
+                    <CurrencyFields
+                      currency={currency}
+                      exchangeRate={exchangeRate}
+                      dateAdded={receiptDetails.transactionDate || new Date().toISOString().split('T')[0]}
+                      onChange={handleCurrencyChange}
+                      disabled={isSaving}
+                    />
+                  </div>
+
+                  <div className="mt-3 space-y-1 text-xs">
+                    {receiptDetails.subtotal !== null && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Subtotal:</span>
+                        <span className="text-white">{formatMoney(receiptDetails.subtotal, currency)}</span>
+                      </div>
+                    )}
+                    {receiptDetails.vatLines.map((vatLine, index) => (
+                      <div key={index} className="flex justify-between">
+                        <span className="text-gray-400">
+                          VAT {vatLine.code ? `(${vatLine.code}) ` : ''}{vatLine.rate}%{vatLine.net !== null ? ` on ${formatMoney(vatLine.net, currency)}` : ''}:
+                        </span>
+                        <span className="text-green-400">{formatMoney(vatLine.vat, currency)}</span>
+                      </div>
+                    ))}
+                    {receiptDetails.total !== null && (
+                      <div className="flex justify-between border-t border-gray-600 pt-1">
+                        <span className="text-gray-400">Receipt Total:</span>
+                        <span className="text-white">{formatMoney(receiptDetails.total, currency)}</span>
+                      </div>
+                    )}
+                  </div>
+
+                  {totalsCheck && !totalsCheck.matches && (
+                    <div className="mt-3 p-2 rounded bg-amber-900/30 border border-amber-700 flex items-start">
+                      <SafeIcon icon={FiAlertTriangle} className="h-4 w-4 text-amber-400 mr-2 mt-0.5 flex-shrink-0" />
+                      <p className="text-amber-200 text-xs">
+                        Items add up to {formatMoney(totalsCheck.itemsTotal, currency)} but the receipt total is {formatMoney(totalsCheck.expectedTotal, currency)}
+                        {' '}({totalsCheck.difference > 0 ? 'missing' : 'over by'} {formatMoney(Math.abs(totalsCheck.difference), currency)}). Check for missed or misread lines.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* VAT Configuration - Only show when items are found, and
+                  only for sterling receipts, which are the ones with UK VAT */}
+              {items.length > 0 && !isForeign && (
                 <div className="bg-gray-800 rounded-lg p-4">
                   <h4 className="text-white font-medium mb-3 text-sm sm:text-base">VAT Configuration</h4>
                   <div className="space-y-4">
@@ -1007,7 +1292,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                         type="checkbox"
                         id="vatIncluded"
                         checked={vatIncluded}
-                        onChange={(e) => setVatIncluded(e.target.checked)}
+                        onChange={(e) => setVatIncludedOverride(e.target.checked)}
                         className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-600 rounded bg-gray-700"
                       />
                       <label htmlFor="vatIncluded" className="ml-2 text-gray-300 text-sm">
@@ -1018,8 +1303,11 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                     {/* VAT Rate Dropdown */}
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-1">
-                        VAT Rate
+                        Default VAT Rate
                       </label>
+                      <p className="text-gray-400 text-xs mb-2">
+                        Used for items without a VAT code on the receipt
+                      </p>
                       <select
                         value={vatPercentage}
                         onChange={(e) => setVatPercentage(parseInt(e.target.value))}
@@ -1041,7 +1329,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                             <span className="text-white">£{vatBreakdown.totalPurchasePrice.toFixed(2)}</span>
                           </div>
                           <div className="flex justify-between">
-                            <span className="text-gray-400">VAT Amount ({vatPercentage}%):</span>
+                            <span className="text-gray-400">VAT Amount ({vatBreakdown.rateLabel}):</span>
                             <span className="text-green-400">£{vatBreakdown.vatAmount.toFixed(2)}</span>
                           </div>
                           <div className="flex justify-between border-t border-gray-600 pt-1">
@@ -1071,8 +1359,19 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
 
                   <div className="space-y-3 max-h-60 sm:max-h-80 overflow-y-auto">
                     {items.map((item, index) => (
-                      <div key={index} className="bg-gray-800 p-3 sm:p-4 rounded-lg">
-                        <div className="grid grid-cols-1 gap-3 sm:grid-cols-[2fr_1fr_1fr_auto] sm:items-center">
+                      <div
+                        key={index}
+                        className={`bg-gray-800 p-3 sm:p-4 rounded-lg ${
+                          isLowConfidence(item) ? 'border border-amber-600' : ''
+                        }`}
+                      >
+                        {isLowConfidence(item) && (
+                          <p className="flex items-center text-amber-300 text-xs mb-2">
+                            <SafeIcon icon={FiAlertTriangle} className="h-3 w-3 mr-1" />
+                            Low scan confidence ({Math.round(item.confidence * 100)}%) - please check this line
+                          </p>
+                        )}
+                        <div className="grid grid-cols-1 gap-3 sm:grid-cols-[2fr_1fr_1fr_1fr_auto] sm:items-center">
                           <input
                             type="text"
                             value={item.name}
@@ -1080,7 +1379,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                             placeholder="Item name"
                             className="bg-gray-700 text-white rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 border-none text-sm"
                           />
-                          <div className="grid grid-cols-2 gap-2 sm:contents">
+                          <div className="grid grid-cols-3 gap-2 sm:contents">
                             <input
                               type="number"
                               min="1"
@@ -1098,6 +1397,17 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                               placeholder="Price"
                               className="bg-gray-700 text-white rounded px-3 py-2 focus:ring-2 focus:ring-blue-500 border-none text-sm"
                             />
+                            <select
+                              value={typeof item.vatRate === 'number' ? item.vatRate : ''}
+                              onChange={(e) => updateItem(index, 'vatRate', e.target.value)}
+                              title={item.vatCode ? `VAT code ${item.vatCode}` : 'VAT rate'}
+                              className="bg-gray-700 text-white rounded px-2 py-2 focus:ring-2 focus:ring-blue-500 border-none text-sm"
+                            >
+                              <option value="">Default ({vatPercentage}%)</option>
+                              <option value={0}>{item.vatCode ? `${item.vatCode}: ` : ''}0%</option>
+                              <option value={5}>{item.vatCode ? `${item.vatCode}: ` : ''}5%</option>
+                              <option value={20}>{item.vatCode ? `${item.vatCode}: ` : ''}20%</option>
+                            </select>
                           </div>
                           <button
                             onClick={() => removeItem(index)}
@@ -1106,10 +1416,17 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                             <SafeIcon icon={FiTrash2} className="h-4 w-4 sm:h-5 sm:w-5" />
                           </button>
                         </div>
+                        {item.discount > 0 && (
+                          <p className="text-green-400 text-xs mt-2">
+                            Price is after a £{item.discount.toFixed(2)} promotion
+                          </p>
+                        )}
                       </div>
                     ))}
                   </div>
 
+                  {duplicatePanel}
+
                   <div className="flex flex-col sm:flex-row gap-3">
                     <button
                       onClick={() => setItems([])}
@@ -1124,7 +1441,7 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
                       className="bg-green-600 hover:bg-green-700 text-white font-medium py-3 px-4 rounded-lg flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
                     >
                       <SafeIcon icon={FiSave} className="h-4 w-4" />
-                      {isSaving ? 'Saving...' : `Save ${items.length} Items & Receipt`}
+                      {isSaving ? 'Saving...' : duplicateReview ? 'Save With These Choices' : `Save ${items.length} Items & Receipt`}
                     </button>
                   </div>
 
@@ -1143,10 +1460,13 @@ const ReceiptScannerModal = ({ isOpen, onClose, onItemsScanned, onReceiptSaved }
               {!isScanning && !isSaving && (
                 <div className="text-center">
                   <button
-                    onClick={() => setImage(null)}
+                    onClick={() => {
+                      setImage(null);
+                      setImageFile(null);
+                    }}
                     className="text-blue-400 hover:text-blue-300 text-xs sm:text-sm"
                   >
-                    Try different image
+                    Try different file
                   </button>
                 </div>
               )}
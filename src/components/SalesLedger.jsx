@@ -0,0 +1,262 @@
+import { useState } from 'react';
+import { RiAddLine, RiDeleteBin6Line, RiLockLine, RiCheckLine } from 'react-icons/ri';
+import { SALES_VAT_RATES, saleVatAmount, saleTaxDate, dateInPeriod } from '../utils/vatReturn';
+import { isCashAccounting, paidDateFromForm } from '../utils/vatSchemes';
+import { formatMoney } from '../utils/currency';
+
+const inputClass = 'w-full rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm text-white placeholder-gray-400 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500 disabled:opacity-50';
+
+const emptySale = (period) => ({
+  date: period.end,
+  description: '',
+  netAmount: '',
+  vatRate: '20',
+  unpaid: false,
+  paidDate: ''
+});
+
+/**
+ * The sales side of a VAT return (boxes 1 and 6): the sales recorded in
+ * the period, and a form to add more. Nothing can be added or removed once
+ * the period's return is submitted. On cash accounting sales count when
+ * they are paid, and unpaid ones are listed to be marked paid.
+ */
+export default function SalesLedger({ sales, period, settings, locked, onAdd, onDelete, onMarkPaid }) {
+  const [form, setForm] = useState(() => emptySale(period));
+  const [paidDates, setPaidDates] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const cashAccounting = isCashAccounting(settings);
+  const periodSales = sales.filter(sale => dateInPeriod(saleTaxDate(sale, settings), period));
+  const unpaidSales = cashAccounting ? sales.filter(sale => sale.paidDate === null) : [];
+  const formTaxDate = saleTaxDate({ date: form.date, paidDate: paidDateFromForm(form, form.date) }, settings);
+  const dateOutsidePeriod = formTaxDate && !dateInPeriod(formTaxDate, period);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const netAmount = parseFloat(form.netAmount);
+    if (isNaN(netAmount)) {
+      setError('Enter the value of the sale excluding VAT');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      const { unpaid, paidDate, ...sale } = form;
+      await onAdd({
+        ...sale,
+        netAmount,
+        vatRate: parseFloat(form.vatRate),
+        paidDate: cashAccounting ? paidDateFromForm({ unpaid, paidDate }, sale.date) : undefined
+      });
+      setForm(prev => ({ ...emptySale(period), date: prev.date, vatRate: prev.vatRate }));
+    } catch (saveError) {
+      console.error('Error adding sale:', saveError);
+      setError(saveError.message || 'Failed to add sale');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (sale) => {
+    try {
+      setError('');
+      await onDelete(sale);
+    } catch (deleteError) {
+      console.error('Error deleting sale:', deleteError);
+      setError(deleteError.message || 'Failed to delete sale');
+    }
+  };
+
+  const handleMarkPaid = async (sale) => {
+    try {
+      setError('');
+      await onMarkPaid(sale, paidDates[sale.id] || period.end);
+    } catch (paidError) {
+      console.error('Error marking sale paid:', paidError);
+      setError(paidError.message || 'Failed to mark sale paid');
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-white">Sales</h3>
+        <p className="text-sm text-gray-400">
+          {cashAccounting
+            ? 'Sales paid for in this period, excluding VAT. They make up boxes 1 and 6.'
+            : 'Sales in this period, excluding VAT. They make up boxes 1 and 6.'}
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {periodSales.length === 0 ? (
+        <p className="text-sm text-gray-400">No sales recorded in this period.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-400">
+                <th className="py-2 pr-4">Date</th>
+                <th className="py-2 pr-4">Description</th>
+                <th className="py-2 pr-4 text-right">Net</th>
+                <th className="py-2 pr-4 text-right">VAT</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {periodSales.map(sale => (
+                <tr key={sale.id} className="text-gray-200">
+                  <td className="py-2 pr-4 whitespace-nowrap">
+                    {new Date(sale.date).toLocaleDateString('en-GB')}
+                    {cashAccounting && sale.paidDate && sale.paidDate !== sale.date && (
+                      <div className="text-xs text-gray-500">Paid {new Date(sale.paidDate).toLocaleDateString('en-GB')}</div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">{sale.description || '-'}</td>
+                  <td className="py-2 pr-4 text-right">{formatMoney(sale.netAmount)}</td>
+                  <td className="py-2 pr-4 text-right whitespace-nowrap">
+                    {formatMoney(sale.vatAmount)} <span className="text-xs text-gray-500">({sale.vatRate}%)</span>
+                  </td>
+                  <td className="py-2 text-right">
+                    {!locked && (
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(sale)}
+                        className="text-gray-400 hover:text-red-400"
+                        title="Delete sale"
+                      >
+                        <RiDeleteBin6Line className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {unpaidSales.length > 0 && (
+        <div className="rounded-md border border-yellow-700/50 bg-yellow-900/20 p-3 space-y-2">
+          <h4 className="text-sm font-medium text-yellow-200">Awaiting payment</h4>
+          <p className="text-xs text-gray-400">
+            These sales aren't in any return until they are paid. Mark them paid on the date the money arrived.
+          </p>
+          {unpaidSales.map(sale => (
+            <div key={sale.id} className="flex flex-wrap items-center gap-3 text-sm text-gray-200">
+              <span className="whitespace-nowrap">{new Date(sale.date).toLocaleDateString('en-GB')}</span>
+              <span className="flex-1 min-w-0 truncate">{sale.description || '-'}</span>
+              <span>{formatMoney(sale.netAmount)} + {formatMoney(sale.vatAmount)} VAT</span>
+              <input
+                type="date"
+                value={paidDates[sale.id] || period.end}
+                min={sale.date}
+                onChange={(e) => setPaidDates(prev => ({ ...prev, [sale.id]: e.target.value }))}
+                className={`${inputClass} w-40`}
+                aria-label="Date paid"
+              />
+              <button
+                type="button"
+                onClick={() => handleMarkPaid(sale)}
+                className="inline-flex items-center rounded-md bg-gray-700 px-3 py-2 text-xs font-medium text-white hover:bg-gray-600"
+              >
+                <RiCheckLine className="mr-1 h-4 w-4" />
+                Mark paid
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(sale)}
+                className="text-gray-400 hover:text-red-400"
+                title="Delete sale"
+              >
+                <RiDeleteBin6Line className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {locked ? (
+        <p className="flex items-center text-xs text-gray-400">
+          <RiLockLine className="mr-1 h-4 w-4" />
+          This period's return has been submitted, so its sales are locked.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-6 gap-3 items-end">
+          <div className="sm:col-span-1">
+            <label className="block text-xs text-gray-400 mb-1">Date</label>
+            <input type="date" name="date" required value={form.date} onChange={handleChange} className={inputClass} />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-xs text-gray-400 mb-1">Description</label>
+            <input
+              type="text"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+              maxLength={200}
+              placeholder="Invoice 1042, card takings..."
+              className={inputClass}
+            />
+          </div>
+          <div className="sm:col-span-1">
+            <label className="block text-xs text-gray-400 mb-1">Net (£)</label>
+            <input type="number" name="netAmount" step="0.01" required value={form.netAmount} onChange={handleChange} className={inputClass} />
+          </div>
+          <div className="sm:col-span-1">
+            <label className="block text-xs text-gray-400 mb-1">VAT rate</label>
+            <select name="vatRate" value={form.vatRate} onChange={handleChange} className={inputClass}>
+              {SALES_VAT_RATES.map(rate => (
+                <option key={rate} value={rate}>{rate}%</option>
+              ))}
+            </select>
+          </div>
+          {cashAccounting && (
+            <>
+              <div className="sm:col-span-2 flex items-center">
+                <input
+                  id="sale-unpaid"
+                  type="checkbox"
+                  name="unpaid"
+                  checked={form.unpaid}
+                  onChange={handleChange}
+                  className="h-4 w-4 rounded border-gray-600 bg-gray-700 text-primary-600 focus:ring-primary-500"
+                />
+                <label htmlFor="sale-unpaid" className="ml-2 text-sm text-gray-300">Not paid yet</label>
+              </div>
+              {!form.unpaid && (
+                <div className="sm:col-span-1">
+                  <label className="block text-xs text-gray-400 mb-1">Date paid</label>
+                  <input type="date" name="paidDate" min={form.date} value={form.paidDate} onChange={handleChange} className={inputClass} />
+                </div>
+              )}
+            </>
+          )}
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="inline-flex items-center justify-center rounded-md bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            <RiAddLine className="mr-1 h-4 w-4" />
+            Add
+          </button>
+          <p className="sm:col-span-6 text-xs text-gray-400">
+            VAT: {formatMoney(saleVatAmount({ netAmount: form.netAmount, vatRate: form.vatRate }))}
+            {cashAccounting && !form.unpaid && !form.paidDate && ' · Paid on the sale date unless you enter another.'}
+            {dateOutsidePeriod && ' · This date is outside the period shown, so the sale will count towards another return.'}
+            {cashAccounting && form.unpaid && ' · Unpaid sales count towards the return for the period they are paid in.'}
+          </p>
+        </form>
+      )}
+    </div>
+  );
+}
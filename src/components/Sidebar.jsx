@@ -1,6 +1,6 @@
 import { motion, AnimatePresence } from 'framer-motion';
 import { Link, useLocation } from 'react-router-dom';
-import { RiDashboardLine, RiShoppingBag3Line, RiScanLine, RiFileExcelLine, RiCalculatorLine, RiAdminLine, RiSettings3Line, RiCustomerServiceLine } from 'react-icons/ri';
+import { RiDashboardLine, RiShoppingBag3Line, RiScanLine, RiFileExcelLine, RiCalculatorLine, RiAdminLine, RiSettings3Line, RiCustomerServiceLine, RiStore2Line, RiStackLine, RiGovernmentLine } from 'react-icons/ri';
 import { useAuth } from '../context/AuthContext';
 import useFeatureAccess from '../hooks/useFeatureAccess';
 
@@ -12,6 +12,8 @@ export default function Sidebar({ isMobileMenuOpen, onMobileMenuClose }) {
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: RiDashboardLine },
     { name: 'Purchase Tracking', href: '/purchases', icon: RiShoppingBag3Line },
+    { name: 'Stock Levels', href: '/stock', icon: RiStackLine },
+    { name: 'Suppliers', href: '/suppliers', icon: RiStore2Line },
     { 
       name: 'Receipt Scanner', 
       href: '/receipt-scanner', 
@@ -33,6 +35,13 @@ export default function Sidebar({ isMobileMenuOpen, onMobileMenuClose }) {
       requiresFeature: 'taxExports',
       planRequired: 'Professional'
     },
+    {
+      name: 'VAT Returns',
+      href: '/vat-returns',
+      icon: RiGovernmentLine,
+      requiresFeature: 'vatReturns',
+      planRequired: 'Professional'
+    },
     { name: 'Support', href: '/support', icon: RiCustomerServiceLine },
     { name: 'Settings', href: '/settings', icon: RiSettings3Line },
   ];
@@ -0,0 +1,170 @@
+import { useState, useMemo } from 'react';
+import { RiFileExcelLine, RiFileTextLine, RiAlertLine } from 'react-icons/ri';
+import { useAuth } from '../context/AuthContext';
+import { VALUATION_METHODS, valueClosingStock } from '../utils/stockValuation';
+import { exportStockValuation } from '../utils/stockValuationExport';
+
+const toDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Common year ends, worked out from today
+const yearEndPresets = () => {
+  const today = new Date();
+  const year = today.getFullYear();
+  const lastTaxYearEnd = new Date(year, 3, 5) < today ? new Date(year, 3, 5) : new Date(year - 1, 3, 5);
+  return [
+    { label: 'Today', value: toDateInput(today) },
+    { label: 'End of last tax year', value: toDateInput(lastTaxYearEnd) },
+    { label: `31 Dec ${year - 1}`, value: `${year - 1}-12-31` }
+  ];
+};
+
+const inputClass = 'rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm text-white focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency: 'GBP',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(value || 0);
+
+const formatQuantity = (value) => new Intl.NumberFormat('en-GB', { maximumFractionDigits: 3 }).format(value || 0);
+
+/**
+ * Closing stock at any date, valued FIFO or at weighted average cost, with
+ * the report the accountant needs for year-end.
+ */
+export default function StockValuationPanel({ products, movements }) {
+  const { user } = useAuth();
+  const [asOf, setAsOf] = useState(() => toDateInput(new Date()));
+  const [method, setMethod] = useState('fifo');
+  const [error, setError] = useState('');
+
+  const report = useMemo(() => (
+    valueClosingStock(products, movements, { method, asOf })
+  ), [products, movements, method, asOf]);
+
+  const handleExport = (format) => {
+    try {
+      setError('');
+      exportStockValuation(report, format, user?.businessName);
+    } catch (exportError) {
+      console.error('Error exporting closing stock:', exportError);
+      setError('Failed to export the closing stock report. Please try again.');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col lg:flex-row lg:items-end gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-400 mb-1">Stock at end of</label>
+          <input
+            type="date"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {yearEndPresets().map(preset => (
+            <button
+              key={preset.label}
+              type="button"
+              onClick={() => setAsOf(preset.value)}
+              className={`rounded-md px-3 py-2 text-sm ${asOf === preset.value ? 'bg-primary-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <div className="lg:ml-auto">
+          <label className="block text-xs font-medium text-gray-400 mb-1">Valuation method</label>
+          <select value={method} onChange={(e) => setMethod(e.target.value)} className={inputClass}>
+            {VALUATION_METHODS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 rounded-lg border border-gray-700 bg-gray-800 p-4">
+        <div>
+          <p className="text-xs text-gray-400">Closing stock (net of VAT)</p>
+          <p className="text-2xl font-semibold text-white">{formatCurrency(report.totalValue)}</p>
+          <p className="text-xs text-gray-400">{report.rows.length} products in stock</p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => handleExport('excel')}
+            disabled={report.rows.length === 0}
+            className="inline-flex items-center rounded-md bg-green-600 px-4 py-2 text-sm font-medium text-white hover:bg-green-700 disabled:opacity-50"
+          >
+            <RiFileExcelLine className="mr-2 h-4 w-4" />
+            Excel
+          </button>
+          <button
+            type="button"
+            onClick={() => handleExport('csv')}
+            disabled={report.rows.length === 0}
+            className="inline-flex items-center rounded-md border border-gray-600 px-4 py-2 text-sm font-medium text-gray-300 hover:bg-gray-700 disabled:opacity-50"
+          >
+            <RiFileTextLine className="mr-2 h-4 w-4" />
+            CSV
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {report.shortfalls > 0 && (
+        <div className="flex items-start rounded-lg border border-yellow-700 bg-yellow-900/20 p-3 text-sm text-yellow-300">
+          <RiAlertLine className="mr-2 mt-0.5 h-4 w-4 flex-shrink-0" />
+          {report.shortfalls} {report.shortfalls === 1 ? 'product has' : 'products have'} more booked out than was ever booked in by this date.
+          The difference isn't valued; check for missing purchases or record a stock count adjustment.
+        </div>
+      )}
+
+      <div className="rounded-lg border border-gray-700 bg-gray-800 overflow-x-auto">
+        {report.rows.length === 0 ? (
+          <p className="py-12 text-center text-sm text-gray-400">No stock on hand at this date.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-700">
+            <thead className="bg-gray-900/50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-400">Product</th>
+                <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-400">Category</th>
+                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Quantity</th>
+                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Unit cost</th>
+                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Value</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {report.rows.map(row => (
+                <tr key={row.productId}>
+                  <td className="px-4 py-3 text-sm text-white">
+                    {row.name}
+                    {row.sku && <span className="ml-2 text-xs text-gray-400">{row.sku}</span>}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-400">{row.category}</td>
+                  <td className="px-4 py-3 text-right text-sm text-gray-300">
+                    {formatQuantity(row.quantity)} {row.unit}
+                    {row.shortfall > 0 && (
+                      <span className="ml-2 text-xs text-yellow-400">({formatQuantity(row.shortfall)} short)</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right text-sm text-gray-300">{formatCurrency(row.unitCost)}</td>
+                  <td className="px-4 py-3 text-right text-sm font-medium text-white">{formatCurrency(row.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
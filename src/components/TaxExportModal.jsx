@@ -1,9 +1,20 @@
 import {useState,useEffect} from 'react';
 import {motion,AnimatePresence} from 'framer-motion';
 import {RiCloseLine,RiDownloadLine,RiFileTextLine,RiFileExcelLine,RiCalendarLine,RiMoneyDollarCircleLine,RiCalculatorLine,RiCheckLine,RiAlertLine,RiInformationLine,RiRefund2Line} from 'react-icons/ri';
-import * as XLSX from 'xlsx';
-import {getPurchaseItems} from '../services/db';
+import {exportFileName,downloadCsv,downloadWorkbook} from '../utils/spreadsheet';
+import {isForeignCurrency} from '../utils/currency';
+import {getPurchaseItems,getSalesEntries,getPurchaseAdjustments,getVatReturns} from '../services/db';
+import receiptStorage from '../services/receiptStorage';
 import {useAuth} from '../context/AuthContext';
+import useVatSettings from '../hooks/useVatSettings';
+import {recentVatPeriods,lastCompletedVatPeriod,periodLabel} from '../utils/vatPeriods';
+import {describeVatScheme,reclaimsInputVat,isCashAccounting,isFlatRate} from '../utils/vatSchemes';
+import {purchaseTaxDate,purchaseVatBreakdown,computeVatReturn,recordsPeriod} from '../utils/vatReturn';
+import {buildVatReportPdf,receiptThumbnail} from '../utils/vatReportPdf';
+import {buildAccountingExport,findAccountingPackage,UNCATEGORIZED} from '../utils/accountingExports';
+import useExportProfile from '../hooks/useExportProfile';
+import useCategories from '../hooks/useCategories';
+import AccountingExportPanel from './AccountingExportPanel';
 
 const formatCurrency=(value)=> {
   // Use proper pound symbol without encoding issues
@@ -13,6 +24,7 @@ const formatCurrency=(value)=> {
 export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
   const [isLoading,setIsLoading]=useState(false);
   const [purchaseData,setPurchaseData]=useState([]);
+  const [receiptsById,setReceiptsById]=useState({});
   const [exportSettings,setExportSettings]=useState({
     format: 'excel',
     dateRange: 'all',
@@ -23,11 +35,26 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     groupByCategory: false,
     vatRate: 20, // UK VAT rate
     currencyFormat: 'GBP',
-    reportType: 'full'
+    reportType: 'full',
+    includeReceiptRefs: true,
+    accountingPackage: 'xero'
   });
   const [vatSummary,setVatSummary]=useState(null);
   const [error,setError]=useState('');
   const {user}=useAuth();
+  const {settings: vatSettings}=useVatSettings();
+  const vatPeriods=recentVatPeriods(vatSettings,12);
+  const {profile: exportProfile,saveProfile: saveExportProfile}=useExportProfile(exportSettings.accountingPackage);
+  const {categoryNames}=useCategories();
+
+  // How the chosen period reads in the report headings and export history
+  const describeExportPeriod=()=> {
+    if (exportSettings.dateRange === 'all') return 'All Time';
+    if (exportSettings.dateRange === 'vat-period') {
+      return `VAT period ${periodLabel({start: exportSettings.startDate,end: exportSettings.endDate})}`;
+    }
+    return `${exportSettings.startDate} to ${exportSettings.endDate}`;
+  };
 
   useEffect(()=> {
     if (isOpen && user?.email) {
@@ -41,6 +68,10 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       const items=await getPurchaseItems(user.email);
       setPurchaseData(items);
       calculateVatSummary(items);
+
+      // Receipt references are evidence for each claim; load the ones we need
+      const receipts=await receiptStorage.getReceiptRecords(items.map(item=> item.receiptId));
+      setReceiptsById(Object.fromEntries(receipts.map(receipt=> [receipt.id,receipt])));
     } catch (error) {
       console.error('Error loading purchase data:',error);
       setError('Failed to load purchase data');
@@ -49,6 +80,29 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     }
   };
 
+  // Zero-rated items store 0%, so only fall back to the default when no rate was recorded.
+  // Purchases in other currencies have no UK VAT to reclaim
+  const getItemVatRate=(item)=> {
+    if (isForeignCurrency(item)) return 0;
+    const rate=parseFloat(item.vatPercentage);
+    return Number.isFinite(rate) ? rate : exportSettings.vatRate;
+  };
+
+  // VAT in a VAT-inclusive cost, or nothing where the scheme doesn't let
+  // the purchase reclaim it (the Flat Rate Scheme, bar capital assets)
+  const getItemVatReclaim=(item,itemCost)=> {
+    if (!reclaimsInputVat(item,itemCost,vatSettings)) return 0;
+    const vatPercentage=getItemVatRate(item);
+    return itemCost * (vatPercentage / (100 + vatPercentage));
+  };
+
+  // How the scheme changed the figures, for report headings
+  const describeSchemeEffect=()=> {
+    if (isFlatRate(vatSettings)) return 'Flat Rate Scheme: only capital assets of £2,000 or more reclaim VAT';
+    if (isCashAccounting(vatSettings)) return 'Cash accounting: purchases are dated by payment and unpaid ones are left out';
+    return 'Standard accounting: purchases are dated by invoice';
+  };
+
   const calculateVatSummary=(items)=> {
     const filteredItems=filterItemsByDateRange(items);
     
@@ -63,10 +117,10 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     
     // Calculate VAT reclaim from VAT-included prices only
     const vatReclaim = vatIncludedItems.reduce((sum, item) => {
-      const vatPercentage = item.vatPercentage || exportSettings.vatRate;
+      const vatPercentage = getItemVatRate(item);
       const itemCost = item.quantity * item.unitPrice;
       // Price includes VAT - extract VAT amount
-      const itemVatReclaim = itemCost * (vatPercentage / (100 + vatPercentage));
+      const itemVatReclaim = getItemVatReclaim(item, itemCost);
       return sum + itemVatReclaim;
     }, 0);
     
@@ -84,10 +138,10 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
         };
       }
       
-      const vatPercentage = item.vatPercentage || exportSettings.vatRate;
+      const vatPercentage = getItemVatRate(item);
       const itemCost = item.quantity * item.unitPrice;
       // Only VAT-included items, so always extract VAT
-      const itemVatReclaim = itemCost * (vatPercentage / (100 + vatPercentage));
+      const itemVatReclaim = getItemVatReclaim(item, itemCost);
       const itemNetCost = itemCost - itemVatReclaim;
       
       acc[category].items++;
@@ -99,6 +153,25 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       return acc;
     },{});
 
+    // Mixed baskets (food, cleaning products) reclaim at more than one rate
+    const rateBreakdown=vatIncludedItems.reduce((acc,item)=> {
+      const vatPercentage = getItemVatRate(item);
+      const itemCost = item.quantity * item.unitPrice;
+      if (!acc[vatPercentage]) {
+        acc[vatPercentage]={
+          items: 0,
+          totalCost: 0,
+          vatReclaim: 0
+        };
+      }
+
+      acc[vatPercentage].items++;
+      acc[vatPercentage].totalCost += itemCost;
+      acc[vatPercentage].vatReclaim += getItemVatReclaim(item, itemCost);
+
+      return acc;
+    },{});
+
     // Calculate potential quarterly and annual benefits
     const quarterlyBenefit = vatReclaim / 4;
     const annualBenefit = vatReclaim;
@@ -112,18 +185,37 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       quarterlyBenefit,
       annualBenefit,
       categoryBreakdown,
+      rateBreakdown,
       averageBenefitPerItem: vatIncludedItems.length > 0 ? vatReclaim / vatIncludedItems.length : 0,
       benefitPercentage: totalPurchaseCost > 0 ? (vatReclaim / totalPurchaseCost) * 100 : 0,
       dateRange: {
         start: exportSettings.startDate,
         end: exportSettings.endDate
       },
-      excludedItems: filteredItems.length - vatIncludedItems.length // Track excluded items
+      excludedItems: filteredItems.length - vatIncludedItems.length, // Track excluded items
+      itemsWithReceipt: vatIncludedItems.filter(item=> item.receiptId).length
     });
   };
 
+  // Receipt columns for one line; blank when the purchase has no receipt
+  const getReceiptColumns=(item)=> {
+    const receipt=item.receiptId ? receiptsById[item.receiptId] : null;
+    return {
+      'Receipt Ref': receipt ? receipt.id : '',
+      'Receipt File': receipt ? receipt.file_name : '',
+      'Receipt Date': receipt ? (receipt.transaction_date || receipt.created_at?.split('T')[0] || '') : ''
+    };
+  };
+
+  const formatRatesUsed=()=> {
+    const rates=Object.keys(vatSummary?.rateBreakdown || {}).map(Number).sort((a,b)=> b - a);
+    return rates.length > 0 ? rates.map(rate=> `${rate}%`).join(', ') : `${exportSettings.vatRate}%`;
+  };
+
   const filterItemsByDateRange=(items)=> {
-    let filtered=items;
+    // On cash accounting a purchase counts from the day it was paid, and
+    // not at all while unpaid
+    let filtered=items.filter(item=> purchaseTaxDate(item,vatSettings));
 
     // Filter by date range
     if (exportSettings.dateRange !== 'all') {
@@ -131,7 +223,7 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       const endDate=new Date(exportSettings.endDate);
       
       filtered=filtered.filter(item=> {
-        const itemDate=new Date(item.dateAdded || item.createdAt);
+        const itemDate=new Date(purchaseTaxDate(item,vatSettings));
         return itemDate >= startDate && itemDate <= endDate;
       });
     }
@@ -168,10 +260,10 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     } else {
       // Full detailed report - only VAT-included items
       reportData=vatIncludedItems.map(item=> {
-        const vatPercentage = item.vatPercentage || exportSettings.vatRate;
+        const vatPercentage = getItemVatRate(item);
         const itemCost = item.quantity * item.unitPrice;
         // Only VAT-included items, so always extract VAT
-        const itemVatReclaim = itemCost * (vatPercentage / (100 + vatPercentage));
+        const itemVatReclaim = getItemVatReclaim(item, itemCost);
         const itemNetCost = itemCost - itemVatReclaim;
         
         return {
@@ -186,24 +278,19 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
           'Date Added': item.dateAdded,
           'Description': item.description || '',
           'SKU/Reference': item.id || '',
-          'Last Updated': item.updatedAt || item.createdAt || ''
+          'Last Updated': item.updatedAt || item.createdAt || '',
+          ...(exportSettings.includeReceiptRefs ? getReceiptColumns(item) : {})
         };
       });
     }
 
-    // Create workbook
-    const wb=XLSX.utils.book_new();
-    
-    // Main data sheet
-    const ws=XLSX.utils.json_to_sheet(reportData);
-    XLSX.utils.book_append_sheet(wb,ws,exportSettings.reportType === 'summary' ? 'Category Summary' : 'VAT Reclaim Details');
-
     // VAT summary sheet
     const vatSummaryData=[
       ['VAT RECLAIM REPORT - VAT INCLUDED ITEMS ONLY',''],
       ['Generated on:',new Date().toLocaleDateString('en-GB')],
       ['Business Name:',user?.businessName || ''],
-      ['Export Period:',exportSettings.dateRange === 'all' ? 'All Time' : `${exportSettings.startDate} to ${exportSettings.endDate}`],
+      ['Export Period:',describeExportPeriod()],
+      ['VAT Scheme:',describeVatScheme(vatSettings)],
       ['VAT Registration Status:','VAT Registered'],
       ['Report Scope:','VAT-included items only'],
       ['',''],
@@ -212,10 +299,11 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       ['Excluded Items (VAT not included):',vatSummary.excludedItems || 0],
       ['Total Quantity:',vatSummary.totalQuantity],
       ['Total Purchase Cost:',vatSummary.totalPurchaseCost.toFixed(2)],
-      ['VAT Rate Used:',`${exportSettings.vatRate}%`],
+      ['VAT Rates Used:',formatRatesUsed()],
       ['VAT Reclaim Available:',vatSummary.vatReclaim.toFixed(2)],
       ['Net Cost After VAT:',vatSummary.netCostValue.toFixed(2)],
       ['Average VAT Reclaim per Item:',vatSummary.averageBenefitPerItem.toFixed(2)],
+      ['Items With Receipt Evidence:',`${vatSummary.itemsWithReceipt} of ${vatSummary.totalItems}`],
       ['',''],
       ['CALCULATION METHOD',''],
       ['Description:','VAT extracted from VAT-inclusive purchase prices only'],
@@ -225,9 +313,20 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       ['How to Claim:','Submit quarterly VAT returns to HMRC'],
       ['Requirements:','Must be VAT registered with HMRC'],
       ['',''],
-      ['CATEGORY BREAKDOWN','']
+      ['VAT RATE BREAKDOWN','']
     ];
 
+    Object.entries(vatSummary.rateBreakdown).forEach(([rate,data])=> {
+      vatSummaryData.push([
+        `${rate}%`,
+        `${data.items} items`,
+        `Cost: ${data.totalCost.toFixed(2)}`,
+        `VAT Reclaim: ${data.vatReclaim.toFixed(2)}`
+      ]);
+    });
+
+    vatSummaryData.push(['',''],['CATEGORY BREAKDOWN','']);
+
     // Add category breakdown
     Object.entries(vatSummary.categoryBreakdown).forEach(([category,data])=> {
       vatSummaryData.push([
@@ -238,8 +337,6 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       ]);
     });
 
-    const vatWs=XLSX.utils.aoa_to_sheet(vatSummaryData);
-    XLSX.utils.book_append_sheet(wb,vatWs,'VAT Reclaim Summary');
 
     // Accountant notes sheet
     const notesData=[
@@ -257,7 +354,7 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       ['Calculation Type:','VAT extraction from VAT-inclusive purchase prices'],
       ['Items Processed:','Only items marked as "VAT Included" = Yes'],
       ['Items Excluded:','Items with "VAT Included" = No are excluded from calculations'],
-      ['VAT Rate Used:',`${exportSettings.vatRate}% (UK Standard Rate)`],
+      ['VAT Rates Used:',`${formatRatesUsed()} (each item at its own recorded rate, ${exportSettings.vatRate}% where none was recorded)`],
       ['Formula:','VAT Amount = (Purchase Price x VAT Rate) / (100 + VAT Rate)'],
       ['Example:',`£120.00 VAT-inclusive purchase = (£120.00 x 20) / 120 = £20.00 VAT reclaim`],
       ['Net Cost:','Purchase Price - VAT Amount'],
@@ -289,16 +386,12 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       ['Export Format:','Microsoft Excel (.xlsx)']
     ];
 
-    const notesWs=XLSX.utils.aoa_to_sheet(notesData);
-    XLSX.utils.book_append_sheet(wb,notesWs,'Accountant Info');
-
-    // Generate filename
-    const dateStr=new Date().toISOString().split('T')[0];
-    const businessName=(user?.businessName || 'Business').replace(/[^a-zA-Z0-9]/g,'_');
-    const fileName=`${businessName}_VAT_Reclaim_Report_${dateStr}.xlsx`;
-
-    // Download file
-    XLSX.writeFile(wb,fileName);
+    const fileName=exportFileName(user?.businessName,'VAT_Reclaim_Report','xlsx');
+    downloadWorkbook([
+      {name: exportSettings.reportType === 'summary' ? 'Category Summary' : 'VAT Reclaim Details',rows: reportData},
+      {name: 'VAT Reclaim Summary',cells: vatSummaryData},
+      {name: 'Accountant Info',cells: notesData}
+    ],fileName);
     
     return fileName;
   };
@@ -309,10 +402,10 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     const vatIncludedItems = filteredItems.filter(item => item.vatIncluded === true);
     
     const csvData=vatIncludedItems.map(item=> {
-      const vatPercentage = item.vatPercentage || exportSettings.vatRate;
+      const vatPercentage = getItemVatRate(item);
       const itemCost = item.quantity * item.unitPrice;
       // Only VAT-included items, so always extract VAT
-      const itemVatReclaim = itemCost * (vatPercentage / (100 + vatPercentage));
+      const itemVatReclaim = getItemVatReclaim(item, itemCost);
       const itemNetCost = itemCost - itemVatReclaim;
       
       return {
@@ -326,215 +419,177 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
         'Net Cost After VAT': itemNetCost.toFixed(2),
         'Date Added': item.dateAdded,
         'Description': item.description || '',
-        'SKU': item.id || ''
+        'SKU': item.id || '',
+        ...(exportSettings.includeReceiptRefs ? getReceiptColumns(item) : {})
       };
     });
 
-    // Convert to CSV
     const headers=Object.keys(csvData[0] || {});
-    const csvContent=[
+    const fileName=exportFileName(user?.businessName,'VAT_Reclaim_Report','csv');
+    downloadCsv([
       // Header with business info
       `VAT Reclaim Report - VAT Included Items Only - ${user?.businessName || 'Business'}`,
       `Generated: ${new Date().toLocaleString('en-GB')}`,
-      `Period: ${exportSettings.dateRange === 'all' ? 'All Time' : `${exportSettings.startDate} to ${exportSettings.endDate}`}`,
-      `VAT Rate: ${exportSettings.vatRate}%`,
+      `Period: ${describeExportPeriod()}`,
+      `VAT Rates: ${formatRatesUsed()}`,
+      `VAT Scheme: ${describeSchemeEffect()}`,
       `VAT Registration Status: VAT Registered`,
       `Report Scope: VAT-included items only`,
       `Calculation Method: VAT extracted from VAT-inclusive purchase prices`,
       `VAT-Included Items Processed: ${vatSummary?.totalItems || 0}`,
       `Excluded Items (No VAT): ${vatSummary?.excludedItems || 0}`,
+      `Items With Receipt Evidence: ${vatSummary?.itemsWithReceipt || 0} of ${vatSummary?.totalItems || 0}`,
       `Total VAT Reclaim Available: ${vatSummary?.vatReclaim?.toFixed(2) || '0.00'}`,
       '',
       // Column headers
-      headers.join(','),
+      headers,
       // Data rows
-      ...csvData.map(row=> 
-        headers.map(header=> {
-          const value=row[header];
-          if (typeof value === 'string' && value.includes(',')) {
-            return `"${value}"`;
-          }
-          return value;
-        }).join(',')
-      )
-    ].join('\n');
-
-    // Download CSV
-    const blob=new Blob([csvContent],{type: 'text/csv;charset=utf-8;'});
-    const link=document.createElement('a');
-    const url=URL.createObjectURL(blob);
-    link.setAttribute('href',url);
-    
-    const dateStr=new Date().toISOString().split('T')[0];
-    const businessName=(user?.businessName || 'Business').replace(/[^a-zA-Z0-9]/g,'_');
-    const fileName=`${businessName}_VAT_Reclaim_Report_${dateStr}.csv`;
-    
-    link.setAttribute('download',fileName);
-    link.style.visibility='hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+      ...csvData.map(row=> headers.map(header=> row[header]))
+    ],fileName);
     
     return fileName;
   };
 
-  const generatePDFReport=()=> {
-    // Generate HTML content for PDF
+  // The PDF VAT report: the nine boxes for the period (as filed, when a
+  // submitted return covers exactly this period), every purchase in it and
+  // the receipts behind them. It is drawn from data already in the browser;
+  // receipts that can't be downloaded, such as when offline, are listed
+  // with the reason instead of their image.
+  const generatePDFReport=async ()=> {
     const filteredItems=filterItemsByDateRange(purchaseData);
-    // ONLY process VAT-included items
-    const vatIncludedItems = filteredItems.filter(item => item.vatIncluded === true);
-    
-    const htmlContent=`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>VAT Reclaim Report - VAT Included Items Only - ${user?.businessName || 'Business'}</title>
-        <style>
-          body { font-family: Arial, sans-serif; margin: 20px; color: #333; }
-          .header { text-align: center; margin-bottom: 30px; border-bottom: 2px solid #333; padding-bottom: 20px; }
-          .business-info { background: #f5f5f5; padding: 15px; margin-bottom: 20px; border-radius: 5px; }
-          .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-bottom: 30px; }
-          .summary-card { background: #f9f9f9; padding: 15px; border-left: 4px solid #10b981; }
-          .summary-card h3 { margin: 0 0 5px 0; color: #10b981; }
-          .summary-card p { margin: 0; font-size: 18px; font-weight: bold; }
-          .benefit-highlight { background: #dcfce7; border: 2px solid #10b981; padding: 15px; border-radius: 8px; margin: 20px 0; }
-          .benefit-highlight h3 { color: #047857; margin: 0 0 10px 0; }
-          .calculation-info { background: #dbeafe; border: 1px solid #60a5fa; padding: 15px; margin: 20px 0; border-radius: 5px; }
-          .scope-info { background: #fef3c7; border: 1px solid #f59e0b; padding: 15px; margin: 20px 0; border-radius: 5px; }
-          table { width: 100%; border-collapse: collapse; margin-bottom: 30px; }
-          th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-          th { background-color: #f2f2f2; font-weight: bold; }
-          .number { text-align: right; }
-          .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
-          .notice { background: #dbeafe; border: 1px solid #60a5fa; padding: 10px; margin: 20px 0; border-radius: 5px; }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>VAT Reclaim Report</h1>
-          <h2>${user?.businessName || 'Business Name'}</h2>
-          <p><strong>VAT-Included Items Only</strong></p>
-          <p>Generated on ${new Date().toLocaleDateString('en-GB')} at ${new Date().toLocaleTimeString('en-GB')}</p>
-        </div>
-        
-        <div class="business-info">
-          <h3>Business Information</h3>
-          <p><strong>Business Name:</strong> ${user?.businessName || 'N/A'}</p>
-          <p><strong>Email:</strong> ${user?.email || 'N/A'}</p>
-          <p><strong>Report Period:</strong> ${exportSettings.dateRange === 'all' ? 'All Time' : `${exportSettings.startDate} to ${exportSettings.endDate}`}</p>
-          <p><strong>VAT Registration Status:</strong> VAT Registered</p>
-          <p><strong>Report Scope:</strong> VAT-included items only</p>
-          <p><strong>Export Date:</strong> ${new Date().toLocaleDateString('en-GB')}</p>
-        </div>
 
-        <div class="scope-info">
-          <h3>⚠️ Important: VAT-Included Items Only</h3>
-          <p><strong>This report only processes items where VAT is included in the purchase price.</strong></p>
-          <p>• VAT-Included Items Processed: <strong>${vatSummary?.totalItems || 0}</strong></p>
-          <p>• Excluded Items (No VAT): <strong>${vatSummary?.excludedItems || 0}</strong></p>
-          <p>• Only VAT-inclusive purchases are eligible for VAT reclaims from HMRC.</p>
-        </div>
+    const [sales,purchaseAdjustments,vatReturns]=await Promise.all([
+      getSalesEntries(user.email),
+      getPurchaseAdjustments(user.email),
+      getVatReturns(user.email)
+    ]);
 
-        <div class="calculation-info">
-          <h3>VAT Reclaim Calculation Method</h3>
-          <p><strong>Method:</strong> VAT extraction from VAT-inclusive purchase prices only</p>
-          <p><strong>Formula:</strong> VAT Amount = (Purchase Price x ${exportSettings.vatRate}%) / ${100 + exportSettings.vatRate}%</p>
-          <p><strong>Example:</strong> £120.00 VAT-inclusive purchase = (£120.00 x 20) / 120 = £20.00 VAT reclaim</p>
-          <p><strong>How to Claim:</strong> Submit quarterly VAT returns to HMRC</p>
-        </div>
+    // All time runs from the first record to the last, so the flat rate
+    // month count and the headings use real dates
+    const today=new Date().toISOString().split('T')[0];
+    const period=exportSettings.dateRange === 'all'
+      ? recordsPeriod({purchases: filteredItems,sales,purchaseAdjustments,settings: vatSettings}) || {start: today,end: today}
+      : {start: exportSettings.startDate,end: exportSettings.endDate};
+    const periodDescription=exportSettings.dateRange === 'all'
+      ? `All Time (${periodLabel(period)})`
+      : describeExportPeriod();
+    const savedReturn=vatReturns.find(vatReturn=> vatReturn.periodStart === period.start && vatReturn.periodEnd === period.end);
+    const filed=savedReturn?.status === 'submitted' ? savedReturn : null;
+    const computed=computeVatReturn({
+      purchases: purchaseData,
+      sales,
+      purchaseAdjustments,
+      period,
+      adjustments: savedReturn?.adjustments || {},
+      settings: vatSettings
+    });
 
-        <div class="benefit-highlight">
-          <h3>VAT you can claim back from HMRC through quarterly VAT returns</h3>
-          <p style="font-size: 24px; margin: 10px 0;"><strong>£${(vatSummary?.vatReclaim || 0).toFixed(2)}</strong></p>
-          <p>This is the VAT amount you can claim back through your quarterly VAT return.</p>
-          <p><strong>Annual Potential:</strong> £${(vatSummary?.annualBenefit || 0).toFixed(2)} per year</p>
-          <p><em>Based on ${vatSummary?.totalItems || 0} VAT-included items only</em></p>
-        </div>
+    // Receipts are numbered R1, R2... in the order purchases use them
+    const receiptRefs=new Map();
+    const lines=filteredItems.map(item=> {
+      if (item.receiptId && !receiptRefs.has(item.receiptId)) {
+        receiptRefs.set(item.receiptId,`R${receiptRefs.size + 1}`);
+      }
+      const {net,vat,gross}=purchaseVatBreakdown(item);
+      const reclaims=!isForeignCurrency(item) && reclaimsInputVat(item,gross,vatSettings);
+      return {
+        date: purchaseTaxDate(item,vatSettings),
+        name: item.name,
+        supplier: item.supplier,
+        category: item.category || 'Uncategorized',
+        vatRate: getItemVatRate(item),
+        reclaims,
+        net: reclaims ? net : gross,
+        vat: reclaims ? vat : 0,
+        gross,
+        receiptRef: receiptRefs.get(item.receiptId) || ''
+      };
+    });
 
-        <div class="summary">
-          <div class="summary-card">
-            <h3>VAT-Included Items</h3>
-            <p>${vatSummary?.totalItems || 0}</p>
-          </div>
-          <div class="summary-card">
-            <h3>Total Purchase Cost</h3>
-            <p>£${(vatSummary?.totalPurchaseCost || 0).toFixed(2)}</p>
-          </div>
-          <div class="summary-card">
-            <h3>VAT Reclaim Available</h3>
-            <p>£${(vatSummary?.vatReclaim || 0).toFixed(2)}</p>
-          </div>
-          <div class="summary-card">
-            <h3>Net Cost After VAT</h3>
-            <p>£${(vatSummary?.netCostValue || 0).toFixed(2)}</p>
-          </div>
-        </div>
+    const categories=Object.values(lines.reduce((acc,line)=> {
+      const row=acc[line.category] || {category: line.category,count: 0,net: 0,vat: 0,gross: 0};
+      acc[line.category]={
+        ...row,
+        count: row.count + 1,
+        net: row.net + line.net,
+        vat: row.vat + line.vat,
+        gross: row.gross + line.gross
+      };
+      return acc;
+    },{})).sort((a,b)=> b.gross - a.gross);
 
-        <h3>VAT-Included Purchase Details</h3>
-        <table>
-          <thead>
-            <tr>
-              <th>Item Name</th>
-              <th>Category</th>
-              <th>Qty</th>
-              <th>Unit Price (VAT Inc.)</th>
-              <th>Purchase Cost</th>
-              <th>VAT Reclaim</th>
-              <th>Net Cost</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${vatIncludedItems.map(item=> {
-              const vatPercentage = item.vatPercentage || exportSettings.vatRate;
-              const itemCost = item.quantity * item.unitPrice;
-              const itemVatReclaim = itemCost * (vatPercentage / (100 + vatPercentage));
-              const itemNetCost = itemCost - itemVatReclaim;
-              
-              return `
-              <tr>
-                <td>${item.name}</td>
-                <td>${item.category || 'Uncategorized'}</td>
-                <td class="number">${item.quantity}</td>
-                <td class="number">£${item.unitPrice.toFixed(2)}</td>
-                <td class="number">£${itemCost.toFixed(2)}</td>
-                <td class="number" style="color: #10b981; font-weight: bold;">£${itemVatReclaim.toFixed(2)}</td>
-                <td class="number">£${itemNetCost.toFixed(2)}</td>
-              </tr>
-              `;
-            }).join('')}
-          </tbody>
-        </table>
-
-        <div class="footer">
-          <p><strong>Important:</strong> This report only includes VAT-inclusive purchases. Items without VAT are excluded from calculations.</p>
-          <p><strong>VAT reclaims are only available to VAT-registered businesses.</strong> Keep all purchase receipts showing VAT separately for HMRC compliance.</p>
-          <p>Generated by Trackio Purchase Tracker. For questions: ${user?.email || 'N/A'}</p>
-        </div>
-      </body>
-      </html>
-    `;
-
-    // Create and download HTML file
-    const blob=new Blob([htmlContent],{type: 'text/html;charset=utf-8'});
-    const link=document.createElement('a');
-    const url=URL.createObjectURL(blob);
-    link.setAttribute('href',url);
-    
-    const dateStr=new Date().toISOString().split('T')[0];
-    const businessName=(user?.businessName || 'Business').replace(/[^a-zA-Z0-9]/g,'_');
-    const fileName=`${businessName}_VAT_Reclaim_Report_${dateStr}.html`;
-    
-    link.setAttribute('download',fileName);
-    link.style.visibility='hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
+    // One at a time, so a long period doesn't hold every image at once
+    const receipts=[];
+    for (const [receiptId,ref] of receiptRefs) {
+      const record=receiptsById[receiptId];
+      let thumbnail=null;
+      let missingReason='';
+      if (!record) {
+        missingReason='The receipt record could not be loaded';
+      } else if (record.mime_type && !record.mime_type.startsWith('image/')) {
+        missingReason=`The original is not an image (${record.mime_type})`;
+      } else {
+        try {
+          thumbnail=await receiptThumbnail(await receiptStorage.getReceiptUrl(record.storage_path));
+        } catch (error) {
+          console.error(`Error adding receipt ${ref} to the VAT report:`,error);
+          missingReason=error.message;
+        }
+      }
+      receipts.push({
+        ref,
+        merchant: record?.merchant_name,
+        fileName: record?.file_name,
+        date: record?.transaction_date,
+        total: record?.total_amount,
+        purchases: lines.filter(line=> line.receiptRef === ref).map(line=> line.name),
+        thumbnail,
+        missingReason
+      });
+    }
+
+    const doc=buildVatReportPdf({
+      businessName: user?.businessName,
+      period: periodDescription,
+      scheme: describeVatScheme(filed?.settings || vatSettings),
+      boxes: filed ? filed.boxes : computed.boxes,
+      boxesSource: filed
+        ? `Boxes as submitted to HMRC${filed.submittedAt ? ` on ${new Date(filed.submittedAt).toLocaleDateString('en-GB')}` : ''}`
+        : 'Boxes worked out from your records; not a submitted return',
+      categories,
+      lines,
+      receipts
+    });
+
+    const fileName=exportFileName(user?.businessName,'VAT_Report','pdf');
+    doc.save(fileName);
+
+    return {
+      fileName,
+      totals: {
+        recordCount: lines.length,
+        totalValue: lines.reduce((sum,line)=> sum + line.gross,0),
+        vatReclaim: (filed ? filed.boxes : computed.boxes).vatReclaimedCurrPeriod
+      }
+    };
+  };
+
+  // A bill or bank import for the chosen accounting package. Every
+  // purchase in the period goes in, with VAT or without.
+  const generateAccountingExport=()=> {
+    const accountingPackage=findAccountingPackage(exportSettings.accountingPackage);
+    const fileName=exportFileName(user?.businessName,`${accountingPackage.label.replace(/\s+/g,'_')}_Import`,'csv');
+    downloadCsv(buildAccountingExport(accountingPackage.id,filterItemsByDateRange(purchaseData),exportProfile,vatSettings),fileName);
     return fileName;
   };
 
+  // Categories to map for an accounting export: the user's own, and any
+  // others on purchases in the period
+  const getExportCategories=()=> {
+    const used=filterItemsByDateRange(purchaseData).map(item=> item.category || UNCATEGORIZED);
+    return [...new Set([...categoryNames,...used])];
+  };
+
   const handleExport=async ()=> {
     if (!purchaseData.length) {
       setError('No purchase data to export');
@@ -544,8 +599,17 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     //Check if there are any VAT-included items
     const filteredItems = filterItemsByDateRange(purchaseData);
     const vatIncludedItems = filteredItems.filter(item => item.vatIncluded === true);
+    const isAccountingExport = exportSettings.format === 'accounting';
+    // The PDF report and accounting imports cover every purchase, not only
+    // VAT-included ones
+    const coversAllPurchases = isAccountingExport || exportSettings.format === 'pdf';
+
+    if (coversAllPurchases && filteredItems.length === 0) {
+      setError('No purchases found in this period.');
+      return;
+    }
     
-    if (vatIncludedItems.length === 0) {
+    if (!coversAllPurchases && vatIncludedItems.length === 0) {
       setError('No VAT-included items found. Only items with "VAT Included" = Yes can be processed for VAT reclaims.');
       return;
     }
@@ -555,6 +619,11 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       setError('');
       
       let fileName='';
+      let totals={
+        recordCount: vatSummary.totalItems,
+        totalValue: vatSummary.totalPurchaseCost,
+        vatReclaim: vatSummary.vatReclaim
+      };
       
       switch (exportSettings.format) {
         case 'excel':
@@ -564,7 +633,15 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
           fileName=generateCSVReport();
           break;
         case 'pdf':
-          fileName=generatePDFReport();
+          ({fileName,totals}=await generatePDFReport());
+          break;
+        case 'accounting':
+          fileName=generateAccountingExport();
+          totals={
+            recordCount: filteredItems.length,
+            totalValue: filteredItems.reduce((sum,item)=> sum + item.quantity * item.unitPrice,0),
+            vatReclaim: vatSummary.vatReclaim
+          };
           break;
         default:
           throw new Error('Invalid export format');
@@ -574,16 +651,16 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
       const exportInfo = {
         format: exportSettings.format,
         fileName,
-        recordCount: vatSummary.totalItems,
-        totalValue: vatSummary.totalPurchaseCost,
-        vatReclaim: vatSummary.vatReclaim,
-        dateRange: exportSettings.dateRange === 'all' ? 'All Time' : `${exportSettings.startDate} to ${exportSettings.endDate}`,
+        ...totals,
+        dateRange: describeExportPeriod(),
         settings: exportSettings
       };
       
       // Success message and close modal
       setTimeout(()=> {
-        const message = `VAT reclaim report exported successfully as ${fileName}!\n\nVAT-Included Items: ${vatSummary.totalItems}\nExcluded Items: ${vatSummary.excludedItems || 0}\nVAT Reclaim available: £${vatSummary.vatReclaim.toFixed(2)}\n\nThis file shows VAT you can claim back from HMRC through quarterly VAT returns.`;
+        const message = coversAllPurchases
+          ? `${isAccountingExport ? `${findAccountingPackage(exportSettings.accountingPackage).label} import file` : 'VAT report'} exported successfully as ${fileName}!\n\nPurchases: ${totals.recordCount}`
+          : `VAT reclaim report exported successfully as ${fileName}!\n\nVAT-Included Items: ${vatSummary.totalItems}\nExcluded Items: ${vatSummary.excludedItems || 0}\nVAT Reclaim available: £${vatSummary.vatReclaim.toFixed(2)}\n\nThis file shows VAT you can claim back from HMRC through quarterly VAT returns.`;
         
         alert(message);
         
@@ -614,6 +691,12 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     let startDate,endDate;
 
     switch (range) {
+      case 'vat-period': {
+        // The latest period to have ended is the one a return is due for
+        const period=lastCompletedVatPeriod(vatSettings);
+        setExportSettings(prev=> ({...prev,startDate: period.start,endDate: period.end}));
+        return;
+      }
       case 'current-year':
         startDate=new Date(now.getFullYear(),0,1);
         endDate=now;
@@ -645,7 +728,7 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
     if (purchaseData.length > 0) {
       calculateVatSummary(purchaseData);
     }
-  },[exportSettings,purchaseData]);
+  },[exportSettings,purchaseData,vatSettings]);
 
   if (!isOpen) return null;
 
@@ -685,7 +768,7 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
               {/* Export Format Selection */}
               <div>
                 <h4 className="text-white font-medium mb-3">Export Format</h4>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
                   {[
                     {
                       value: 'excel',
@@ -703,7 +786,13 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
                     {
                       value: 'pdf',
                       label: 'PDF Report',
-                      description: 'Formatted HTML report (save as PDF from browser)',
+                      description: 'VAT boxes, every purchase and receipt images, for HMRC enquiries',
+                      icon: RiFileTextLine
+                    },
+                    {
+                      value: 'accounting',
+                      label: 'Accounting Package',
+                      description: 'Import file for Xero, QuickBooks, Sage 50 or FreeAgent',
                       icon: RiFileTextLine
                     }
                   ].map(format=> (
@@ -729,12 +818,27 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
                 </div>
               </div>
 
+              {/* Accounting Package Mappings */}
+              {exportSettings.format === 'accounting' && (
+                <div>
+                  <h4 className="text-white font-medium mb-3">Accounting Package</h4>
+                  <AccountingExportPanel
+                    packageId={exportSettings.accountingPackage}
+                    onPackageChange={(packageId)=> setExportSettings(prev=> ({...prev,accountingPackage: packageId}))}
+                    profile={exportProfile}
+                    onProfileChange={saveExportProfile}
+                    categories={getExportCategories()}
+                  />
+                </div>
+              )}
+
               {/* Date Range Selection */}
               <div>
                 <h4 className="text-white font-medium mb-3">Reporting Period</h4>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
                   {[
                     {value: 'all',label: 'All Time'},
+                    {value: 'vat-period',label: 'VAT Period'},
                     {value: 'current-year',label: 'Current Tax Year'},
                     {value: 'last-year',label: 'Last Tax Year'},
                     {value: 'custom',label: 'Custom Range'}
@@ -753,6 +857,31 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
                   ))}
                 </div>
 
+                {exportSettings.dateRange === 'vat-period' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">
+                      VAT Period
+                    </label>
+                    <select
+                      value={`${exportSettings.startDate}|${exportSettings.endDate}`}
+                      onChange={(e)=> {
+                        const [startDate,endDate]=e.target.value.split('|');
+                        setExportSettings(prev=> ({...prev,startDate,endDate}));
+                      }}
+                      className="w-full rounded-md border-gray-600 bg-gray-700 text-white text-sm p-2"
+                    >
+                      {vatPeriods.map(period=> (
+                        <option key={period.start} value={`${period.start}|${period.end}`}>
+                          {periodLabel(period)}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-400">
+                      Periods follow the VAT stagger in Settings.
+                    </p>
+                  </div>
+                )}
+
                 {exportSettings.dateRange === 'custom' && (
                   <div className="grid grid-cols-2 gap-4">
                     <div>
@@ -796,11 +925,20 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
                       />
                       Include zero-value items
                     </label>
+                    <label className="flex items-center text-sm text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={exportSettings.includeReceiptRefs}
+                        onChange={(e)=> setExportSettings(prev=> ({...prev,includeReceiptRefs: e.target.checked}))}
+                        className="mr-2 rounded border-gray-600 bg-gray-700 text-primary-600"
+                      />
+                      Include receipt references for each line
+                    </label>
                   </div>
                   <div className="space-y-3">
                     <div>
                       <label className="block text-sm font-medium text-gray-300 mb-1">
-                        VAT Rate (%)
+                        Default VAT Rate (%)
                       </label>
                       <select
                         value={exportSettings.vatRate}
@@ -830,7 +968,9 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
                     <div className="text-sm text-yellow-300">
                       <p>• Processing: <strong>{vatSummary.totalItems}</strong> VAT-included purchases</p>
                       <p>• Excluding: <strong>{vatSummary.excludedItems || 0}</strong> purchases without VAT</p>
+                      <p>• Receipt evidence: <strong>{vatSummary.itemsWithReceipt}</strong> of {vatSummary.totalItems} purchases have a saved receipt</p>
                       <p>• Only purchases marked as "VAT Included" are eligible for VAT reclaims</p>
+                      <p>• {describeSchemeEffect()}</p>
                     </div>
                   </div>
                   
@@ -848,8 +988,20 @@ export default function TaxExportModal({isOpen,onClose,onExportComplete}) {
                       Annual: {formatCurrency(vatSummary.annualBenefit)}
                     </div>
                     <div className="text-xs text-green-300">
-                      Calculated from VAT-inclusive prices using: VAT = (Price x {exportSettings.vatRate}%) / {100 + exportSettings.vatRate}%
+                      Calculated from VAT-inclusive prices using: VAT = (Price x Rate) / (100 + Rate), at each item's own rate
                     </div>
+                    {Object.keys(vatSummary.rateBreakdown).length > 1 && (
+                      <div className="mt-2 space-y-1 text-xs text-green-300">
+                        {Object.entries(vatSummary.rateBreakdown)
+                          .sort(([a],[b])=> b - a)
+                          .map(([rate,data])=> (
+                            <div key={rate} className="flex justify-between">
+                              <span>{rate}% on {formatCurrency(data.totalCost)} ({data.items} items)</span>
+                              <span>{formatCurrency(data.vatReclaim)}</span>
+                            </div>
+                          ))}
+                      </div>
+                    )}
                   </div>
                   
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
@@ -0,0 +1,87 @@
+import useVatSettings from '../hooks/useVatSettings';
+import { isCashAccounting, isFlatRate, CAPITAL_ITEM_THRESHOLD } from '../utils/vatSchemes';
+
+const fieldClass = 'mt-1 block w-full rounded-md border-gray-700 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm px-3 py-2 disabled:opacity-50';
+const checkboxClass = 'h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-700 bg-gray-700 rounded disabled:opacity-50';
+
+/**
+ * The purchase form inputs the user's VAT scheme needs: when the bill was
+ * paid under cash accounting, and whether it is a capital asset under the
+ * Flat Rate Scheme. Renders nothing on standard accounting. Calls onChange
+ * with the fields that changed.
+ */
+export default function VatSchemeFields({ unpaid, paidDate, capitalAsset, dateAdded, onChange, disabled = false }) {
+  const { settings } = useVatSettings();
+
+  if (isCashAccounting(settings)) {
+    return (
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div className="flex items-center sm:mt-6">
+          <input
+            id="unpaid"
+            name="unpaid"
+            type="checkbox"
+            disabled={disabled}
+            className={checkboxClass}
+            checked={unpaid}
+            onChange={(e) => onChange({ unpaid: e.target.checked })}
+          />
+          <label htmlFor="unpaid" className="ml-2 block text-sm text-white">
+            Not paid yet
+          </label>
+        </div>
+
+        {!unpaid && (
+          <div>
+            <label htmlFor="paidDate" className="block text-sm font-medium text-white">
+              Date Paid
+            </label>
+            <input
+              type="date"
+              name="paidDate"
+              id="paidDate"
+              disabled={disabled}
+              className={fieldClass}
+              value={paidDate}
+              min={dateAdded || undefined}
+              onChange={(e) => onChange({ paidDate: e.target.value })}
+            />
+          </div>
+        )}
+
+        <p className="sm:col-span-2 text-xs text-gray-400">
+          {unpaid
+            ? 'On cash accounting the VAT is reclaimed in the return for the period you pay it.'
+            : 'Leave blank if it was paid on the purchase date.'}
+        </p>
+      </div>
+    );
+  }
+
+  if (isFlatRate(settings)) {
+    return (
+      <div>
+        <div className="flex items-center">
+          <input
+            id="capitalAsset"
+            name="capitalAsset"
+            type="checkbox"
+            disabled={disabled}
+            className={checkboxClass}
+            checked={capitalAsset}
+            onChange={(e) => onChange({ capitalAsset: e.target.checked })}
+          />
+          <label htmlFor="capitalAsset" className="ml-2 block text-sm text-white">
+            Capital asset
+          </label>
+        </div>
+        <p className="mt-1 text-xs text-gray-400">
+          On the Flat Rate Scheme only capital assets costing £{CAPITAL_ITEM_THRESHOLD.toLocaleString()} or more,
+          including VAT, reclaim their VAT.
+        </p>
+      </div>
+    );
+  }
+
+  return null;
+}
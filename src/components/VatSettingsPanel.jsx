@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { RiSaveLine } from 'react-icons/ri';
+import useVatSettings from '../hooks/useVatSettings';
+import {
+  VAT_FREQUENCIES,
+  QUARTERLY_STAGGERS,
+  MONTH_NAMES,
+  recentVatPeriods,
+  periodLabel
+} from '../utils/vatPeriods';
+import {
+  VAT_SCHEMES,
+  FLAT_RATE_SECTORS,
+  LIMITED_COST_TRADER_RATE,
+  CAPITAL_ITEM_THRESHOLD
+} from '../utils/vatSchemes';
+
+const inputClass = 'block w-full rounded-md border-gray-600 bg-gray-700 text-white shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm';
+
+/**
+ * Settings tab for the user's VAT periods: how often they file and, for
+ * quarterly returns, the stagger on their VAT registration certificate.
+ * VAT returns and tax exports offer periods from this calendar, and work
+ * their figures out under the accounting scheme chosen here.
+ */
+export default function VatSettingsPanel() {
+  const { settings, saveSettings } = useVatSettings();
+  const [form, setForm] = useState(settings);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(settings);
+  }, [settings]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError('');
+      await saveSettings(form);
+      setMessage('VAT settings saved');
+      setTimeout(() => setMessage(''), 4000);
+    } catch (err) {
+      console.error('Error saving VAT settings:', err);
+      setError('Failed to save VAT settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const preview = recentVatPeriods(form, 4);
+  const scheme = VAT_SCHEMES.find(option => option.value === form.scheme);
+
+  return (
+    <div className="space-y-6">
+      {message && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="rounded-md bg-green-900/50 p-4 text-sm text-green-200"
+        >
+          {message}
+        </motion.div>
+      )}
+
+      {error && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="rounded-md bg-red-900/50 p-4 text-sm text-red-200"
+        >
+          {error}
+        </motion.div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6">
+        <h3 className="text-lg font-medium leading-6 text-white">VAT Periods</h3>
+        <p className="mt-1 text-sm text-gray-400 mb-6">
+          Match these to your VAT registration so returns and exports cover your real VAT periods.
+          Returns already submitted keep the periods they were filed for.
+        </p>
+
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div>
+            <label htmlFor="vat-frequency" className="block text-sm font-medium text-gray-300 mb-1">
+              Return frequency
+            </label>
+            <select id="vat-frequency" name="frequency" value={form.frequency} onChange={handleChange} className={inputClass}>
+              {VAT_FREQUENCIES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {form.frequency === 'quarterly' && (
+            <div>
+              <label htmlFor="vat-stagger" className="block text-sm font-medium text-gray-300 mb-1">
+                Stagger
+              </label>
+              <select id="vat-stagger" name="stagger" value={form.stagger} onChange={handleChange} className={inputClass}>
+                {QUARTERLY_STAGGERS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {form.frequency === 'annual' && (
+            <div>
+              <label htmlFor="vat-year-end" className="block text-sm font-medium text-gray-300 mb-1">
+                VAT year ends in
+              </label>
+              <select id="vat-year-end" name="yearEndMonth" value={form.yearEndMonth} onChange={handleChange} className={inputClass}>
+                {MONTH_NAMES.map((month, index) => (
+                  <option key={month} value={index + 1}>{month}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        <div className="mt-6">
+          <h4 className="text-sm font-medium text-gray-300 mb-2">Your latest periods</h4>
+          <ul className="space-y-1 text-sm text-gray-400">
+            {preview.map((period, index) => (
+              <li key={period.start}>
+                {periodLabel(period)}
+                {index === 0 && <span className="ml-2 text-xs text-primary-400">current</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="mt-8 border-t border-gray-700 pt-6">
+          <h3 className="text-lg font-medium leading-6 text-white">VAT Scheme</h3>
+          <p className="mt-1 text-sm text-gray-400 mb-6">
+            Changing scheme changes how returns, the dashboard and exports work out VAT from now on.
+            Submitted returns keep their filed figures.
+          </p>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="vat-scheme" className="block text-sm font-medium text-gray-300 mb-1">
+                Accounting scheme
+              </label>
+              <select id="vat-scheme" name="scheme" value={form.scheme} onChange={handleChange} className={inputClass}>
+                {VAT_SCHEMES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              {scheme && <p className="mt-1 text-xs text-gray-500">{scheme.description}</p>}
+            </div>
+
+            {form.scheme === 'flat-rate' && (
+              <div>
+                <label htmlFor="vat-flat-rate-sector" className="block text-sm font-medium text-gray-300 mb-1">
+                  Business sector
+                </label>
+                <select
+                  id="vat-flat-rate-sector"
+                  name="flatRateSector"
+                  value={form.flatRateSector}
+                  onChange={handleChange}
+                  className={inputClass}
+                >
+                  {FLAT_RATE_SECTORS.map(option => (
+                    <option key={option.sector} value={option.sector}>{option.sector} ({option.rate}%)</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {form.scheme === 'flat-rate' && (
+            <p className="mt-4 text-sm text-gray-400">
+              In a period where goods cost less than 2% of your VAT-inclusive turnover, or less than £1,000 a year,
+              you are a limited cost trader and VAT is worked out at {LIMITED_COST_TRADER_RATE}% instead. Tick
+              &ldquo;Capital asset&rdquo; on purchases of equipment costing £{CAPITAL_ITEM_THRESHOLD.toLocaleString()} or
+              more, including VAT, to reclaim their VAT.
+            </p>
+          )}
+          {form.scheme === 'cash' && (
+            <p className="mt-4 text-sm text-gray-400">
+              Record the date you paid a bill, or were paid for a sale, when it differs from the invoice date.
+              Anything still unpaid is left out of returns until it is paid.
+            </p>
+          )}
+        </div>
+
+        <div className="pt-5 flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center justify-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+          >
+            <RiSaveLine className="mr-2 h-4 w-4" />
+            Save VAT Settings
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { getPurchaseCategories, getCategoryRules } from '../services/db';
+import { applyCategoryRules, findMatchingRule } from '../utils/categoryRules';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * The signed-in user's purchase categories and categorisation rules.
+ * categoryNames lists the active categories for pickers; categorise()
+ * runs the rules over a purchase.
+ */
+export const useCategories = () => {
+  const { user } = useAuth();
+  const [categories, setCategories] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadCategories = useCallback(async () => {
+    if (!user?.email) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setError(null);
+      const [loadedCategories, loadedRules] = await Promise.all([
+        getPurchaseCategories(user.email),
+        getCategoryRules(user.email)
+      ]);
+      setCategories(loadedCategories);
+      setRules(loadedRules);
+    } catch (err) {
+      console.error('Error loading categories:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.email]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  const categoryNames = useMemo(() => (
+    categories.filter(category => !category.archived).map(category => category.name)
+  ), [categories]);
+
+  const categorise = useCallback((item, options) => (
+    applyCategoryRules(item, rules, categories, options)
+  ), [rules, categories]);
+
+  const matchRule = useCallback((item) => (
+    findMatchingRule(item, rules, categories)
+  ), [rules, categories]);
+
+  return {
+    categories,
+    categoryNames,
+    rules,
+    loading,
+    error,
+    categorise,
+    matchRule,
+    reload: loadCategories
+  };
+};
+
+export default useCategories;
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getExchangeRates } from '../services/exchangeRates';
+import { findExchangeRate } from '../utils/currency';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * The signed-in user's exchange rate table. rateFor() looks up the rate
+ * for a currency on a date, or null when the table has none.
+ */
+export const useExchangeRates = () => {
+  const { user } = useAuth();
+  const [rates, setRates] = useState([]);
+
+  const loadRates = useCallback(() => {
+    setRates(getExchangeRates(user?.email));
+  }, [user?.email]);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  const rateFor = useCallback((currency, date) => (
+    findExchangeRate(rates, currency, date)
+  ), [rates]);
+
+  return {
+    rates,
+    rateFor,
+    reload: loadRates
+  };
+};
+
+export default useExchangeRates;
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getExportProfile, saveExportProfile } from '../services/db';
+import { normaliseExportProfile } from '../utils/accountingExports';
+import { useAuth } from '../context/AuthContext';
+
+// Mappings change with every keystroke, so they are saved once typing pauses
+const SAVE_DELAY_MS = 600;
+
+/**
+ * The signed-in user's mappings for one accounting package. saveProfile()
+ * applies changed mappings straight away, stores them shortly after and
+ * returns them as saved.
+ */
+export const useExportProfile = (packageId) => {
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(() => normaliseExportProfile(packageId));
+  const pendingSave = useRef(null);
+  const currentPackage = useRef(packageId);
+  currentPackage.current = packageId;
+
+  const loadProfile = useCallback(async () => {
+    if (!user?.email) return;
+
+    try {
+      const loaded = await getExportProfile(packageId, user.email);
+      // Ignore a slow load for a package the user has moved away from
+      if (currentPackage.current === packageId) setProfile(loaded);
+    } catch (err) {
+      console.error('Error loading export profile:', err);
+    }
+  }, [packageId, user?.email]);
+
+  useEffect(() => {
+    setProfile(normaliseExportProfile(packageId));
+    loadProfile();
+  }, [loadProfile]);
+
+  // Save anything still waiting before switching package or closing
+  useEffect(() => () => {
+    const pending = pendingSave.current;
+    if (pending) {
+      clearTimeout(pending.timer);
+      pendingSave.current = null;
+      pending.save();
+    }
+  }, [packageId, user?.email]);
+
+  const saveProfile = useCallback((changes) => {
+    const next = normaliseExportProfile(packageId, changes);
+    setProfile(next);
+
+    const save = () => saveExportProfile(packageId, next, user.email).catch(err => {
+      console.error('Error saving export profile:', err);
+    });
+    clearTimeout(pendingSave.current?.timer);
+    pendingSave.current = {
+      save,
+      timer: setTimeout(() => {
+        pendingSave.current = null;
+        save();
+      }, SAVE_DELAY_MS)
+    };
+    return next;
+  }, [packageId, user?.email]);
+
+  return {
+    profile,
+    saveProfile,
+    reload: loadProfile
+  };
+};
+
+export default useExportProfile;
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { getUserPlanLimits, checkPlanLimit } from '../services/subscriptionService';
+import { SUBSCRIPTION_PLANS } from '../lib/stripe';
 
 /**
  * Hook for managing feature access and subscription limits
@@ -110,6 +111,7 @@ export const useFeatureAccess = () => {
         receiptScans: 3, // Updated from 1 to 3
         excelImports: 1,
         taxExports: 1, // Updated from false to 1
+        attachmentStorage: SUBSCRIPTION_PLANS.free.limits.attachmentStorage,
         features: ['purchaseTracking', 'taxExports']
       };
       
@@ -287,6 +289,7 @@ export const useFeatureAccess = () => {
         return true; // Unlimited for professional
 
       case 'unlimitedPurchases':
+      case 'vatReturns':
         return currentPlan === 'professional';
 
       default:
@@ -384,6 +387,33 @@ export const useFeatureAccess = () => {
     };
   }, [getCurrentPlan, usage.taxExports, planLimits]);
 
+  // Check whether a file fits in the plan's attachment storage. Storage
+  // used is passed in, as it is only known where attachments are listed.
+  const canStoreAttachment = useCallback((fileSize, usedBytes) => {
+    const plan = SUBSCRIPTION_PLANS[getCurrentPlan()] || SUBSCRIPTION_PLANS.free;
+    // Limits cached before attachments existed don't have this one
+    const limit = planLimits?.attachmentStorage ?? plan.limits.attachmentStorage;
+
+    if (limit === -1) {
+      return { allowed: true, limit: -1, remaining: Infinity };
+    }
+
+    const remaining = Math.max(0, limit - usedBytes);
+    const allowed = fileSize <= remaining;
+
+    return {
+      allowed,
+      limit,
+      used: usedBytes,
+      remaining,
+      reason: allowed
+        ? null
+        : plan.id === 'professional'
+          ? 'This file would take you over your attachment storage. Delete some attachments to make room.'
+          : 'This file would take you over your attachment storage. Delete some attachments or upgrade to Professional for more space.'
+    };
+  }, [getCurrentPlan, planLimits]);
+
   // Increment usage counter
   const incrementUsage = useCallback((type) => {
     setUsage(prev => ({
@@ -507,6 +537,7 @@ export const useFeatureAccess = () => {
     canScanReceipt,
     canImportExcel,
     canExportTax,
+    canStoreAttachment,
     incrementUsage,
     refresh
   };
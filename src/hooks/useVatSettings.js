@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getVatSettings, saveVatSettings } from '../services/db';
+import { DEFAULT_VAT_SETTINGS } from '../utils/vatPeriods';
+import { DEFAULT_VAT_SCHEME } from '../utils/vatSchemes';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * The signed-in user's VAT setup: periods and scheme. Defaults until the
+ * saved settings have loaded. saveSettings() stores new settings and
+ * resolves with them as saved.
+ */
+export const useVatSettings = () => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState({ ...DEFAULT_VAT_SETTINGS, ...DEFAULT_VAT_SCHEME });
+  const [loading, setLoading] = useState(true);
+
+  const loadSettings = useCallback(async () => {
+    if (!user?.email) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setSettings(await getVatSettings(user.email));
+    } catch (err) {
+      console.error('Error loading VAT settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.email]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const saveSettings = useCallback(async (changes) => {
+    const saved = await saveVatSettings(changes, user.email);
+    setSettings(saved);
+    return saved;
+  }, [user?.email]);
+
+  return {
+    settings,
+    loading,
+    saveSettings,
+    reload: loadSettings
+  };
+};
+
+export default useVatSettings;
@@ -108,13 +108,15 @@ export const SUBSCRIPTION_PLANS = {
       '10 purchase entries',
       '3 receipt scans per month',
       '1 Excel import per month',
-      '1 VAT tax export per month'
+      '1 VAT tax export per month',
+      '25MB of purchase attachments'
     ],
     limits: {
       purchaseEntries: 10,
       receiptScans: 3,
       excelImports: 1,
       taxExports: 1,
+      attachmentStorage: 25 * 1024 * 1024, // bytes
       teamMembers: 1,
       features: ['receipt_scanner_limited', 'excel_importer_limited', 'tax_export_limited']
     }
@@ -129,18 +131,22 @@ export const SUBSCRIPTION_PLANS = {
       'Unlimited purchase entries',
       'Unlimited receipt scans',
       'Unlimited Excel imports',
-      'Unlimited VAT tax exports'
+      'Unlimited VAT tax exports',
+      'VAT returns for each period',
+      '2GB of purchase attachments'
     ],
     limits: {
       purchaseEntries: -1, // unlimited
       receiptScans: -1, // unlimited
       excelImports: -1, // unlimited
       taxExports: -1, // unlimited
+      attachmentStorage: 2 * 1024 * 1024 * 1024, // bytes
       teamMembers: 1,
       features: [
         'receipt_scanner',
         'excel_importer',
         'tax_exports',
+        'vat_returns',
         'unlimited_purchases'
       ]
     },
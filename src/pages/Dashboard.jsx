@@ -18,7 +18,11 @@ import {
   RiEqualizerLine
 } from 'react-icons/ri';
 import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
-import { getInventoryItems } from '../services/db';
+import { getInventoryItems, getProducts, getStockMovements, getVatSettings } from '../services/db';
+import { valueClosingStock } from '../utils/stockValuation';
+import { formatMoney, isForeignCurrency, ukVatPercentage } from '../utils/currency';
+import { purchaseTaxDate, reclaimableBreakdown } from '../utils/vatReturn';
+import { describeVatScheme } from '../utils/vatSchemes';
 import { useAuth } from '../context/AuthContext';
 import useFeatureAccess from '../hooks/useFeatureAccess';
 import { Link } from 'react-router-dom';
@@ -112,17 +116,25 @@ export default function Dashboard() {
         loadingTimeoutRef.current = null;
       }
 
+      // Closing stock at today's date, valued FIFO from what was actually bought
+      let closingStock = { rows: [], totalValue: 0 };
+      try {
+        const [products, movements] = await Promise.all([
+          getProducts(userEmail),
+          getStockMovements(userEmail)
+        ]);
+        closingStock = valueClosingStock(products, movements, { method: 'fifo' });
+      } catch (stockError) {
+        console.error('Error valuing stock:', stockError);
+      }
+
       const totalItems = items.length;
-      const totalValue = items.reduce((sum, item) => sum + (item.quantity || 0) * (item.unitPrice || 0), 0);
       
-      // Simplified VAT calculation
-      const totalVAT = items.reduce((sum, item) => {
-        if (item.vatPercentage > 0) {
-          const itemTotal = (item.quantity || 0) * (item.unitPrice || 0);
-          return sum + (itemTotal * item.vatPercentage) / 100;
-        }
-        return sum;
-      }, 0);
+      // Input VAT the user's scheme lets them reclaim: none on unpaid bills
+      // under cash accounting, and only capital assets on the flat rate
+      const vatSettings = await getVatSettings(userEmail);
+      const vatItems = items.filter(item => ukVatPercentage(item) > 0 && purchaseTaxDate(item, vatSettings));
+      const totalVAT = vatItems.reduce((sum, item) => sum + reclaimableBreakdown(item, vatSettings).vat, 0);
 
       // Get recent purchases (last 5)
       const recent = items
@@ -168,9 +180,9 @@ export default function Dashboard() {
           color: 'lightBlue'
         },
         {
-          name: 'Total Value',
-          value: `£${totalValue.toFixed(2)}`,
-          change: `${totalItems} items tracked`,
+          name: 'Stock Value',
+          value: `£${closingStock.totalValue.toFixed(2)}`,
+          change: `${closingStock.rows.length} products in stock`,
           changeType: 'neutral',
           icon: RiMoneyPoundCircleLine,
           color: 'emerald'
@@ -178,7 +190,7 @@ export default function Dashboard() {
         {
           name: 'VAT Tracked',
           value: `£${totalVAT.toFixed(2)}`,
-          change: `${items.filter(item => item.vatPercentage > 0).length} VAT items`,
+          change: `${vatItems.length} VAT items · ${describeVatScheme(vatSettings)}`,
           changeType: 'neutral',
           icon: RiPercentLine,
           color: 'blue'
@@ -480,7 +492,9 @@ export default function Dashboard() {
                         <p className="text-white font-semibold">
                           {formatCurrency((item.quantity || 0) * (item.unitPrice || 0))}
                         </p>
-                        {item.vatPercentage > 0 && (
+                        {isForeignCurrency(item) ? (
+                          <p className="text-gray-500 text-xs">{formatMoney((item.quantity || 0) * (item.originalUnitPrice || 0), item.currency)}</p>
+                        ) : item.vatPercentage > 0 && (
                           <p className="text-gray-500 text-xs">+{item.vatPercentage}% VAT</p>
                         )}
                       </div>
@@ -4,7 +4,7 @@ import { RiFileExcelLine, RiDownloadLine, RiUploadLine, RiCheckLine, RiAlertLine
 import ExcelImporterModal from '../components/ExcelImporterModal';
 import FeatureGate from '../components/FeatureGate';
 import UsageLimitGate from '../components/UsageLimitGate';
-import { addInventoryItem } from '../services/db';
+import { addInventoryItem, mergePurchaseItem } from '../services/db';
 import { useAuth } from '../context/AuthContext';
 import useFeatureAccess from '../hooks/useFeatureAccess';
 import { Link } from 'react-router-dom';
@@ -86,8 +86,10 @@ export default function ExcelImporter() {
     }
   };
 
-  const handleImportedItems = async (importedItems, fileName) => {
-    if (!user?.email || !importedItems.length) return;
+  // mergedItems are rows the user chose to merge into purchases they
+  // already had: [{ existing, item }]
+  const handleImportedItems = async (importedItems, fileName, mergedItems = []) => {
+    if (!user?.email || (!importedItems.length && !mergedItems.length)) return;
 
     // Check if user can use Excel import feature
     const usageCheck = canImportExcel();
@@ -100,9 +102,21 @@ export default function ExcelImporter() {
       setError(null);
       setIsLoading(true);
       let addedCount = 0;
+      let mergedCount = 0;
       let failedCount = 0;
       let itemsToAdd = [...importedItems];
 
+      // Merges update existing purchases, so they don't count towards plan limits
+      for (const { existing, item } of mergedItems) {
+        try {
+          await mergePurchaseItem(existing, item, user.email);
+          mergedCount++;
+        } catch (itemError) {
+          console.error('Error merging imported item:', itemError);
+          failedCount++;
+        }
+      }
+
       // Check inventory limits
       const currentInventoryCount = await getCurrentInventoryCount();
       for (let i = 0; i < itemsToAdd.length; i++) {
@@ -124,12 +138,14 @@ export default function ExcelImporter() {
       }
 
       // Save to import history and increment usage
-      saveImportToHistory(importedItems, fileName, addedCount > 0 ? 'success' : 'failed');
+      const savedItems = [...importedItems, ...mergedItems.map(({ item }) => item)];
+      saveImportToHistory(savedItems, fileName, addedCount + mergedCount > 0 ? 'success' : 'failed');
       incrementUsage('excelImport');
 
-      if (addedCount > 0) {
+      if (addedCount + mergedCount > 0) {
         setSuccessMessage(
           `Successfully imported ${addedCount} items from ${fileName}!` +
+          (mergedCount > 0 ? ` ${mergedCount} duplicates merged into existing purchases.` : '') +
           (failedCount > 0 ? ` (${failedCount} items failed to import)` : '')
         );
         setTimeout(() => setSuccessMessage(''), 5000);
@@ -139,7 +155,7 @@ export default function ExcelImporter() {
     } catch (error) {
       console.error('Error processing imported items:', error);
       setError('Failed to process imported items');
-      saveImportToHistory(importedItems, fileName, 'failed');
+      saveImportToHistory([...importedItems, ...mergedItems.map(({ item }) => item)], fileName, 'failed');
     } finally {
       setIsLoading(false);
     }
@@ -1,7 +1,7 @@
 import { motion } from 'framer-motion';
-import { useState, useEffect, useCallback } from 'react';
-import { RiAddLine, RiSearchLine, RiEditLine, RiDeleteBin6Line, RiCalendarLine, RiShoppingBag3Line, RiScanLine, RiLockLine, RiArrowRightLine, RiPercentLine } from 'react-icons/ri';
-import { Link } from 'react-router-dom';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { RiAddLine, RiSearchLine, RiEditLine, RiDeleteBin6Line, RiCalendarLine, RiShoppingBag3Line, RiScanLine, RiLockLine, RiArrowRightLine, RiPercentLine, RiReceiptLine, RiFilter3Line, RiCloseLine, RiArrowUpLine, RiArrowDownLine, RiStore2Line, RiArrowGoBackLine } from 'react-icons/ri';
+import { Link, useSearchParams } from 'react-router-dom';
 
 import AddItemModal from '../components/AddItemModal';
 import EditItemModal from '../components/EditItemModal';
@@ -9,50 +9,231 @@ import DeleteItemModal from '../components/DeleteItemModal';
 import ReceiptScannerModal from '../components/ReceiptScannerModal';
 import UsageLimitGate from '../components/UsageLimitGate';
 import FeatureGate from '../components/FeatureGate';
-
-import { getInventoryItems, addInventoryItem, updateInventoryItem, deleteInventoryItem, searchInventoryItems } from '../services/db';
+import BulkActionBar from '../components/BulkActionBar';
+
+import { queryPurchaseItems, countPurchaseItems, addInventoryItem, updateInventoryItem, deleteInventoryItem, savePurchaseItems, deletePurchaseItems, restoreDeletedPurchases, discardDeletedPurchases } from '../services/db';
+import { purchaseQueryFromSearchParams, purchaseQueryToSearchParams, countActiveFilters } from '../utils/purchaseQuery';
+import { applyBulkEdit, describeBulkEdit } from '../utils/bulkEdit';
+import { exportPurchases } from '../utils/purchaseExport';
+import { formatMoney, isForeignCurrency } from '../utils/currency';
+import { VAT_PERIOD_LOCKED } from '../utils/vatReturn';
 import { useAuth } from '../context/AuthContext';
 import useFeatureAccess from '../hooks/useFeatureAccess';
+import useCategories from '../hooks/useCategories';
+
+// Sort choices for the mobile dropdown; the desktop table sorts from its
+// column headers
+const SORT_OPTIONS = [
+  { column: 'dateAdded', label: 'Date', desc: 'newest first', asc: 'oldest first' },
+  { column: 'name', label: 'Name', desc: 'Z–A', asc: 'A–Z' },
+  { column: 'category', label: 'Category', desc: 'Z–A', asc: 'A–Z' },
+  { column: 'supplier', label: 'Supplier', desc: 'Z–A', asc: 'A–Z' },
+  { column: 'quantity', label: 'Quantity', desc: 'highest first', asc: 'lowest first' },
+  { column: 'unitPrice', label: 'Unit price', desc: 'highest first', asc: 'lowest first' },
+  { column: 'totalValue', label: 'Total value', desc: 'highest first', asc: 'lowest first' },
+  { column: 'vatPercentage', label: 'VAT rate', desc: 'highest first', asc: 'lowest first' }
+];
+
+// How long the undo prompt stays up after a bulk action
+const UNDO_TIMEOUT_MS = 20000;
+
+const VAT_RATE_OPTIONS = [
+  { value: '', label: 'Any VAT rate' },
+  { value: '20', label: '20% (Standard)' },
+  { value: '5', label: '5% (Reduced)' },
+  { value: '0', label: '0% (Zero / Exempt)' }
+];
+
+// The filter fields hold whatever has been typed so far ("12." on the way
+// to "12.50"); the URL only gets the cleaned-up query
+const draftFromQuery = (query) => ({
+  search: query.search,
+  filters: Object.fromEntries(Object.entries(query.filters).map(([key, value]) => [key, String(value)]))
+});
+
+const filterInputClass = 'block w-full rounded-md border-gray-700 bg-gray-800 px-3 py-2 text-white placeholder-gray-400 focus:border-primary-500 focus:ring-primary-500 text-sm';
+
+// Column header that sorts the table by its column, flipping direction on
+// a second click
+const SortableHeader = ({ column, sort, onSort, align = 'left', className = '', children }) => {
+  const active = sort.column === column;
+  const justify = align === 'right' ? 'justify-end' : align === 'center' ? 'justify-center' : 'justify-start';
+  const SortIcon = active && sort.direction === 'asc' ? RiArrowUpLine : RiArrowDownLine;
+
+  return (
+    <th
+      scope="col"
+      aria-sort={active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+      className={`py-4 text-xs font-semibold uppercase tracking-wider ${className}`}
+    >
+      <button
+        type="button"
+        onClick={() => onSort(column)}
+        className={`flex w-full items-center ${justify} uppercase tracking-wider transition-colors ${
+          active ? 'text-white' : 'text-gray-300 hover:text-white'
+        }`}
+      >
+        {children}
+        <SortIcon className={`h-3.5 w-3.5 ml-1 ${active ? 'opacity-100' : 'opacity-0'}`} />
+      </button>
+    </th>
+  );
+};
 
 export default function Purchases() {
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => purchaseQueryFromSearchParams(searchParams), [searchParams]);
+  const queryKey = purchaseQueryToSearchParams(query).toString();
+
+  const [draft, setDraft] = useState(() => draftFromQuery(query));
+  const [showFilters, setShowFilters] = useState(() => countActiveFilters(query.filters) > 0);
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [isScannerOpen, setIsScannerOpen] = useState(false);
   const [selectedItem, setSelectedItem] = useState(null);
   const [purchaseItems, setPurchaseItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalCount, setTotalCount] = useState(0);
+  const [purchaseCount, setPurchaseCount] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [isBulkSaving, setIsBulkSaving] = useState(false);
+  const [undoAction, setUndoAction] = useState(null);
+  const undoneActionRef = useRef(null);
 
   const { user } = useAuth();
   const { canAddInventoryItem, canUseFeature, currentPlan, planInfo } = useFeatureAccess();
+  const { categoryNames } = useCategories();
+
+  const activeFilterCount = countActiveFilters(query.filters);
+  const hasQuery = Boolean(query.search) || activeFilterCount > 0;
+
+  const selectedItems = purchaseItems.filter(item => selectedIds.has(item.id));
+  const allSelected = purchaseItems.length > 0 && selectedItems.length === purchaseItems.length;
+
+  // The user's categories plus any others on the loaded purchases (archived
+  // ones), offered as filter and bulk edit suggestions
+  const categoryOptions = useMemo(() => (
+    [...new Set([...categoryNames, ...purchaseItems.map(item => item.category).filter(Boolean)])].sort()
+  ), [categoryNames, purchaseItems]);
+
+  const draftKey = purchaseQueryToSearchParams({ ...query, ...draft }).toString();
+
+  // Replace part of the query in the URL; the page reloads from there
+  const updateQuery = (changes) => {
+    setSearchParams(purchaseQueryToSearchParams({ ...query, ...draft, ...changes }), { replace: true });
+  };
+
+  const updateFilter = (key, value) => {
+    setDraft(current => ({ ...current, filters: { ...current.filters, [key]: value } }));
+  };
+
+  const clearFilters = () => {
+    const cleared = { search: '', filters: {} };
+    setDraft(cleared);
+    updateQuery(cleared);
+  };
+
+  const handleSort = (column) => {
+    const direction = query.sort.column === column && query.sort.direction === 'desc' ? 'asc' : 'desc';
+    updateQuery({ sort: { column, direction } });
+  };
+
+  const handleSortSelect = (value) => {
+    const [column, direction] = value.split(':');
+    updateQuery({ sort: { column, direction } });
+  };
 
+  // Loads the first page of the current query. The plan limit counts every
+  // purchase, not just the ones matching the filters, so that is fetched
+  // separately
   const loadPurchaseItems = useCallback(async () => {
     if (!user?.email) return;
 
     try {
       setIsLoading(true);
       setError(null);
-      console.log('===Loading purchase items for user:', user.email, '===');
-      const items = await getInventoryItems(user.email);
-      console.log('===Loaded purchase items:', items?.length, 'items===');
-      console.log('Items:', items);
-      setPurchaseItems(items || []);
+      console.log('===Loading purchase items for user:', user.email, query, '===');
+      const [page, count] = await Promise.all([
+        queryPurchaseItems(user.email, query),
+        countPurchaseItems(user.email)
+      ]);
+      console.log('===Loaded purchase items:', page.items.length, 'of', page.totalCount, '===');
+      setPurchaseItems(page.items);
+      setNextCursor(page.nextCursor);
+      setTotalCount(page.totalCount);
+      setPurchaseCount(count);
     } catch (error) {
       console.error('Error loading purchase items:', error);
       setError('Failed to load purchase items');
     } finally {
       setIsLoading(false);
     }
-  }, [user?.email]);
+  }, [user?.email, query]);
+
+  const loadMorePurchaseItems = async () => {
+    if (!user?.email || !nextCursor) return;
+
+    try {
+      setIsLoadingMore(true);
+      setError(null);
+      const page = await queryPurchaseItems(user.email, { ...query, cursor: nextCursor });
+      setPurchaseItems(prev => [...prev, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more purchase items:', error);
+      setError('Failed to load more purchases');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
 
   useEffect(() => {
     loadPurchaseItems();
   }, [loadPurchaseItems]);
 
-  const handleAddItem = async (newItem) => {
+  // Push the search box and filter fields into the URL once typing pauses
+  useEffect(() => {
+    if (draftKey === queryKey) return;
+    const debounceSearch = setTimeout(() => {
+      setSearchParams(new URLSearchParams(draftKey), { replace: true });
+    }, 300);
+    return () => clearTimeout(debounceSearch);
+  }, [draftKey, queryKey, setSearchParams]);
+
+  // A new search starts with nothing selected
+  useEffect(() => {
+    setSelectedIds(new Set());
+  }, [queryKey]);
+
+  useEffect(() => {
+    if (!undoAction) return;
+    const expireUndo = setTimeout(() => setUndoAction(null), UNDO_TIMEOUT_MS);
+    return () => {
+      clearTimeout(expireUndo);
+      // A bulk delete is final once its undo goes (expired, dismissed,
+      // replaced or the page left), so its attachment files can go too
+      if (undoAction.deleted && undoneActionRef.current !== undoAction) {
+        discardDeletedPurchases(undoAction.restore);
+      }
+    };
+  }, [undoAction]);
+
+  // Keep the fields in step when the URL changes from elsewhere, such as
+  // the back button or a shared link
+  useEffect(() => {
+    setDraft(current => (
+      purchaseQueryToSearchParams({ ...query, ...current }).toString() === queryKey
+        ? current
+        : draftFromQuery(query)
+    ));
+  }, [query, queryKey]);
+
+  const handleAddItem = async (newItem, options = {}) => {
     if (!user?.email) {
       setError('User not authenticated');
       return;
@@ -63,7 +244,7 @@ export default function Purchases() {
     console.log('New item data:', newItem);
 
     // STRICT LIMIT CHECK: Check if user can add more items
-    const limitCheck = canAddInventoryItem(purchaseItems.length);
+    const limitCheck = canAddInventoryItem(purchaseCount);
     if (!limitCheck.allowed) {
       setError(limitCheck.reason);
       return;
@@ -74,7 +255,7 @@ export default function Purchases() {
       console.log('===Calling addInventoryItem===');
 
       // Call the database function to add the item
-      const savedItem = await addInventoryItem(newItem, user.email);
+      const savedItem = await addInventoryItem(newItem, user.email, options);
       console.log('===Item saved to database:', savedItem, '===');
 
       // Reload the purchases to get the latest data from database
@@ -89,6 +270,9 @@ export default function Purchases() {
 
       console.log('===Add item process completed successfully===');
     } catch (error) {
+      if (!options.recordAdjustment && confirmAdjustment(error)) {
+        return handleAddItem(newItem, { recordAdjustment: true });
+      }
       console.error('===Error in handleAddItem===', error);
       setError(error.message || 'Failed to add purchase item');
     }
@@ -104,11 +288,11 @@ export default function Purchases() {
     }
 
     // STRICT LIMIT CHECK: Check if adding these items would exceed the limit
-    const totalItemsAfter = purchaseItems.length + scannedItems.length;
+    const totalItemsAfter = purchaseCount + scannedItems.length;
     const limitCheck = canAddInventoryItem(totalItemsAfter - 1); // Check for the last item
 
     if (!limitCheck.allowed && limitCheck.limit !== -1) {
-      const itemsCanAdd = Math.max(0, limitCheck.limit - purchaseItems.length);
+      const itemsCanAdd = Math.max(0, limitCheck.limit - purchaseCount);
       if (itemsCanAdd === 0) {
         setError('Cannot add items: You have reached your purchase tracking limit');
         return;
@@ -148,6 +332,101 @@ export default function Purchases() {
     }
   };
 
+  const toggleSelected = (itemId) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(itemId)) {
+        next.delete(itemId);
+      } else {
+        next.add(itemId);
+      }
+      return next;
+    });
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? new Set() : new Set(purchaseItems.map(item => item.id)));
+  };
+
+  // Bulk actions write the whole selection in one batch and keep the
+  // records as they were before, so undo is a single batch write back
+  const handleBulkEdit = async (edit) => {
+    if (!user?.email || selectedItems.length === 0) return;
+
+    try {
+      setIsBulkSaving(true);
+      setError(null);
+      await savePurchaseItems(applyBulkEdit(selectedItems, edit), user.email);
+      setUndoAction({ message: describeBulkEdit(edit, selectedItems.length), restore: selectedItems });
+      await loadPurchaseItems();
+    } catch (error) {
+      console.error('Error updating purchases:', error);
+      setError(error.code === VAT_PERIOD_LOCKED ? `${error.message} Edit it on its own to record the adjustment.` : 'Failed to update the selected purchases');
+    } finally {
+      setIsBulkSaving(false);
+    }
+  };
+
+  const handleBulkDelete = async () => {
+    if (!user?.email || selectedItems.length === 0) return;
+
+    try {
+      setIsBulkSaving(true);
+      setError(null);
+      const deletedItems = await deletePurchaseItems(selectedItems.map(item => item.id), user.email);
+      setUndoAction({
+        message: `Deleted ${deletedItems.length} purchase${deletedItems.length === 1 ? '' : 's'}`,
+        restore: deletedItems,
+        deleted: true
+      });
+      setSelectedIds(new Set());
+      await loadPurchaseItems();
+    } catch (error) {
+      console.error('Error deleting purchases:', error);
+      setError(error.code === VAT_PERIOD_LOCKED ? `${error.message} Delete it on its own to record the adjustment.` : 'Failed to delete the selected purchases');
+    } finally {
+      setIsBulkSaving(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    if (!user?.email || !undoAction) return;
+
+    try {
+      setIsBulkSaving(true);
+      setError(null);
+      await savePurchaseItems(undoAction.restore, user.email);
+      // The purchases are back, so their attachment files must stay even
+      // if the attachment records can't be put back
+      undoneActionRef.current = undoAction;
+      setUndoAction(null);
+      const attachmentsRestored = !undoAction.deleted || await restoreDeletedPurchases(undoAction.restore);
+      await loadPurchaseItems();
+      if (!attachmentsRestored) {
+        setError('Purchases restored, but some of their attachments could not be put back');
+        return;
+      }
+      setSuccessMessage('Change undone');
+      setTimeout(() => setSuccessMessage(''), 3000);
+    } catch (error) {
+      console.error('Error undoing bulk change:', error);
+      setError('Failed to undo the last change');
+    } finally {
+      setIsBulkSaving(false);
+    }
+  };
+
+  const handleBulkExport = (format) => {
+    try {
+      const fileName = exportPurchases(selectedItems, format, user?.businessName);
+      setSuccessMessage(`Exported ${selectedItems.length} purchases to ${fileName}`);
+      setTimeout(() => setSuccessMessage(''), 5000);
+    } catch (error) {
+      console.error('Error exporting purchases:', error);
+      setError('Failed to export the selected purchases');
+    }
+  };
+
   const handleEditItem = (item) => {
     setSelectedItem(item);
     setIsEditModalOpen(true);
@@ -158,13 +437,20 @@ export default function Purchases() {
     setIsDeleteModalOpen(true);
   };
 
-  const handleConfirmDelete = async (itemId) => {
+  // A purchase in a submitted VAT period can only change through an
+  // adjustment in the next open period, so ask before booking one
+  const confirmAdjustment = (error) => (
+    error.code === VAT_PERIOD_LOCKED &&
+    window.confirm(`${error.message}\n\nRecord the adjustment and go ahead?`)
+  );
+
+  const handleConfirmDelete = async (itemId, options = {}) => {
     if (!user?.email) return;
 
     try {
       setError(null);
       console.log('===Deleting item:', itemId, '===');
-      await deleteInventoryItem(itemId, user.email);
+      await deleteInventoryItem(itemId, user.email, options);
 
       // Reload purchases to reflect changes
       await loadPurchaseItems();
@@ -173,18 +459,21 @@ export default function Purchases() {
       setTimeout(() => setSuccessMessage(''), 3000);
       console.log('===Item deleted successfully===');
     } catch (error) {
+      if (!options.recordAdjustment && confirmAdjustment(error)) {
+        return handleConfirmDelete(itemId, { recordAdjustment: true });
+      }
       console.error('Error deleting purchase item:', error);
-      setError('Failed to delete purchase');
+      setError(error.code === VAT_PERIOD_LOCKED ? error.message : 'Failed to delete purchase');
     }
   };
 
-  const handleSaveEdit = async (updatedItem) => {
+  const handleSaveEdit = async (updatedItem, options = {}) => {
     if (!user?.email) return;
 
     try {
       setError(null);
       console.log('===Updating item:', updatedItem, '===');
-      await updateInventoryItem(updatedItem, user.email);
+      await updateInventoryItem(updatedItem, user.email, options);
 
       // Reload purchases to reflect changes
       await loadPurchaseItems();
@@ -195,35 +484,14 @@ export default function Purchases() {
       setTimeout(() => setSuccessMessage(''), 3000);
       console.log('===Item updated successfully===');
     } catch (error) {
+      if (!options.recordAdjustment && confirmAdjustment(error)) {
+        return handleSaveEdit(updatedItem, { recordAdjustment: true });
+      }
       console.error('Error updating purchase item:', error);
-      setError('Failed to update purchase');
+      setError(error.code === VAT_PERIOD_LOCKED ? error.message : 'Failed to update purchase');
     }
   };
 
-  // Search functionality with debouncing
-  useEffect(() => {
-    const searchItems = async () => {
-      if (!user?.email) return;
-
-      try {
-        setIsLoading(true);
-        setError(null);
-        console.log('===Searching items with term:', searchTerm, '===');
-        const results = await searchInventoryItems(searchTerm, user.email);
-        console.log('===Search results:', results?.length, 'items===');
-        setPurchaseItems(results || []);
-      } catch (error) {
-        console.error('Error searching items:', error);
-        setError('Failed to search purchases');
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    const debounceSearch = setTimeout(searchItems, 300);
-    return () => clearTimeout(debounceSearch);
-  }, [searchTerm, user?.email]);
-
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     try {
@@ -248,7 +516,7 @@ export default function Purchases() {
 
   const handleAddItemClick = () => {
     // STRICT LIMIT CHECK before opening modal
-    const limitCheck = canAddInventoryItem(purchaseItems.length);
+    const limitCheck = canAddInventoryItem(purchaseCount);
     if (!limitCheck.allowed) {
       setError(limitCheck.reason);
       return;
@@ -265,10 +533,21 @@ export default function Purchases() {
   };
 
   // Check if user is approaching or at limit
-  const limitCheck = canAddInventoryItem(purchaseItems.length);
+  const limitCheck = canAddInventoryItem(purchaseCount);
   const isAtLimit = !limitCheck.allowed;
   const isNearLimit = limitCheck.allowed && limitCheck.limit !== -1 && limitCheck.remaining <= 2;
 
+  const loadMoreButton = nextCursor && (
+    <button
+      type="button"
+      onClick={loadMorePurchaseItems}
+      disabled={isLoadingMore}
+      className="inline-flex items-center justify-center rounded-md border border-gray-600 px-4 py-2 text-sm font-medium text-gray-300 hover:bg-gray-700 hover:text-white disabled:opacity-50 transition-colors"
+    >
+      {isLoadingMore ? 'Loading...' : 'Load more'}
+    </button>
+  );
+
   return (
     <div className="h-full overflow-hidden">
       <motion.div
@@ -285,7 +564,7 @@ export default function Purchases() {
               Track your purchases with VAT configuration for tax reporting
               {currentPlan === 'free' && (
                 <span className="ml-2 text-yellow-400">
-                  ({purchaseItems.length}/10 purchases tracked)
+                  ({purchaseCount}/10 purchases tracked)
                 </span>
               )}
             </p>
@@ -344,7 +623,7 @@ export default function Purchases() {
                   <h3 className={`font-medium ${isAtLimit ? 'text-red-300' : 'text-yellow-300'}`}>
                     {isAtLimit 
                       ? 'Free Plan Limit Reached (10/10)' 
-                      : `Approaching Free Plan Limit (${purchaseItems.length}/10)`
+                      : `Approaching Free Plan Limit (${purchaseCount}/10)`
                     }
                   </h3>
                   <p className="text-gray-300 text-sm mt-1">
@@ -368,9 +647,9 @@ export default function Purchases() {
                 <div className="w-full bg-gray-600 rounded-full h-2">
                   <div
                     className={`h-2 rounded-full transition-all duration-300 ${
-                      purchaseItems.length >= 9 ? 'bg-red-500' : 'bg-yellow-500'
+                      purchaseCount >= 9 ? 'bg-red-500' : 'bg-yellow-500'
                     }`}
-                    style={{ width: `${(purchaseItems.length / 10) * 100}%` }}
+                    style={{ width: `${(purchaseCount / 10) * 100}%` }}
                   />
                 </div>
               </div>
@@ -389,6 +668,36 @@ export default function Purchases() {
           </motion.div>
         )}
 
+        {/* Undo for the last bulk action */}
+        {undoAction && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-4 rounded-md bg-gray-800 border border-gray-600 p-3 flex items-center justify-between gap-3 flex-shrink-0"
+          >
+            <div className="text-sm text-gray-200">{undoAction.message}</div>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={handleUndo}
+                disabled={isBulkSaving}
+                className="inline-flex items-center rounded-md bg-primary-600 px-3 py-1.5 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+              >
+                <RiArrowGoBackLine className="mr-1 h-4 w-4" />
+                Undo
+              </button>
+              <button
+                type="button"
+                onClick={() => setUndoAction(null)}
+                className="p-1.5 text-gray-400 hover:text-white"
+                title="Dismiss"
+              >
+                <RiCloseLine className="h-4 w-4" />
+              </button>
+            </div>
+          </motion.div>
+        )}
+
         {/* Error Message */}
         {error && (
           <motion.div
@@ -402,20 +711,167 @@ export default function Purchases() {
 
         {/* Content Area - Fixed height to prevent scrolling */}
         <div className="flex-1 min-h-0 overflow-hidden">
-          {/* Search */}
-          <div className="mb-6 flex-shrink-0">
-            <div className="relative rounded-md shadow-sm">
-              <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
-                <RiSearchLine className="h-5 w-5 text-gray-400" />
+          {/* Search and Filters */}
+          <div className="mb-6 flex-shrink-0 space-y-3">
+            <div className="flex flex-col sm:flex-row gap-2 sm:gap-3">
+              <div className="relative flex-1 rounded-md shadow-sm">
+                <div className="pointer-events-none absolute inset-y-0 left-0 flex items-center pl-3">
+                  <RiSearchLine className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  className="block w-full rounded-md border-gray-700 bg-gray-800 pl-10 pr-4 py-3 text-white placeholder-gray-400 focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+                  placeholder="Search purchases..."
+                  value={draft.search}
+                  onChange={(e) => setDraft(current => ({ ...current, search: e.target.value }))}
+                />
+              </div>
+              <div className="flex gap-2">
+                <select
+                  value={`${query.sort.column}:${query.sort.direction}`}
+                  onChange={(e) => handleSortSelect(e.target.value)}
+                  className="lg:hidden flex-1 rounded-md border-gray-700 bg-gray-800 px-3 py-2 text-white text-sm focus:border-primary-500 focus:ring-primary-500"
+                  aria-label="Sort purchases"
+                >
+                  {SORT_OPTIONS.flatMap(option => ['desc', 'asc'].map(direction => (
+                    <option key={`${option.column}:${direction}`} value={`${option.column}:${direction}`}>
+                      {option.label}, {option[direction]}
+                    </option>
+                  )))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setShowFilters(!showFilters)}
+                  className={`inline-flex items-center justify-center rounded-md border px-4 py-2 text-sm font-medium transition-colors ${
+                    showFilters || activeFilterCount > 0
+                      ? 'border-primary-600 text-primary-400 hover:bg-primary-600 hover:text-white'
+                      : 'border-gray-600 text-gray-300 hover:bg-gray-700 hover:text-white'
+                  }`}
+                >
+                  <RiFilter3Line className="mr-2 h-4 w-4" />
+                  Filters
+                  {activeFilterCount > 0 && (
+                    <span className="ml-2 rounded-full bg-primary-600 px-2 py-0.5 text-xs text-white">
+                      {activeFilterCount}
+                    </span>
+                  )}
+                </button>
               </div>
-              <input
-                type="text"
-                className="block w-full rounded-md border-gray-700 bg-gray-800 pl-10 pr-4 py-3 text-white placeholder-gray-400 focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
-                placeholder="Search purchases..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-              />
             </div>
+
+            {selectedItems.length > 0 && (
+              <BulkActionBar
+                selectedCount={selectedItems.length}
+                categoryOptions={categoryOptions}
+                onApplyEdit={handleBulkEdit}
+                onDelete={handleBulkDelete}
+                onExport={handleBulkExport}
+                onClearSelection={() => setSelectedIds(new Set())}
+                disabled={isBulkSaving}
+              />
+            )}
+
+            {showFilters && (
+              <motion.div
+                initial={{ opacity: 0, y: -10 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="rounded-lg border border-gray-700 bg-gray-800/60 p-4"
+              >
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Category</label>
+                    <input
+                      type="text"
+                      list="purchase-category-options"
+                      value={draft.filters.category || ''}
+                      onChange={(e) => updateFilter('category', e.target.value)}
+                      placeholder="Any category"
+                      className={filterInputClass}
+                    />
+                    <datalist id="purchase-category-options">
+                      {categoryOptions.map(category => (
+                        <option key={category} value={category} />
+                      ))}
+                    </datalist>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Supplier</label>
+                    <input
+                      type="text"
+                      value={draft.filters.supplier || ''}
+                      onChange={(e) => updateFilter('supplier', e.target.value)}
+                      placeholder="Any supplier"
+                      className={filterInputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">VAT Rate</label>
+                    <select
+                      value={draft.filters.vatRate || ''}
+                      onChange={(e) => updateFilter('vatRate', e.target.value)}
+                      className={filterInputClass}
+                    >
+                      {VAT_RATE_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Min Price (£)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={draft.filters.minPrice || ''}
+                        onChange={(e) => updateFilter('minPrice', e.target.value)}
+                        className={filterInputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Max Price (£)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={draft.filters.maxPrice || ''}
+                        onChange={(e) => updateFilter('maxPrice', e.target.value)}
+                        className={filterInputClass}
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">From</label>
+                    <input
+                      type="date"
+                      value={draft.filters.dateFrom || ''}
+                      onChange={(e) => updateFilter('dateFrom', e.target.value)}
+                      className={filterInputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">To</label>
+                    <input
+                      type="date"
+                      value={draft.filters.dateTo || ''}
+                      onChange={(e) => updateFilter('dateTo', e.target.value)}
+                      className={filterInputClass}
+                    />
+                  </div>
+                  <div className="flex items-end sm:col-span-2">
+                    <button
+                      type="button"
+                      onClick={clearFilters}
+                      disabled={!hasQuery}
+                      className="inline-flex items-center px-3 py-2 text-sm text-gray-300 hover:text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <RiCloseLine className="mr-1 h-4 w-4" />
+                      Clear search and filters
+                    </button>
+                  </div>
+                </div>
+              </motion.div>
+            )}
           </div>
 
           {isLoading ? (
@@ -426,17 +882,26 @@ export default function Purchases() {
             <div className="text-center py-12 bg-gray-800 rounded-lg">
               <RiShoppingBag3Line className="mx-auto h-12 w-12 text-gray-500 mb-4" />
               <h3 className="text-lg font-medium text-white mb-2">
-                {searchTerm ? 'No purchases found' : 'No purchases tracked'}
+                {hasQuery ? 'No purchases found' : 'No purchases tracked'}
               </h3>
               <p className="text-gray-400 text-sm mb-6">
-                {searchTerm 
-                  ? 'Try adjusting your search terms' 
+                {hasQuery
+                  ? 'Try adjusting your search terms or filters' 
                   : currentPlan === 'free' && isAtLimit
                     ? 'You\'ve reached the 10 purchase limit for the Free plan. Upgrade to track more purchases.'
                     : 'Start tracking your purchases to manage your expenses and VAT'
                 }
               </p>
-              {!searchTerm && !isAtLimit && (
+              {hasQuery && (
+                <button
+                  onClick={clearFilters}
+                  className="inline-flex items-center px-4 py-2 border border-gray-600 text-gray-300 rounded-lg hover:bg-gray-700 hover:text-white transition-colors"
+                >
+                  <RiCloseLine className="mr-2 h-4 w-4" />
+                  Clear search and filters
+                </button>
+              )}
+              {!hasQuery && !isAtLimit && (
                 <div className="flex flex-col sm:flex-row justify-center gap-3">
                   <FeatureGate feature="receiptScanner" showUpgradePrompt={false}>
                     <Link
@@ -481,11 +946,30 @@ export default function Purchases() {
                     {/* Card Header */}
                     <div className="px-4 py-3 border-b border-gray-700">
                       <div className="flex items-start justify-between">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(item.id)}
+                          onChange={() => toggleSelected(item.id)}
+                          className="mt-1.5 mr-3 h-4 w-4 rounded border-gray-600 bg-gray-700 text-primary-600 focus:ring-primary-500"
+                          aria-label={`Select ${item.name}`}
+                        />
                         <div className="flex-1 min-w-0">
                           <h3 className="text-lg font-medium text-white truncate">
                             {item.name}
                           </h3>
-                          <p className="text-sm text-gray-400 truncate">{item.category}</p>
+                          <p className="text-sm text-gray-400 truncate">
+                            {item.category}
+                            {item.supplier && <span className="text-gray-500"> · {item.supplier}</span>}
+                          </p>
+                          {item.receiptId && (
+                            <Link
+                              to={`/app/receipt-scanner?receipt=${item.receiptId}`}
+                              className="inline-flex items-center mt-1 text-xs text-primary-400 hover:text-primary-300"
+                            >
+                              <RiReceiptLine className="h-3.5 w-3.5 mr-1" />
+                              View receipt
+                            </Link>
+                          )}
                         </div>
                         <div className="flex space-x-2 ml-3 flex-shrink-0">
                           <button
@@ -515,6 +999,9 @@ export default function Purchases() {
                           <div className="flex flex-col">
                             <span className="text-gray-400 text-xs font-medium uppercase tracking-wide">Unit Price</span>
                             <span className="text-white font-medium">{formatCurrency(item.unitPrice)}</span>
+                            {isForeignCurrency(item) && (
+                              <span className="text-gray-500 text-xs">{formatMoney(item.originalUnitPrice, item.currency)} at {item.exchangeRate}</span>
+                            )}
                             {item.vatIncluded && (
                               <span className="text-gray-500 text-xs">Inc. VAT ({item.vatPercentage}%)</span>
                             )}
@@ -551,6 +1038,13 @@ export default function Purchases() {
                     </div>
                   </motion.div>
                 ))}
+
+                <div className="flex flex-col items-center gap-3 py-2">
+                  <span className="text-sm text-gray-400">
+                    Showing {purchaseItems.length} of {totalCount} purchases
+                  </span>
+                  {loadMoreButton}
+                </div>
               </div>
 
               {/* Desktop Table View - Enhanced and Professional */}
@@ -561,10 +1055,10 @@ export default function Purchases() {
                     <div className="flex items-center justify-between">
                       <div className="flex items-center space-x-6">
                         <div className="text-sm text-gray-300">
-                          <span className="font-medium text-white">{purchaseItems.length}</span> purchases
+                          <span className="font-medium text-white">{totalCount}</span> {hasQuery ? 'matching purchases' : 'purchases'}
                         </div>
                         <div className="text-sm text-gray-300">
-                          Total Value: <span className="font-medium text-green-400">
+                          Value Shown: <span className="font-medium text-green-400">
                             {formatCurrency(
                               purchaseItems.reduce((sum, item) => 
                                 sum + ((item.quantity || 0) * (item.unitPrice || 0)), 0
@@ -584,36 +1078,45 @@ export default function Purchases() {
                     <table className="w-full">
                       <thead className="bg-gray-750 sticky top-0 z-10 border-b border-gray-600">
                         <tr>
-                          <th scope="col" className="py-4 pl-6 pr-3 text-left text-xs font-semibold text-gray-300 uppercase tracking-wider">
-                            Item Details
+                          <th scope="col" className="py-4 pl-6 pr-2 w-8">
+                            <input
+                              type="checkbox"
+                              checked={allSelected}
+                              onChange={toggleSelectAll}
+                              className="h-4 w-4 rounded border-gray-600 bg-gray-700 text-primary-600 focus:ring-primary-500"
+                              aria-label="Select all loaded purchases"
+                            />
                           </th>
-                          <th scope="col" className="px-3 py-4 text-left text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          <SortableHeader column="name" sort={query.sort} onSort={handleSort} className="pl-2 pr-3">
+                            Item Details
+                          </SortableHeader>
+                          <SortableHeader column="category" sort={query.sort} onSort={handleSort} className="px-3">
                             Category
-                          </th>
-                          <th scope="col" className="px-3 py-4 text-center text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          </SortableHeader>
+                          <SortableHeader column="supplier" sort={query.sort} onSort={handleSort} className="px-3">
+                            <RiStore2Line className="h-4 w-4 mr-1" />
+                            Supplier
+                          </SortableHeader>
+                          <SortableHeader column="quantity" sort={query.sort} onSort={handleSort} align="center" className="px-3">
                             Qty
-                          </th>
-                          <th scope="col" className="px-3 py-4 text-right text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          </SortableHeader>
+                          <SortableHeader column="unitPrice" sort={query.sort} onSort={handleSort} align="right" className="px-3">
                             Unit Price
-                          </th>
-                          <th scope="col" className="px-3 py-4 text-center text-xs font-semibold text-gray-300 uppercase tracking-wider">
-                            <div className="flex items-center justify-center">
-                              <RiPercentLine className="h-4 w-4 mr-1" />
-                              VAT
-                            </div>
-                          </th>
-                          <th scope="col" className="px-3 py-4 text-right text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          </SortableHeader>
+                          <SortableHeader column="vatPercentage" sort={query.sort} onSort={handleSort} align="center" className="px-3">
+                            <RiPercentLine className="h-4 w-4 mr-1" />
+                            VAT
+                          </SortableHeader>
+                          <SortableHeader column="totalValue" sort={query.sort} onSort={handleSort} align="right" className="px-3">
                             Total Value
-                          </th>
-                          <th scope="col" className="px-3 py-4 text-left text-xs font-semibold text-gray-300 uppercase tracking-wider">
-                            <div className="flex items-center">
-                              <RiCalendarLine className="h-4 w-4 mr-1" />
-                              Date
-                            </div>
-                          </th>
-                          <th scope="col" className="px-3 py-4 text-left text-xs font-semibold text-gray-300 uppercase tracking-wider">
+                          </SortableHeader>
+                          <SortableHeader column="dateAdded" sort={query.sort} onSort={handleSort} className="px-3">
+                            <RiCalendarLine className="h-4 w-4 mr-1" />
+                            Date
+                          </SortableHeader>
+                          <SortableHeader column="description" sort={query.sort} onSort={handleSort} className="px-3">
                             Description
-                          </th>
+                          </SortableHeader>
                           <th scope="col" className="px-3 py-4 pr-6 text-center text-xs font-semibold text-gray-300 uppercase tracking-wider">
                             Actions
                           </th>
@@ -626,10 +1129,22 @@ export default function Purchases() {
                             initial={{ opacity: 0, y: 10 }}
                             animate={{ opacity: 1, y: 0 }}
                             transition={{ duration: 0.3, delay: index * 0.05 }}
-                            className="hover:bg-gray-750 transition-colors duration-150"
+                            className={`transition-colors duration-150 ${
+                              selectedIds.has(item.id) ? 'bg-primary-900/20' : 'hover:bg-gray-750'
+                            }`}
                           >
+                            <td className="py-4 pl-6 pr-2 w-8">
+                              <input
+                                type="checkbox"
+                                checked={selectedIds.has(item.id)}
+                                onChange={() => toggleSelected(item.id)}
+                                className="h-4 w-4 rounded border-gray-600 bg-gray-700 text-primary-600 focus:ring-primary-500"
+                                aria-label={`Select ${item.name}`}
+                              />
+                            </td>
+
                             {/* Item Details */}
-                            <td className="py-4 pl-6 pr-3">
+                            <td className="py-4 pl-2 pr-3">
                               <div className="flex flex-col">
                                 <div className="text-sm font-medium text-white mb-1 max-w-xs">
                                   {item.name}
@@ -639,6 +1154,15 @@ export default function Purchases() {
                                     {item.description}
                                   </div>
                                 )}
+                                {item.receiptId && (
+                                  <Link
+                                    to={`/app/receipt-scanner?receipt=${item.receiptId}`}
+                                    className="inline-flex items-center mt-1 text-xs text-primary-400 hover:text-primary-300"
+                                  >
+                                    <RiReceiptLine className="h-3.5 w-3.5 mr-1" />
+                                    View receipt
+                                  </Link>
+                                )}
                               </div>
                             </td>
 
@@ -649,6 +1173,13 @@ export default function Purchases() {
                               </span>
                             </td>
 
+                            {/* Supplier */}
+                            <td className="px-3 py-4">
+                              <span className="text-sm text-gray-300 max-w-[10rem] truncate block" title={item.supplier || ''}>
+                                {item.supplier || '—'}
+                              </span>
+                            </td>
+
                             {/* Quantity */}
                             <td className="px-3 py-4 text-center">
                               <span className="text-sm font-medium text-white">
@@ -662,6 +1193,11 @@ export default function Purchases() {
                                 <span className="text-sm font-medium text-white">
                                   {formatCurrency(item.unitPrice)}
                                 </span>
+                                {isForeignCurrency(item) && (
+                                  <span className="text-xs text-gray-500" title={`${item.exchangeRate} ${item.currency} per £1`}>
+                                    {formatMoney(item.originalUnitPrice, item.currency)}
+                                  </span>
+                                )}
                                 {item.vatIncluded && (
                                   <span className="text-xs text-gray-500">Inc. VAT</span>
                                 )}
@@ -733,8 +1269,9 @@ export default function Purchases() {
                   {/* Table Footer with Summary */}
                   <div className="px-6 py-3 border-t border-gray-700 bg-gray-750">
                     <div className="flex items-center justify-between text-sm">
-                      <div className="text-gray-400">
-                        Showing {purchaseItems.length} purchases
+                      <div className="flex items-center space-x-4 text-gray-400">
+                        <span>Showing {purchaseItems.length} of {totalCount} purchases</span>
+                        {loadMoreButton}
                       </div>
                       <div className="flex items-center space-x-6">
                         <div className="text-gray-300">
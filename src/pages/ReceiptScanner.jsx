@@ -1,13 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { FiUploadCloud, FiFileText, FiCheckCircle, FiImage, FiTrash2, FiEye, FiCalendar, FiPackage, FiX, FiDownload, FiArchive, FiCamera, FiAlertTriangle } from 'react-icons/fi';
+import { useSearchParams } from 'react-router-dom';
+import { FiUploadCloud, FiFileText, FiCheckCircle, FiImage, FiTrash2, FiEye, FiCalendar, FiPackage, FiX, FiDownload, FiArchive, FiCamera, FiAlertTriangle, FiLayers } from 'react-icons/fi';
 import ReceiptScannerModal from '../components/ReceiptScannerModal';
+import BatchReceiptScanner from '../components/BatchReceiptScanner';
 import UsageLimitGate from '../components/UsageLimitGate';
 import { useAuth } from '../context/AuthContext';
-import { addInventoryItem } from '../services/db';
+import { addInventoryItem, getReceiptPurchases, releaseReceiptPurchases } from '../services/db';
 import receiptStorage from '../services/receiptStorage';
 import SafeIcon from '../common/SafeIcon';
 import useFeatureAccess from '../hooks/useFeatureAccess';
+import { formatFileSize } from '../utils/fileSize';
 
 const ReceiptScannerPage = () => {
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -23,6 +26,9 @@ const ReceiptScannerPage = () => {
   const [selectedReceiptsForExport, setSelectedReceiptsForExport] = useState(new Set());
   const [showExportOptions, setShowExportOptions] = useState(false);
   const [showAccuracyWarning, setShowAccuracyWarning] = useState(false); // New state for warning visibility
+  const [receiptPendingDelete, setReceiptPendingDelete] = useState(null);
+  const [isDeletingReceipt, setIsDeletingReceipt] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user } = useAuth();
   const { canScanReceipt, usage, currentPlan, incrementUsage } = useFeatureAccess();
 
@@ -92,6 +98,24 @@ const ReceiptScannerPage = () => {
     }
   }, [activeTab, user]);
 
+  // "View receipt" links from the purchases page land here with ?receipt=<id>
+  useEffect(() => {
+    const receiptId = searchParams.get('receipt');
+    if (!receiptId || !user) return;
+
+    setActiveTab('history');
+    searchParams.delete('receipt');
+    setSearchParams(searchParams, { replace: true });
+
+    receiptStorage.getReceiptRecord(receiptId).then(receipt => {
+      if (receipt) {
+        viewReceiptImage(receipt);
+      } else {
+        setFeedbackMessage('❌ That receipt could not be found. It may have been deleted.');
+      }
+    });
+  }, [searchParams, user]);
+
   const loadReceiptHistory = async () => {
     setIsLoadingHistory(true);
     try {
@@ -171,7 +195,18 @@ const ReceiptScannerPage = () => {
           dateAdded: item.dateAdded || new Date().toISOString().split('T')[0],
           // ✅ CRITICAL: Include VAT configuration from scanned items
           vatIncluded: item.vatIncluded !== undefined ? item.vatIncluded : false,
-          vatPercentage: item.vatPercentage !== undefined ? item.vatPercentage : 20
+          vatPercentage: item.vatPercentage !== undefined ? item.vatPercentage : 20,
+          receiptId: item.receiptId || null,
+          supplier: item.supplier || '',
+          supplierId: item.supplierId || null,
+          productId: item.productId || null,
+          // Foreign receipts keep the price as paid and the rate used
+          currency: item.currency,
+          originalUnitPrice: item.originalUnitPrice,
+          exchangeRate: item.exchangeRate,
+          // Left undefined it defaults to the purchase date; null is unpaid
+          paidDate: item.paidDate,
+          capitalAsset: item.capitalAsset || false
         };
 
         console.log('Calling addInventoryItem with VAT data:', {
@@ -241,6 +276,10 @@ const ReceiptScannerPage = () => {
     setFeedbackMessage(`✅ Receipt saved to history with ${receiptRecord.total_items} items!`);
   };
 
+  const isPdfReceipt = (receipt) => {
+    return receipt.mime_type === 'application/pdf' || /\.pdf$/i.test(receipt.file_name || '');
+  };
+
   const viewReceiptImage = async (receipt) => {
     setIsLoadingImage(true);
     try {
@@ -271,18 +310,43 @@ const ReceiptScannerPage = () => {
   };
 
   const deleteReceipt = async (receiptId) => {
+    // Purchases scanned from this receipt need a decision before it goes
+    const linkedPurchases = await getReceiptPurchases(receiptId, user.email);
+    if (linkedPurchases.length > 0) {
+      setReceiptPendingDelete({ id: receiptId, purchaseCount: linkedPurchases.length });
+      return;
+    }
+
     if (!confirm('Are you sure you want to delete this receipt? This action cannot be undone.')) {
       return;
     }
 
+    await removeReceipt(receiptId);
+  };
+
+  const removeReceipt = async (receiptId, { deletePurchases = false, hasPurchases = false } = {}) => {
+    setIsDeletingReceipt(true);
     try {
+      if (hasPurchases) {
+        await releaseReceiptPurchases(receiptId, user.email, { deletePurchases });
+      }
       await receiptStorage.deleteReceiptRecord(receiptId);
-      setFeedbackMessage('✅ Receipt deleted successfully');
+
+      setFeedbackMessage(
+        !hasPurchases
+          ? '✅ Receipt deleted successfully'
+          : deletePurchases
+            ? '✅ Receipt and its purchases deleted'
+            : '✅ Receipt deleted. Its purchases were kept without a receipt attached'
+      );
       loadReceiptHistory(); // Refresh the list
       setSelectedReceipt(null); // Close modal if open
     } catch (error) {
       console.error('Error deleting receipt:', error);
       setFeedbackMessage('❌ Failed to delete receipt');
+    } finally {
+      setIsDeletingReceipt(false);
+      setReceiptPendingDelete(null);
     }
   };
 
@@ -470,14 +534,6 @@ const ReceiptScannerPage = () => {
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  };
-
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -652,6 +708,18 @@ const ReceiptScannerPage = () => {
           <span className="hidden sm:inline">Scanner</span>
           <span className="sm:hidden">Scan</span>
         </button>
+        <button
+          onClick={() => setActiveTab('batch')}
+          className={`flex-1 py-2 px-3 sm:px-4 rounded-md text-xs sm:text-sm font-medium transition-colors ${
+            activeTab === 'batch'
+              ? 'bg-blue-600 text-white'
+              : 'text-gray-400 hover:text-white hover:bg-gray-700'
+          }`}
+        >
+          <SafeIcon icon={FiLayers} className="inline mr-1 sm:mr-2 h-3 w-3 sm:h-4 sm:w-4" />
+          <span className="hidden sm:inline">Batch Scan</span>
+          <span className="sm:hidden">Batch</span>
+        </button>
         <button
           onClick={() => setActiveTab('history')}
           className={`flex-1 py-2 px-3 sm:px-4 rounded-md text-xs sm:text-sm font-medium transition-colors ${
@@ -666,8 +734,15 @@ const ReceiptScannerPage = () => {
         </button>
       </div>
 
-      {/* Tab Content */}
-      {activeTab === 'scanner' ? (
+      {/* Tab Content - the batch queue stays mounted so its scans keep running on other tabs */}
+      <div className={activeTab === 'batch' ? '' : 'hidden'}>
+        <BatchReceiptScanner
+          scanLimit={scanLimitInfo}
+          onScanUsed={updateScanUsage}
+          onItemsScanned={handleItemsScanned}
+        />
+      </div>
+      {activeTab === 'batch' ? null : activeTab === 'scanner' ? (
         <>
           {/* Features Grid */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 sm:gap-6 mb-8">
@@ -1023,7 +1098,7 @@ const ReceiptScannerPage = () => {
                             <div className="flex items-center mb-1">
                               <SafeIcon icon={FiImage} className="h-4 w-4 text-blue-400 mr-2 flex-shrink-0" />
                               <h3 className="font-medium text-white text-sm truncate">
-                                {receipt.file_name || `Receipt ${receipt.id}`}
+                                {receipt.merchant_name || receipt.file_name || `Receipt ${receipt.id}`}
                               </h3>
                             </div>
                             <span className={`inline-block px-2 py-1 text-xs rounded-full ${
@@ -1077,6 +1152,9 @@ const ReceiptScannerPage = () => {
                           <SafeIcon icon={FiPackage} className="h-3 w-3 mr-1" />
                           {receipt.total_items} items
                         </div>
+                        {receipt.total_amount != null && (
+                          <span>£{Number(receipt.total_amount).toFixed(2)}</span>
+                        )}
                         {receipt.file_size && (
                           <span>{formatFileSize(receipt.file_size)}</span>
                         )}
@@ -1114,7 +1192,7 @@ const ReceiptScannerPage = () => {
                             <div className="flex items-center mb-2">
                               <SafeIcon icon={FiImage} className="h-5 w-5 text-blue-400 mr-2" />
                               <h3 className="font-medium text-white">
-                                {receipt.file_name || `Receipt ${receipt.id}`}
+                                {receipt.merchant_name || receipt.file_name || `Receipt ${receipt.id}`}
                               </h3>
                               <span className={`ml-3 px-2 py-1 text-xs rounded-full ${
                                 receipt.scan_status === 'completed' 
@@ -1135,6 +1213,14 @@ const ReceiptScannerPage = () => {
                                 <SafeIcon icon={FiPackage} className="h-4 w-4 mr-1" />
                                 {receipt.total_items} items
                               </div>
+                              {receipt.total_amount != null && (
+                                <span>
+                                  £{Number(receipt.total_amount).toFixed(2)}
+                                  {receipt.totals_match === false && (
+                                    <span className="ml-1 text-amber-400" title="Scanned items don't add up to the receipt total">(check items)</span>
+                                  )}
+                                </span>
+                              )}
                               {receipt.file_size && (
                                 <span>{formatFileSize(receipt.file_size)}</span>
                               )}
@@ -1290,6 +1376,24 @@ const ReceiptScannerPage = () => {
             <div className="flex-1 overflow-auto p-3 sm:p-6">
               <div className="text-center">
                 {/* Receipt Image */}
+                {isPdfReceipt(selectedReceipt) ? (
+                  <div className="w-full">
+                    <iframe
+                      src={selectedReceipt.imageUrl}
+                      title="Receipt PDF"
+                      className="w-full h-[50vh] sm:h-[60vh] rounded-lg border border-gray-600 bg-white"
+                    />
+                    <a
+                      href={selectedReceipt.imageUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-2 mt-3 text-blue-400 hover:text-blue-300 text-xs sm:text-sm"
+                    >
+                      <SafeIcon icon={FiFileText} className="h-4 w-4" />
+                      Open PDF in a new tab
+                    </a>
+                  </div>
+                ) : (
                 <div className="relative inline-block w-full">
                   <img 
                     src={selectedReceipt.imageUrl} 
@@ -1311,6 +1415,7 @@ const ReceiptScannerPage = () => {
                     <p className="text-gray-500 text-xs sm:text-sm mt-2">The image may have been moved or deleted</p>
                   </div>
                 </div>
+                )}
 
                 {/* Receipt Details */}
                 <div className="mt-4 sm:mt-6 grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6 text-left">
@@ -1425,6 +1530,47 @@ const ReceiptScannerPage = () => {
         </motion.div>
       )}
 
+      {/* Delete Receipt With Purchases */}
+      {receiptPendingDelete && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 flex justify-center items-center z-[60] p-4">
+          <div className="bg-gray-900 text-white rounded-xl shadow-2xl w-full max-w-md p-4 sm:p-6">
+            <h3 className="text-lg font-semibold flex items-center mb-3">
+              <SafeIcon icon={FiAlertTriangle} className="h-5 w-5 mr-2 text-amber-400" />
+              Delete receipt?
+            </h3>
+            <p className="text-sm text-gray-300 mb-2">
+              {receiptPendingDelete.purchaseCount} {receiptPendingDelete.purchaseCount === 1 ? 'purchase was' : 'purchases were'} saved from this receipt.
+            </p>
+            <p className="text-xs text-gray-400 mb-5">
+              Purchases you keep will no longer have a receipt to back up their VAT claim.
+            </p>
+            <div className="flex flex-col gap-2">
+              <button
+                onClick={() => removeReceipt(receiptPendingDelete.id, { hasPurchases: true, deletePurchases: true })}
+                disabled={isDeletingReceipt}
+                className="w-full px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm disabled:opacity-50"
+              >
+                Delete receipt and its purchases
+              </button>
+              <button
+                onClick={() => removeReceipt(receiptPendingDelete.id, { hasPurchases: true })}
+                disabled={isDeletingReceipt}
+                className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm disabled:opacity-50"
+              >
+                Delete receipt, keep purchases
+              </button>
+              <button
+                onClick={() => setReceiptPendingDelete(null)}
+                disabled={isDeletingReceipt}
+                className="w-full px-4 py-2 text-gray-400 hover:text-white text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Receipt Scanner Modal */}
       <ReceiptScannerModal
         isOpen={isModalOpen}
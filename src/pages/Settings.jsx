@@ -1,8 +1,11 @@
 import { motion } from 'framer-motion';
 import { useState } from 'react';
-import { RiUser3Line, RiMoneyDollarCircleLine } from 'react-icons/ri';
+import { RiUser3Line, RiMoneyDollarCircleLine, RiPriceTag3Line, RiExchangeLine, RiGovernmentLine } from 'react-icons/ri';
 import { useAuth } from '../context/AuthContext';
 import SubscriptionManagement from './SubscriptionManagement';
+import CategoryManager from '../components/CategoryManager';
+import ExchangeRateManager from '../components/ExchangeRateManager';
+import VatSettingsPanel from '../components/VatSettingsPanel';
 
 export default function Settings() {
   const [activeTab, setActiveTab] = useState('general');
@@ -10,6 +13,9 @@ export default function Settings() {
 
   const tabs = [
     { id: 'general', name: 'General', icon: RiUser3Line },
+    { id: 'categories', name: 'Categories', icon: RiPriceTag3Line },
+    { id: 'exchange-rates', name: 'Exchange Rates', icon: RiExchangeLine },
+    { id: 'vat', name: 'VAT', icon: RiGovernmentLine },
     { id: 'subscription', name: 'Subscription', icon: RiMoneyDollarCircleLine },
   ];
 
@@ -105,6 +111,36 @@ export default function Settings() {
               </motion.div>
             )}
 
+            {activeTab === 'categories' && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ duration: 0.3 }}
+              >
+                <CategoryManager />
+              </motion.div>
+            )}
+
+            {activeTab === 'exchange-rates' && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ duration: 0.3 }}
+              >
+                <ExchangeRateManager />
+              </motion.div>
+            )}
+
+            {activeTab === 'vat' && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ duration: 0.3 }}
+              >
+                <VatSettingsPanel />
+              </motion.div>
+            )}
+
             {activeTab === 'subscription' && (
               <motion.div
                 initial={{ opacity: 0 }}
@@ -0,0 +1,578 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { RiStackLine, RiAddLine, RiSaveLine, RiCloseLine, RiAlertLine, RiDeleteBin6Line, RiSearchLine, RiInboxArchiveLine, RiInboxUnarchiveLine } from 'react-icons/ri';
+import { useAuth } from '../context/AuthContext';
+import useCategories from '../hooks/useCategories';
+import StockValuationPanel from '../components/StockValuationPanel';
+import { getProducts, saveProduct, getStockMovements, recordStockMovement, deleteStockMovement, checkReorderPoints } from '../services/db';
+import {
+  MAX_PRODUCT_NAME_LENGTH,
+  MANUAL_MOVEMENT_TYPES,
+  STOCK_UNITS,
+  movementTypeLabel,
+  normaliseProductName,
+  stockOnHand,
+  hasReorderPoint,
+  isLowStock
+} from '../utils/stock';
+
+const EMPTY_PRODUCT = {
+  name: '',
+  sku: '',
+  category: '',
+  unit: 'each',
+  reorderPoint: ''
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyMovement = () => ({
+  type: 'usage',
+  quantity: '',
+  occurredAt: today(),
+  note: ''
+});
+
+const inputClass = 'w-full rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm text-white placeholder-gray-400 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500';
+
+const formatQuantity = (value) => new Intl.NumberFormat('en-GB', { maximumFractionDigits: 3 }).format(value || 0);
+
+export default function Stock() {
+  const { user } = useAuth();
+  const { categoryNames } = useCategories();
+  const [products, setProducts] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const [lowOnly, setLowOnly] = useState(false);
+  const [view, setView] = useState('levels');
+  const [selectedId, setSelectedId] = useState(null); // a product id, or 'new' while adding one
+  const [form, setForm] = useState(EMPTY_PRODUCT);
+  const [movementForm, setMovementForm] = useState(emptyMovement);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (user?.email) {
+      loadData();
+    }
+  }, [user?.email]);
+
+  const loadData = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const [productList, movementList] = await Promise.all([
+        getProducts(user.email),
+        getStockMovements(user.email)
+      ]);
+      setProducts(productList);
+      setMovements(movementList);
+    } catch (loadError) {
+      console.error('Error loading stock:', loadError);
+      setError('Failed to load stock levels');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const levels = useMemo(() => stockOnHand(movements), [movements]);
+
+  const visibleProducts = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return products.filter(product => {
+      if (product.archived && !showArchived) return false;
+      if (lowOnly && !isLowStock(product, levels.get(product.id) || 0)) return false;
+      if (!term) return true;
+      return [product.name, product.sku, product.category].some(value => (value || '').toLowerCase().includes(term));
+    });
+  }, [products, levels, search, showArchived, lowOnly]);
+
+  const lowStockCount = products.filter(product => (
+    !product.archived && isLowStock(product, levels.get(product.id) || 0)
+  )).length;
+
+  const selectedProduct = products.find(product => product.id === selectedId) || null;
+
+  // The selected product's movements, newest first, with the balance after each
+  const history = useMemo(() => {
+    if (!selectedProduct) return [];
+    let balance = 0;
+    return movements
+      .filter(movement => movement.productId === selectedProduct.id)
+      .map(movement => {
+        balance += movement.quantity;
+        return { ...movement, balance };
+      })
+      .reverse();
+  }, [movements, selectedProduct]);
+
+  const selectProduct = (productId) => {
+    const product = products.find(p => p.id === productId);
+    setSelectedId(productId);
+    setFormError('');
+    setMovementForm(emptyMovement());
+    setForm(product ? {
+      name: product.name,
+      sku: product.sku || '',
+      category: product.category || '',
+      unit: product.unit || 'each',
+      reorderPoint: product.reorderPoint ?? ''
+    } : EMPTY_PRODUCT);
+  };
+
+  const closeDetails = () => {
+    setSelectedId(null);
+    setFormError('');
+  };
+
+  const handleSaveProduct = async (e) => {
+    e.preventDefault();
+    const name = normaliseProductName(form.name);
+    if (!name) {
+      setFormError('Product name is required');
+      return;
+    }
+    const reorderPoint = form.reorderPoint === '' ? null : parseFloat(form.reorderPoint);
+    if (reorderPoint !== null && (isNaN(reorderPoint) || reorderPoint < 0)) {
+      setFormError('Reorder point must be zero or more');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setFormError('');
+      const saved = await saveProduct({
+        ...(selectedProduct || {}),
+        name,
+        sku: form.sku.trim(),
+        category: form.category.trim(),
+        unit: form.unit,
+        reorderPoint,
+        // A new reorder point gets a fresh alert
+        lowStockAlertedAt: reorderPoint === selectedProduct?.reorderPoint ? selectedProduct?.lowStockAlertedAt : null
+      }, user.email);
+      checkReorderPoints(user.email, [saved.id]).catch(checkError => {
+        console.warn('Could not check reorder point:', checkError);
+      });
+      await loadData();
+      setSelectedId(saved.id);
+    } catch (saveError) {
+      console.error('Error saving product:', saveError);
+      setFormError(saveError.message || 'Failed to save product');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async () => {
+    try {
+      setIsSaving(true);
+      await saveProduct({ ...selectedProduct, archived: !selectedProduct.archived }, user.email);
+      await loadData();
+    } catch (saveError) {
+      console.error('Error archiving product:', saveError);
+      setFormError(saveError.message || 'Failed to update product');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRecordMovement = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setFormError('');
+      await recordStockMovement({ ...movementForm, productId: selectedProduct.id }, user.email);
+      setMovementForm(emptyMovement());
+      await loadData();
+    } catch (movementError) {
+      console.error('Error recording stock movement:', movementError);
+      setFormError(movementError.message || 'Failed to record stock movement');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteMovement = async (movement) => {
+    try {
+      setIsSaving(true);
+      await deleteStockMovement(movement, user.email);
+      await loadData();
+    } catch (deleteError) {
+      console.error('Error deleting stock movement:', deleteError);
+      setFormError(deleteError.message || 'Failed to delete stock movement');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="space-y-6"
+      >
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-semibold text-white">Stock Levels</h1>
+            <p className="mt-1 text-sm text-gray-400">
+              Purchases book stock in; record what you use to keep the quantities on hand right
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => {
+              setView('levels');
+              selectProduct('new');
+            }}
+            className="inline-flex items-center justify-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary-700 w-full sm:w-auto"
+          >
+            <RiAddLine className="mr-2 h-4 w-4" />
+            Add Product
+          </button>
+        </div>
+
+        {error && (
+          <div className="flex items-center rounded-lg border border-red-700 bg-red-900/20 p-4 text-sm text-red-300">
+            <RiAlertLine className="mr-2 h-5 w-5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        <div className="inline-flex rounded-md border border-gray-700 bg-gray-800 p-1">
+          {[
+            { value: 'levels', label: 'Stock levels' },
+            { value: 'valuation', label: 'Closing stock valuation' }
+          ].map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setView(option.value)}
+              className={`rounded px-3 py-1.5 text-sm font-medium ${view === option.value ? 'bg-primary-600 text-white' : 'text-gray-300 hover:text-white'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {view === 'valuation' ? (
+          isLoading ? (
+            <div className="flex justify-center py-12">
+              <div className="h-8 w-8 animate-spin rounded-full border-b-2 border-primary-500" />
+            </div>
+          ) : (
+            <StockValuationPanel products={products} movements={movements} />
+          )
+        ) : (
+          <>
+          {lowStockCount > 0 && (
+            <button
+              type="button"
+              onClick={() => setLowOnly(!lowOnly)}
+              className="flex w-full items-center rounded-lg border border-yellow-700 bg-yellow-900/20 p-4 text-left text-sm text-yellow-300"
+            >
+              <RiAlertLine className="mr-2 h-5 w-5 flex-shrink-0" />
+              {lowStockCount} {lowStockCount === 1 ? 'product is' : 'products are'} at or below the reorder point.
+              <span className="ml-auto underline">{lowOnly ? 'Show all' : 'Show only these'}</span>
+            </button>
+          )}
+
+          {/* Search */}
+          <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+            <div className="relative flex-1">
+              <RiSearchLine className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search by name, SKU or category"
+                className={`${inputClass} pl-9`}
+              />
+            </div>
+            <label className="inline-flex items-center text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+                className="mr-2 rounded border-gray-600 bg-gray-700 text-primary-600"
+              />
+              Show archived
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+            {/* Products */}
+            <div className="xl:col-span-3 rounded-lg border border-gray-700 bg-gray-800 overflow-hidden">
+              {isLoading ? (
+                <div className="flex justify-center py-12">
+                  <div className="h-8 w-8 animate-spin rounded-full border-b-2 border-primary-500" />
+                </div>
+              ) : visibleProducts.length === 0 ? (
+                <div className="py-12 text-center">
+                  <RiStackLine className="mx-auto h-12 w-12 text-gray-500" />
+                  <p className="mt-2 text-sm text-gray-400">
+                    {products.length === 0
+                      ? 'No products yet. They are added as you record purchases.'
+                      : 'No products match.'}
+                  </p>
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-700">
+                    <thead className="bg-gray-900/50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-400">Product</th>
+                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-400">SKU</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">On hand</th>
+                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Reorder at</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                      {visibleProducts.map(product => {
+                        const onHand = levels.get(product.id) || 0;
+                        const low = isLowStock(product, onHand);
+                        return (
+                          <tr
+                            key={product.id}
+                            onClick={() => selectProduct(product.id)}
+                            className={`cursor-pointer hover:bg-gray-700/50 ${product.id === selectedId ? 'bg-gray-700/50' : ''}`}
+                          >
+                            <td className="px-4 py-3 text-sm">
+                              <div className={product.archived ? 'text-gray-500' : 'text-white'}>{product.name}</div>
+                              {product.category && <div className="text-xs text-gray-400">{product.category}</div>}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-400">{product.sku || '—'}</td>
+                            <td className="px-4 py-3 text-right text-sm">
+                              <span className={low ? 'font-medium text-yellow-400' : 'text-white'}>
+                                {formatQuantity(onHand)} {product.unit}
+                              </span>
+                              {low && (
+                                <span className="ml-2 rounded-full bg-yellow-900/50 px-2 py-0.5 text-xs text-yellow-300">Low</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-right text-sm text-gray-400">
+                              {hasReorderPoint(product) ? formatQuantity(product.reorderPoint) : '—'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Selected product */}
+            {selectedId && (
+              <div className="xl:col-span-2 rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-5">
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-medium text-white">
+                    {selectedProduct ? selectedProduct.name : 'New product'}
+                  </h2>
+                  <button type="button" onClick={closeDetails} className="text-gray-400 hover:text-white">
+                    <RiCloseLine className="h-5 w-5" />
+                  </button>
+                </div>
+
+                {formError && <p className="text-sm text-red-400">{formError}</p>}
+
+                <form onSubmit={handleSaveProduct} className="space-y-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Name</label>
+                    <input
+                      type="text"
+                      value={form.name}
+                      maxLength={MAX_PRODUCT_NAME_LENGTH}
+                      onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                      className={inputClass}
+                      required
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">SKU</label>
+                      <input
+                        type="text"
+                        value={form.sku}
+                        onChange={(e) => setForm(prev => ({ ...prev, sku: e.target.value }))}
+                        className={inputClass}
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Category</label>
+                      <input
+                        type="text"
+                        list="stock-category-options"
+                        value={form.category}
+                        onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                        className={inputClass}
+                      />
+                      <datalist id="stock-category-options">
+                        {categoryNames.map(name => <option key={name} value={name} />)}
+                      </datalist>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Unit</label>
+                      <select
+                        value={form.unit}
+                        onChange={(e) => setForm(prev => ({ ...prev, unit: e.target.value }))}
+                        className={inputClass}
+                      >
+                        {[...new Set([...STOCK_UNITS, form.unit])].map(unit => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">Reorder point</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={form.reorderPoint}
+                        onChange={(e) => setForm(prev => ({ ...prev, reorderPoint: e.target.value }))}
+                        className={inputClass}
+                        placeholder="No alert"
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    You are emailed a low stock alert when the quantity on hand falls to the reorder point.
+                  </p>
+
+                  <div className="flex items-center justify-between">
+                    {selectedProduct ? (
+                      <button
+                        type="button"
+                        onClick={handleToggleArchived}
+                        disabled={isSaving}
+                        className="inline-flex items-center text-sm text-gray-400 hover:text-white"
+                      >
+                        {selectedProduct.archived
+                          ? <><RiInboxUnarchiveLine className="mr-1 h-4 w-4" />Restore</>
+                          : <><RiInboxArchiveLine className="mr-1 h-4 w-4" />Archive</>}
+                      </button>
+                    ) : <span />}
+                    <button
+                      type="submit"
+                      disabled={isSaving}
+                      className="inline-flex items-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      <RiSaveLine className="mr-2 h-4 w-4" />
+                      {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                  </div>
+                </form>
+
+                {selectedProduct && (
+                  <>
+                    {/* Record usage or an adjustment */}
+                    <form onSubmit={handleRecordMovement} className="space-y-3 border-t border-gray-700 pt-4">
+                      <h3 className="text-sm font-medium text-white">
+                        Record movement
+                        <span className="ml-2 text-gray-400 font-normal">
+                          On hand: {formatQuantity(levels.get(selectedProduct.id) || 0)} {selectedProduct.unit}
+                        </span>
+                      </h3>
+                      <div className="grid grid-cols-3 gap-3">
+                        <select
+                          value={movementForm.type}
+                          onChange={(e) => setMovementForm(prev => ({ ...prev, type: e.target.value }))}
+                          className={inputClass}
+                        >
+                          {MANUAL_MOVEMENT_TYPES.map(type => (
+                            <option key={type} value={type}>{movementTypeLabel(type)}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          step="any"
+                          value={movementForm.quantity}
+                          onChange={(e) => setMovementForm(prev => ({ ...prev, quantity: e.target.value }))}
+                          className={inputClass}
+                          placeholder={movementForm.type === 'usage' ? 'Qty used' : '+/- qty'}
+                          required
+                        />
+                        <input
+                          type="date"
+                          value={movementForm.occurredAt}
+                          onChange={(e) => setMovementForm(prev => ({ ...prev, occurredAt: e.target.value }))}
+                          className={inputClass}
+                          required
+                        />
+                      </div>
+                      <div className="flex gap-3">
+                        <input
+                          type="text"
+                          value={movementForm.note}
+                          onChange={(e) => setMovementForm(prev => ({ ...prev, note: e.target.value }))}
+                          className={inputClass}
+                          placeholder={movementForm.type === 'usage' ? 'Job or reason (optional)' : 'Reason, e.g. stock count (optional)'}
+                        />
+                        <button
+                          type="submit"
+                          disabled={isSaving}
+                          className="rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+                        >
+                          Record
+                        </button>
+                      </div>
+                    </form>
+
+                    {/* History */}
+                    <div className="border-t border-gray-700 pt-4">
+                      <h3 className="text-sm font-medium text-white mb-2">History</h3>
+                      {history.length === 0 ? (
+                        <p className="text-sm text-gray-400">No stock movements yet.</p>
+                      ) : (
+                        <ul className="max-h-80 overflow-y-auto divide-y divide-gray-700">
+                          {history.map(movement => (
+                            <li key={movement.id} className="flex items-center justify-between py-2 text-sm">
+                              <div>
+                                <div className="text-white">
+                                  {movementTypeLabel(movement.type)}
+                                  <span className={`ml-2 ${movement.quantity < 0 ? 'text-red-400' : 'text-green-400'}`}>
+                                    {movement.quantity > 0 ? '+' : ''}{formatQuantity(movement.quantity)}
+                                  </span>
+                                </div>
+                                <div className="text-xs text-gray-400">
+                                  {new Date(movement.occurredAt).toLocaleDateString('en-GB')}
+                                  {movement.note && ` · ${movement.note}`}
+                                </div>
+                              </div>
+                              <div className="flex items-center gap-3">
+                                <span className="text-gray-300">{formatQuantity(movement.balance)}</span>
+                                {MANUAL_MOVEMENT_TYPES.includes(movement.type) && (
+                                  <button
+                                    type="button"
+                                    onClick={() => handleDeleteMovement(movement)}
+                                    disabled={isSaving}
+                                    className="text-gray-500 hover:text-red-400"
+                                    title="Delete movement"
+                                  >
+                                    <RiDeleteBin6Line className="h-4 w-4" />
+                                  </button>
+                                )}
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,486 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
+import { RiStore2Line, RiAddLine, RiDeleteBin6Line, RiSaveLine, RiCloseLine, RiAlertLine, RiArrowRightLine } from 'react-icons/ri';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Tooltip, Legend } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { useAuth } from '../context/AuthContext';
+import useCategories from '../hooks/useCategories';
+import { getPurchaseItems, getSuppliers, saveSupplier, deleteSupplier } from '../services/db';
+import { MAX_SUPPLIER_NAME_LENGTH, summariseSupplierSpend, periodKey, periodRange, formatPeriod } from '../utils/suppliers';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const toDateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Date ranges to report on, worked out from today
+const PERIOD_PRESETS = [
+  {
+    value: 'last12',
+    label: 'Last 12 months',
+    range: (today) => ({ from: toDateInput(new Date(today.getFullYear(), today.getMonth() - 11, 1)), to: toDateInput(today) })
+  },
+  {
+    value: 'thisYear',
+    label: 'This year',
+    range: (today) => ({ from: `${today.getFullYear()}-01-01`, to: toDateInput(today) })
+  },
+  {
+    value: 'lastYear',
+    label: 'Last year',
+    range: (today) => ({ from: `${today.getFullYear() - 1}-01-01`, to: `${today.getFullYear() - 1}-12-31` })
+  },
+  {
+    value: 'all',
+    label: 'All time',
+    range: () => ({ from: '', to: '' })
+  }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  vatNumber: '',
+  address: '',
+  defaultCategoryId: '',
+  defaultVatPercentage: ''
+};
+
+const inputClass = 'w-full rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm text-white placeholder-gray-400 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency: 'GBP',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+}).format(value || 0);
+
+export default function Suppliers() {
+  const { user } = useAuth();
+  const { categories } = useCategories();
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchases, setPurchases] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [preset, setPreset] = useState('last12');
+  const [period, setPeriod] = useState('month');
+  const [selectedId, setSelectedId] = useState(null); // a supplier id, or 'new' while adding one
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  useEffect(() => {
+    if (user?.email) {
+      loadData();
+    }
+  }, [user?.email]);
+
+  const loadData = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const [supplierList, items] = await Promise.all([
+        getSuppliers(user.email),
+        getPurchaseItems(user.email)
+      ]);
+      setSuppliers(supplierList);
+      setPurchases(items);
+    } catch (loadError) {
+      console.error('Error loading suppliers:', loadError);
+      setError('Failed to load suppliers');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const range = useMemo(() => (
+    (PERIOD_PRESETS.find(option => option.value === preset) || PERIOD_PRESETS[0]).range(new Date())
+  ), [preset]);
+
+  const spendRows = useMemo(() => (
+    summariseSupplierSpend(purchases, suppliers, { ...range, period })
+  ), [purchases, suppliers, range, period]);
+
+  // Suppliers with no purchases in the range still get a row, so they can be edited
+  const rows = useMemo(() => {
+    const spent = new Set(spendRows.map(row => row.supplierId));
+    const unused = suppliers
+      .filter(supplier => !spent.has(supplier.id))
+      .map(supplier => ({ supplierId: supplier.id, name: supplier.name, count: 0, net: 0, vat: 0, gross: 0, periods: {} }));
+    return [...spendRows, ...unused];
+  }, [spendRows, suppliers]);
+
+  const totals = useMemo(() => spendRows.reduce((sum, row) => ({
+    count: sum.count + row.count,
+    net: sum.net + row.net,
+    vat: sum.vat + row.vat,
+    gross: sum.gross + row.gross
+  }), { count: 0, net: 0, vat: 0, gross: 0 }), [spendRows]);
+
+  const selectedSupplier = suppliers.find(supplier => supplier.id === selectedId) || null;
+  const selectedRow = rows.find(row => row.supplierId === selectedId) || null;
+
+  // Every period in the range, or from the first to the last purchase for "All time"
+  const chartData = useMemo(() => {
+    if (!selectedRow) return null;
+    const keys = Object.keys(selectedRow.periods).sort();
+    const first = range.from ? periodKey(range.from, period) : keys[0];
+    const last = range.to ? periodKey(range.to, period) : keys[keys.length - 1];
+    const labels = periodRange(first, last, period);
+
+    return {
+      labels: labels.map(formatPeriod),
+      datasets: [
+        {
+          label: 'Net',
+          data: labels.map(key => selectedRow.periods[key]?.net || 0),
+          backgroundColor: 'rgba(59, 130, 246, 0.7)',
+          stack: 'spend'
+        },
+        {
+          label: 'VAT',
+          data: labels.map(key => selectedRow.periods[key]?.vat || 0),
+          backgroundColor: 'rgba(234, 179, 8, 0.7)',
+          stack: 'spend'
+        }
+      ]
+    };
+  }, [selectedRow, range, period]);
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { labels: { color: '#d1d5db' } },
+      tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y)}` } }
+    },
+    scales: {
+      x: { stacked: true, ticks: { color: '#9ca3af' }, grid: { color: 'rgba(75, 85, 99, 0.3)' } },
+      y: { stacked: true, ticks: { color: '#9ca3af', callback: (value) => `£${value}` }, grid: { color: 'rgba(75, 85, 99, 0.3)' } }
+    }
+  };
+
+  const activeCategories = categories.filter(category => !category.archived || category.id === selectedSupplier?.defaultCategoryId);
+
+  const selectSupplier = (supplierId) => {
+    const supplier = suppliers.find(s => s.id === supplierId);
+    setSelectedId(supplierId);
+    setFormError('');
+    setConfirmDelete(false);
+    setForm(supplier ? {
+      name: supplier.name,
+      vatNumber: supplier.vatNumber || '',
+      address: supplier.address || '',
+      defaultCategoryId: supplier.defaultCategoryId || '',
+      defaultVatPercentage: supplier.defaultVatPercentage ?? ''
+    } : EMPTY_FORM);
+  };
+
+  const closeDetails = () => {
+    setSelectedId(null);
+    setFormError('');
+    setConfirmDelete(false);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = form.name.replace(/\s+/g, ' ').trim();
+    if (!name) {
+      setFormError('Supplier name is required');
+      return;
+    }
+    const clash = suppliers.find(s => s.id !== selectedSupplier?.id && s.name.toLowerCase() === name.toLowerCase());
+    if (clash) {
+      setFormError(`There is already a supplier called "${clash.name}"`);
+      return;
+    }
+    const vatPercentage = form.defaultVatPercentage === '' ? null : parseFloat(form.defaultVatPercentage);
+    if (vatPercentage !== null && (isNaN(vatPercentage) || vatPercentage < 0 || vatPercentage > 100)) {
+      setFormError('Default VAT rate must be between 0 and 100');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setFormError('');
+      const saved = await saveSupplier({
+        ...(selectedSupplier || {}),
+        name,
+        vatNumber: form.vatNumber.trim(),
+        address: form.address.trim(),
+        defaultCategoryId: form.defaultCategoryId || null,
+        defaultVatPercentage: vatPercentage
+      }, user.email);
+
+      // A rename is copied onto the supplier's purchases, so reload them too
+      await loadData();
+      setSelectedId(saved.id);
+    } catch (saveError) {
+      console.error('Error saving supplier:', saveError);
+      setFormError(saveError.message || 'Failed to save supplier');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setIsSaving(true);
+      await deleteSupplier(selectedSupplier.id, user.email);
+      closeDetails();
+      await loadData();
+    } catch (deleteError) {
+      console.error('Error deleting supplier:', deleteError);
+      setFormError(deleteError.message || 'Failed to delete supplier');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="space-y-6"
+      >
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-semibold text-white">Suppliers</h1>
+            <p className="mt-1 text-sm text-gray-400">
+              Who you buy from, what you spend with them and the VAT on it
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => selectSupplier('new')}
+            className="inline-flex items-center justify-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary-700 w-full sm:w-auto"
+          >
+            <RiAddLine className="mr-2 h-4 w-4" />
+            Add Supplier
+          </button>
+        </div>
+
+        {error && (
+          <div className="flex items-center rounded-lg border border-red-700 bg-red-900/20 p-4 text-sm text-red-300">
+            <RiAlertLine className="mr-2 h-5 w-5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {/* Period */}
+        <div className="flex flex-col sm:flex-row gap-3">
+          <select value={preset} onChange={(e) => setPreset(e.target.value)} className={`${inputClass} sm:w-48`}>
+            {PERIOD_PRESETS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="inline-flex rounded-md border border-gray-600 overflow-hidden">
+            {[{ value: 'month', label: 'Monthly' }, { value: 'quarter', label: 'Quarterly' }].map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setPeriod(option.value)}
+                className={`px-4 py-2 text-sm ${period === option.value ? 'bg-primary-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Totals */}
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {[
+            { label: 'Total spend', value: formatCurrency(totals.gross) },
+            { label: 'Net of VAT', value: formatCurrency(totals.net) },
+            { label: 'VAT paid', value: formatCurrency(totals.vat) },
+            { label: 'Purchases', value: totals.count }
+          ].map(card => (
+            <div key={card.label} className="rounded-lg border border-gray-700 bg-gray-800 p-4">
+              <p className="text-xs text-gray-400">{card.label}</p>
+              <p className="mt-1 text-xl font-semibold text-white">{card.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          {/* Spend by supplier */}
+          <div className="xl:col-span-3 rounded-lg border border-gray-700 bg-gray-800 overflow-hidden">
+            {isLoading ? (
+              <div className="flex justify-center py-12">
+                <div className="h-8 w-8 animate-spin rounded-full border-b-2 border-primary-500" />
+              </div>
+            ) : rows.length === 0 ? (
+              <div className="py-12 text-center">
+                <RiStore2Line className="mx-auto h-12 w-12 text-gray-500" />
+                <p className="mt-2 text-sm text-gray-400">
+                  No suppliers yet. They are added as you scan receipts and import purchases.
+                </p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-700">
+                  <thead className="bg-gray-900/50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-400">Supplier</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Purchases</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Net</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">VAT</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider text-gray-400">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700">
+                    {rows.map(row => (
+                      <tr
+                        key={row.supplierId || 'none'}
+                        onClick={() => row.supplierId && selectSupplier(row.supplierId)}
+                        className={`${row.supplierId ? 'cursor-pointer hover:bg-gray-700/50' : ''} ${row.supplierId === selectedId ? 'bg-gray-700/50' : ''}`}
+                      >
+                        <td className={`px-4 py-3 text-sm ${row.supplierId ? 'text-white' : 'italic text-gray-400'}`}>{row.name}</td>
+                        <td className="px-4 py-3 text-right text-sm text-gray-300">{row.count}</td>
+                        <td className="px-4 py-3 text-right text-sm text-gray-300">{formatCurrency(row.net)}</td>
+                        <td className="px-4 py-3 text-right text-sm text-gray-300">{formatCurrency(row.vat)}</td>
+                        <td className="px-4 py-3 text-right text-sm font-medium text-white">{formatCurrency(row.gross)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Selected supplier */}
+          {selectedId && (
+            <div className="xl:col-span-2 rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-medium text-white">
+                  {selectedSupplier ? selectedSupplier.name : 'New supplier'}
+                </h2>
+                <button type="button" onClick={closeDetails} className="text-gray-400 hover:text-white">
+                  <RiCloseLine className="h-5 w-5" />
+                </button>
+              </div>
+
+              {selectedSupplier && chartData && (
+                <>
+                  <div className="h-56">
+                    <Bar data={chartData} options={chartOptions} />
+                  </div>
+                  <Link
+                    to={`/purchases?supplier=${encodeURIComponent(selectedSupplier.name)}`}
+                    className="inline-flex items-center text-sm text-primary-400 hover:text-primary-300"
+                  >
+                    View purchases
+                    <RiArrowRightLine className="ml-1 h-4 w-4" />
+                  </Link>
+                </>
+              )}
+
+              <form onSubmit={handleSave} className="space-y-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Name</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    maxLength={MAX_SUPPLIER_NAME_LENGTH}
+                    onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">VAT number</label>
+                  <input
+                    type="text"
+                    value={form.vatNumber}
+                    onChange={(e) => setForm(prev => ({ ...prev, vatNumber: e.target.value }))}
+                    className={inputClass}
+                    placeholder="GB123456789"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-400 mb-1">Address</label>
+                  <textarea
+                    rows={2}
+                    value={form.address}
+                    onChange={(e) => setForm(prev => ({ ...prev, address: e.target.value }))}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Default category</label>
+                    <select
+                      value={form.defaultCategoryId}
+                      onChange={(e) => setForm(prev => ({ ...prev, defaultCategoryId: e.target.value }))}
+                      className={inputClass}
+                    >
+                      <option value="">None</option>
+                      {activeCategories.map(category => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-400 mb-1">Default VAT (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={form.defaultVatPercentage}
+                      onChange={(e) => setForm(prev => ({ ...prev, defaultVatPercentage: e.target.value }))}
+                      className={inputClass}
+                      placeholder="As on receipt"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Defaults fill in scanned purchases from this supplier. Your categorisation rules still take priority.
+                </p>
+
+                {formError && <p className="text-sm text-red-400">{formError}</p>}
+
+                <div className="flex items-center justify-between pt-2">
+                  {selectedSupplier ? (
+                    confirmDelete ? (
+                      <div className="flex items-center gap-2 text-sm">
+                        <span className="text-gray-300">Delete? Purchases are kept.</span>
+                        <button type="button" onClick={handleDelete} disabled={isSaving} className="text-red-400 hover:text-red-300">Yes</button>
+                        <button type="button" onClick={() => setConfirmDelete(false)} className="text-gray-400 hover:text-white">No</button>
+                      </div>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setConfirmDelete(true)}
+                        className="inline-flex items-center text-sm text-red-400 hover:text-red-300"
+                      >
+                        <RiDeleteBin6Line className="mr-1 h-4 w-4" />
+                        Delete
+                      </button>
+                    )
+                  ) : <span />}
+                  <button
+                    type="submit"
+                    disabled={isSaving}
+                    className="inline-flex items-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    <RiSaveLine className="mr-2 h-4 w-4" />
+                    {isSaving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
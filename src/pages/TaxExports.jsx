@@ -6,6 +6,11 @@ import {getPurchaseItems} from '../services/db';
 import {useAuth} from '../context/AuthContext';
 import useFeatureAccess from '../hooks/useFeatureAccess';
 import {Link} from 'react-router-dom';
+import {isForeignCurrency} from '../utils/currency';
+
+// UK VAT on a purchase, assuming the standard rate where none was recorded.
+// Purchases in other currencies carry none
+const vatRateOf=(item)=> (isForeignCurrency(item) ? 0 : item.vatPercentage ?? 20);
 
 export default function TaxExports() {
   const [isExportModalOpen,setIsExportModalOpen]=useState(false);
@@ -36,7 +41,7 @@ export default function TaxExports() {
       const items=await getPurchaseItems(user.email);
       const totalPurchaseCost=items.reduce((sum,item)=> {
         // Use VAT-inclusive price from database if available, otherwise use unitPrice
-        const itemPrice = item.vatIncluded ? item.unitPrice : (item.unitPrice * (1 + (item.vatPercentage || 20) / 100));
+        const itemPrice = item.vatIncluded ? item.unitPrice : (item.unitPrice * (1 + vatRateOf(item) / 100));
         return sum + (item.quantity * itemPrice);
       }, 0);
 
@@ -47,7 +52,7 @@ export default function TaxExports() {
       if (vatRegistered === true) {
         // VAT Registered: Calculate VAT reclaim
         vatReclaim = items.reduce((sum, item) => {
-          const vatPercentage = item.vatPercentage || 20;
+          const vatPercentage = vatRateOf(item);
           let itemVatReclaim = 0;
           
           if (item.vatIncluded) {
@@ -72,7 +77,7 @@ export default function TaxExports() {
           acc[category]={items: 0,value: 0,vatReclaim: 0,netCost: 0};
         }
         
-        const vatPercentage = item.vatPercentage || 20;
+        const vatPercentage = vatRateOf(item);
         const itemPrice = item.vatIncluded ? item.unitPrice : (item.unitPrice * (1 + vatPercentage / 100));
         const itemCost = item.quantity * itemPrice;
         let itemVatReclaim = 0;
@@ -184,6 +189,7 @@ export default function TaxExports() {
       case 'excel': return <RiFileTextLine className="h-4 w-4 text-green-400" />;
       case 'csv': return <RiFileTextLine className="h-4 w-4 text-blue-400" />;
       case 'pdf': return <RiFileTextLine className="h-4 w-4 text-red-400" />;
+      case 'accounting': return <RiFileTextLine className="h-4 w-4 text-purple-400" />;
       default: return <RiFileTextLine className="h-4 w-4 text-gray-400" />;
     }
   };
@@ -251,7 +257,7 @@ export default function TaxExports() {
                       <li>• <strong>Unlimited</strong> tax export reports</li>
                       <li>• Professional VAT reports</li>
                       <li>• HMRC-compliant documentation</li>
-                      <li>• Multi-format exports (Excel,CSV,PDF)</li>
+                      <li>• Multi-format exports (Excel,CSV,PDF) and accounting package imports</li>
                       <li>• Export history tracking</li>
                       <li>• VAT registration guidance</li>
                     </ul>
@@ -741,7 +747,8 @@ export default function TaxExports() {
                   </div>
                   <h4 className="text-white font-medium mb-2">Submit VAT Return</h4>
                   <p className="text-gray-400 text-sm">
-                    Use this report with your quarterly VAT return to claim back the VAT.
+                    Use this report with your quarterly VAT return to claim back the VAT, or work out the full return on the{' '}
+                    <Link to="/app/vat-returns" className="text-primary-400 hover:text-primary-300 underline">VAT Returns</Link> page.
                   </p>
                 </div>
               </div>
@@ -0,0 +1,610 @@
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { RiGovernmentLine, RiAlertLine, RiLockLine, RiSaveLine, RiSendPlaneLine, RiFileCodeLine, RiCheckboxCircleLine, RiDeleteBin6Line, RiAddLine } from 'react-icons/ri';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import useVatSettings from '../hooks/useVatSettings';
+import SalesLedger from '../components/SalesLedger';
+import { getPurchaseItems, getSalesEntries, addSalesEntry, markSalesEntryPaid, deleteSalesEntry, getVatReturns, saveVatReturn, deleteVatReturn, getPurchaseAdjustments } from '../services/db';
+import { checkVatReturnSubmission } from '../services/hmrcVat';
+import {
+  VAT_BOXES,
+  MANUAL_BOXES,
+  computeVatReturn,
+  isRepayment,
+  suggestPeriodKey,
+  toMtdPayload,
+  validateMtdPayload,
+  formatVatPeriod
+} from '../utils/vatReturn';
+import { recentVatPeriods, lastCompletedVatPeriod, describeVatSettings, periodLabel } from '../utils/vatPeriods';
+import { describeVatScheme, LIMITED_COST_TRADER_RATE } from '../utils/vatSchemes';
+import { formatMoney } from '../utils/currency';
+import { exportFileName } from '../utils/spreadsheet';
+
+const inputClass = 'w-full rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm text-white placeholder-gray-400 focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500 disabled:opacity-50';
+
+const toKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const periodValue = (period) => `${period.start}|${period.end}`;
+
+const newDraft = (period) => {
+  return {
+    id: null,
+    periodStart: period.start,
+    periodEnd: period.end,
+    periodKey: suggestPeriodKey(period),
+    status: 'draft',
+    adjustments: {},
+    receipt: null
+  };
+};
+
+const formatBox = (box, value) => (
+  box.wholePounds ? `£${Math.trunc(value || 0).toLocaleString('en-GB')}` : formatMoney(value)
+);
+
+export default function VatReturns() {
+  const { user } = useAuth();
+  const { settings, loading: settingsLoading } = useVatSettings();
+  const [purchases, setPurchases] = useState([]);
+  const [sales, setSales] = useState([]);
+  const [purchaseAdjustments, setPurchaseAdjustments] = useState([]);
+  const [vatReturns, setVatReturns] = useState([]);
+  const [draft, setDraft] = useState(() => newDraft(lastCompletedVatPeriod(settings)));
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [check, setCheck] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (user?.email) {
+      loadData();
+    }
+  }, [user?.email]);
+
+  // A new return starts on the last completed period of the user's own
+  // calendar, which loads after the first render
+  useEffect(() => {
+    if (!settingsLoading) {
+      setDraft(prev => (prev.id ? prev : newDraft(lastCompletedVatPeriod(settings))));
+    }
+  }, [settingsLoading]);
+
+  const loadData = async () => {
+    try {
+      setIsLoading(true);
+      setError('');
+      const [purchaseList, salesList, adjustmentList, returnList] = await Promise.all([
+        getPurchaseItems(user.email),
+        getSalesEntries(user.email),
+        getPurchaseAdjustments(user.email),
+        getVatReturns(user.email)
+      ]);
+      setPurchases(purchaseList);
+      setSales(salesList);
+      setPurchaseAdjustments(adjustmentList);
+      setVatReturns(returnList);
+    } catch (loadError) {
+      console.error('Error loading VAT returns:', loadError);
+      setError('Failed to load VAT returns');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 4000);
+  };
+
+  const period = { start: draft.periodStart, end: draft.periodEnd };
+  const isSubmitted = draft.status === 'submitted';
+  // A submitted return is worked out under the settings it was filed with
+  const returnSettings = isSubmitted && draft.settings ? draft.settings : settings;
+
+  const computed = useMemo(() => computeVatReturn({
+    purchases,
+    sales,
+    purchaseAdjustments,
+    period: { start: draft.periodStart, end: draft.periodEnd },
+    adjustments: draft.adjustments,
+    settings: returnSettings
+  }), [purchases, sales, purchaseAdjustments, draft.periodStart, draft.periodEnd, draft.adjustments, returnSettings]);
+
+  // A submitted return shows what was filed, not what the records say now
+  const boxes = isSubmitted ? draft.boxes : computed.boxes;
+  const payload = isSubmitted && draft.payload ? draft.payload : toMtdPayload(boxes, draft.periodKey);
+  const issues = validateMtdPayload(payload);
+  const changedSinceSubmitted = isSubmitted && VAT_BOXES.some(({ key }) => computed.boxes[key] !== draft.boxes[key]);
+
+  const selectReturn = (vatReturn) => {
+    setDraft(vatReturn ? { ...vatReturn } : newDraft(lastCompletedVatPeriod(settings)));
+    setCheck(vatReturn?.receipt ? { accepted: true, body: vatReturn.receipt } : null);
+    setError('');
+  };
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes, receipt: null }));
+    setCheck(null);
+  };
+
+  // One return per period: picking a period that already has one opens it
+  const handlePeriodChange = (e) => {
+    const [start, end] = e.target.value.split('|');
+    const saved = vatReturns.find(vatReturn => vatReturn.periodStart === start && vatReturn.periodEnd === end);
+    if (saved) {
+      selectReturn(saved);
+      return;
+    }
+    setDraft(newDraft({ start, end }));
+    setCheck(null);
+    setError('');
+  };
+
+  const handleAdjustmentChange = (key, value) => {
+    updateDraft({ adjustments: { ...draft.adjustments, [key]: value } });
+  };
+
+  const persist = async (changes, successMessage) => {
+    try {
+      setIsSaving(true);
+      setError('');
+      const saved = await saveVatReturn({ ...draft, ...changes, settings }, user.email);
+      setDraft(saved);
+      setVatReturns(await getVatReturns(user.email));
+      showMessage(successMessage);
+      return saved;
+    } catch (saveError) {
+      console.error('Error saving VAT return:', saveError);
+      setError(saveError.message || 'Failed to save VAT return');
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveDraft = () => persist({ status: 'draft' }, 'Draft saved');
+
+  const handleCheck = async () => {
+    try {
+      setIsChecking(true);
+      setError('');
+      const result = await checkVatReturnSubmission(payload);
+      setCheck(result);
+      if (result.accepted) {
+        setDraft(prev => ({ ...prev, receipt: result.body }));
+      }
+    } catch (checkError) {
+      setError(checkError.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleMarkSubmitted = async () => {
+    if (!window.confirm(`Mark the return for ${formatVatPeriod(draft)} as submitted? Its figures will be locked and sales in the period can no longer be changed.`)) return;
+
+    await persist({
+      status: 'submitted',
+      boxes: computed.boxes,
+      payload,
+      submittedAt: new Date().toISOString()
+    }, 'Return marked as submitted and its period locked');
+  };
+
+  const handleDeleteDraft = async () => {
+    if (!window.confirm(`Delete the draft return for ${formatVatPeriod(draft)}?`)) return;
+
+    try {
+      setIsSaving(true);
+      await deleteVatReturn(draft, user.email);
+      setVatReturns(await getVatReturns(user.email));
+      selectReturn(null);
+    } catch (deleteError) {
+      setError(deleteError.message || 'Failed to delete VAT return');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDownloadPayload = () => {
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    const periodName = payload.periodKey.replace(/[^A-Z0-9]/g, '') || draft.periodEnd;
+    link.download = exportFileName(user?.businessName, `VAT_Return_${periodName}`, 'json');
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  };
+
+  // A check made before the sales changed no longer applies
+  const handleAddSale = async (sale) => {
+    await addSalesEntry(sale, user.email);
+    setSales(await getSalesEntries(user.email));
+    updateDraft({});
+  };
+
+  const handleMarkSalePaid = async (sale, paidDate) => {
+    await markSalesEntryPaid(sale, paidDate, user.email);
+    setSales(await getSalesEntries(user.email));
+    updateDraft({});
+  };
+
+  const handleDeleteSale = async (sale) => {
+    await deleteSalesEntry(sale, user.email);
+    setSales(await getSalesEntries(user.email));
+    updateDraft({});
+  };
+
+  // The calendar's recent periods, plus the open return's own period when
+  // it is older or was set by hand
+  const periodOptions = useMemo(() => {
+    const periods = recentVatPeriods(settings, 12);
+    return periods.some(option => option.start === draft.periodStart && option.end === draft.periodEnd)
+      ? periods
+      : [{ start: draft.periodStart, end: draft.periodEnd }, ...periods];
+  }, [settings, draft.periodStart, draft.periodEnd]);
+
+  const periodStatus = (option) => {
+    const saved = vatReturns.find(vatReturn => vatReturn.periodStart === option.start && vatReturn.periodEnd === option.end);
+    if (saved) return saved.status === 'submitted' ? ' (submitted)' : ' (draft)';
+    return option.end >= toKey(new Date()) ? ' (in progress)' : '';
+  };
+
+  const periodNotEnded = draft.periodEnd >= toKey(new Date());
+
+  const periodLocked = vatReturns.some(vatReturn => (
+    vatReturn.status === 'submitted' &&
+    vatReturn.periodStart <= draft.periodEnd &&
+    draft.periodStart <= vatReturn.periodEnd
+  ));
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="space-y-6"
+      >
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-semibold text-white">VAT Returns</h1>
+            <p className="mt-1 text-sm text-gray-400">
+              Work out the nine boxes for a VAT period from your purchases and sales
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => selectReturn(null)}
+            className="inline-flex items-center justify-center rounded-md bg-primary-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-primary-700 w-full sm:w-auto"
+          >
+            <RiAddLine className="mr-2 h-4 w-4" />
+            New Return
+          </button>
+        </div>
+
+        {error && (
+          <div className="flex items-center rounded-lg border border-red-700 bg-red-900/20 p-4 text-sm text-red-300">
+            <RiAlertLine className="mr-2 h-5 w-5 flex-shrink-0" />
+            {error}
+          </div>
+        )}
+
+        {message && (
+          <div className="flex items-center rounded-lg border border-green-700 bg-green-900/20 p-4 text-sm text-green-300">
+            <RiCheckboxCircleLine className="mr-2 h-5 w-5 flex-shrink-0" />
+            {message}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-12">
+            <div className="h-8 w-8 animate-spin rounded-full border-b-2 border-primary-500" />
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 xl:grid-cols-4 gap-6">
+            {/* Saved returns */}
+            <div className="rounded-lg border border-gray-700 bg-gray-800 overflow-hidden h-fit">
+              <div className="border-b border-gray-700 px-4 py-3">
+                <h3 className="text-sm font-medium text-white">Saved returns</h3>
+              </div>
+              {vatReturns.length === 0 ? (
+                <p className="px-4 py-6 text-sm text-gray-400">No returns saved yet.</p>
+              ) : (
+                <ul className="divide-y divide-gray-700">
+                  {vatReturns.map(vatReturn => (
+                    <li key={vatReturn.id}>
+                      <button
+                        type="button"
+                        onClick={() => selectReturn(vatReturn)}
+                        className={`w-full px-4 py-3 text-left hover:bg-gray-700/50 ${draft.id === vatReturn.id ? 'bg-gray-700/50' : ''}`}
+                      >
+                        <div className="text-sm text-white">{formatVatPeriod(vatReturn)}</div>
+                        <div className="mt-1 flex items-center text-xs">
+                          {vatReturn.status === 'submitted' ? (
+                            <span className="inline-flex items-center text-green-400">
+                              <RiLockLine className="mr-1 h-3 w-3" />
+                              Submitted {new Date(vatReturn.submittedAt).toLocaleDateString('en-GB')}
+                            </span>
+                          ) : (
+                            <span className="text-yellow-400">Draft</span>
+                          )}
+                          {vatReturn.periodKey && <span className="ml-2 text-gray-500">{vatReturn.periodKey}</span>}
+                        </div>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="xl:col-span-3 space-y-6">
+              {/* Period */}
+              <div className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-lg font-medium text-white flex items-center">
+                    <RiGovernmentLine className="mr-2 h-5 w-5 text-primary-400" />
+                    {draft.id ? `Return for ${formatVatPeriod(draft)}` : 'New return'}
+                  </h3>
+                  {isSubmitted && (
+                    <span className="inline-flex items-center rounded-full bg-green-900/40 px-3 py-1 text-xs font-medium text-green-300">
+                      <RiLockLine className="mr-1 h-3 w-3" />
+                      Submitted and locked
+                    </span>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div className="sm:col-span-2">
+                    <label className="block text-xs text-gray-400 mb-1">VAT period</label>
+                    <select value={periodValue(period)} onChange={handlePeriodChange} className={inputClass}>
+                      {periodOptions.map(option => (
+                        <option key={periodValue(option)} value={periodValue(option)}>
+                          {periodLabel(option)}{periodStatus(option)}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      {describeVatSettings(returnSettings)} periods, {describeVatScheme(returnSettings).toLowerCase()}.{' '}
+                      <Link to="/settings" className="text-primary-400 hover:text-primary-300">Change in Settings</Link>
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-400 mb-1">Period key</label>
+                    <input
+                      type="text"
+                      value={draft.periodKey}
+                      onChange={(e) => updateDraft({ periodKey: e.target.value.toUpperCase() })}
+                      disabled={isSubmitted}
+                      maxLength={4}
+                      className={inputClass}
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Copy this from the obligation in your HMRC account.</p>
+                  </div>
+                </div>
+
+                {!isSubmitted && periodLocked && (
+                  <p className="text-sm text-yellow-300">This period overlaps a return that has already been submitted.</p>
+                )}
+                {!isSubmitted && periodNotEnded && (
+                  <p className="text-sm text-yellow-300">This period hasn't ended yet, so its return can be drafted but not submitted.</p>
+                )}
+              </div>
+
+              {/* Nine boxes */}
+              <div className="rounded-lg border border-gray-700 bg-gray-800 overflow-hidden">
+                <table className="min-w-full text-sm">
+                  <tbody className="divide-y divide-gray-700">
+                    {VAT_BOXES.map(box => (
+                      <tr key={box.key}>
+                        <td className="w-16 px-4 py-3 font-medium text-gray-400">Box {box.box}</td>
+                        <td className="px-4 py-3 text-gray-200">{box.label}</td>
+                        <td className="w-48 px-4 py-3 text-right">
+                          {MANUAL_BOXES.includes(box.key) && !isSubmitted ? (
+                            <input
+                              type="number"
+                              step={box.wholePounds ? '1' : '0.01'}
+                              value={draft.adjustments[box.key] ?? ''}
+                              onChange={(e) => handleAdjustmentChange(box.key, e.target.value)}
+                              placeholder="0"
+                              className={`${inputClass} text-right`}
+                            />
+                          ) : (
+                            <span className={`font-medium ${box.box === 5 ? 'text-primary-300' : 'text-white'}`}>
+                              {formatBox(box, boxes[box.key])}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="border-t border-gray-700 bg-gray-900/40 px-4 py-3 text-sm text-gray-300">
+                  {isRepayment(boxes)
+                    ? `HMRC owes you ${formatMoney(boxes.netVatDue)} for this period.`
+                    : `You owe HMRC ${formatMoney(boxes.netVatDue)} for this period.`}
+                  {!isSubmitted && (
+                    <span className="ml-1 text-gray-500">
+                      From {computed.purchases.length} purchases, {computed.sales.length} sales
+                      and {computed.purchaseAdjustments.length} adjustments to earlier returns.
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {!isSubmitted && computed.flatRate && (
+                <div className="rounded-lg border border-gray-700 bg-gray-800 p-4 text-sm text-gray-300 space-y-1">
+                  <h3 className="text-lg font-medium text-white">Flat Rate Scheme</h3>
+                  <p>
+                    Box 1 is {computed.flatRate.rate}% of your VAT-inclusive turnover of {formatMoney(computed.flatRate.turnover)}.
+                    Input VAT is only reclaimed on capital assets.
+                  </p>
+                  <p className={computed.flatRate.limitedCost ? 'text-yellow-300' : 'text-gray-400'}>
+                    {computed.flatRate.limitedCost
+                      ? `Goods cost ${formatMoney(computed.flatRate.relevantGoods)}, under the ${formatMoney(computed.flatRate.threshold)} limited cost test threshold, so the ${LIMITED_COST_TRADER_RATE}% limited cost trader rate applies.`
+                      : `Goods cost ${formatMoney(computed.flatRate.relevantGoods)}, above the ${formatMoney(computed.flatRate.threshold)} limited cost test threshold, so your sector rate applies.`}
+                  </p>
+                </div>
+              )}
+
+              {changedSinceSubmitted && (
+                <div className="flex items-start rounded-lg border border-yellow-700 bg-yellow-900/20 p-4 text-sm text-yellow-300">
+                  <RiAlertLine className="mr-2 mt-0.5 h-5 w-5 flex-shrink-0" />
+                  Purchases dated in this period have been added since the return was submitted, so your records no longer match what was filed. Claim them in the next open period.
+                </div>
+              )}
+
+              {computed.purchaseAdjustments.length > 0 && (
+                <div className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-3">
+                  <div>
+                    <h3 className="text-lg font-medium text-white">Adjustments to earlier returns</h3>
+                    <p className="text-sm text-gray-400">
+                      Corrections to purchases in submitted periods, included in boxes 4 and 7.
+                    </p>
+                  </div>
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs uppercase text-gray-400">
+                        <th className="py-2 pr-4">Adjustment</th>
+                        <th className="py-2 pr-4 text-right">Net</th>
+                        <th className="py-2 text-right">VAT</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-700">
+                      {computed.purchaseAdjustments.map(entry => (
+                        <tr key={entry.id} className="text-gray-200">
+                          <td className="py-2 pr-4">{entry.description}</td>
+                          <td className="py-2 pr-4 text-right">{formatMoney(entry.netAmount)}</td>
+                          <td className="py-2 text-right">{formatMoney(entry.vatAmount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {/* MTD payload */}
+              <div className="rounded-lg border border-gray-700 bg-gray-800 p-4 space-y-4">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <h3 className="text-lg font-medium text-white">Making Tax Digital submission</h3>
+                    <p className="text-sm text-gray-400">The return as HMRC's VAT API takes it</p>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      type="button"
+                      onClick={handleDownloadPayload}
+                      className="inline-flex items-center rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm font-medium text-white hover:bg-gray-600"
+                    >
+                      <RiFileCodeLine className="mr-2 h-4 w-4" />
+                      Download JSON
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleCheck}
+                      disabled={isChecking || issues.length > 0}
+                      className="inline-flex items-center rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm font-medium text-white hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      <RiSendPlaneLine className="mr-2 h-4 w-4" />
+                      {isChecking ? 'Checking...' : 'Check with mock HMRC'}
+                    </button>
+                  </div>
+                </div>
+
+                <pre className="max-h-64 overflow-auto rounded-md bg-gray-900 p-3 text-xs text-gray-300">
+                  {JSON.stringify(payload, null, 2)}
+                </pre>
+
+                {issues.length > 0 && (
+                  <ul className="space-y-1 text-sm text-red-300">
+                    {issues.map(issue => (
+                      <li key={`${issue.code}${issue.path}`}>
+                        <span className="font-mono text-xs">{issue.code}</span> {issue.path}: {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {check && (
+                  check.accepted ? (
+                    <div className="rounded-md border border-green-700 bg-green-900/20 p-3 text-sm text-green-300">
+                      Accepted. Form bundle {check.body.formBundleNumber}, processed {new Date(check.body.processingDate).toLocaleString('en-GB')}
+                      {check.body.chargeRefNumber && `, charge reference ${check.body.chargeRefNumber}`}.
+                    </div>
+                  ) : (
+                    <div className="rounded-md border border-red-700 bg-red-900/20 p-3 text-sm text-red-300">
+                      Rejected ({check.status}): {check.body.message}
+                      {check.body.errors?.length > 0 && (
+                        <ul className="mt-1 list-disc pl-5">
+                          {check.body.errors.map(issue => (
+                            <li key={`${issue.code}${issue.path}`}>{issue.path}: {issue.message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )
+                )}
+
+                {!isSubmitted && (
+                  <div className="flex flex-wrap justify-end gap-2 border-t border-gray-700 pt-4">
+                    {draft.id && (
+                      <button
+                        type="button"
+                        onClick={handleDeleteDraft}
+                        disabled={isSaving}
+                        className="inline-flex items-center rounded-md border border-gray-600 px-3 py-2 text-sm font-medium text-gray-300 hover:text-red-400 disabled:opacity-50"
+                      >
+                        <RiDeleteBin6Line className="mr-2 h-4 w-4" />
+                        Delete Draft
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={handleSaveDraft}
+                      disabled={isSaving}
+                      className="inline-flex items-center rounded-md border border-gray-600 bg-gray-700 px-3 py-2 text-sm font-medium text-white hover:bg-gray-600 disabled:opacity-50"
+                    >
+                      <RiSaveLine className="mr-2 h-4 w-4" />
+                      Save Draft
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleMarkSubmitted}
+                      disabled={isSaving || issues.length > 0 || periodLocked || periodNotEnded}
+                      className="inline-flex items-center rounded-md bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      <RiLockLine className="mr-2 h-4 w-4" />
+                      Mark as Submitted
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <SalesLedger
+                key={`${draft.periodStart}|${draft.periodEnd}`}
+                sales={sales}
+                period={period}
+                settings={settings}
+                locked={isSubmitted || periodLocked}
+                onAdd={handleAddSale}
+                onDelete={handleDeleteSale}
+                onMarkPaid={handleMarkSalePaid}
+              />
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import supabase from '../lib/supabase';
+import { validateReceiptFile } from '../utils/security';
+import { formatFileSize } from '../utils/fileSize';
+import receiptStorage, { STORAGE_BUCKET } from './receiptStorage';
+
+export const ATTACHMENT_KINDS = [
+  { value: 'delivery_note', label: 'Delivery note' },
+  { value: 'warranty', label: 'Warranty' },
+  { value: 'invoice', label: 'Supplier invoice' },
+  { value: 'other', label: 'Other' }
+];
+
+// Raised by the purchase_attachments insert trigger when the user's plan
+// has no room left
+const STORAGE_QUOTA_ERROR = 'attachment storage quota exceeded';
+
+const mapAttachmentRow = (row) => ({
+  id: row.id,
+  purchaseId: row.purchase_id,
+  kind: row.kind,
+  storagePath: row.storage_path,
+  fileName: row.file_name,
+  fileSize: Number(row.file_size) || 0,
+  mimeType: row.mime_type,
+  createdAt: row.created_at
+});
+
+// Supporting documents attached to a purchase (delivery notes, warranties,
+// supplier invoices). Files are kept next to the user's receipts, in the
+// same bucket and user folder.
+class AttachmentStorageService {
+  isAvailable() {
+    return !!supabase;
+  }
+
+  async getAttachments(purchaseId) {
+    if (!supabase) {
+      return [];
+    }
+
+    const user = receiptStorage.getCurrentUser();
+
+    const { data, error } = await supabase
+      .from('purchase_attachments')
+      .select('*')
+      .eq('purchase_id', purchaseId)
+      .eq('user_email', user.email)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to load attachments: ${error.message}`);
+    }
+
+    return (data || []).map(mapAttachmentRow);
+  }
+
+  // Bytes used by all of the user's attachments, for the plan quota
+  async getStorageUsage() {
+    if (!supabase) {
+      return 0;
+    }
+
+    const user = receiptStorage.getCurrentUser();
+
+    const { data, error } = await supabase
+      .from('purchase_attachments')
+      .select('file_size')
+      .eq('user_email', user.email);
+
+    if (error) {
+      throw new Error(`Failed to check attachment storage: ${error.message}`);
+    }
+
+    return (data || []).reduce((total, row) => total + (Number(row.file_size) || 0), 0);
+  }
+
+  // quota is the plan's attachmentStorage limit in bytes, -1 for unlimited
+  async uploadAttachment(file, purchaseId, { kind = 'other', quota = -1 } = {}) {
+    if (!supabase) {
+      throw new Error('Attachments need cloud storage, which is not available right now');
+    }
+
+    const user = receiptStorage.getCurrentUser();
+
+    const validation = validateReceiptFile(file);
+    if (!validation.isValid) {
+      throw new Error(validation.errors[0]);
+    }
+
+    if (quota !== -1) {
+      const used = await this.getStorageUsage();
+      if (used + file.size > quota) {
+        const free = Math.max(0, quota - used);
+        throw new Error(
+          `${file.name} is ${formatFileSize(file.size)} but only ${formatFileSize(free)} of your ${formatFileSize(quota)} attachment storage is free. Delete some attachments or upgrade your plan.`
+        );
+      }
+    }
+
+    const userId = receiptStorage.generateUserId(user.email);
+    const fileExt = file.name.split('.').pop();
+    const filePath = `${userId}/attachments/${purchaseId}/${Date.now()}.${fileExt}`;
+
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .upload(filePath, file, {
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+
+    const { data: row, error: insertError } = await supabase
+      .from('purchase_attachments')
+      .insert({
+        user_email: user.email,
+        purchase_id: purchaseId,
+        kind,
+        storage_path: data.path,
+        file_name: file.name,
+        file_size: file.size,
+        mime_type: file.type
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      // Don't leave a file behind that nothing points to
+      await supabase.storage.from(STORAGE_BUCKET).remove([data.path]);
+      // The database checks the quota too, in case usage changed since
+      // the check above (another tab, or an old version of the app)
+      if (insertError.message?.includes(STORAGE_QUOTA_ERROR)) {
+        throw new Error(`${file.name} doesn't fit in your plan's attachment storage. Delete some attachments or upgrade your plan.`);
+      }
+      throw new Error(`Failed to save attachment: ${insertError.message}`);
+    }
+
+    console.log('✅ Attachment uploaded:', data.path);
+    return mapAttachmentRow(row);
+  }
+
+  // A signed link to view the file, or to download it under its original
+  // name
+  async getAttachmentUrl(attachment, { download = false } = {}) {
+    if (!supabase) {
+      return null;
+    }
+
+    receiptStorage.getCurrentUser();
+
+    const { data, error } = await supabase.storage
+      .from(STORAGE_BUCKET)
+      .createSignedUrl(attachment.storagePath, 3600, download ? { download: attachment.fileName } : undefined);
+
+    if (error) {
+      throw new Error(`Failed to open attachment: ${error.message}`);
+    }
+
+    return data?.signedUrl || null;
+  }
+
+  async deleteAttachment(attachment) {
+    if (!supabase) {
+      throw new Error('Supabase not available');
+    }
+
+    const user = receiptStorage.getCurrentUser();
+
+    const { error } = await supabase
+      .from('purchase_attachments')
+      .delete()
+      .eq('id', attachment.id)
+      .eq('user_email', user.email);
+
+    if (error) {
+      throw new Error(`Delete failed: ${error.message}`);
+    }
+
+    await receiptStorage.deleteReceipt(attachment.storagePath);
+    console.log('✅ Attachment deleted:', attachment.storagePath);
+    return true;
+  }
+
+  // The attachments of purchases about to be deleted. Their records go
+  // with the purchases, so they are read first: to remove the files once
+  // the purchases are gone, or to put the records back if the delete is
+  // undone. Failures are logged rather than blocking the delete.
+  async getPurchaseAttachments(purchaseIds) {
+    try {
+      if (!supabase || purchaseIds.length === 0) {
+        return [];
+      }
+
+      const user = receiptStorage.getCurrentUser();
+
+      const { data, error } = await supabase
+        .from('purchase_attachments')
+        .select('*')
+        .in('purchase_id', purchaseIds)
+        .eq('user_email', user.email);
+
+      if (error) {
+        throw error;
+      }
+
+      return (data || []).map(mapAttachmentRow);
+    } catch (error) {
+      console.error('Error loading purchase attachments:', error);
+      return [];
+    }
+  }
+
+  // Put back the records of attachments whose purchase was deleted and
+  // then restored. The files were left in storage for this. Returns false
+  // when some could not be put back; the purchases are restored either way.
+  async restoreAttachments(attachments) {
+    try {
+      if (!supabase || attachments.length === 0) {
+        return true;
+      }
+
+      const user = receiptStorage.getCurrentUser();
+
+      const { error } = await supabase
+        .from('purchase_attachments')
+        .upsert(attachments.map(attachment => ({
+          id: attachment.id,
+          user_email: user.email,
+          purchase_id: attachment.purchaseId,
+          kind: attachment.kind,
+          storage_path: attachment.storagePath,
+          file_name: attachment.fileName,
+          file_size: attachment.fileSize,
+          mime_type: attachment.mimeType,
+          created_at: attachment.createdAt
+        })), { onConflict: 'id' });
+
+      if (error) {
+        throw error;
+      }
+
+      console.log('✅ Restored', attachments.length, 'purchase attachments');
+      return true;
+    } catch (error) {
+      console.error('Error restoring purchase attachments:', error);
+      return false;
+    }
+  }
+
+  // Remove the files of attachments whose purchases have been deleted for
+  // good. Failures are logged, as the purchases are already gone.
+  async removeAttachmentFiles(attachments) {
+    try {
+      if (!supabase || attachments.length === 0) {
+        return;
+      }
+
+      receiptStorage.getCurrentUser();
+
+      const paths = attachments.map(attachment => attachment.storagePath);
+      const { error } = await supabase.storage.from(STORAGE_BUCKET).remove(paths);
+      if (error) {
+        throw error;
+      }
+      console.log('🗑️ Removed', paths.length, 'purchase attachments');
+    } catch (error) {
+      console.error('Error removing purchase attachments:', error);
+    }
+  }
+}
+
+export default new AttachmentStorageService();
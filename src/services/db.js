@@ -12,16 +12,148 @@ import {
   updatePurchaseItemSupabase,
   deletePurchaseItemSupabase,
   searchPurchaseItemsSupabase,
+  queryPurchaseItemsSupabase,
+  countPurchaseItemsSupabase,
+  getReceiptPurchasesSupabase,
+  releaseReceiptPurchasesSupabase,
+  savePurchaseItemsSupabase,
+  deletePurchaseItemsSupabase,
+  getPurchaseCategoriesSupabase,
+  createPurchaseCategoriesSupabase,
+  updatePurchaseCategorySupabase,
+  recategorisePurchasesSupabase,
+  mergePurchaseCategoriesSupabase,
+  getCategoryRulesSupabase,
+  saveCategoryRuleSupabase,
+  deleteCategoryRuleSupabase,
+  getSuppliersSupabase,
+  saveSupplierSupabase,
+  deleteSupplierSupabase,
+  getProductsSupabase,
+  saveProductSupabase,
+  getStockMovementsSupabase,
+  addStockMovementSupabase,
+  deleteStockMovementSupabase,
+  savePurchaseMovementsSupabase,
+  getSalesEntriesSupabase,
+  saveSalesEntrySupabase,
+  deleteSalesEntrySupabase,
+  getVatReturnsSupabase,
+  saveVatReturnSupabase,
+  deleteVatReturnSupabase,
+  getPurchaseAdjustmentsSupabase,
+  addPurchaseAdjustmentsSupabase,
+  getUserSettingsSupabase,
+  saveUserSettingsSupabase,
   getPlatformStatsSupabase
 } from './supabaseDb';
+import { findDuplicatePurchases, mergePurchase } from '../utils/duplicates';
+import {
+  normalisePurchaseQuery,
+  matchesPurchaseQuery,
+  comparePurchases,
+  isAfterCursor,
+  encodeCursor,
+  decodeCursor
+} from '../utils/purchaseQuery';
+import { DEFAULT_PURCHASE_CATEGORIES } from '../utils/categoryRules';
+import { matchSupplier, MAX_SUPPLIER_NAME_LENGTH } from '../utils/suppliers';
+import {
+  matchProduct,
+  normaliseProductName,
+  purchaseMovement,
+  signedQuantity,
+  stockOnHand,
+  hasReorderPoint,
+  reorderAlertAction,
+  MANUAL_MOVEMENT_TYPES
+} from '../utils/stock';
+import { sendLowStockAlert } from './email';
+import attachmentStorage from './attachmentStorage';
+import { convertPurchase, formatMoney } from '../utils/currency';
+import {
+  SALES_VAT_RATES,
+  VAT_PERIOD_LOCKED,
+  saleVatAmount,
+  periodsOverlap,
+  findSubmittedReturn,
+  filedPurchaseCorrection,
+  saleTaxDate,
+  formatVatPeriod,
+  toDateKey
+} from '../utils/vatReturn';
+import { nextOpenVatPeriod, periodLabel, normaliseVatSettings } from '../utils/vatPeriods';
+import { normaliseVatScheme } from '../utils/vatSchemes';
+import { normaliseExportProfile } from '../utils/accountingExports';
 
 const DB_NAME = 'trackio_db';
-const DB_VERSION = 2;
+const DB_VERSION = 8;
 const USERS_STORE = 'users';
 const PURCHASES_STORE = 'purchases'; // Changed from INVENTORY_STORE
+const CATEGORIES_STORE = 'categories';
+const CATEGORY_RULES_STORE = 'category_rules';
+const SUPPLIERS_STORE = 'suppliers';
+const PRODUCTS_STORE = 'products';
+const STOCK_MOVEMENTS_STORE = 'stock_movements';
+const SALES_STORE = 'sales_entries';
+const VAT_RETURNS_STORE = 'vat_returns';
+const PURCHASE_ADJUSTMENTS_STORE = 'purchase_adjustments';
+const USER_SETTINGS_STORE = 'user_settings';
 
 let dbInstance = null;
 
+// Book the purchases saved before stock was tracked in as opening stock,
+// one product per distinct name. Runs inside the upgrade transaction
+const migrateOpeningStock = async (transaction) => {
+  const productsStore = transaction.objectStore(PRODUCTS_STORE);
+  const movementsStore = transaction.objectStore(STOCK_MOVEMENTS_STORE);
+  const productsByName = new Map();
+  const now = new Date().toISOString();
+
+  let cursor = await transaction.objectStore(PURCHASES_STORE).openCursor();
+  while (cursor) {
+    const item = cursor.value;
+    const name = normaliseProductName(item.name);
+
+    if (name) {
+      const key = `${item.userEmail}|${name.toLowerCase()}`;
+      let product = productsByName.get(key);
+      if (!product) {
+        product = {
+          id: crypto.randomUUID(),
+          userEmail: item.userEmail,
+          sku: '',
+          name,
+          category: item.category || '',
+          unit: 'each',
+          reorderPoint: null,
+          lowStockAlertedAt: null,
+          archived: false,
+          createdAt: now,
+          updatedAt: now
+        };
+        productsByName.set(key, product);
+        await productsStore.put(product);
+      }
+
+      const linked = { ...item, productId: product.id };
+      await cursor.update(linked);
+      if ((parseFloat(item.quantity) || 0) > 0) {
+        await movementsStore.put({
+          ...purchaseMovement(linked),
+          id: crypto.randomUUID(),
+          userEmail: item.userEmail,
+          type: 'opening',
+          note: 'Opening stock',
+          createdAt: now
+        });
+      }
+    }
+    cursor = await cursor.continue();
+  }
+  console.log('Booked', productsByName.size, 'products in as opening stock');
+};
+
 async function initDB() {
   if (dbInstance) return dbInstance;
 
@@ -48,6 +180,72 @@ async function initDB() {
           console.log('Created purchases store');
         }
 
+        // Per-user categories and categorisation rules (version 3)
+        if (!db.objectStoreNames.contains(CATEGORIES_STORE)) {
+          const categoriesStore = db.createObjectStore(CATEGORIES_STORE, { keyPath: 'id' });
+          categoriesStore.createIndex('userEmail', 'userEmail');
+          console.log('Created categories store');
+        }
+
+        if (!db.objectStoreNames.contains(CATEGORY_RULES_STORE)) {
+          const rulesStore = db.createObjectStore(CATEGORY_RULES_STORE, { keyPath: 'id' });
+          rulesStore.createIndex('userEmail', 'userEmail');
+          console.log('Created category rules store');
+        }
+
+        // Suppliers (version 4)
+        if (!db.objectStoreNames.contains(SUPPLIERS_STORE)) {
+          const suppliersStore = db.createObjectStore(SUPPLIERS_STORE, { keyPath: 'id' });
+          suppliersStore.createIndex('userEmail', 'userEmail');
+          console.log('Created suppliers store');
+        }
+
+        // Products and stock movements (version 5)
+        if (!db.objectStoreNames.contains(PRODUCTS_STORE)) {
+          const productsStore = db.createObjectStore(PRODUCTS_STORE, { keyPath: 'id' });
+          productsStore.createIndex('userEmail', 'userEmail');
+          console.log('Created products store');
+        }
+
+        if (!db.objectStoreNames.contains(STOCK_MOVEMENTS_STORE)) {
+          const movementsStore = db.createObjectStore(STOCK_MOVEMENTS_STORE, { keyPath: 'id' });
+          movementsStore.createIndex('userEmail', 'userEmail');
+          movementsStore.createIndex('purchaseId', 'purchaseId');
+          console.log('Created stock movements store');
+
+          if (oldVersion > 0) {
+            migrateOpeningStock(transaction).catch(error => {
+              console.error('Error booking in opening stock:', error);
+            });
+          }
+        }
+
+        // Sales ledger and VAT returns (version 6)
+        if (!db.objectStoreNames.contains(SALES_STORE)) {
+          const salesStore = db.createObjectStore(SALES_STORE, { keyPath: 'id' });
+          salesStore.createIndex('userEmail', 'userEmail');
+          console.log('Created sales store');
+        }
+
+        if (!db.objectStoreNames.contains(VAT_RETURNS_STORE)) {
+          const returnsStore = db.createObjectStore(VAT_RETURNS_STORE, { keyPath: 'id' });
+          returnsStore.createIndex('userEmail', 'userEmail');
+          console.log('Created VAT returns store');
+        }
+
+        // Adjustments to purchases in submitted periods (version 7)
+        if (!db.objectStoreNames.contains(PURCHASE_ADJUSTMENTS_STORE)) {
+          const adjustmentsStore = db.createObjectStore(PURCHASE_ADJUSTMENTS_STORE, { keyPath: 'id' });
+          adjustmentsStore.createIndex('userEmail', 'userEmail');
+          console.log('Created purchase adjustments store');
+        }
+
+        // Per-user settings, one record per user (version 8)
+        if (!db.objectStoreNames.contains(USER_SETTINGS_STORE)) {
+          db.createObjectStore(USER_SETTINGS_STORE, { keyPath: 'userEmail' });
+          console.log('Created user settings store');
+        }
+
         // Migrate from old inventory store if it exists
         if (db.objectStoreNames.contains('inventory')) {
           console.log('Migrating from old inventory store to purchases store...');
@@ -367,7 +565,9 @@ export const getPurchaseItems = async (userEmail) => {
   }
 };
 
-export const addPurchaseItem = async (itemData, userEmail) => {
+// Pass { recordAdjustment: true } to add a purchase dated in a submitted
+// VAT period; see planPurchaseAdjustments
+export const addPurchaseItem = async (itemData, userEmail, { recordAdjustment = false } = {}) => {
   console.log('===addPurchaseItem called===');
   console.log('itemData:', itemData);
   console.log('userEmail:', userEmail);
@@ -381,6 +581,21 @@ export const addPurchaseItem = async (itemData, userEmail) => {
     throw new Error('Missing required fields: name, category, quantity, and unitPrice are required');
   }
 
+  itemData = convertPurchase(itemData);
+  const adjustments = await planPurchaseAdjustments([{ id: null, after: itemData }], userEmail, { recordAdjustment });
+  itemData = await linkSupplier(itemData, userEmail);
+  itemData = await linkProduct(itemData, userEmail);
+
+  const result = await insertPurchaseItem(itemData, userEmail);
+  await syncPurchaseStock([result], userEmail);
+  await recordPurchaseAdjustments(adjustments.map(entry => ({ ...entry, purchaseId: result.id })), userEmail);
+  return result;
+};
+
+// The write alone, to Supabase or else IndexedDB. What follows a write
+// (stock, adjustments) stays with the caller, so a failure there can't
+// send a write that succeeded to IndexedDB as well.
+const insertPurchaseItem = async (itemData, userEmail) => {
   try {
     // Try Supabase first
     if (supabaseAvailable()) {
@@ -412,7 +627,16 @@ export const addPurchaseItem = async (itemData, userEmail) => {
       updatedAt: new Date().toISOString(),
       // Add VAT fields if provided
       vatIncluded: itemData.vatIncluded || false,
-      vatPercentage: parseFloat(itemData.vatPercentage) || 0
+      vatPercentage: parseFloat(itemData.vatPercentage) || 0,
+      receiptId: itemData.receiptId || null,
+      supplier: itemData.supplier || '',
+      supplierId: itemData.supplierId || null,
+      productId: itemData.productId || null,
+      currency: itemData.currency,
+      originalUnitPrice: parseFloat(itemData.originalUnitPrice),
+      exchangeRate: itemData.exchangeRate,
+      paidDate: itemData.paidDate === undefined ? itemData.dateAdded || new Date().toISOString().split('T')[0] : itemData.paidDate,
+      capitalAsset: itemData.capitalAsset || false
     };
 
     console.log('Adding purchase item to IndexedDB:', newItem);
@@ -428,7 +652,21 @@ export const addPurchaseItem = async (itemData, userEmail) => {
   }
 };
 
-export const updatePurchaseItem = async (itemData, userEmail) => {
+// Pass { recordAdjustment: true } to correct a purchase in a submitted
+// VAT period; see planPurchaseAdjustments
+export const updatePurchaseItem = async (itemData, userEmail, { recordAdjustment = false } = {}) => {
+  itemData = convertPurchase(itemData);
+  const adjustments = await planPurchaseAdjustments([{ id: itemData.id, after: itemData }], userEmail, { recordAdjustment });
+  itemData = await linkSupplier(itemData, userEmail);
+  itemData = await linkProduct(itemData, userEmail);
+
+  const result = await putPurchaseItem(itemData, userEmail);
+  await syncPurchaseStock([result], userEmail);
+  await recordPurchaseAdjustments(adjustments, userEmail);
+  return result;
+};
+
+const putPurchaseItem = async (itemData, userEmail) => {
   try {
     // Try Supabase first
     if (supabaseAvailable()) {
@@ -452,7 +690,6 @@ export const updatePurchaseItem = async (itemData, userEmail) => {
 
     await store.put(updatedItem);
     await tx.done;
-
     return updatedItem;
   } catch (error) {
     console.error('Error updating purchase item in IndexedDB:', error);
@@ -460,11 +697,23 @@ export const updatePurchaseItem = async (itemData, userEmail) => {
   }
 };
 
-export const deletePurchaseItem = async (itemId, userEmail) => {
+export const deletePurchaseItem = async (itemId, userEmail, { recordAdjustment = false } = {}) => {
+  const adjustments = await planPurchaseAdjustments([{ id: itemId, after: null }], userEmail, { recordAdjustment });
+
+  const result = await removePurchaseItem(itemId, userEmail);
+  await removePurchaseStock([itemId], userEmail);
+  await recordPurchaseAdjustments(adjustments, userEmail);
+  return result;
+};
+
+const removePurchaseItem = async (itemId, userEmail) => {
   try {
     // Try Supabase first
     if (supabaseAvailable()) {
-      return await deletePurchaseItemSupabase(itemId, userEmail);
+      const attachments = await attachmentStorage.getPurchaseAttachments([itemId]);
+      const result = await deletePurchaseItemSupabase(itemId, userEmail);
+      await attachmentStorage.removeAttachmentFiles(attachments);
+      return result;
     }
   } catch (error) {
     console.log('Supabase failed, falling back to IndexedDB:', error.message);
@@ -525,6 +774,1400 @@ export const searchPurchaseItems = async (searchTerm, userEmail) => {
   }
 };
 
+// One page of purchases matching search, filters and sort, for lists
+// too long to load at once. Returns { items, nextCursor, totalCount };
+// pass nextCursor back as query.cursor for the following page.
+export const queryPurchaseItems = async (userEmail, query = {}) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await queryPurchaseItemsSupabase(userEmail, query);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB: the user's rows are local, so filter and sort
+  // them in memory and page through the result the same way
+  try {
+    const { search, filters, sort, cursor, limit } = normalisePurchaseQuery(query);
+    const items = await getPurchaseItems(userEmail);
+
+    const matching = items
+      .filter(item => matchesPurchaseQuery(item, { search, filters }))
+      .sort((a, b) => comparePurchases(a, b, sort));
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    const remaining = after ? matching.filter(item => isAfterCursor(item, after, sort)) : matching;
+    const page = remaining.slice(0, limit);
+
+    return {
+      items: page,
+      nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1], sort.column) : null,
+      totalCount: cursor ? null : matching.length
+    };
+  } catch (error) {
+    console.error('Error querying purchase items in IndexedDB:', error);
+    throw error;
+  }
+};
+
+// How many purchases the user has in total, for plan limits
+export const countPurchaseItems = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await countPurchaseItemsSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    return await db.countFromIndex(PURCHASES_STORE, 'userEmail', userEmail.toLowerCase());
+  } catch (error) {
+    console.error('Error counting purchase items in IndexedDB:', error);
+    return 0;
+  }
+};
+
+// Purchases scanned from a receipt, oldest first
+export const getReceiptPurchases = async (receiptId, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getReceiptPurchasesSupabase(receiptId, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const items = await getPurchaseItems(userEmail);
+    return items.filter(item => item.receiptId === receiptId);
+  } catch (error) {
+    console.error('Error getting receipt purchases from IndexedDB:', error);
+    return [];
+  }
+};
+
+// Called before a receipt is deleted: either delete its purchases too, or
+// keep them as ordinary purchases with no receipt attached
+export const releaseReceiptPurchases = async (receiptId, userEmail, { deletePurchases = false } = {}) => {
+  if (deletePurchases) {
+    const linked = await getReceiptPurchases(receiptId, userEmail);
+    await planPurchaseAdjustments(linked.map(item => ({ id: item.id, after: null })), userEmail);
+  }
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      const attachments = deletePurchases
+        ? await attachmentStorage.getPurchaseAttachments((await getReceiptPurchasesSupabase(receiptId, userEmail)).map(item => item.id))
+        : [];
+      const result = await releaseReceiptPurchasesSupabase(receiptId, userEmail, deletePurchases);
+      if (deletePurchases) {
+        await attachmentStorage.removeAttachmentFiles(attachments);
+        // The purchases' movements were deleted along with them
+        queueReorderCheck(userEmail);
+      }
+      return result;
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const linked = await getReceiptPurchases(receiptId, userEmail);
+    const db = await initDB();
+    const tx = db.transaction(PURCHASES_STORE, 'readwrite');
+    const store = tx.objectStore(PURCHASES_STORE);
+
+    for (const item of linked) {
+      if (deletePurchases) {
+        await store.delete(item.id);
+      } else {
+        await store.put({ ...item, receiptId: null, updatedAt: new Date().toISOString() });
+      }
+    }
+    await tx.done;
+
+    if (deletePurchases) {
+      await removePurchaseStock(linked.map(item => item.id), userEmail);
+    }
+    console.log(`${deletePurchases ? 'Deleted' : 'Unlinked'} ${linked.length} purchases for receipt:`, receiptId);
+    return true;
+  } catch (error) {
+    console.error('Error releasing receipt purchases in IndexedDB:', error);
+    throw error;
+  }
+};
+
+// Write back a batch of full purchase records in a single request or
+// transaction: bulk edits, and undoing a bulk edit or delete. Records from
+// deletePurchaseItems get their attachments back separately, through
+// restoreDeletedPurchases.
+export const savePurchaseItems = async (items, userEmail) => {
+  items = items.map(({ attachments: _attachments, ...item }) => convertPurchase(item));
+  // Batches can't carry adjustments, so they stop at a submitted period
+  await planPurchaseAdjustments(items.map(item => ({ id: item.id, after: item })), userEmail);
+  items = await linkProducts(items, userEmail);
+
+  let savedItems = null;
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      savedItems = await savePurchaseItemsSupabase(items, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  if (!savedItems) {
+    // Fallback to IndexedDB
+    try {
+      const db = await initDB();
+      const tx = db.transaction(PURCHASES_STORE, 'readwrite');
+      const store = tx.objectStore(PURCHASES_STORE);
+      const email = userEmail.toLowerCase();
+
+      savedItems = [];
+      for (const item of items) {
+        // Never overwrite another user's record
+        const existing = await store.get(item.id);
+        if (existing && existing.userEmail !== email) continue;
+
+        const savedItem = { ...item, userEmail: email, updatedAt: new Date().toISOString() };
+        await store.put(savedItem);
+        savedItems.push(savedItem);
+      }
+      await tx.done;
+      console.log('Saved', savedItems.length, 'purchase items to IndexedDB');
+    } catch (error) {
+      console.error('Error saving purchase items to IndexedDB:', error);
+      throw error;
+    }
+  }
+
+  await syncPurchaseStock(savedItems, userEmail);
+  return savedItems;
+};
+
+// Delete a batch of purchases at once. Returns the deleted records, with
+// their `attachments`, so the caller can put them back. The attachment
+// files stay in storage until the caller passes the records to
+// discardDeletedPurchases, once undo is no longer offered.
+export const deletePurchaseItems = async (itemIds, userEmail) => {
+  await planPurchaseAdjustments(itemIds.map(id => ({ id, after: null })), userEmail);
+
+  let deletedItems = null;
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      const attachments = await attachmentStorage.getPurchaseAttachments(itemIds);
+      deletedItems = (await deletePurchaseItemsSupabase(itemIds, userEmail)).map(item => ({
+        ...item,
+        attachments: attachments.filter(attachment => attachment.purchaseId === item.id)
+      }));
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  if (!deletedItems) {
+    // Fallback to IndexedDB, where purchases have no attachments
+    try {
+      const db = await initDB();
+      const tx = db.transaction(PURCHASES_STORE, 'readwrite');
+      const store = tx.objectStore(PURCHASES_STORE);
+      const email = userEmail.toLowerCase();
+
+      deletedItems = [];
+      for (const itemId of itemIds) {
+        const item = await store.get(itemId);
+        if (!item || item.userEmail !== email) continue;
+
+        await store.delete(itemId);
+        deletedItems.push({ ...item, attachments: [] });
+      }
+      await tx.done;
+      console.log('Deleted', deletedItems.length, 'purchase items from IndexedDB');
+    } catch (error) {
+      console.error('Error deleting purchase items from IndexedDB:', error);
+      throw error;
+    }
+  }
+
+  await removePurchaseStock(deletedItems.map(item => item.id), userEmail);
+  return deletedItems;
+};
+
+// Put back the attachment records of purchases from deletePurchaseItems
+// once savePurchaseItems has restored them. Returns false when some could
+// not be put back; their files stay in storage.
+export const restoreDeletedPurchases = async (items) => (
+  attachmentStorage.restoreAttachments(items.flatMap(item => item.attachments || []))
+);
+
+// Remove the attachment files of purchases from deletePurchaseItems that
+// were not put back
+export const discardDeletedPurchases = async (items) => {
+  await attachmentStorage.removeAttachmentFiles(items.flatMap(item => item.attachments || []));
+};
+
+// Purchase categories and categorisation rules
+const loadPurchaseCategories = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getPurchaseCategoriesSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const categories = await db.getAllFromIndex(CATEGORIES_STORE, 'userEmail', userEmail.toLowerCase());
+  return categories.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const createPurchaseCategories = async (names, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await createPurchaseCategoriesSupabase(names, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const tx = db.transaction(CATEGORIES_STORE, 'readwrite');
+  const now = new Date().toISOString();
+  const categories = names.map(name => ({
+    id: crypto.randomUUID(),
+    userEmail: userEmail.toLowerCase(),
+    name,
+    archived: false,
+    createdAt: now,
+    updatedAt: now
+  }));
+
+  for (const category of categories) {
+    await tx.store.add(category);
+  }
+  await tx.done;
+  return categories;
+};
+
+// Seeding runs once per user even if several components ask at once
+const seedingCategories = new Map();
+
+/**
+ * The user's categories, archived ones included. A user with none yet
+ * starts with the defaults plus any categories their purchases already
+ * use, so nothing they've entered goes missing from the pickers.
+ */
+export const getPurchaseCategories = async (userEmail) => {
+  const categories = await loadPurchaseCategories(userEmail);
+  if (categories.length > 0) return categories;
+
+  const email = userEmail.toLowerCase();
+  if (!seedingCategories.has(email)) {
+    const seed = (async () => {
+      const purchases = await getPurchaseItems(email);
+      const names = new Map();
+      [...DEFAULT_PURCHASE_CATEGORIES, ...purchases.map(item => item.category)]
+        .filter(Boolean)
+        .forEach(name => {
+          if (!names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+        });
+
+      await createPurchaseCategories([...names.values()], email);
+      console.log('Created starting categories for', email);
+    })().finally(() => seedingCategories.delete(email));
+    seedingCategories.set(email, seed);
+  }
+
+  await seedingCategories.get(email);
+  return loadPurchaseCategories(email);
+};
+
+export const createPurchaseCategory = async (name, userEmail) => {
+  const [category] = await createPurchaseCategories([name], userEmail);
+  return category;
+};
+
+const updatePurchaseCategory = async (categoryId, changes, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await updatePurchaseCategorySupabase(categoryId, changes, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const category = await db.get(CATEGORIES_STORE, categoryId);
+  if (!category || category.userEmail !== userEmail.toLowerCase()) {
+    throw new Error('Category not found');
+  }
+
+  const updated = { ...category, ...changes, updatedAt: new Date().toISOString() };
+  await db.put(CATEGORIES_STORE, updated);
+  return updated;
+};
+
+const recategorisePurchases = async (fromName, toName, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await recategorisePurchasesSupabase(fromName, toName, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const tx = db.transaction(PURCHASES_STORE, 'readwrite');
+  const purchases = await tx.store.index('userEmail').getAll(userEmail.toLowerCase());
+
+  for (const item of purchases) {
+    if (item.category === fromName) {
+      await tx.store.put({ ...item, category: toName, updatedAt: new Date().toISOString() });
+    }
+  }
+  await tx.done;
+  return true;
+};
+
+// Renaming a category renames it on every purchase that uses it
+export const renamePurchaseCategory = async (category, newName, userEmail) => {
+  const renamed = await updatePurchaseCategory(category.id, { name: newName }, userEmail);
+  await recategorisePurchases(category.name, newName, userEmail);
+  return renamed;
+};
+
+// Archived categories drop out of pickers and rules but stay on purchases
+export const archivePurchaseCategory = async (categoryId, archived, userEmail) => {
+  return updatePurchaseCategory(categoryId, { archived }, userEmail);
+};
+
+export const mergePurchaseCategories = async (source, target, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await mergePurchaseCategoriesSupabase(source, target, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  await recategorisePurchases(source.name, target.name, userEmail);
+
+  const db = await initDB();
+  const tx = db.transaction([CATEGORY_RULES_STORE, CATEGORIES_STORE], 'readwrite');
+  const rulesStore = tx.objectStore(CATEGORY_RULES_STORE);
+  const rules = await rulesStore.index('userEmail').getAll(userEmail.toLowerCase());
+
+  for (const rule of rules) {
+    if (rule.categoryId === source.id) {
+      await rulesStore.put({ ...rule, categoryId: target.id, updatedAt: new Date().toISOString() });
+    }
+  }
+  await tx.objectStore(CATEGORIES_STORE).delete(source.id);
+  await tx.done;
+  return true;
+};
+
+export const getCategoryRules = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getCategoryRulesSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const rules = await db.getAllFromIndex(CATEGORY_RULES_STORE, 'userEmail', userEmail.toLowerCase());
+    return rules.sort((a, b) => (a.priority - b.priority) || a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    console.error('Error getting category rules from IndexedDB:', error);
+    return [];
+  }
+};
+
+export const saveCategoryRule = async (rule, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveCategoryRuleSupabase(rule, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const now = new Date().toISOString();
+  const saved = {
+    ...rule,
+    id: rule.id || crypto.randomUUID(),
+    userEmail: userEmail.toLowerCase(),
+    priority: rule.priority ?? 0,
+    enabled: rule.enabled !== false,
+    createdAt: rule.createdAt || now,
+    updatedAt: now
+  };
+  await db.put(CATEGORY_RULES_STORE, saved);
+  return saved;
+};
+
+export const deleteCategoryRule = async (ruleId, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await deleteCategoryRuleSupabase(ruleId, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const rule = await db.get(CATEGORY_RULES_STORE, ruleId);
+  if (rule && rule.userEmail === userEmail.toLowerCase()) {
+    await db.delete(CATEGORY_RULES_STORE, ruleId);
+  }
+  return true;
+};
+
+// Suppliers
+export const getSuppliers = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getSuppliersSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const suppliers = await db.getAllFromIndex(SUPPLIERS_STORE, 'userEmail', userEmail.toLowerCase());
+    return suppliers.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting suppliers from IndexedDB:', error);
+    return [];
+  }
+};
+
+export const saveSupplier = async (supplier, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveSupplierSupabase(supplier, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const email = userEmail.toLowerCase();
+  const now = new Date().toISOString();
+  const saved = {
+    vatNumber: '',
+    address: '',
+    defaultCategoryId: null,
+    defaultVatPercentage: null,
+    ...supplier,
+    id: supplier.id || crypto.randomUUID(),
+    userEmail: email,
+    createdAt: supplier.createdAt || now,
+    updatedAt: now
+  };
+
+  const tx = db.transaction([SUPPLIERS_STORE, PURCHASES_STORE], 'readwrite');
+  await tx.objectStore(SUPPLIERS_STORE).put(saved);
+
+  // Purchases show the supplier's name, so keep it in step
+  if (supplier.id) {
+    const purchasesStore = tx.objectStore(PURCHASES_STORE);
+    const purchases = await purchasesStore.index('userEmail').getAll(email);
+    for (const item of purchases) {
+      if (item.supplierId === saved.id && item.supplier !== saved.name) {
+        await purchasesStore.put({ ...item, supplier: saved.name, updatedAt: now });
+      }
+    }
+  }
+  await tx.done;
+  return saved;
+};
+
+export const deleteSupplier = async (supplierId, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await deleteSupplierSupabase(supplierId, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const email = userEmail.toLowerCase();
+  const tx = db.transaction([SUPPLIERS_STORE, PURCHASES_STORE], 'readwrite');
+  const supplier = await tx.objectStore(SUPPLIERS_STORE).get(supplierId);
+  if (supplier && supplier.userEmail === email) {
+    await tx.objectStore(SUPPLIERS_STORE).delete(supplierId);
+
+    const purchasesStore = tx.objectStore(PURCHASES_STORE);
+    const purchases = await purchasesStore.index('userEmail').getAll(email);
+    for (const item of purchases) {
+      if (item.supplierId === supplierId) {
+        await purchasesStore.put({ ...item, supplierId: null });
+      }
+    }
+  }
+  await tx.done;
+  return true;
+};
+
+/**
+ * The saved supplier for a receipt header or typed-in name, matched on
+ * VAT number or name, creating one if there is no match. Pass the
+ * supplier list when resolving many at once to save reloading it.
+ */
+export const findOrCreateSupplier = async ({ name, vatNumber }, userEmail, suppliers = null) => {
+  const cleanedName = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_SUPPLIER_NAME_LENGTH);
+  if (!cleanedName) return null;
+
+  const known = suppliers || await getSuppliers(userEmail);
+  const match = matchSupplier({ name: cleanedName, vatNumber }, known);
+  if (match) {
+    // Remember a VAT number seen on a receipt for next time
+    if (vatNumber && !match.vatNumber) {
+      return saveSupplier({ ...match, vatNumber }, userEmail);
+    }
+    return match;
+  }
+
+  const created = await saveSupplier({ name: cleanedName, vatNumber: vatNumber || '' }, userEmail);
+  known.push(created);
+  return created;
+};
+
+/**
+ * Link each purchase that names a supplier to the supplier record,
+ * loading the supplier list once for the whole batch (spreadsheet imports).
+ */
+export const linkPurchasesToSuppliers = async (items, userEmail) => {
+  const suppliers = await getSuppliers(userEmail);
+  const linked = [];
+
+  for (const item of items) {
+    if (!item.supplier || item.supplierId) {
+      linked.push(item);
+      continue;
+    }
+    const supplier = await findOrCreateSupplier({ name: item.supplier }, userEmail, suppliers);
+    linked.push(supplier ? { ...item, supplier: supplier.name, supplierId: supplier.id } : item);
+  }
+  return linked;
+};
+
+// A purchase typed in with a supplier name but no link gets one. Failing
+// to find or create the supplier shouldn't stop the purchase saving
+const linkSupplier = async (itemData, userEmail) => {
+  if (!itemData.supplier || itemData.supplierId) return itemData;
+
+  try {
+    const supplier = await findOrCreateSupplier({ name: itemData.supplier }, userEmail);
+    return supplier ? { ...itemData, supplier: supplier.name, supplierId: supplier.id } : itemData;
+  } catch (error) {
+    console.warn('Could not link purchase to supplier:', error);
+    return itemData;
+  }
+};
+
+// Products and stock movements
+export const getProducts = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getProductsSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const products = await db.getAllFromIndex(PRODUCTS_STORE, 'userEmail', userEmail.toLowerCase());
+    return products.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting products from IndexedDB:', error);
+    return [];
+  }
+};
+
+export const saveProduct = async (product, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveProductSupabase(product, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB, which has no unique indexes to catch clashes
+  const db = await initDB();
+  const email = userEmail.toLowerCase();
+  const products = await db.getAllFromIndex(PRODUCTS_STORE, 'userEmail', email);
+  const others = products.filter(existing => existing.id !== product.id);
+  if (others.some(existing => existing.name.toLowerCase() === product.name.toLowerCase())) {
+    throw new Error(`There is already a product called "${product.name}"`);
+  }
+  if (product.sku && others.some(existing => (existing.sku || '').toLowerCase() === product.sku.toLowerCase())) {
+    throw new Error(`SKU ${product.sku} is already used by another product`);
+  }
+
+  const now = new Date().toISOString();
+  const saved = {
+    sku: '',
+    category: '',
+    unit: 'each',
+    reorderPoint: null,
+    lowStockAlertedAt: null,
+    archived: false,
+    ...product,
+    id: product.id || crypto.randomUUID(),
+    userEmail: email,
+    createdAt: product.createdAt || now,
+    updatedAt: now
+  };
+  await db.put(PRODUCTS_STORE, saved);
+  return saved;
+};
+
+// All of the user's stock movements, oldest first, or one product's
+export const getStockMovements = async (userEmail, productId = null) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getStockMovementsSupabase(userEmail, productId);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const movements = await db.getAllFromIndex(STOCK_MOVEMENTS_STORE, 'userEmail', userEmail.toLowerCase());
+    return movements
+      .filter(movement => !productId || movement.productId === productId)
+      .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt) || a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    console.error('Error getting stock movements from IndexedDB:', error);
+    return [];
+  }
+};
+
+/**
+ * Book stock out (usage) or correct it (adjustment). The quantity is as
+ * the user entered it: positive for usage, signed for an adjustment.
+ */
+export const recordStockMovement = async ({ productId, type, quantity, note, occurredAt }, userEmail) => {
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    throw new Error('Only usage and adjustments can be recorded by hand');
+  }
+
+  const movement = {
+    productId,
+    type,
+    quantity: signedQuantity(type, quantity),
+    unitCost: null,
+    note: String(note || '').trim(),
+    occurredAt: occurredAt || new Date().toISOString().split('T')[0]
+  };
+
+  let saved = null;
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      saved = await addStockMovementSupabase(movement, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  if (!saved) {
+    const db = await initDB();
+    saved = {
+      ...movement,
+      id: crypto.randomUUID(),
+      userEmail: userEmail.toLowerCase(),
+      purchaseId: null,
+      createdAt: new Date().toISOString()
+    };
+    await db.put(STOCK_MOVEMENTS_STORE, saved);
+  }
+
+  queueReorderCheck(userEmail, [productId]);
+  return saved;
+};
+
+// Movements booked from a purchase change with the purchase instead
+export const deleteStockMovement = async (movement, userEmail) => {
+  if (!MANUAL_MOVEMENT_TYPES.includes(movement.type)) {
+    throw new Error('Stock booked in from a purchase changes with the purchase');
+  }
+
+  let deleted = false;
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      deleted = await deleteStockMovementSupabase(movement.id, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  if (!deleted) {
+    const db = await initDB();
+    const existing = await db.get(STOCK_MOVEMENTS_STORE, movement.id);
+    if (existing && existing.userEmail === userEmail.toLowerCase()) {
+      await db.delete(STOCK_MOVEMENTS_STORE, movement.id);
+    }
+  }
+
+  queueReorderCheck(userEmail, [movement.productId]);
+  return true;
+};
+
+const findOrCreateProduct = async ({ name, category }, userEmail, products = null) => {
+  const cleanedName = normaliseProductName(name);
+  if (!cleanedName) return null;
+
+  const known = products || await getProducts(userEmail);
+  const match = matchProduct({ name: cleanedName }, known);
+  if (match) return match;
+
+  const created = await saveProduct({ name: cleanedName, category: category || '' }, userEmail);
+  known.push(created);
+  return created;
+};
+
+// A purchase is booked against the product with the same name, which is
+// created the first time it is bought. Failing to find or create one
+// shouldn't stop the purchase saving
+const linkProduct = async (itemData, userEmail, products = null) => {
+  if (itemData.productId || !itemData.name) return itemData;
+
+  try {
+    const product = await findOrCreateProduct(itemData, userEmail, products);
+    return product ? { ...itemData, productId: product.id } : itemData;
+  } catch (error) {
+    console.warn('Could not link purchase to product:', error);
+    return itemData;
+  }
+};
+
+// Same as linkProduct for a batch, loading the product list once
+const linkProducts = async (items, userEmail) => {
+  if (items.every(item => item.productId || !item.name)) return items;
+
+  let products;
+  try {
+    products = await getProducts(userEmail);
+  } catch (error) {
+    console.warn('Could not load products:', error);
+    return items;
+  }
+
+  const linked = [];
+  for (const item of items) {
+    linked.push(await linkProduct(item, userEmail, products));
+  }
+  return linked;
+};
+
+const savePurchaseMovements = async (movements, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await savePurchaseMovementsSupabase(movements, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB, keeping the id and type of a movement already
+  // booked for the purchase
+  const db = await initDB();
+  const email = userEmail.toLowerCase();
+  const tx = db.transaction(STOCK_MOVEMENTS_STORE, 'readwrite');
+  const store = tx.objectStore(STOCK_MOVEMENTS_STORE);
+
+  const saved = [];
+  for (const movement of movements) {
+    const existing = await store.index('purchaseId').get(movement.purchaseId);
+    const record = {
+      id: crypto.randomUUID(),
+      type: 'purchase',
+      note: '',
+      createdAt: new Date().toISOString(),
+      ...existing,
+      ...movement,
+      userEmail: email
+    };
+    await store.put(record);
+    saved.push(record);
+  }
+  await tx.done;
+  return saved;
+};
+
+// Book saved purchases in (or update what they booked in). Stock problems
+// are logged rather than failing a purchase that has already saved
+const syncPurchaseStock = async (items, userEmail) => {
+  const movements = items.filter(item => item.id && item.productId).map(purchaseMovement);
+  if (movements.length === 0) return;
+
+  try {
+    await savePurchaseMovements(movements, userEmail);
+    queueReorderCheck(userEmail, [...new Set(movements.map(movement => movement.productId))]);
+  } catch (error) {
+    console.warn('Could not update stock for purchases:', error);
+  }
+};
+
+// Deleted purchases take their stock with them. Supabase removes the
+// movements through the foreign key; IndexedDB needs it done here
+const removePurchaseStock = async (purchaseIds, userEmail) => {
+  if (purchaseIds.length === 0) return;
+
+  try {
+    if (!supabaseAvailable()) {
+      const db = await initDB();
+      const tx = db.transaction(STOCK_MOVEMENTS_STORE, 'readwrite');
+      const index = tx.objectStore(STOCK_MOVEMENTS_STORE).index('purchaseId');
+      for (const purchaseId of purchaseIds) {
+        const keys = await index.getAllKeys(purchaseId);
+        for (const key of keys) {
+          await tx.objectStore(STOCK_MOVEMENTS_STORE).delete(key);
+        }
+      }
+      await tx.done;
+    }
+  } catch (error) {
+    console.warn('Could not remove stock for deleted purchases:', error);
+  }
+
+  queueReorderCheck(userEmail);
+};
+
+/**
+ * Send a low stock alert for each product that has fallen to its reorder
+ * point since the last one, and re-arm products that are back above it.
+ * Checks every product with a reorder point unless given product ids.
+ */
+export const checkReorderPoints = async (userEmail, productIds = null) => {
+  const products = (await getProducts(userEmail)).filter(product => (
+    hasReorderPoint(product) && (!productIds || productIds.includes(product.id))
+  ));
+  if (products.length === 0) return;
+
+  const levels = stockOnHand(await getStockMovements(userEmail));
+  for (const product of products) {
+    const onHand = levels.get(product.id) || 0;
+    const action = reorderAlertAction(product, onHand);
+
+    if (action === 'alert') {
+      const result = await sendLowStockAlert(userEmail, {
+        name: product.name,
+        quantity: onHand,
+        minThreshold: product.reorderPoint
+      });
+      // An alert that wasn't sent because alerts are off isn't marked, so
+      // it still goes out if they are switched on while stock is low
+      if (!result?.skipped) {
+        await saveProduct({ ...product, lowStockAlertedAt: new Date().toISOString() }, userEmail);
+      }
+    } else if (action === 'reset') {
+      await saveProduct({ ...product, lowStockAlertedAt: null }, userEmail);
+    }
+  }
+};
+
+// Alerts are sent in the background so saving a purchase doesn't wait on email
+const queueReorderCheck = (userEmail, productIds = null) => {
+  checkReorderPoints(userEmail, productIds).catch(error => {
+    console.warn('Could not check reorder points:', error);
+  });
+};
+
+// Sales ledger and VAT returns
+export const getSalesEntries = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getSalesEntriesSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const entries = await db.getAllFromIndex(SALES_STORE, 'userEmail', userEmail.toLowerCase());
+    return entries.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    console.error('Error getting sales from IndexedDB:', error);
+    return [];
+  }
+};
+
+// Sales in a submitted period are part of the return HMRC has, so they
+// can't be added, changed or removed. On cash accounting a sale falls in
+// the period it was paid, and an unpaid sale is in no period yet.
+const assertPeriodOpen = async (entry, userEmail) => {
+  const date = saleTaxDate(entry, await getVatSettings(userEmail));
+  if (!date) return;
+  const submitted = findSubmittedReturn(await getVatReturns(userEmail), date);
+  if (submitted) {
+    throw new Error(`The VAT return for ${formatVatPeriod(submitted)} has been submitted, so its figures can't change`);
+  }
+};
+
+// `paidDate` is null for a sale not yet paid for, and defaults to the sale
+// date
+export const addSalesEntry = async ({ date, description, netAmount, vatRate, paidDate }, userEmail) => {
+  const entry = {
+    date: toDateKey(date),
+    description: String(description || '').trim(),
+    netAmount: Math.round((parseFloat(netAmount) || 0) * 100) / 100,
+    vatRate: parseFloat(vatRate)
+  };
+  entry.paidDate = paidDate === undefined ? entry.date : toDateKey(paidDate) || null;
+
+  if (!entry.date) {
+    throw new Error('Enter the date of the sale');
+  }
+  if (!SALES_VAT_RATES.includes(entry.vatRate)) {
+    throw new Error(`VAT rate must be one of ${SALES_VAT_RATES.join('%, ')}%`);
+  }
+  entry.vatAmount = saleVatAmount(entry);
+  await assertPeriodOpen(entry, userEmail);
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveSalesEntrySupabase(entry, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const now = new Date().toISOString();
+  const saved = {
+    ...entry,
+    id: crypto.randomUUID(),
+    userEmail: userEmail.toLowerCase(),
+    createdAt: now,
+    updatedAt: now
+  };
+  await db.put(SALES_STORE, saved);
+  return saved;
+};
+
+// Record payment for a sale that was saved unpaid
+export const markSalesEntryPaid = async (entry, paidDate, userEmail) => {
+  const key = toDateKey(paidDate);
+  if (!key) {
+    throw new Error('Enter the date the sale was paid');
+  }
+  const updated = { ...entry, paidDate: key };
+  await assertPeriodOpen(updated, userEmail);
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveSalesEntrySupabase(updated, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const existing = await db.get(SALES_STORE, entry.id);
+  if (!existing || existing.userEmail !== userEmail.toLowerCase()) {
+    throw new Error('Sale not found');
+  }
+  const saved = { ...existing, paidDate: key, updatedAt: new Date().toISOString() };
+  await db.put(SALES_STORE, saved);
+  return saved;
+};
+
+export const deleteSalesEntry = async (entry, userEmail) => {
+  await assertPeriodOpen(entry, userEmail);
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await deleteSalesEntrySupabase(entry.id, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const existing = await db.get(SALES_STORE, entry.id);
+  if (existing && existing.userEmail === userEmail.toLowerCase()) {
+    await db.delete(SALES_STORE, entry.id);
+  }
+  return true;
+};
+
+// Latest period first
+export const getVatReturns = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getVatReturnsSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const returns = await db.getAllFromIndex(VAT_RETURNS_STORE, 'userEmail', userEmail.toLowerCase());
+    return returns.sort((a, b) => b.periodStart.localeCompare(a.periodStart));
+  } catch (error) {
+    console.error('Error getting VAT returns from IndexedDB:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a draft return, or mark one submitted by saving it with status
+ * 'submitted' and the boxes it was filed with. A submitted return can't be
+ * saved again, and returns can't overlap. Pass the VAT `settings` the
+ * return was worked out under; the saved settings are used otherwise.
+ */
+export const saveVatReturn = async (vatReturn, userEmail) => {
+  if (!vatReturn.periodStart || !vatReturn.periodEnd || vatReturn.periodEnd < vatReturn.periodStart) {
+    throw new Error('The VAT period needs a start date on or before its end date');
+  }
+
+  const existing = await getVatReturns(userEmail);
+  const stored = vatReturn.id ? existing.find(other => other.id === vatReturn.id) : null;
+  if (stored?.status === 'submitted') {
+    throw new Error(`The VAT return for ${formatVatPeriod(stored)} has been submitted, so its figures can't change`);
+  }
+
+  const period = { start: vatReturn.periodStart, end: vatReturn.periodEnd };
+  const clash = existing.find(other => (
+    other.id !== vatReturn.id &&
+    periodsOverlap(period, { start: other.periodStart, end: other.periodEnd })
+  ));
+  if (clash) {
+    throw new Error(`This period overlaps the ${clash.status} return for ${formatVatPeriod(clash)}`);
+  }
+
+  // Keep the VAT settings the figures were worked out under, so a
+  // submitted return still reads the same after a change of scheme
+  vatReturn = { ...vatReturn, settings: normaliseVat(vatReturn.settings || await getVatSettings(userEmail)) };
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveVatReturnSupabase(vatReturn, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const now = new Date().toISOString();
+  const saved = {
+    periodKey: '',
+    adjustments: {},
+    boxes: null,
+    payload: null,
+    receipt: null,
+    submittedAt: null,
+    ...vatReturn,
+    id: vatReturn.id || crypto.randomUUID(),
+    userEmail: userEmail.toLowerCase(),
+    createdAt: stored?.createdAt || now,
+    updatedAt: now
+  };
+  await db.put(VAT_RETURNS_STORE, saved);
+  return saved;
+};
+
+// Only drafts can be deleted; a submitted return stays as the record of
+// what was filed
+export const deleteVatReturn = async (vatReturn, userEmail) => {
+  if (vatReturn.status === 'submitted') {
+    throw new Error('A submitted VAT return can\'t be deleted');
+  }
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await deleteVatReturnSupabase(vatReturn.id, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const existing = await db.get(VAT_RETURNS_STORE, vatReturn.id);
+  if (existing && existing.userEmail === userEmail.toLowerCase() && existing.status !== 'submitted') {
+    await db.delete(VAT_RETURNS_STORE, vatReturn.id);
+  }
+  return true;
+};
+
+// Per-user settings that follow the user between devices. Each kind of
+// setting is saved on its own, leaving the others as they are.
+const getUserSettings = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getUserSettingsSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    return (await db.get(USER_SETTINGS_STORE, userEmail.toLowerCase())) || null;
+  } catch (error) {
+    console.error('Error getting user settings from IndexedDB:', error);
+    return null;
+  }
+};
+
+const saveUserSettings = async (changes, userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await saveUserSettingsSupabase(changes, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const tx = db.transaction(USER_SETTINGS_STORE, 'readwrite');
+  const store = tx.objectStore(USER_SETTINGS_STORE);
+  const email = userEmail.toLowerCase();
+  const saved = {
+    ...(await store.get(email)),
+    ...changes,
+    userEmail: email,
+    updatedAt: new Date().toISOString()
+  };
+  await store.put(saved);
+  await tx.done;
+  return saved;
+};
+
+const normaliseVat = (settings) => normaliseVatScheme(normaliseVatSettings(settings));
+
+/**
+ * The user's VAT setup: how often they file, their stagger or VAT year
+ * end, and their accounting scheme. Anything never set comes back as the
+ * default.
+ */
+export const getVatSettings = async (userEmail) => {
+  if (!userEmail) return normaliseVat({});
+
+  const saved = await getUserSettings(userEmail);
+  return normaliseVat(saved?.vatSettings || {});
+};
+
+export const saveVatSettings = async (settings, userEmail) => {
+  const vatSettings = normaliseVat(settings);
+  await saveUserSettings({ vatSettings }, userEmail);
+  return vatSettings;
+};
+
+// Mappings for each accounting package export, by package id
+const getExportProfiles = async (userEmail) => {
+  const saved = await getUserSettings(userEmail);
+  return saved?.exportProfiles || {};
+};
+
+export const getExportProfile = async (packageId, userEmail) => {
+  if (!userEmail) return normaliseExportProfile(packageId);
+  return normaliseExportProfile(packageId, (await getExportProfiles(userEmail))[packageId]);
+};
+
+export const saveExportProfile = async (packageId, profile, userEmail) => {
+  const saved = normaliseExportProfile(packageId, profile);
+  const exportProfiles = { ...(await getExportProfiles(userEmail)), [packageId]: saved };
+  await saveUserSettings({ exportProfiles }, userEmail);
+  return saved;
+};
+
+// Corrections to purchases in submitted periods, oldest first
+export const getPurchaseAdjustments = async (userEmail) => {
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await getPurchaseAdjustmentsSupabase(userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  try {
+    const db = await initDB();
+    const entries = await db.getAllFromIndex(PURCHASE_ADJUSTMENTS_STORE, 'userEmail', userEmail.toLowerCase());
+    return entries.sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    console.error('Error getting purchase adjustments from IndexedDB:', error);
+    return [];
+  }
+};
+
+/**
+ * Purchases in a submitted period are part of the return HMRC has. An
+ * edit that changes what they put in boxes 4 and 7 is refused with a
+ * VAT_PERIOD_LOCKED error unless the caller asks for the difference to be
+ * booked as an adjustment in the next open period; edits that leave the
+ * filed figures alone go through. `changes` are { id, after } with after
+ * null for a delete and id null for a new purchase. Returns the adjustments to record once the edit is
+ * saved.
+ */
+const planPurchaseAdjustments = async (changes, userEmail, { recordAdjustment = false } = {}) => {
+  const vatReturns = await getVatReturns(userEmail);
+  if (!vatReturns.some(vatReturn => vatReturn.status === 'submitted')) return [];
+
+  const saved = new Map((await getPurchaseItems(userEmail)).map(item => [String(item.id), item]));
+  const settings = await getVatSettings(userEmail);
+  const adjustments = [];
+
+  for (const { id, after } of changes) {
+    const before = saved.get(String(id)) || null;
+    const correction = filedPurchaseCorrection(before, after, vatReturns, settings);
+    if (!correction) continue;
+
+    const filedPeriod = formatVatPeriod(correction.vatReturn);
+    const period = nextOpenVatPeriod(vatReturns, correction.vatReturn.periodEnd, settings);
+    if (!period) {
+      throw new Error(`The VAT return for ${filedPeriod} has been submitted and there is no open period to adjust it in`);
+    }
+
+    const name = (after || before).name;
+    if (!recordAdjustment) {
+      const error = new Error(
+        (before
+          ? `${name} is in the VAT return for ${filedPeriod}, which has been submitted. `
+          : `${name} is dated in ${filedPeriod}, whose VAT return has been submitted. `) +
+        `The change (${formatMoney(correction.vatAmount)} VAT, ${formatMoney(correction.netAmount)} net) ` +
+        `has to be recorded as an adjustment in the return for ${periodLabel(period)}.`
+      );
+      error.code = VAT_PERIOD_LOCKED;
+      error.adjustment = { ...correction, period };
+      throw error;
+    }
+
+    adjustments.push({
+      date: period.start,
+      purchaseId: id,
+      vatReturnId: correction.vatReturn.id,
+      description: `${!before ? 'Added' : after ? 'Correction to' : 'Deleted'} ${name}, ${before ? 'filed' : 'dated'} in ${filedPeriod}`,
+      netAmount: correction.netAmount,
+      vatAmount: correction.vatAmount
+    });
+  }
+
+  return adjustments;
+};
+
+const recordPurchaseAdjustments = async (entries, userEmail) => {
+  if (entries.length === 0) return [];
+
+  try {
+    // Try Supabase first
+    if (supabaseAvailable()) {
+      return await addPurchaseAdjustmentsSupabase(entries, userEmail);
+    }
+  } catch (error) {
+    console.log('Supabase failed, falling back to IndexedDB:', error.message);
+  }
+
+  // Fallback to IndexedDB
+  const db = await initDB();
+  const tx = db.transaction(PURCHASE_ADJUSTMENTS_STORE, 'readwrite');
+  const store = tx.objectStore(PURCHASE_ADJUSTMENTS_STORE);
+  const now = new Date().toISOString();
+  const saved = entries.map(entry => ({
+    ...entry,
+    id: crypto.randomUUID(),
+    userEmail: userEmail.toLowerCase(),
+    createdAt: now
+  }));
+  for (const entry of saved) {
+    await store.put(entry);
+  }
+  await tx.done;
+  return saved;
+};
+
+// Incoming purchases that look like ones already saved (same date and
+// price, near-identical name), for the review step before saving
+export const findDuplicatePurchaseItems = async (items, userEmail) => {
+  const existingItems = await getPurchaseItems(userEmail);
+  return findDuplicatePurchases(items, existingItems);
+};
+
+// Fold an incoming purchase into the saved one it duplicates
+export const mergePurchaseItem = async (existingItem, incomingItem, userEmail) => {
+  return updatePurchaseItem(mergePurchase(existingItem, incomingItem), userEmail);
+};
+
 // Legacy function names for backward compatibility
 export const getInventoryItems = getPurchaseItems;
 export const addInventoryItem = addPurchaseItem;
@@ -329,8 +329,8 @@ export const sendLowStockAlert = async (userEmail, itemData) => {
       name: userEmail,
       itemName: itemData.name,
       currentStock: itemData.quantity,
-      minThreshold: itemData.minThreshold || 5,
-      dashboardLink: `${window.location.origin}/#/inventory`
+      minThreshold: itemData.minThreshold ?? 5,
+      dashboardLink: `${window.location.origin}/#/app/stock`
     }
   });
 };
@@ -0,0 +1,74 @@
+// The user's exchange rate table, imported from a local CSV or Excel file
+// (HMRC's monthly rates, or a sheet of their own) and kept in the browser
+import * as XLSX from 'xlsx';
+import { BASE_CURRENCY, normaliseCurrency, parseRateTable, mergeRateTables } from '../utils/currency';
+
+const storageKey = (userEmail) => `exchangeRates_${userEmail.toLowerCase()}`;
+
+export const getExchangeRates = (userEmail) => {
+  if (!userEmail) return [];
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userEmail)) || '[]');
+  } catch (error) {
+    console.error('Error reading exchange rates:', error);
+    return [];
+  }
+};
+
+export const saveExchangeRates = (rates, userEmail) => {
+  localStorage.setItem(storageKey(userEmail), JSON.stringify(rates));
+  return rates;
+};
+
+export const addExchangeRate = ({ currency, date, rate }, userEmail) => {
+  const code = normaliseCurrency(currency);
+  const parsedRate = parseFloat(rate);
+  if (code === BASE_CURRENCY) throw new Error('Choose a currency other than pounds sterling');
+  if (!date) throw new Error('Enter the date the rate applies from');
+  if (!(parsedRate > 0)) throw new Error('Enter a rate above zero');
+
+  return saveExchangeRates(
+    mergeRateTables(getExchangeRates(userEmail), [{ currency: code, date, rate: parsedRate }]),
+    userEmail
+  );
+};
+
+export const clearExchangeRates = (currency, userEmail) => (
+  saveExchangeRates(
+    currency ? getExchangeRates(userEmail).filter(entry => entry.currency !== currency) : [],
+    userEmail
+  )
+);
+
+const readRows = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try {
+      const isCsv = /\.csv$/i.test(file.name);
+      // CSV dates are left as text so "01/04/2024" is read the UK way
+      const workbook = XLSX.read(new Uint8Array(e.target.result), { type: 'array', cellDates: true, raw: isCsv });
+      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+      resolve(XLSX.utils.sheet_to_json(worksheet, { defval: '' }));
+    } catch (error) {
+      reject(error);
+    }
+  };
+  reader.onerror = () => reject(new Error('Could not read the file'));
+  reader.readAsArrayBuffer(file);
+});
+
+/**
+ * Add the rates in a CSV or Excel file to the user's table. Returns
+ * { rates, imported, skipped } with the whole table after the import.
+ */
+export const importExchangeRates = async (file, userEmail) => {
+  const rows = await readRows(file);
+  const { rates: imported, skipped } = parseRateTable(rows);
+
+  if (imported.length === 0) {
+    throw new Error('No exchange rates found. The file needs currency code, rate (units per £1) and start date columns.');
+  }
+
+  const rates = saveExchangeRates(mergeRateTables(getExchangeRates(userEmail), imported), userEmail);
+  return { rates, imported: imported.length, skipped };
+};
@@ -0,0 +1,37 @@
+// Checks a VAT return's MTD payload against the local mock of HMRC's
+// submission endpoint (netlify/functions/hmrc-vat-mock.js). Run the app
+// with `netlify dev` for the function to be served.
+const MOCK_ENDPOINT = '/.netlify/functions/hmrc-vat-mock';
+
+/**
+ * POST the payload and return HMRC's answer: { accepted, status, body },
+ * where body is the receipt (processingDate, formBundleNumber...) when
+ * accepted and { code, message, errors } when not.
+ */
+export const checkVatReturnSubmission = async (payload) => {
+  let response;
+  try {
+    response = await fetch(MOCK_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/vnd.hmrc.1.0+json'
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    console.error('Mock HMRC endpoint unreachable:', error);
+    throw new Error('The mock HMRC endpoint is not running. Start the app with `netlify dev` to check returns locally.');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!body) {
+    throw new Error('The mock HMRC endpoint is not running. Start the app with `netlify dev` to check returns locally.');
+  }
+
+  return {
+    accepted: response.status === 201,
+    status: response.status,
+    body
+  };
+};
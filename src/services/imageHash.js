@@ -0,0 +1,82 @@
+// Perceptual hashes of receipt images, used to spot the same receipt
+// being uploaded twice even after it has been resized or recompressed.
+import { Image } from 'image-js';
+
+// dHash compares neighbouring cells of a HASH_WIDTH x HASH_HEIGHT grid
+// over the image, giving (HASH_WIDTH - 1) * HASH_HEIGHT = 256 bits. The
+// usual 64-bit hash is too coarse for receipts: every receipt is a pale
+// strip of text lines and they all come out within a few bits
+const HASH_WIDTH = 17;
+const HASH_HEIGHT = 16;
+
+/**
+ * Difference hash of an image as a 64 character hex string. Accepts
+ * anything Image.load does (URL, data URL, ArrayBuffer) or a File/Blob.
+ */
+export async function computeImageHash(source) {
+  const input = typeof Blob !== 'undefined' && source instanceof Blob
+    ? await source.arrayBuffer()
+    : source;
+
+  const image = await Image.load(input);
+  const grey = image.components === 1 && !image.alpha ? image : image.grey();
+  const cells = averageCells(grey, HASH_WIDTH, HASH_HEIGHT);
+
+  let hash = '';
+  let nibble = 0;
+  let bitCount = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const brighter = cells[y * HASH_WIDTH + x] > cells[y * HASH_WIDTH + x + 1];
+      nibble = (nibble << 1) | (brighter ? 1 : 0);
+      bitCount++;
+      if (bitCount % 4 === 0) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+// Files already hashed, so the duplicate check before saving and the
+// upload itself don't both decode the same photo
+const fileHashes = new WeakMap();
+
+/**
+ * Hash a receipt file if it is an image; PDFs and unreadable files give
+ * null, leaving duplicate checks to merchant, date and total.
+ */
+export async function computeReceiptHash(file) {
+  if (!file || !file.type?.startsWith('image/')) return null;
+  if (fileHashes.has(file)) return fileHashes.get(file);
+
+  try {
+    const hash = await computeImageHash(file);
+    fileHashes.set(file, hash);
+    return hash;
+  } catch (error) {
+    console.warn('Could not hash receipt image:', error);
+    return null;
+  }
+}
+
+// Mean brightness of each cell in a columns x rows grid. image-js only
+// resizes with nearest-neighbour, which makes tiny thumbnails depend on
+// exactly which pixels get picked; averaging keeps the hash stable
+function averageCells(image, columns, rows) {
+  const sums = new Float64Array(columns * rows);
+  const counts = new Uint32Array(columns * rows);
+
+  for (let y = 0; y < image.height; y++) {
+    const row = Math.min(rows - 1, Math.floor((y * rows) / image.height));
+    for (let x = 0; x < image.width; x++) {
+      const column = Math.min(columns - 1, Math.floor((x * columns) / image.width));
+      const cell = row * columns + column;
+      sums[cell] += image.getValueXY(x, y, 0);
+      counts[cell]++;
+    }
+  }
+
+  return Array.from(sums, (sum, cell) => sum / (counts[cell] || 1));
+}
@@ -0,0 +1,145 @@
+// Pool of Tesseract workers shared by every scan. Each worker runs in its
+// own Web Worker and keeps its language data loaded, so only the first
+// scan pays the start-up cost. A scan borrows one worker for all of its
+// passes and hands it back when it finishes.
+
+const MAX_POOL_SIZE = 2;
+
+const pool = [];
+const waiting = [];
+
+export function getOcrPoolSize() {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 2 : 2;
+  // Leave a core for the page itself
+  return Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+}
+
+/**
+ * Borrow a worker for `language`, creating one if the pool has room or
+ * waiting for one to be released. The returned entry's `onLog` is called
+ * with Tesseract logger messages for the borrower's jobs only.
+ */
+export async function acquireOcrWorker(language = 'eng', signal) {
+  throwIfAborted(signal);
+
+  const idle = pool.find(entry => !entry.busy && entry.language === language);
+  if (idle) {
+    idle.busy = true;
+    return idle;
+  }
+
+  if (pool.length < getOcrPoolSize()) {
+    return createEntry(language);
+  }
+
+  // Pool is full: swap out an idle worker loaded with another language.
+  // The new entry takes the old one's slot straight away and its worker
+  // only starts once the old one has shut down, so the pool never runs
+  // more workers than its size.
+  const otherIdle = pool.find(entry => !entry.busy);
+  if (otherIdle) {
+    pool.splice(pool.indexOf(otherIdle), 1);
+    return createEntry(language, terminateEntry(otherIdle));
+  }
+
+  await new Promise((resolve, reject) => {
+    const waiter = { resolve, reject };
+    waiting.push(waiter);
+    signal?.addEventListener('abort', () => {
+      const index = waiting.indexOf(waiter);
+      if (index !== -1) waiting.splice(index, 1);
+      reject(createAbortError());
+    }, { once: true });
+  });
+
+  return acquireOcrWorker(language, signal);
+}
+
+export function releaseOcrWorker(entry) {
+  entry.busy = false;
+  entry.onLog = null;
+  wakeNextWaiter();
+}
+
+// Terminate a worker outright, e.g. to stop a cancelled scan mid-pass
+export async function discardOcrWorker(entry) {
+  const index = pool.indexOf(entry);
+  if (index !== -1) pool.splice(index, 1);
+
+  await terminateEntry(entry);
+  wakeNextWaiter();
+}
+
+export async function terminateOcrWorkers() {
+  await Promise.all([...pool].map(discardOcrWorker));
+}
+
+/**
+ * Settle with `promise`, or reject with an AbortError as soon as `signal`
+ * aborts. Tesseract jobs can't be interrupted, so callers discard the
+ * worker when this rejects.
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+async function terminateEntry(entry) {
+  entry.onLog = null;
+
+  try {
+    const worker = await entry.ready;
+    await worker.terminate();
+  } catch (error) {
+    console.warn('Failed to terminate OCR worker:', error);
+  }
+}
+
+// `after` holds the worker back until a worker it replaces has gone
+function createEntry(language, after = Promise.resolve()) {
+  const entry = { language, busy: true, onLog: null, ready: null };
+
+  entry.ready = after.then(() => import('tesseract.js')).then(({ createWorker }) => (
+    createWorker(language, 1, {
+      logger: (m) => entry.onLog && entry.onLog(m)
+    })
+  ));
+
+  pool.push(entry);
+
+  // A worker that fails to start must not hold a pool slot
+  entry.ready.catch(() => {
+    const index = pool.indexOf(entry);
+    if (index !== -1) pool.splice(index, 1);
+    wakeNextWaiter();
+  });
+
+  return entry;
+}
+
+function wakeNextWaiter() {
+  const next = waiting.shift();
+  if (next) next.resolve();
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+function createAbortError() {
+  const error = new Error('Receipt scan cancelled');
+  error.name = 'AbortError';
+  return error;
+}
@@ -0,0 +1,42 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { acquireOcrWorker, getOcrPoolSize, releaseOcrWorker, terminateOcrWorkers } from './ocrWorkerPool';
+
+let liveWorkers = 0;
+let mostWorkers = 0;
+
+vi.mock('tesseract.js', () => ({
+  createWorker: async () => {
+    liveWorkers += 1;
+    mostWorkers = Math.max(mostWorkers, liveWorkers);
+    return {
+      terminate: async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        liveWorkers -= 1;
+      }
+    };
+  }
+}));
+
+afterEach(async () => {
+  await terminateOcrWorkers();
+  mostWorkers = 0;
+});
+
+describe('acquireOcrWorker', () => {
+  it('never runs more workers than the pool size when swapping languages', async () => {
+    const size = getOcrPoolSize();
+    const first = await Promise.all(Array.from({ length: size }, () => acquireOcrWorker('eng')));
+    await Promise.all(first.map(entry => entry.ready));
+    first.forEach(releaseOcrWorker);
+
+    const swapped = Array.from({ length: size }, () => acquireOcrWorker('fra'));
+    const queued = acquireOcrWorker('deu');
+    const entries = await Promise.all(swapped);
+    await Promise.all(entries.map(entry => entry.ready));
+    releaseOcrWorker(entries[0]);
+    await (await queued).ready;
+
+    expect(mostWorkers).toBeLessThanOrEqual(size);
+    expect(entries.every(entry => entry.language === 'fra')).toBe(true);
+  });
+});
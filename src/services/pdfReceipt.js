@@ -0,0 +1,215 @@
+// PDF receipts and supplier invoices. A PDF with a text layer is read
+// directly, keeping each word's position so the same layout parser used
+// for OCR output can find the price column. Scanned PDFs with no text
+// are rendered page by page and sent through the OCR pipeline.
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { scanReceiptImage, evaluateOcrResult } from './receiptOcr';
+import { raceAbort } from './ocrWorkerPool';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Invoices rarely run past a few pages; anything longer is a statement
+const MAX_PDF_PAGES = 5;
+
+// Fewer characters than this means the PDF is an image with no text layer
+const MIN_TEXT_LAYER_CHARS = 20;
+
+// Pages are rendered at this scale before OCR so small print stays legible
+const OCR_RENDER_SCALE = 2;
+
+/**
+ * Read a receipt or invoice PDF and return the same shape as
+ * scanReceiptImage, plus `source` ('pdf-text' or 'pdf-ocr'), `pageCount`
+ * (the pages read) and `totalPages` (the pages in the file).
+ */
+export async function scanReceiptPdf(file, options = {}) {
+  const { onProgress = () => {}, signal } = options;
+
+  onProgress(0, 'Opening PDF...');
+  const data = await raceAbort(file.arrayBuffer(), signal);
+  const pdf = await raceAbort(pdfjsLib.getDocument({ data }).promise, signal);
+
+  try {
+    const totalPages = pdf.numPages;
+    const pageCount = Math.min(totalPages, MAX_PDF_PAGES);
+    if (totalPages > pageCount) {
+      console.warn(`📄 PDF has ${totalPages} pages, reading the first ${pageCount}`);
+    }
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      pages.push(await raceAbort(pdf.getPage(pageNumber), signal));
+    }
+
+    const textLayer = await raceAbort(readTextLayer(pages), signal);
+    if (textLayer.text.replace(/\s/g, '').length >= MIN_TEXT_LAYER_CHARS) {
+      console.log('📄 Using PDF text layer:', textLayer.lines.length, 'lines');
+      onProgress(1, 'Extracting items...');
+      return {
+        ...evaluateOcrResult(textLayer, { source: 'pdf-text' }),
+        source: 'pdf-text',
+        pageCount,
+        totalPages,
+        passes: []
+      };
+    }
+
+    console.log('📄 PDF has no text layer, running OCR on', pageCount, 'pages');
+    const pageResults = [];
+    for (let index = 0; index < pages.length; index++) {
+      onProgress(index / pages.length, `Rendering page ${index + 1} of ${pages.length}...`);
+      const image = await raceAbort(renderPage(pages[index]), signal);
+
+      const result = await scanReceiptImage(image, {
+        ...options,
+        // Rendered pages are already upright
+        straighten: false,
+        onProgress: (fraction, message, passInfo) => onProgress(
+          (index + fraction) / pages.length,
+          pages.length > 1 ? `Page ${index + 1}: ${message}` : message,
+          passInfo
+        )
+      });
+      pageResults.push(result);
+    }
+
+    const merged = mergePageResults(pageResults);
+    onProgress(1, 'Extracting items...');
+    return {
+      ...evaluateOcrResult(merged, { source: 'pdf-ocr' }),
+      source: 'pdf-ocr',
+      pageCount,
+      totalPages,
+      passes: pageResults.flatMap(result => result.passes)
+    };
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// Build Tesseract-shaped lines and words from the PDF text layer, with
+// pages stacked top to bottom in one coordinate space
+async function readTextLayer(pages) {
+  const lines = [];
+  let pageTop = 0;
+
+  for (const page of pages) {
+    const viewport = page.getViewport({ scale: 1 });
+    const content = await page.getTextContent();
+
+    const words = content.items
+      .filter(item => item.str && item.str.trim().length > 0)
+      .flatMap(item => splitTextItem(item, viewport.height, pageTop));
+
+    lines.push(...groupWordsIntoLines(words));
+    pageTop += viewport.height;
+  }
+
+  return {
+    text: lines.map(line => line.text).join('\n'),
+    confidence: 100,
+    lines
+  };
+}
+
+// A text item can hold several words; share its width between them by
+// character count so each word gets its own box
+function splitTextItem(item, pageHeight, pageTop) {
+  const [, , , , x, baseline] = item.transform;
+  const height = item.height || Math.abs(item.transform[3]) || 10;
+  const y0 = pageTop + pageHeight - baseline - height;
+  const y1 = pageTop + pageHeight - baseline;
+  const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+
+  const words = [];
+  const pattern = /\S+/g;
+  let match;
+  while ((match = pattern.exec(item.str)) !== null) {
+    const x0 = x + match.index * charWidth;
+    words.push({
+      text: match[0],
+      confidence: 100,
+      bbox: { x0, y0, x1: x0 + match[0].length * charWidth, y1 }
+    });
+  }
+  return words;
+}
+
+function groupWordsIntoLines(words) {
+  const sorted = [...words].sort((a, b) => a.bbox.y0 - b.bbox.y0 || a.bbox.x0 - b.bbox.x0);
+  const lines = [];
+
+  for (const word of sorted) {
+    const height = word.bbox.y1 - word.bbox.y0;
+    const line = lines.find(candidate => Math.abs(candidate.centre - (word.bbox.y0 + word.bbox.y1) / 2) < height * 0.5);
+    if (line) {
+      line.words.push(word);
+    } else {
+      lines.push({ centre: (word.bbox.y0 + word.bbox.y1) / 2, words: [word] });
+    }
+  }
+
+  return lines
+    .map(({ words: lineWords }) => {
+      const ordered = lineWords.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+      return {
+        text: ordered.map(word => word.text).join(' '),
+        confidence: 100,
+        words: ordered,
+        bbox: {
+          x0: Math.min(...ordered.map(word => word.bbox.x0)),
+          y0: Math.min(...ordered.map(word => word.bbox.y0)),
+          x1: Math.max(...ordered.map(word => word.bbox.x1)),
+          y1: Math.max(...ordered.map(word => word.bbox.y1))
+        }
+      };
+    })
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0);
+}
+
+async function renderPage(page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const canvas = document.createElement('canvas');
+  canvas.width = viewport.width;
+  canvas.height = viewport.height;
+
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  return canvas.toDataURL('image/png');
+}
+
+// Stack each page's OCR lines below the previous page's so the layout
+// parser sees one long receipt
+function mergePageResults(pageResults) {
+  const lines = [];
+  let offset = 0;
+
+  for (const result of pageResults) {
+    const pageLines = getResultLines(result.data);
+    const shift = (bbox) => ({ ...bbox, y0: bbox.y0 + offset, y1: bbox.y1 + offset });
+
+    pageLines.forEach(line => {
+      lines.push({
+        ...line,
+        bbox: shift(line.bbox),
+        words: (line.words || []).map(word => ({ ...word, bbox: shift(word.bbox) }))
+      });
+    });
+
+    const pageBottom = Math.max(0, ...pageLines.map(line => line.bbox.y1));
+    offset += pageBottom + 1;
+  }
+
+  return {
+    text: pageResults.map(result => result.text).join('\n'),
+    confidence: pageResults.reduce((sum, result) => sum + result.confidence, 0) / Math.max(pageResults.length, 1),
+    lines
+  };
+}
+
+function getResultLines(data) {
+  if (!data) return [];
+  if (Array.isArray(data.lines) && data.lines.length > 0) return data.lines;
+  return (data.blocks || []).flatMap(block =>
+    (block.paragraphs || []).flatMap(paragraph => paragraph.lines || [])
+  );
+}
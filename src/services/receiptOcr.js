@@ -0,0 +1,307 @@
+// Receipt OCR pipeline shared by every scanning screen:
+// preprocess -> recognize -> parse -> score, repeated for each configured
+// pass, keeping whichever pass parsed best. Nothing here touches React, so
+// the same photo gives the same result wherever it is scanned.
+import { parseReceiptDetails } from '../utils/receipt-parser';
+import { acquireOcrWorker, releaseOcrWorker, discardOcrWorker, raceAbort, isAbortError } from './ocrWorkerPool';
+import { autoStraightenReceipt } from './receiptGeometry';
+
+export const OCR_CHAR_WHITELIST = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,£$€¥₹@#%&*()-+=[]{}|\\:";\'<>?/_ ';
+
+// Each pass is an image enhancement level plus a Tesseract page
+// segmentation mode (a key of Tesseract.PSM)
+export const OCR_PASS_STRATEGIES = {
+  quick: [
+    { enhance: 'none', psm: 'SINGLE_BLOCK' }
+  ],
+  standard: [
+    { enhance: 'none', psm: 'SINGLE_BLOCK' },
+    { enhance: 'standard', psm: 'AUTO' },
+    { enhance: 'aggressive', psm: 'SPARSE_TEXT' }
+  ],
+  thorough: [
+    { enhance: 'none', psm: 'AUTO' },
+    { enhance: 'standard', psm: 'SINGLE_BLOCK' },
+    { enhance: 'standard', psm: 'SINGLE_COLUMN' },
+    { enhance: 'aggressive', psm: 'SPARSE_TEXT' }
+  ]
+};
+
+export const DEFAULT_OCR_STRATEGY = 'standard';
+
+// A pass scoring at least this with matching totals is trusted outright
+const GOOD_ENOUGH_SCORE = 0.85;
+
+/**
+ * Scan a receipt image and return the best parse across all passes.
+ *
+ * Options:
+ * - strategy: a key of OCR_PASS_STRATEGIES or an array of passes
+ * - language: Tesseract language code (default 'eng')
+ * - enhance: set false to skip image preprocessing on every pass
+ * - straighten: find the receipt in the photo and warp it upright first,
+ *   for scans where nobody has checked the corners (e.g. batch uploads)
+ * - stopWhenReconciled: stop early once a pass's items add up to the total
+ * - onProgress(fraction, message, passInfo): progress from 0 to 1, with
+ *   passInfo { pass, passCount, passProgress } while text is being read
+ * - signal: an AbortSignal; aborting rejects with an AbortError and stops
+ *   the worker so a closed scanner doesn't keep using CPU
+ */
+export async function scanReceiptImage(image, options = {}) {
+  const {
+    strategy = DEFAULT_OCR_STRATEGY,
+    language = 'eng',
+    enhance = true,
+    straighten = false,
+    stopWhenReconciled = true,
+    onProgress = () => {},
+    signal
+  } = options;
+
+  const passes = resolvePasses(strategy);
+  const { PSM } = await import('tesseract.js');
+
+  if (straighten) {
+    onProgress(0, 'Straightening receipt...');
+    ({ image } = await raceAbort(autoStraightenReceipt(image), signal));
+  }
+
+  let currentPass = 0;
+  onProgress(0, 'Loading OCR engine...');
+
+  const entry = await acquireOcrWorker(language, signal);
+  entry.onLog = (m) => {
+    if (m.status === 'recognizing text') {
+      const fraction = (currentPass + m.progress) / passes.length;
+      onProgress(
+        0.1 + fraction * 0.8,
+        passes.length > 1
+          ? `Reading text (pass ${currentPass + 1} of ${passes.length})... ${Math.round(m.progress * 100)}%`
+          : `Reading text... ${Math.round(m.progress * 100)}%`,
+        { pass: currentPass + 1, passCount: passes.length, passProgress: m.progress }
+      );
+    }
+  };
+
+  const results = [];
+  let cancelled = false;
+
+  try {
+    const worker = await raceAbort(entry.ready, signal);
+
+    for (currentPass = 0; currentPass < passes.length; currentPass++) {
+      const pass = passes[currentPass];
+
+      try {
+        const passImage = enhance && pass.enhance !== 'none'
+          ? await raceAbort(preprocessReceiptImage(image, pass.enhance), signal)
+          : image;
+
+        await raceAbort(worker.setParameters({
+          tessedit_pageseg_mode: PSM[pass.psm] || PSM.AUTO,
+          tessedit_char_whitelist: OCR_CHAR_WHITELIST,
+          preserve_interword_spaces: '1'
+        }), signal);
+
+        const { data } = await raceAbort(worker.recognize(passImage), signal);
+        const result = evaluateOcrResult(data, pass);
+        results.push(result);
+
+        console.log(`🔎 OCR pass ${currentPass + 1}/${passes.length}:`, {
+          ...pass,
+          score: result.score,
+          items: result.details.items.length,
+          totals: result.details.reconciliation.status
+        });
+
+        if (
+          stopWhenReconciled &&
+          result.details.reconciliation.status === 'matched' &&
+          result.score >= GOOD_ENOUGH_SCORE
+        ) {
+          break;
+        }
+      } catch (passError) {
+        if (isAbortError(passError)) throw passError;
+        console.warn(`OCR pass ${currentPass + 1} failed:`, passError);
+      }
+    }
+  } catch (error) {
+    cancelled = isAbortError(error);
+    throw error;
+  } finally {
+    if (cancelled) {
+      // The worker may still be mid-recognition; stop it rather than wait
+      await discardOcrWorker(entry);
+    } else {
+      releaseOcrWorker(entry);
+    }
+  }
+
+  if (results.length === 0) {
+    throw new Error('Every OCR pass failed');
+  }
+
+  onProgress(1, 'Extracting items...');
+  return {
+    ...selectBestResult(results),
+    passes: results.map(({ pass, score, confidence, details }) => ({
+      pass,
+      score,
+      confidence,
+      itemCount: details.items.length,
+      totalsStatus: details.reconciliation.status
+    }))
+  };
+}
+
+export function isPdfFile(file) {
+  return file?.type === 'application/pdf' || /\.pdf$/i.test(file?.name || '');
+}
+
+/**
+ * Scan an uploaded receipt file. PDFs are read from their text layer, or
+ * rendered and OCR'd when they have none; images go straight to OCR.
+ * Takes the same options as scanReceiptImage and adds `source` to the
+ * result ('image', 'pdf-text' or 'pdf-ocr').
+ */
+export async function scanReceiptFile(file, options = {}) {
+  if (isPdfFile(file)) {
+    // Loaded on demand so pdf.js stays out of the main bundle
+    const { scanReceiptPdf } = await import('./pdfReceipt');
+    return scanReceiptPdf(file, options);
+  }
+
+  const imageUrl = URL.createObjectURL(file);
+  try {
+    return { ...(await scanReceiptImage(imageUrl, options)), source: 'image' };
+  } finally {
+    URL.revokeObjectURL(imageUrl);
+  }
+}
+
+// The review-step warning for a PDF with more pages than were read, or
+// null when the whole file was read
+export function describeUnreadPages(result) {
+  if (!result?.totalPages || result.totalPages <= result.pageCount) return null;
+  return `Only the first ${result.pageCount} of ${result.totalPages} pages were read. Add any items from later pages by hand.`;
+}
+
+// Parse and score one recognition result. Exposed so stored OCR output
+// can be re-run through the same parse and scoring without Tesseract.
+export function evaluateOcrResult(data, pass = null) {
+  const details = parseReceiptDetails(data);
+
+  return {
+    pass,
+    data,
+    text: data.text || '',
+    confidence: data.confidence || 0,
+    details,
+    score: scoreReceiptParse(details, data.confidence || 0)
+  };
+}
+
+export function selectBestResult(results) {
+  return results.reduce((best, result) => (
+    !best || result.score > best.score ? result : best
+  ), null);
+}
+
+/**
+ * Score how usable a parse is, from 0 to 1. Raw OCR confidence counts
+ * for little; whether the items add up to the printed total, how sure
+ * each item line is and whether the header fields were found matter more.
+ */
+export function scoreReceiptParse(details, ocrConfidence = 0) {
+  const ocrScore = Math.min(Math.max(ocrConfidence / 100, 0), 1);
+  const items = details.items || [];
+
+  if (items.length === 0) {
+    return roundScore(ocrScore * 0.1);
+  }
+
+  const itemConfidence = items.reduce((sum, item) => (
+    sum + (typeof item.confidence === 'number' ? item.confidence : 0.5)
+  ), 0) / items.length;
+
+  const { status, difference, expectedTotal } = details.reconciliation || {};
+  let totalsScore = 0.5;
+  if (status === 'matched') {
+    totalsScore = 1;
+  } else if (status === 'mismatch') {
+    totalsScore = Math.max(0, 1 - Math.abs(difference) / Math.max(expectedTotal, 1));
+  }
+
+  const headerFields = [details.merchant, details.transactionDate, details.total, details.vatNumber];
+  const headerScore = headerFields.filter(value => value !== null && value !== undefined).length / headerFields.length;
+
+  const itemCountScore = Math.min(items.length / 5, 1);
+
+  return roundScore(
+    totalsScore * 0.35 +
+    itemConfidence * 0.25 +
+    headerScore * 0.15 +
+    itemCountScore * 0.15 +
+    ocrScore * 0.1
+  );
+}
+
+/**
+ * Scale, greyscale and threshold an image to help Tesseract on faint or
+ * low-contrast receipts. Returns a JPEG data URL.
+ */
+export function preprocessReceiptImage(imageSrc, enhanceLevel = 'standard') {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+
+      // Increase canvas size for better quality
+      const scale = enhanceLevel === 'aggressive' ? 2 : 1.5;
+      canvas.width = img.width * scale;
+      canvas.height = img.height * scale;
+
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      const data = imageData.data;
+
+      const contrast = enhanceLevel === 'aggressive' ? 1.8 : 1.5;
+      const brightness = enhanceLevel === 'aggressive' ? 20 : 10;
+      const threshold = enhanceLevel === 'aggressive' ? 150 : 140;
+
+      for (let i = 0; i < data.length; i += 4) {
+        // Convert to grayscale with better weights
+        const gray = data[i] * 0.2126 + data[i + 1] * 0.7152 + data[i + 2] * 0.0722;
+
+        // Gamma correction, then contrast and brightness, then threshold
+        const corrected = 255 * Math.pow(gray / 255, 1 / 1.2);
+        const enhanced = (corrected - 128) * contrast + 128 + brightness > threshold ? 255 : 0;
+
+        data[i] = enhanced;
+        data[i + 1] = enhanced;
+        data[i + 2] = enhanced;
+      }
+
+      ctx.putImageData(imageData, 0, 0);
+      resolve(canvas.toDataURL('image/jpeg', 0.95));
+    };
+    img.onerror = () => reject(new Error('Could not load image for preprocessing'));
+    img.src = imageSrc;
+  });
+}
+
+function resolvePasses(strategy) {
+  if (Array.isArray(strategy)) {
+    return strategy.length > 0 ? strategy : OCR_PASS_STRATEGIES[DEFAULT_OCR_STRATEGY];
+  }
+  return OCR_PASS_STRATEGIES[strategy] || OCR_PASS_STRATEGIES[DEFAULT_OCR_STRATEGY];
+}
+
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -1,7 +1,9 @@
 import supabase from '../lib/supabase';
-import { validateSession } from '../utils/security';
+import { validateSession, validateReceiptFile, RECEIPT_FILE_TYPES } from '../utils/security';
+import { findDuplicateReceipt } from '../utils/duplicates';
+import { computeReceiptHash } from './imageHash';
 
-const STORAGE_BUCKET = 'receipts';
+export const STORAGE_BUCKET = 'receipts';
 
 class ReceiptStorageService {
   constructor() {
@@ -22,7 +24,7 @@ class ReceiptStorageService {
       if (!bucketExists) {
         const { error } = await supabase.storage.createBucket(STORAGE_BUCKET, {
           public: false,
-          allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+          allowedMimeTypes: RECEIPT_FILE_TYPES,
           fileSizeLimit: 10485760 // 10MB
         });
         
@@ -31,6 +33,21 @@ class ReceiptStorageService {
         } else {
           console.log('✅ Created receipts storage bucket');
         }
+      } else {
+        // Buckets created before PDF support only allow images
+        const bucket = buckets.find(existing => existing.name === STORAGE_BUCKET);
+        const allowed = bucket.allowed_mime_types || [];
+        if (allowed.length > 0 && !RECEIPT_FILE_TYPES.every(type => allowed.includes(type))) {
+          const { error } = await supabase.storage.updateBucket(STORAGE_BUCKET, {
+            public: false,
+            allowedMimeTypes: RECEIPT_FILE_TYPES,
+            fileSizeLimit: 10485760
+          });
+
+          if (error) {
+            console.error('Error updating receipts bucket file types:', error);
+          }
+        }
       }
     } catch (error) {
       console.error('Error initializing receipt storage:', error);
@@ -78,6 +95,11 @@ class ReceiptStorageService {
         throw new Error('User email mismatch');
       }
 
+      const validation = validateReceiptFile(file);
+      if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+      }
+
       // Generate consistent user ID for storage
       const userId = this.generateUserId(user.email);
 
@@ -106,7 +128,8 @@ class ReceiptStorageService {
         fileName: file.name,
         fileSize: file.size,
         mimeType: file.type,
-        userId: userId
+        userId: userId,
+        imageHash: await computeReceiptHash(file)
       };
     } catch (error) {
       console.error('❌ Error uploading receipt:', error);
@@ -185,6 +208,9 @@ class ReceiptStorageService {
         throw new Error('Missing file name for receipt');
       }
 
+      // Structured header data extracted by the parser (all optional)
+      const headerColumns = this.buildHeaderColumns(receiptData);
+
       console.log('📝 Saving receipt with data:', {
         user_email: user.email,
         storage_path: receiptData.storagePath,
@@ -210,6 +236,19 @@ class ReceiptStorageService {
 
         if (!rpcError && rpcResult) {
           console.log('✅ PRIMARY SUCCESS: Receipt saved via secure RPC function:', rpcResult);
+
+          // The RPC only knows the original columns, so header fields go in a follow-up update
+          if (Object.keys(headerColumns).length > 0) {
+            const { error: headerError } = await supabase
+              .from('receipts')
+              .update(headerColumns)
+              .eq('id', rpcResult)
+              .eq('user_email', user.email);
+
+            if (headerError) {
+              console.log('⚠️ Could not save receipt header fields:', headerError.message);
+            }
+          }
           
           // Return the receipt record for consistency
           const { data: savedReceipt, error: fetchError } = await supabase
@@ -243,7 +282,8 @@ class ReceiptStorageService {
           scanned_items: receiptData.scannedItems || [],
           total_items: receiptData.scannedItems?.length || 0,
           scan_status: receiptData.scanStatus || 'completed',
-          ocr_text: receiptData.ocrText || null
+          ocr_text: receiptData.ocrText || null,
+          ...headerColumns
         };
 
         const { data: directResult, error: directError } = await supabase
@@ -274,6 +314,26 @@ class ReceiptStorageService {
     }
   }
 
+  buildHeaderColumns(receiptData) {
+    const columns = {
+      merchant_name: receiptData.merchantName,
+      transaction_date: receiptData.transactionDate,
+      transaction_time: receiptData.transactionTime,
+      vat_number: receiptData.vatNumber,
+      subtotal: receiptData.subtotal,
+      vat_breakdown: receiptData.vatBreakdown,
+      total_amount: receiptData.totalAmount,
+      totals_match: receiptData.totalsMatch,
+      image_hash: receiptData.imageHash,
+      supplier_id: receiptData.supplierId
+    };
+
+    // Leave out anything the parser couldn't find
+    return Object.fromEntries(
+      Object.entries(columns).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
   async updateReceiptRecord(receiptId, updates) {
     try {
       if (!supabase) {
@@ -374,6 +434,73 @@ class ReceiptStorageService {
     }
   }
 
+  // Look up specific receipts, e.g. the ones a set of purchases came from
+  async getReceiptRecords(receiptIds) {
+    try {
+      const ids = [...new Set(receiptIds.filter(Boolean))];
+      if (!supabase || ids.length === 0) {
+        return [];
+      }
+
+      const user = this.getCurrentUser();
+
+      const { data, error } = await supabase
+        .from('receipts')
+        .select('*')
+        .in('id', ids)
+        .eq('user_email', user.email);
+
+      if (error) {
+        console.error('❌ Database query error:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error getting receipt records:', error);
+      return [];
+    }
+  }
+
+  // Look for a receipt the user has already saved that matches this one,
+  // by image hash or by merchant, date and total. receiptData takes the
+  // same camelCase fields as saveReceiptRecord.
+  async findDuplicateReceipt(receiptData) {
+    try {
+      if (!supabase) {
+        return null;
+      }
+
+      const user = this.getCurrentUser();
+
+      const { data, error } = await supabase
+        .from('receipts')
+        .select('id, file_name, storage_path, mime_type, merchant_name, transaction_date, total_amount, image_hash, created_at')
+        .eq('user_email', user.email)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+      if (error) {
+        console.error('❌ Duplicate receipt query error:', error);
+        return null;
+      }
+
+      const match = findDuplicateReceipt(receiptData, data || []);
+      if (match) {
+        console.log('🔁 Receipt looks like an earlier one:', match.receipt.id, match.reasons);
+      }
+      return match;
+    } catch (error) {
+      console.error('❌ Error checking for duplicate receipts:', error);
+      return null;
+    }
+  }
+
+  async getReceiptRecord(receiptId) {
+    const [receipt] = await this.getReceiptRecords([receiptId]);
+    return receipt || null;
+  }
+
   async deleteReceiptRecord(receiptId) {
     try {
       if (!supabase) {
@@ -1,5 +1,6 @@
 // Supabase database functions with safe imports
 import {supabase} from '../lib/supabase';
+import {PURCHASE_SORT_COLUMNS, normalisePurchaseQuery, encodeCursor, decodeCursor} from '../utils/purchaseQuery';
 
 export const supabaseAvailable = () => {
   return supabase !== null;
@@ -326,6 +327,32 @@ export const updateUserLastLoginSupabase = async (email) => {
 };
 
 // Purchase tracking operations (renamed from inventory operations)
+// Purchase rows use snake_case columns; the app uses camelCase
+const mapPurchaseRow = (item) => ({
+  id: item.id,
+  name: item.name,
+  category: item.category,
+  quantity: item.quantity,
+  description: item.description,
+  unitPrice: item.unit_price,
+  dateAdded: item.date_added,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at,
+  vatIncluded: item.vat_included || false,
+  vatPercentage: item.vat_percentage ?? 20.00,
+  vatAmount: item.vat_amount || 0.00,
+  priceExcludingVat: item.price_excluding_vat || item.unit_price,
+  receiptId: item.receipt_id || null,
+  supplier: item.supplier || '',
+  supplierId: item.supplier_id || null,
+  productId: item.product_id || null,
+  currency: item.currency || 'GBP',
+  originalUnitPrice: item.original_unit_price ?? item.unit_price,
+  exchangeRate: parseFloat(item.exchange_rate ?? 1),
+  paidDate: item.paid_date,
+  capitalAsset: item.capital_asset || false
+});
+
 export const getPurchaseItemsSupabase = async (userEmail) => {
   if (!supabaseAvailable()) {
     throw new Error('Supabase not available');
@@ -340,21 +367,7 @@ export const getPurchaseItemsSupabase = async (userEmail) => {
 
     if (error) throw error;
 
-    return data.map(item => ({
-      id: item.id,
-      name: item.name,
-      category: item.category,
-      quantity: item.quantity,
-      description: item.description,
-      unitPrice: item.unit_price,
-      dateAdded: item.date_added,
-      createdAt: item.created_at,
-      updatedAt: item.updated_at,
-      vatIncluded: item.vat_included || false,
-      vatPercentage: item.vat_percentage || 20.00,
-      vatAmount: item.vat_amount || 0.00,
-      priceExcludingVat: item.price_excluding_vat || item.unit_price
-    }));
+    return data.map(mapPurchaseRow);
 
   } catch (error) {
     console.error('Error getting purchase items from Supabase:', error);
@@ -380,7 +393,16 @@ export const addPurchaseItemSupabase = async (itemData, userEmail) => {
           date_added: itemData.dateAdded,
           user_email: userEmail.toLowerCase(),
           vat_included: itemData.vatIncluded || false,
-          vat_percentage: itemData.vatPercentage || 20.00,
+          vat_percentage: itemData.vatPercentage ?? 20.00,
+          receipt_id: itemData.receiptId || null,
+          supplier: itemData.supplier || null,
+          supplier_id: itemData.supplierId || null,
+          product_id: itemData.productId || null,
+          currency: itemData.currency || 'GBP',
+          original_unit_price: itemData.originalUnitPrice ?? itemData.unitPrice,
+          exchange_rate: itemData.exchangeRate ?? 1,
+          paid_date: itemData.paidDate === undefined ? itemData.dateAdded : itemData.paidDate,
+          capital_asset: itemData.capitalAsset || false,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         }
@@ -390,21 +412,7 @@ export const addPurchaseItemSupabase = async (itemData, userEmail) => {
 
     if (error) throw error;
 
-    return {
-      id: data.id,
-      name: data.name,
-      category: data.category,
-      quantity: data.quantity,
-      description: data.description,
-      unitPrice: data.unit_price,
-      dateAdded: data.date_added,
-      createdAt: data.created_at,
-      updatedAt: data.updated_at,
-      vatIncluded: data.vat_included,
-      vatPercentage: data.vat_percentage,
-      vatAmount: data.vat_amount,
-      priceExcludingVat: data.price_excluding_vat
-    };
+    return mapPurchaseRow(data);
 
   } catch (error) {
     console.error('Error adding purchase item to Supabase:', error);
@@ -428,7 +436,16 @@ export const updatePurchaseItemSupabase = async (itemData, userEmail) => {
         unit_price: itemData.unitPrice,
         date_added: itemData.dateAdded,
         vat_included: itemData.vatIncluded || false,
-        vat_percentage: itemData.vatPercentage || 20.00,
+        vat_percentage: itemData.vatPercentage ?? 20.00,
+        receipt_id: itemData.receiptId || null,
+        supplier: itemData.supplier || null,
+        supplier_id: itemData.supplierId || null,
+        product_id: itemData.productId || null,
+        currency: itemData.currency || 'GBP',
+        original_unit_price: itemData.originalUnitPrice ?? itemData.unitPrice,
+        exchange_rate: itemData.exchangeRate ?? 1,
+        paid_date: itemData.paidDate === undefined ? itemData.dateAdded : itemData.paidDate,
+        capital_asset: itemData.capitalAsset || false,
         updated_at: new Date().toISOString()
       })
       .eq('id', itemData.id)
@@ -438,21 +455,7 @@ export const updatePurchaseItemSupabase = async (itemData, userEmail) => {
 
     if (error) throw error;
 
-    return {
-      id: data.id,
-      name: data.name,
-      category: data.category,
-      quantity: data.quantity,
-      description: data.description,
-      unitPrice: data.unit_price,
-      dateAdded: data.date_added,
-      createdAt: data.created_at,
-      updatedAt: data.updated_at,
-      vatIncluded: data.vat_included,
-      vatPercentage: data.vat_percentage,
-      vatAmount: data.vat_amount,
-      priceExcludingVat: data.price_excluding_vat
-    };
+    return mapPurchaseRow(data);
 
   } catch (error) {
     console.error('Error updating purchase item in Supabase:', error);
@@ -502,21 +505,7 @@ export const searchPurchaseItemsSupabase = async (searchTerm, userEmail) => {
 
     if (error) throw error;
 
-    return data.map(item => ({
-      id: item.id,
-      name: item.name,
-      category: item.category,
-      quantity: item.quantity,
-      description: item.description,
-      unitPrice: item.unit_price,
-      dateAdded: item.date_added,
-      createdAt: item.created_at,
-      updatedAt: item.updated_at,
-      vatIncluded: item.vat_included || false,
-      vatPercentage: item.vat_percentage || 20.00,
-      vatAmount: item.vat_amount || 0.00,
-      priceExcludingVat: item.price_excluding_vat || item.unit_price
-    }));
+    return data.map(mapPurchaseRow);
 
   } catch (error) {
     console.error('Error searching purchase items in Supabase:', error);
@@ -524,6 +513,879 @@ export const searchPurchaseItemsSupabase = async (searchTerm, userEmail) => {
   }
 };
 
+// Values inside PostgREST or() filters are quoted so commas, dots and
+// brackets in user input can't break out of the filter
+const quoteFilterValue = (value) => (
+  typeof value === 'number' ? String(value) : `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+);
+
+/**
+ * One page of a user's purchases matching the query; see
+ * normalisePurchaseQuery for its shape. Pages are keyset-paginated on
+ * (sort column, id), so rows added while paging don't shift later pages.
+ * totalCount is only counted for the first page.
+ */
+export const queryPurchaseItemsSupabase = async (userEmail, purchaseQuery) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  try {
+    const {search, filters, sort, cursor, limit} = normalisePurchaseQuery(purchaseQuery);
+    const column = PURCHASE_SORT_COLUMNS[sort.column];
+    const ascending = sort.direction === 'asc';
+
+    let query = supabase
+      .from('inventory_tb2k4x9p1m') // Table name stays the same for database compatibility
+      .select('*', cursor ? {} : {count: 'exact'})
+      .eq('user_email', userEmail.toLowerCase());
+
+    if (search) {
+      const pattern = quoteFilterValue(`%${search}%`);
+      query = query.or(['name', 'category', 'description', 'supplier'].map(field => `${field}.ilike.${pattern}`).join(','));
+    }
+
+    if (filters.category) query = query.eq('category', filters.category);
+    if (filters.supplier) query = query.ilike('supplier', `%${filters.supplier}%`);
+    if (filters.vatRate !== undefined) query = query.eq('vat_percentage', filters.vatRate);
+    if (filters.dateFrom) query = query.gte('date_added', filters.dateFrom);
+    if (filters.dateTo) query = query.lte('date_added', filters.dateTo);
+    if (filters.minPrice !== undefined) query = query.gte('unit_price', filters.minPrice);
+    if (filters.maxPrice !== undefined) query = query.lte('unit_price', filters.maxPrice);
+
+    // Rows after the cursor: further along the sort column, or equal on it
+    // with a later id. Empty values sort last in both directions.
+    if (cursor) {
+      const {value, id} = decodeCursor(cursor);
+      const past = ascending ? 'gt' : 'lt';
+      query = value === null
+        ? query.is(column, null).filter('id', past, id)
+        : query.or([
+          `${column}.${past}.${quoteFilterValue(value)}`,
+          `and(${column}.eq.${quoteFilterValue(value)},id.${past}.${id})`,
+          `${column}.is.null`
+        ].join(','));
+    }
+
+    const {data, error, count} = await query
+      .order(column, {ascending, nullsFirst: false})
+      .order('id', {ascending})
+      .limit(limit + 1);
+
+    if (error) throw error;
+
+    const items = data.slice(0, limit).map(mapPurchaseRow);
+    const hasMore = data.length > limit;
+
+    return {
+      items,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort.column) : null,
+      totalCount: cursor ? null : count
+    };
+
+  } catch (error) {
+    console.error('Error querying purchase items in Supabase:', error);
+    throw error;
+  }
+};
+
+export const countPurchaseItemsSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {count, error} = await supabase
+    .from('inventory_tb2k4x9p1m') // Table name stays the same for database compatibility
+    .select('id', {count: 'exact', head: true})
+    .eq('user_email', userEmail.toLowerCase());
+
+  if (error) throw error;
+  return count || 0;
+};
+
+export const getReceiptPurchasesSupabase = async (receiptId, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  try {
+    const {data, error} = await supabase
+      .from('inventory_tb2k4x9p1m')
+      .select('*')
+      .eq('receipt_id', receiptId)
+      .eq('user_email', userEmail.toLowerCase())
+      .order('created_at', {ascending: true});
+
+    if (error) throw error;
+
+    return data.map(mapPurchaseRow);
+
+  } catch (error) {
+    console.error('Error getting receipt purchases from Supabase:', error);
+    throw error;
+  }
+};
+
+// Detach a receipt's purchases from it, or delete them outright
+export const releaseReceiptPurchasesSupabase = async (receiptId, userEmail, deletePurchases = false) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  try {
+    let query = supabase.from('inventory_tb2k4x9p1m');
+    query = deletePurchases
+      ? query.delete()
+      : query.update({ receipt_id: null, updated_at: new Date().toISOString() });
+
+    const {error} = await query
+      .eq('receipt_id', receiptId)
+      .eq('user_email', userEmail.toLowerCase());
+
+    if (error) throw error;
+
+    return true;
+
+  } catch (error) {
+    console.error('Error releasing receipt purchases in Supabase:', error);
+    throw error;
+  }
+};
+
+// Full row for a purchase that already has an id, for batch upserts
+const toPurchaseRow = (itemData, userEmail) => ({
+  id: itemData.id,
+  name: itemData.name,
+  category: itemData.category,
+  quantity: itemData.quantity,
+  description: itemData.description,
+  unit_price: itemData.unitPrice,
+  date_added: itemData.dateAdded,
+  user_email: userEmail.toLowerCase(),
+  vat_included: itemData.vatIncluded || false,
+  vat_percentage: itemData.vatPercentage ?? 20.00,
+  receipt_id: itemData.receiptId || null,
+  supplier: itemData.supplier || null,
+  supplier_id: itemData.supplierId || null,
+  product_id: itemData.productId || null,
+  currency: itemData.currency || 'GBP',
+  original_unit_price: itemData.originalUnitPrice ?? itemData.unitPrice,
+  exchange_rate: itemData.exchangeRate ?? 1,
+  paid_date: itemData.paidDate === undefined ? itemData.dateAdded : itemData.paidDate,
+  capital_asset: itemData.capitalAsset || false,
+  created_at: itemData.createdAt || new Date().toISOString(),
+  updated_at: new Date().toISOString()
+});
+
+// Write a batch of purchases in one request. Rows that were deleted are
+// inserted again under their old ids, which is how bulk deletes are undone
+export const savePurchaseItemsSupabase = async (items, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  if (items.length === 0) return [];
+
+  try {
+    const {data, error} = await supabase
+      .from('inventory_tb2k4x9p1m') // Table name stays the same for database compatibility
+      .upsert(items.map(item => toPurchaseRow(item, userEmail)), {onConflict: 'id'})
+      .select();
+
+    if (error) throw error;
+
+    return data.map(mapPurchaseRow);
+
+  } catch (error) {
+    console.error('Error saving purchase items to Supabase:', error);
+    throw error;
+  }
+};
+
+// Delete a batch of purchases in one request, returning the deleted rows
+export const deletePurchaseItemsSupabase = async (itemIds, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  if (itemIds.length === 0) return [];
+
+  try {
+    const {data, error} = await supabase
+      .from('inventory_tb2k4x9p1m') // Table name stays the same for database compatibility
+      .delete()
+      .in('id', itemIds)
+      .eq('user_email', userEmail.toLowerCase())
+      .select();
+
+    if (error) throw error;
+
+    return data.map(mapPurchaseRow);
+
+  } catch (error) {
+    console.error('Error deleting purchase items from Supabase:', error);
+    throw error;
+  }
+};
+
+// Purchase categories and categorisation rules
+const mapCategoryRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  archived: row.archived || false,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapRuleRow = (row) => ({
+  id: row.id,
+  field: row.field,
+  matchType: row.match_type,
+  pattern: row.pattern,
+  categoryId: row.category_id,
+  vatPercentage: row.vat_percentage === null ? null : parseFloat(row.vat_percentage),
+  vatIncluded: row.vat_included,
+  priority: row.priority,
+  enabled: row.enabled
+});
+
+export const getPurchaseCategoriesSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('purchase_categories')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('name', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapCategoryRow);
+};
+
+export const createPurchaseCategoriesSupabase = async (names, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('purchase_categories')
+    .insert(names.map(name => ({
+      user_email: userEmail.toLowerCase(),
+      name
+    })))
+    .select();
+
+  if (error) throw error;
+  return data.map(mapCategoryRow);
+};
+
+export const updatePurchaseCategorySupabase = async (categoryId, changes, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('purchase_categories')
+    .update({
+      ...(changes.name !== undefined ? {name: changes.name} : {}),
+      ...(changes.archived !== undefined ? {archived: changes.archived} : {}),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', categoryId)
+    .eq('user_email', userEmail.toLowerCase())
+    .select()
+    .single();
+
+  if (error) throw error;
+  return mapCategoryRow(data);
+};
+
+// Move every purchase from one category name to another
+export const recategorisePurchasesSupabase = async (fromName, toName, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {error} = await supabase
+    .from('inventory_tb2k4x9p1m') // Table name stays the same for database compatibility
+    .update({category: toName, updated_at: new Date().toISOString()})
+    .eq('category', fromName)
+    .eq('user_email', userEmail.toLowerCase());
+
+  if (error) throw error;
+  return true;
+};
+
+// Merge one category into another: its purchases and rules move across
+// and the merged category is removed
+export const mergePurchaseCategoriesSupabase = async (source, target, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const email = userEmail.toLowerCase();
+
+  await recategorisePurchasesSupabase(source.name, target.name, email);
+
+  const {error: rulesError} = await supabase
+    .from('category_rules')
+    .update({category_id: target.id, updated_at: new Date().toISOString()})
+    .eq('category_id', source.id)
+    .eq('user_email', email);
+  if (rulesError) throw rulesError;
+
+  const {error} = await supabase
+    .from('purchase_categories')
+    .delete()
+    .eq('id', source.id)
+    .eq('user_email', email);
+  if (error) throw error;
+
+  return true;
+};
+
+export const getCategoryRulesSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('category_rules')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('priority', {ascending: true})
+    .order('created_at', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapRuleRow);
+};
+
+// Insert a new rule, or update it when it already has an id
+export const saveCategoryRuleSupabase = async (rule, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const row = {
+    user_email: userEmail.toLowerCase(),
+    field: rule.field,
+    match_type: rule.matchType,
+    pattern: rule.pattern,
+    category_id: rule.categoryId || null,
+    vat_percentage: rule.vatPercentage ?? null,
+    vat_included: rule.vatIncluded ?? null,
+    priority: rule.priority ?? 0,
+    enabled: rule.enabled !== false,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = rule.id
+    ? supabase.from('category_rules').update(row).eq('id', rule.id).eq('user_email', row.user_email)
+    : supabase.from('category_rules').insert([row]);
+
+  const {data, error} = await query.select().single();
+
+  if (error) throw error;
+  return mapRuleRow(data);
+};
+
+export const deleteCategoryRuleSupabase = async (ruleId, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {error} = await supabase
+    .from('category_rules')
+    .delete()
+    .eq('id', ruleId)
+    .eq('user_email', userEmail.toLowerCase());
+
+  if (error) throw error;
+  return true;
+};
+
+// Suppliers
+const mapSupplierRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  vatNumber: row.vat_number || '',
+  address: row.address || '',
+  defaultCategoryId: row.default_category_id || null,
+  defaultVatPercentage: row.default_vat_percentage === null ? null : parseFloat(row.default_vat_percentage),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+export const getSuppliersSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('suppliers')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('name', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapSupplierRow);
+};
+
+// Insert a new supplier, or update it when it already has an id. A new
+// name is copied onto the supplier's purchases, which show it as text
+export const saveSupplierSupabase = async (supplier, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const email = userEmail.toLowerCase();
+  const row = {
+    user_email: email,
+    name: supplier.name,
+    vat_number: supplier.vatNumber || null,
+    address: supplier.address || null,
+    default_category_id: supplier.defaultCategoryId || null,
+    default_vat_percentage: supplier.defaultVatPercentage ?? null,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = supplier.id
+    ? supabase.from('suppliers').update(row).eq('id', supplier.id).eq('user_email', email)
+    : supabase.from('suppliers').insert([row]);
+
+  const {data, error} = await query.select().single();
+  if (error) throw error;
+
+  if (supplier.id) {
+    const {error: purchasesError} = await supabase
+      .from('inventory_tb2k4x9p1m') // Table name stays the same for database compatibility
+      .update({supplier: data.name})
+      .eq('supplier_id', supplier.id)
+      .eq('user_email', email);
+    if (purchasesError) throw purchasesError;
+  }
+
+  return mapSupplierRow(data);
+};
+
+// Purchases and receipts keep their supplier text but lose the link
+export const deleteSupplierSupabase = async (supplierId, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {error} = await supabase
+    .from('suppliers')
+    .delete()
+    .eq('id', supplierId)
+    .eq('user_email', userEmail.toLowerCase());
+
+  if (error) throw error;
+  return true;
+};
+
+// Products and stock movements
+const mapProductRow = (row) => ({
+  id: row.id,
+  sku: row.sku || '',
+  name: row.name,
+  category: row.category || '',
+  unit: row.unit || 'each',
+  reorderPoint: row.reorder_point === null ? null : parseFloat(row.reorder_point),
+  lowStockAlertedAt: row.low_stock_alerted_at || null,
+  archived: row.archived || false,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapMovementRow = (row) => ({
+  id: row.id,
+  productId: row.product_id,
+  type: row.type,
+  quantity: parseFloat(row.quantity),
+  unitCost: row.unit_cost === null ? null : parseFloat(row.unit_cost),
+  purchaseId: row.purchase_id || null,
+  note: row.note || '',
+  occurredAt: row.occurred_at,
+  createdAt: row.created_at
+});
+
+export const getProductsSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('products')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('name', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapProductRow);
+};
+
+// Insert a new product, or update it when it already has an id
+export const saveProductSupabase = async (product, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const email = userEmail.toLowerCase();
+  const row = {
+    user_email: email,
+    sku: product.sku || null,
+    name: product.name,
+    category: product.category || null,
+    unit: product.unit || 'each',
+    reorder_point: product.reorderPoint ?? null,
+    low_stock_alerted_at: product.lowStockAlertedAt || null,
+    archived: product.archived || false,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = product.id
+    ? supabase.from('products').update(row).eq('id', product.id).eq('user_email', email)
+    : supabase.from('products').insert([row]);
+
+  const {data, error} = await query.select().single();
+  if (error) throw error;
+  return mapProductRow(data);
+};
+
+// All of the user's movements, oldest first, or just one product's
+export const getStockMovementsSupabase = async (userEmail, productId = null) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  let query = supabase
+    .from('stock_movements')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase());
+  if (productId) query = query.eq('product_id', productId);
+
+  const {data, error} = await query
+    .order('occurred_at', {ascending: true})
+    .order('created_at', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapMovementRow);
+};
+
+export const addStockMovementSupabase = async (movement, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('stock_movements')
+    .insert([{
+      user_email: userEmail.toLowerCase(),
+      product_id: movement.productId,
+      type: movement.type,
+      quantity: movement.quantity,
+      unit_cost: movement.unitCost ?? null,
+      note: movement.note || null,
+      occurred_at: movement.occurredAt
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return mapMovementRow(data);
+};
+
+export const deleteStockMovementSupabase = async (movementId, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {error} = await supabase
+    .from('stock_movements')
+    .delete()
+    .eq('id', movementId)
+    .eq('user_email', userEmail.toLowerCase());
+
+  if (error) throw error;
+  return true;
+};
+
+// Book purchases in, one movement per purchase. The type is left out so a
+// new movement gets the column default ('purchase') and an existing one
+// keeps its own, which matters for migrated opening stock
+export const savePurchaseMovementsSupabase = async (movements, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  if (movements.length === 0) return [];
+
+  const email = userEmail.toLowerCase();
+  const {data, error} = await supabase
+    .from('stock_movements')
+    .upsert(movements.map(movement => ({
+      user_email: email,
+      product_id: movement.productId,
+      quantity: movement.quantity,
+      unit_cost: movement.unitCost,
+      purchase_id: movement.purchaseId,
+      occurred_at: movement.occurredAt
+    })), {onConflict: 'purchase_id'})
+    .select();
+
+  if (error) throw error;
+  return data.map(mapMovementRow);
+};
+
+// Sales ledger and VAT returns
+const mapSalesRow = (row) => ({
+  id: row.id,
+  date: row.date,
+  description: row.description || '',
+  netAmount: parseFloat(row.net_amount),
+  vatRate: parseFloat(row.vat_rate),
+  vatAmount: parseFloat(row.vat_amount),
+  paidDate: row.paid_date,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const mapVatReturnRow = (row) => ({
+  id: row.id,
+  periodStart: row.period_start,
+  periodEnd: row.period_end,
+  periodKey: row.period_key || '',
+  status: row.status,
+  adjustments: row.adjustments || {},
+  boxes: row.boxes || null,
+  payload: row.payload || null,
+  receipt: row.receipt || null,
+  settings: row.settings || null,
+  submittedAt: row.submitted_at || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+export const getSalesEntriesSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('sales_entries')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('date', {ascending: true})
+    .order('created_at', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapSalesRow);
+};
+
+// Insert a new sale, or update it when it already has an id
+export const saveSalesEntrySupabase = async (entry, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const email = userEmail.toLowerCase();
+  const row = {
+    user_email: email,
+    date: entry.date,
+    description: entry.description || '',
+    net_amount: entry.netAmount,
+    vat_rate: entry.vatRate,
+    vat_amount: entry.vatAmount,
+    paid_date: entry.paidDate === undefined ? entry.date : entry.paidDate,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = entry.id
+    ? supabase.from('sales_entries').update(row).eq('id', entry.id).eq('user_email', email)
+    : supabase.from('sales_entries').insert([row]);
+
+  const {data, error} = await query.select().single();
+  if (error) throw error;
+  return mapSalesRow(data);
+};
+
+export const deleteSalesEntrySupabase = async (entryId, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {error} = await supabase
+    .from('sales_entries')
+    .delete()
+    .eq('id', entryId)
+    .eq('user_email', userEmail.toLowerCase());
+
+  if (error) throw error;
+  return true;
+};
+
+// Latest period first
+export const getVatReturnsSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('vat_returns')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('period_start', {ascending: false});
+
+  if (error) throw error;
+  return data.map(mapVatReturnRow);
+};
+
+export const saveVatReturnSupabase = async (vatReturn, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const email = userEmail.toLowerCase();
+  const row = {
+    user_email: email,
+    period_start: vatReturn.periodStart,
+    period_end: vatReturn.periodEnd,
+    period_key: vatReturn.periodKey || null,
+    status: vatReturn.status,
+    adjustments: vatReturn.adjustments || {},
+    boxes: vatReturn.boxes || null,
+    payload: vatReturn.payload || null,
+    receipt: vatReturn.receipt || null,
+    settings: vatReturn.settings || null,
+    submitted_at: vatReturn.submittedAt || null,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = vatReturn.id
+    ? supabase.from('vat_returns').update(row).eq('id', vatReturn.id).eq('user_email', email)
+    : supabase.from('vat_returns').insert([row]);
+
+  const {data, error} = await query.select().single();
+  if (error) throw error;
+  return mapVatReturnRow(data);
+};
+
+export const deleteVatReturnSupabase = async (returnId, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {error} = await supabase
+    .from('vat_returns')
+    .delete()
+    .eq('id', returnId)
+    .eq('user_email', userEmail.toLowerCase())
+    .eq('status', 'draft');
+
+  if (error) throw error;
+  return true;
+};
+
+// Corrections to purchases in submitted periods, booked in a later one
+const mapPurchaseAdjustmentRow = (row) => ({
+  id: row.id,
+  date: row.date,
+  purchaseId: row.purchase_id,
+  vatReturnId: row.vat_return_id,
+  description: row.description || '',
+  netAmount: parseFloat(row.net_amount),
+  vatAmount: parseFloat(row.vat_amount),
+  createdAt: row.created_at
+});
+
+export const getPurchaseAdjustmentsSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('purchase_adjustments')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .order('date', {ascending: true})
+    .order('created_at', {ascending: true});
+
+  if (error) throw error;
+  return data.map(mapPurchaseAdjustmentRow);
+};
+
+export const addPurchaseAdjustmentsSupabase = async (entries, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const email = userEmail.toLowerCase();
+  const {data, error} = await supabase
+    .from('purchase_adjustments')
+    .insert(entries.map(entry => ({
+      user_email: email,
+      date: entry.date,
+      purchase_id: entry.purchaseId || null,
+      vat_return_id: entry.vatReturnId || null,
+      description: entry.description || '',
+      net_amount: entry.netAmount,
+      vat_amount: entry.vatAmount
+    })))
+    .select();
+
+  if (error) throw error;
+  return data.map(mapPurchaseAdjustmentRow);
+};
+
+const mapUserSettingsRow = (row) => ({
+  userEmail: row.user_email,
+  vatSettings: row.vat_settings || null,
+  exportProfiles: row.export_profiles || null,
+  updatedAt: row.updated_at
+});
+
+// One row per user, or null before anything has been saved
+export const getUserSettingsSupabase = async (userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const {data, error} = await supabase
+    .from('user_settings')
+    .select('*')
+    .eq('user_email', userEmail.toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? mapUserSettingsRow(data) : null;
+};
+
+// Writes only the settings passed in, so each kind is saved on its own
+export const saveUserSettingsSupabase = async (changes, userEmail) => {
+  if (!supabaseAvailable()) {
+    throw new Error('Supabase not available');
+  }
+
+  const row = {
+    user_email: userEmail.toLowerCase(),
+    updated_at: new Date().toISOString()
+  };
+  if (changes.vatSettings !== undefined) row.vat_settings = changes.vatSettings;
+  if (changes.exportProfiles !== undefined) row.export_profiles = changes.exportProfiles;
+
+  const {data, error} = await supabase
+    .from('user_settings')
+    .upsert(row, {onConflict: 'user_email'})
+    .select()
+    .single();
+
+  if (error) throw error;
+  return mapUserSettingsRow(data);
+};
+
 // Legacy function names for backward compatibility
 export const getInventoryItemsSupabase = getPurchaseItemsSupabase;
 export const addInventoryItemSupabase = addPurchaseItemSupabase;
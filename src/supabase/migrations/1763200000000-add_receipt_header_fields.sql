@@ -0,0 +1,82 @@
+/*
+# Add Receipt Header Fields
+
+This migration stores the structured header and totals data extracted from a
+scanned receipt alongside the existing OCR text and scanned items.
+
+## Changes Made:
+
+1. **New Columns Added to Receipts Table:**
+   - `merchant_name` (text) - Trading name printed at the top of the receipt
+   - `transaction_date` (date) - Date of the transaction as printed
+   - `transaction_time` (time) - Time of the transaction as printed
+   - `vat_number` (text) - Merchant VAT registration number (e.g. GB123456789)
+   - `subtotal` (decimal) - Printed subtotal
+   - `vat_breakdown` (jsonb) - VAT lines by rate: code, rate, net, vat, gross
+   - `total_amount` (decimal) - Printed grand total
+   - `totals_match` (boolean) - Whether the scanned items add up to the total
+
+2. **Indexes:**
+   - `transaction_date` for date-range lookups
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'merchant_name'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN merchant_name text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'transaction_date'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN transaction_date date;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'transaction_time'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN transaction_time time;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'vat_number'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN vat_number text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'subtotal'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN subtotal DECIMAL(10,2);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'vat_breakdown'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN vat_breakdown jsonb DEFAULT '[]'::jsonb;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'total_amount'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN total_amount DECIMAL(10,2);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'totals_match'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN totals_match boolean;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_receipts_transaction_date ON receipts(transaction_date DESC);
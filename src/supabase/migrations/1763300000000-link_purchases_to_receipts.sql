@@ -0,0 +1,50 @@
+/*
+# Link Purchases to Receipts
+
+Purchases created from a scanned receipt now record which receipt they came
+from, so each claim can be traced back to its evidence.
+
+## Changes Made:
+
+1. **New Column Added to Inventory Table:**
+   - `receipt_id` (uuid) - The receipt the purchase was scanned from, or null
+     for purchases entered by hand or imported
+
+2. **Foreign Key:**
+   - References `receipts(id)` with `ON DELETE SET NULL`; the app asks the
+     user whether to delete or keep a receipt's purchases before deleting
+     it, so this only applies to receipts removed outside the app
+
+3. **Backfill:**
+   - Purchases saved before this migration carry "Receipt #<id>" in their
+     description; those ids are copied into `receipt_id` where the receipt
+     still exists
+
+4. **Indexes:**
+   - `receipt_id` for looking up a receipt's purchases
+
+Note: the older `receipt_items` table is not used for this. Its `receipt_id`
+is a BIGINT left over from before `receipts` switched to uuid keys.
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'receipt_id'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m
+    ADD COLUMN receipt_id uuid REFERENCES receipts(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_receipt_id ON inventory_tb2k4x9p1m(receipt_id);
+
+-- Backfill from the "Receipt #<uuid>" note written by the receipt scanner
+UPDATE inventory_tb2k4x9p1m AS purchase
+SET receipt_id = receipts.id
+FROM receipts
+WHERE purchase.receipt_id IS NULL
+  AND purchase.description ~ 'Receipt #[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}'
+  AND receipts.id = substring(purchase.description from 'Receipt #([0-9a-f-]{36})')::uuid
+  AND receipts.user_email = purchase.user_email;
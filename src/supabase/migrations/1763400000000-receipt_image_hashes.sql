@@ -0,0 +1,30 @@
+/*
+# Receipt Image Hashes
+
+Stores a perceptual hash of each receipt image so the app can warn when the
+same receipt is uploaded twice, even if the photo was resized or
+recompressed in between.
+
+## Changes Made:
+
+1. **New Column Added to Receipts Table:**
+   - `image_hash` (text) - 256-bit difference hash of the image as 64 hex
+     characters; null for PDFs and receipts saved before this migration
+
+2. **Indexes:**
+   - `(user_email, transaction_date)` for the merchant/date/total check;
+     hashes are compared in the app, as similar images give similar rather
+     than equal hashes
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'image_hash'
+  ) THEN
+    ALTER TABLE receipts ADD COLUMN image_hash text;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_receipts_user_transaction_date ON receipts(user_email, transaction_date);
@@ -0,0 +1,69 @@
+/*
+# Purchase Query Support
+
+Supports filtering, sorting and paging purchases in the database instead of
+loading every row into the browser.
+
+## Changes Made:
+
+1. **New Columns Added to Inventory Table:**
+   - `supplier` (text) - Who the purchase was bought from; filled in from
+     the receipt's merchant for scanned purchases
+   - `total_value` (numeric) - Generated as `quantity * unit_price` so the
+     purchases list can sort by line total
+
+2. **Backfill:**
+   - Purchases linked to a receipt take the receipt's `merchant_name` as
+     their supplier
+
+3. **Indexes:**
+   - `(user_email, <column>, id)` for each sortable column, matching the
+     keyset (cursor) pagination order used by the app
+   - Trigram indexes on name and supplier for the search box, if the
+     `pg_trgm` extension is available
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'supplier'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m ADD COLUMN supplier text;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'total_value'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m
+    ADD COLUMN total_value numeric GENERATED ALWAYS AS (quantity * unit_price) STORED;
+  END IF;
+END $$;
+
+-- Scanned purchases were bought from the receipt's merchant
+UPDATE inventory_tb2k4x9p1m AS purchase
+SET supplier = receipts.merchant_name
+FROM receipts
+WHERE purchase.supplier IS NULL
+  AND purchase.receipt_id = receipts.id
+  AND receipts.merchant_name IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_user_date_added ON inventory_tb2k4x9p1m(user_email, date_added, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_created_at ON inventory_tb2k4x9p1m(user_email, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_name ON inventory_tb2k4x9p1m(user_email, name, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_category ON inventory_tb2k4x9p1m(user_email, category, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_unit_price ON inventory_tb2k4x9p1m(user_email, unit_price, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_total_value ON inventory_tb2k4x9p1m(user_email, total_value, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_vat_percentage ON inventory_tb2k4x9p1m(user_email, vat_percentage, id);
+CREATE INDEX IF NOT EXISTS idx_inventory_user_supplier ON inventory_tb2k4x9p1m(user_email, supplier, id);
+
+-- Substring search ("ilike '%term%'") can only use trigram indexes
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+  CREATE INDEX IF NOT EXISTS idx_inventory_name_trgm ON inventory_tb2k4x9p1m USING gin (name gin_trgm_ops);
+  CREATE INDEX IF NOT EXISTS idx_inventory_supplier_trgm ON inventory_tb2k4x9p1m USING gin (supplier gin_trgm_ops);
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'pg_trgm not available, search will scan the user''s purchases';
+END $$;
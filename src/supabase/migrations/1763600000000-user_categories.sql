@@ -0,0 +1,77 @@
+/*
+# User Categories and Categorisation Rules
+
+Purchase categories were a fixed list in the app. Each user now manages
+their own, and can set up rules that categorise purchases automatically.
+
+## Changes Made:
+
+1. **New Table `purchase_categories`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text) - Owner of the category
+   - `name` (text) - Unique per user, ignoring case
+   - `archived` (boolean) - Hidden from pickers and rules; purchases that
+     already use it keep it
+   - `created_at`, `updated_at` (timestamptz)
+
+2. **New Table `category_rules`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text) - Owner of the rule
+   - `field` (text) - Purchase field the rule looks at: name, supplier or
+     description
+   - `match_type` (text) - contains, starts_with or equals (case-insensitive)
+   - `pattern` (text) - Text to look for
+   - `category_id` (uuid) - Category to apply, or null for a VAT-only rule
+   - `vat_percentage` (numeric), `vat_included` (boolean) - VAT to apply,
+     null to leave as entered
+   - `priority` (integer) - Rules are tried lowest first; the first match wins
+   - `enabled` (boolean)
+
+3. **Purchases keep the category name:**
+   - `inventory_tb2k4x9p1m.category` stays a text column. Renaming or merging
+     a category updates the purchases that use it, through the existing
+     `idx_inventory_user_category` index
+
+4. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS purchase_categories (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 50),
+  archived boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_categories_user_name
+  ON purchase_categories(user_email, lower(name));
+
+CREATE TABLE IF NOT EXISTS category_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  field text NOT NULL DEFAULT 'name' CHECK (field IN ('name', 'supplier', 'description')),
+  match_type text NOT NULL DEFAULT 'contains' CHECK (match_type IN ('contains', 'starts_with', 'equals')),
+  pattern text NOT NULL,
+  category_id uuid REFERENCES purchase_categories(id) ON DELETE CASCADE,
+  vat_percentage numeric(5,2),
+  vat_included boolean,
+  priority integer NOT NULL DEFAULT 0,
+  enabled boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_rules_user_email ON category_rules(user_email, priority);
+
+ALTER TABLE purchase_categories DISABLE ROW LEVEL SECURITY;
+ALTER TABLE category_rules DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE purchase_categories TO authenticated;
+GRANT ALL ON TABLE purchase_categories TO anon;
+GRANT ALL ON TABLE purchase_categories TO service_role;
+GRANT ALL ON TABLE category_rules TO authenticated;
+GRANT ALL ON TABLE category_rules TO anon;
+GRANT ALL ON TABLE category_rules TO service_role;
@@ -0,0 +1,108 @@
+/*
+# Suppliers
+
+Purchases only carried the supplier as free text, so spend couldn't be
+reported per supplier reliably. Suppliers are now records of their own
+that purchases and receipts link to.
+
+## Changes Made:
+
+1. **New Table `suppliers`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text) - Owner of the supplier
+   - `name` (text) - Unique per user, ignoring case
+   - `vat_number` (text) - Supplier's VAT registration number, used to
+     recognise them on receipts
+   - `address` (text)
+   - `default_category_id` (uuid) - Category given to their purchases when
+     no rule says otherwise
+   - `default_vat_percentage` (numeric) - VAT rate for their purchases when
+     the receipt doesn't show one
+   - `created_at`, `updated_at` (timestamptz)
+
+2. **New Columns:**
+   - `inventory_tb2k4x9p1m.supplier_id` and `receipts.supplier_id` (uuid),
+     `ON DELETE SET NULL`. Purchases keep the `supplier` text column as the
+     display name
+
+3. **Backfill:**
+   - A supplier is created for each distinct purchase supplier and receipt
+     merchant name per user (taking the VAT number from a receipt where
+     there is one), and existing purchases and receipts are linked to it
+
+4. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+  vat_number text,
+  address text,
+  default_category_id uuid REFERENCES purchase_categories(id) ON DELETE SET NULL,
+  default_vat_percentage numeric(5,2),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_user_name ON suppliers(user_email, lower(name));
+CREATE INDEX IF NOT EXISTS idx_suppliers_user_vat_number ON suppliers(user_email, vat_number);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'supplier_id'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m
+    ADD COLUMN supplier_id uuid REFERENCES suppliers(id) ON DELETE SET NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'receipts' AND column_name = 'supplier_id'
+  ) THEN
+    ALTER TABLE receipts
+    ADD COLUMN supplier_id uuid REFERENCES suppliers(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_supplier_id ON inventory_tb2k4x9p1m(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_receipts_supplier_id ON receipts(supplier_id);
+
+-- One supplier per distinct name, preferring a receipt that has a VAT number
+INSERT INTO suppliers (user_email, name, vat_number)
+SELECT DISTINCT ON (user_email, lower(name)) user_email, name, vat_number
+FROM (
+  SELECT user_email, left(trim(merchant_name), 100) AS name, vat_number, created_at
+  FROM receipts
+  WHERE coalesce(trim(merchant_name), '') <> ''
+  UNION ALL
+  SELECT user_email, left(trim(supplier), 100) AS name, NULL AS vat_number, created_at
+  FROM inventory_tb2k4x9p1m
+  WHERE coalesce(trim(supplier), '') <> ''
+) AS names
+ORDER BY user_email, lower(name), vat_number NULLS LAST, created_at
+ON CONFLICT DO NOTHING;
+
+UPDATE inventory_tb2k4x9p1m AS purchase
+SET supplier_id = suppliers.id
+FROM suppliers
+WHERE purchase.supplier_id IS NULL
+  AND suppliers.user_email = purchase.user_email
+  AND lower(suppliers.name) = lower(left(trim(purchase.supplier), 100));
+
+UPDATE receipts
+SET supplier_id = suppliers.id
+FROM suppliers
+WHERE receipts.supplier_id IS NULL
+  AND suppliers.user_email = receipts.user_email
+  AND lower(suppliers.name) = lower(left(trim(receipts.merchant_name), 100));
+
+ALTER TABLE suppliers DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE suppliers TO authenticated;
+GRANT ALL ON TABLE suppliers TO anon;
+GRANT ALL ON TABLE suppliers TO service_role;
@@ -0,0 +1,141 @@
+/*
+# Products and Stock Movements
+
+A purchase was a one-off record with a quantity, so there was no way to
+tell how much of anything was left. Stock is now tracked per product as a
+ledger of movements: purchases book stock in, and usage and adjustments
+book it out (or correct it). The quantity on hand is the sum of a
+product's movements.
+
+## Changes Made:
+
+1. **New Table `products`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text) - Owner of the product
+   - `sku` (text) - Optional stock code, unique per user when set
+   - `name` (text) - Unique per user, ignoring case; purchases with the
+     same name are booked against the same product
+   - `category` (text) - Purchase category, for grouping
+   - `unit` (text) - What a quantity of 1 means (each, box, metre...)
+   - `reorder_point` (numeric) - Send a low stock alert when the quantity
+     on hand falls to this or below; null for no alerts
+   - `low_stock_alerted_at` (timestamptz) - When the last alert was sent.
+     Cleared once stock is back above the reorder point, so each dip
+     below it alerts once
+   - `archived` (boolean) - Hidden from the stock list
+   - `created_at`, `updated_at` (timestamptz)
+
+2. **New Table `stock_movements`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text)
+   - `product_id` (uuid) - `ON DELETE CASCADE`
+   - `type` (text) - opening, purchase, usage or adjustment
+   - `quantity` (numeric) - Positive into stock, negative out of it
+   - `unit_cost` (numeric) - Net of VAT, for stock booked in
+   - `purchase_id` (uuid) - The purchase that booked the stock in. One
+     movement per purchase, removed with the purchase (`ON DELETE CASCADE`)
+   - `note` (text)
+   - `occurred_at` (date)
+   - `created_at` (timestamptz)
+
+3. **New Column `inventory_tb2k4x9p1m.product_id`** (uuid, `ON DELETE SET NULL`)
+
+4. **Opening Stock:**
+   - A product is created for each distinct purchase name per user, and
+     every existing purchase is booked in as an `opening` movement dated
+     the day it was bought
+
+5. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS products (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  sku text,
+  name text NOT NULL CHECK (char_length(name) BETWEEN 1 AND 100),
+  category text,
+  unit text NOT NULL DEFAULT 'each',
+  reorder_point numeric(12,3),
+  low_stock_alerted_at timestamptz,
+  archived boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_user_name ON products(user_email, lower(name));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_user_sku ON products(user_email, lower(sku)) WHERE sku IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  type text NOT NULL DEFAULT 'purchase' CHECK (type IN ('opening', 'purchase', 'usage', 'adjustment')),
+  quantity numeric(12,3) NOT NULL,
+  unit_cost numeric(12,4),
+  purchase_id uuid REFERENCES inventory_tb2k4x9p1m(id) ON DELETE CASCADE,
+  note text,
+  occurred_at date NOT NULL DEFAULT current_date,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_user_product ON stock_movements(user_email, product_id, occurred_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_movements_purchase_id ON stock_movements(purchase_id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'product_id'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m
+    ADD COLUMN product_id uuid REFERENCES products(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_product_id ON inventory_tb2k4x9p1m(product_id);
+
+-- One product per distinct purchase name, categorised as it was last bought
+INSERT INTO products (user_email, name, category)
+SELECT DISTINCT ON (user_email, lower(left(trim(name), 100))) user_email, left(trim(name), 100), category
+FROM inventory_tb2k4x9p1m
+WHERE coalesce(trim(name), '') <> ''
+ORDER BY user_email, lower(left(trim(name), 100)), date_added DESC NULLS LAST
+ON CONFLICT DO NOTHING;
+
+UPDATE inventory_tb2k4x9p1m AS purchase
+SET product_id = products.id
+FROM products
+WHERE purchase.product_id IS NULL
+  AND products.user_email = purchase.user_email
+  AND lower(products.name) = lower(left(trim(purchase.name), 100));
+
+-- Existing purchases become opening stock, costed net of VAT
+INSERT INTO stock_movements (user_email, product_id, type, quantity, unit_cost, purchase_id, note, occurred_at)
+SELECT
+  purchase.user_email,
+  purchase.product_id,
+  'opening',
+  purchase.quantity,
+  CASE
+    WHEN purchase.vat_included THEN purchase.unit_price / (1 + coalesce(purchase.vat_percentage, 20) / 100)
+    ELSE purchase.unit_price
+  END,
+  purchase.id,
+  'Opening stock',
+  coalesce(purchase.date_added, purchase.created_at::date, current_date)
+FROM inventory_tb2k4x9p1m AS purchase
+WHERE purchase.product_id IS NOT NULL
+  AND coalesce(purchase.quantity, 0) > 0
+ON CONFLICT (purchase_id) DO NOTHING;
+
+ALTER TABLE products DISABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_movements DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE products TO authenticated;
+GRANT ALL ON TABLE products TO anon;
+GRANT ALL ON TABLE products TO service_role;
+GRANT ALL ON TABLE stock_movements TO authenticated;
+GRANT ALL ON TABLE stock_movements TO anon;
+GRANT ALL ON TABLE stock_movements TO service_role;
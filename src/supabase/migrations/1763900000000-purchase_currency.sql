@@ -0,0 +1,71 @@
+/*
+# Purchase Currency
+
+Purchases were assumed to be in pounds. Purchases from overseas suppliers
+now keep the currency and price they were paid in, with the exchange rate
+used to convert them; `unit_price` stays the sterling figure that totals,
+VAT and exports are worked out from.
+
+## Changes Made:
+
+1. **New Columns Added to Inventory Table:**
+   - `currency` (text) - ISO 4217 code, default `GBP`
+   - `original_unit_price` (numeric) - Unit price in `currency`
+   - `exchange_rate` (numeric) - Currency units per £1 (as HMRC quotes
+     rates), 1 for sterling
+
+2. **Backfill:**
+   - Existing purchases are sterling: `original_unit_price` is set to
+     `unit_price`
+
+3. **Data Integrity:**
+   - `currency` must be three capital letters and `exchange_rate` above
+     zero
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'currency'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m ADD COLUMN currency text NOT NULL DEFAULT 'GBP';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'original_unit_price'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m ADD COLUMN original_unit_price numeric(12,4);
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'exchange_rate'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m ADD COLUMN exchange_rate numeric(14,6) NOT NULL DEFAULT 1;
+  END IF;
+END $$;
+
+UPDATE inventory_tb2k4x9p1m
+SET original_unit_price = unit_price
+WHERE original_unit_price IS NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.check_constraints
+    WHERE constraint_name = 'inventory_currency_code'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m
+    ADD CONSTRAINT inventory_currency_code CHECK (currency ~ '^[A-Z]{3}$');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.check_constraints
+    WHERE constraint_name = 'inventory_exchange_rate_positive'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m
+    ADD CONSTRAINT inventory_exchange_rate_positive CHECK (exchange_rate > 0);
+  END IF;
+END $$;
@@ -0,0 +1,51 @@
+/*
+# Purchase Attachments
+
+A purchase could only be linked to the receipt it was scanned from.
+Supporting documents such as delivery notes, warranties and supplier
+invoices can now be attached to any purchase. The files go in the
+`receipts` storage bucket under the user's folder
+(`<user folder>/attachments/<purchase id>/...`), and this table records
+them so they can be listed and counted towards the plan's storage quota.
+
+## Changes Made:
+
+1. **New Table `purchase_attachments`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text) - Owner of the attachment
+   - `purchase_id` (uuid) - The purchase it belongs to, removed with the
+     purchase (`ON DELETE CASCADE`)
+   - `kind` (text) - delivery_note, warranty, invoice or other
+   - `storage_path` (text) - Path in the `receipts` bucket, unique
+   - `file_name` (text) - Name of the file as uploaded
+   - `file_size` (bigint) - Size in bytes, summed for the storage quota
+   - `mime_type` (text)
+   - `created_at` (timestamptz)
+
+2. **Indexes:**
+   - `(user_email, purchase_id)` for listing a purchase's attachments
+
+3. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS purchase_attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  purchase_id uuid NOT NULL REFERENCES inventory_tb2k4x9p1m(id) ON DELETE CASCADE,
+  kind text NOT NULL DEFAULT 'other' CHECK (kind IN ('delivery_note', 'warranty', 'invoice', 'other')),
+  storage_path text NOT NULL UNIQUE,
+  file_name text NOT NULL,
+  file_size bigint NOT NULL DEFAULT 0 CHECK (file_size >= 0),
+  mime_type text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_attachments_user_purchase ON purchase_attachments(user_email, purchase_id);
+
+ALTER TABLE purchase_attachments DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE purchase_attachments TO authenticated;
+GRANT ALL ON TABLE purchase_attachments TO anon;
+GRANT ALL ON TABLE purchase_attachments TO service_role;
@@ -0,0 +1,82 @@
+/*
+# VAT Returns and Sales Ledger
+
+The tax export only estimated VAT reclaimable on purchases. VAT returns
+are now worked out in HMRC's nine boxes for a VAT period: purchases give
+the input side and a simple sales ledger the output side. A return is
+saved as a draft while it is being prepared and, once marked submitted,
+keeps the figures it was filed with and locks its period.
+
+## Changes Made:
+
+1. **New Table `sales_entries`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text)
+   - `date` (date) - Tax point of the sale
+   - `description` (text)
+   - `net_amount` (numeric) - Value excluding VAT (box 6)
+   - `vat_rate` (numeric) - 20, 5 or 0
+   - `vat_amount` (numeric) - Output VAT (box 1)
+   - `created_at`, `updated_at` (timestamptz)
+
+2. **New Table `vat_returns`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text)
+   - `period_start`, `period_end` (date) - The VAT period
+   - `period_key` (text) - HMRC's key for the period's obligation
+   - `status` (text) - draft or submitted
+   - `adjustments` (jsonb) - Boxes entered by hand (2, 8 and 9)
+   - `boxes` (jsonb) - The nine boxes as submitted
+   - `payload` (jsonb) - The MTD submission body
+   - `receipt` (jsonb) - HMRC's (or the mock endpoint's) response
+   - `submitted_at` (timestamptz)
+   - `created_at`, `updated_at` (timestamptz)
+   - One return per user and period
+
+3. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS sales_entries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  date date NOT NULL,
+  description text NOT NULL DEFAULT '',
+  net_amount numeric(12,2) NOT NULL,
+  vat_rate numeric(5,2) NOT NULL DEFAULT 20,
+  vat_amount numeric(12,2) NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_entries_user_date ON sales_entries(user_email, date);
+
+CREATE TABLE IF NOT EXISTS vat_returns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  period_start date NOT NULL,
+  period_end date NOT NULL,
+  period_key text,
+  status text NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'submitted')),
+  adjustments jsonb NOT NULL DEFAULT '{}'::jsonb,
+  boxes jsonb,
+  payload jsonb,
+  receipt jsonb,
+  submitted_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (period_end >= period_start)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vat_returns_user_period ON vat_returns(user_email, period_start, period_end);
+
+ALTER TABLE sales_entries DISABLE ROW LEVEL SECURITY;
+ALTER TABLE vat_returns DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE sales_entries TO authenticated;
+GRANT ALL ON TABLE sales_entries TO anon;
+GRANT ALL ON TABLE sales_entries TO service_role;
+GRANT ALL ON TABLE vat_returns TO authenticated;
+GRANT ALL ON TABLE vat_returns TO anon;
+GRANT ALL ON TABLE vat_returns TO service_role;
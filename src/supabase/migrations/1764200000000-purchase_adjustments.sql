@@ -0,0 +1,46 @@
+/*
+# Purchase Adjustments
+
+Once a VAT return is submitted its period is locked. A purchase dated in
+it can still be corrected, but the difference the correction makes to
+boxes 4 and 7 is booked as an adjustment in the next open period rather
+than rewriting the figures HMRC already has.
+
+## Changes Made:
+
+1. **New Table `purchase_adjustments`:**
+   - `id` (uuid) - Primary key
+   - `user_email` (text)
+   - `date` (date) - Start of the open period the adjustment is booked in
+   - `purchase_id` (uuid) - The purchase corrected; kept without a foreign
+     key so the adjustment outlives a deleted purchase
+   - `vat_return_id` (uuid) - The submitted return being corrected
+   - `description` (text)
+   - `net_amount` (numeric) - Change to purchases excluding VAT (box 7)
+   - `vat_amount` (numeric) - Change to VAT reclaimed (box 4)
+   - `created_at` (timestamptz)
+
+2. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS purchase_adjustments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email text NOT NULL,
+  date date NOT NULL,
+  purchase_id uuid,
+  vat_return_id uuid REFERENCES vat_returns(id),
+  description text NOT NULL DEFAULT '',
+  net_amount numeric(12,2) NOT NULL DEFAULT 0,
+  vat_amount numeric(12,2) NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_adjustments_user_date ON purchase_adjustments(user_email, date);
+
+ALTER TABLE purchase_adjustments DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE purchase_adjustments TO authenticated;
+GRANT ALL ON TABLE purchase_adjustments TO anon;
+GRANT ALL ON TABLE purchase_adjustments TO service_role;
@@ -0,0 +1,48 @@
+/*
+# VAT Schemes
+
+Returns assumed standard accounting. Users on cash accounting count VAT
+when purchases and sales are paid, so both now record a payment date.
+Users on the Flat Rate Scheme can only reclaim VAT on capital assets, so
+purchases can be marked as one.
+
+## Changes Made:
+
+1. **New Columns Added to Inventory Table:**
+   - `paid_date` (date) - When the purchase was paid; null while unpaid
+   - `capital_asset` (boolean) - Equipment or machinery kept in the
+     business, default false
+
+2. **New Column Added to `sales_entries`:**
+   - `paid_date` (date) - When the customer paid; null while unpaid
+
+3. **Backfill:**
+   - Existing purchases and sales count as paid on the day they were
+     made
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'paid_date'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m ADD COLUMN paid_date date;
+    UPDATE inventory_tb2k4x9p1m SET paid_date = date_added;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'inventory_tb2k4x9p1m' AND column_name = 'capital_asset'
+  ) THEN
+    ALTER TABLE inventory_tb2k4x9p1m ADD COLUMN capital_asset boolean NOT NULL DEFAULT false;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'sales_entries' AND column_name = 'paid_date'
+  ) THEN
+    ALTER TABLE sales_entries ADD COLUMN paid_date date;
+    UPDATE sales_entries SET paid_date = date;
+  END IF;
+END $$;
@@ -0,0 +1,73 @@
+/*
+# Attachment Storage Quota
+
+The plan's attachment storage limit was only checked in the browser,
+against a total the browser worked out itself. The database now checks
+it too, whenever an attachment record is written.
+
+## Changes Made:
+
+1. **New Function `enforce_attachment_storage_quota()`:**
+   - Takes the size of the uploaded file from `storage.objects` when it
+     is there, rather than trusting the size the app sends
+   - Adds it to the user's other attachments and rejects the record with
+     "attachment storage quota exceeded" when that passes the plan's
+     limit: 25MB on Free, 2GB on Professional, matching `src/lib/stripe.js`
+   - Takes a per-user lock so two uploads at once can't both squeeze in
+
+2. **New Trigger `attachment_storage_quota_trigger`:**
+   - Runs the function before each insert into `purchase_attachments`,
+     including attachments put back when a purchase delete is undone
+
+3. **Security:**
+   - The function is `SECURITY DEFINER` so it can read `storage.objects`
+*/
+
+CREATE OR REPLACE FUNCTION enforce_attachment_storage_quota()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public, storage
+AS $$
+DECLARE
+  stored_size bigint;
+  plan text;
+  quota bigint;
+  used bigint;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('attachment_storage:' || lower(NEW.user_email)));
+
+  SELECT (metadata->>'size')::bigint INTO stored_size
+  FROM storage.objects
+  WHERE bucket_id = 'receipts' AND name = NEW.storage_path;
+
+  IF stored_size IS NOT NULL THEN
+    NEW.file_size = stored_size;
+  END IF;
+
+  -- Same rule as getCurrentPlan() in useFeatureAccess
+  SELECT CASE WHEN plan_id LIKE '%free%' THEN 'free' ELSE 'professional' END INTO plan
+  FROM subscriptions_tb2k4x9p1m
+  WHERE lower(user_email) = lower(NEW.user_email) AND status = 'active'
+  ORDER BY updated_at DESC
+  LIMIT 1;
+
+  quota = CASE WHEN plan = 'professional' THEN 2147483648 ELSE 26214400 END;
+
+  SELECT COALESCE(SUM(file_size), 0) INTO used
+  FROM purchase_attachments
+  WHERE user_email = NEW.user_email AND id <> NEW.id;
+
+  IF used + NEW.file_size > quota THEN
+    RAISE EXCEPTION 'attachment storage quota exceeded: % of % bytes used', used, quota
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS attachment_storage_quota_trigger ON purchase_attachments;
+CREATE TRIGGER attachment_storage_quota_trigger
+  BEFORE INSERT ON purchase_attachments
+  FOR EACH ROW
+  EXECUTE FUNCTION enforce_attachment_storage_quota();
@@ -0,0 +1,32 @@
+/*
+# User Settings
+
+Per-user settings, starting with the VAT calendar (return frequency,
+stagger and VAT year end). They live in the database next to the VAT
+returns worked out from them, so every device sees the same periods.
+
+## Changes Made:
+
+1. **New Table `user_settings`:**
+   - `user_email` (text) - Primary key, one row per user
+   - `vat_settings` (jsonb) - `frequency`, `stagger` and `yearEndMonth`
+     for the VAT period calendar, and the VAT accounting scheme
+   - `created_at`, `updated_at` (timestamptz)
+
+2. **Security:**
+   - RLS disabled to match `receipts`, as the app uses its own auth and
+     always filters by `user_email`
+*/
+
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_email text PRIMARY KEY,
+  vat_settings jsonb,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE user_settings DISABLE ROW LEVEL SECURITY;
+
+GRANT ALL ON TABLE user_settings TO authenticated;
+GRANT ALL ON TABLE user_settings TO anon;
+GRANT ALL ON TABLE user_settings TO service_role;
@@ -0,0 +1,27 @@
+/*
+# VAT Return Settings
+
+VAT returns were worked out under whatever VAT settings the user had at
+the time they were looked at. A submitted return filed under cash
+accounting or the Flat Rate Scheme then read differently once the user
+changed scheme, and corrections to it were priced under the new one.
+Each saved return now keeps a copy of the settings it was worked out
+under.
+
+## Changes Made:
+
+1. **New Column Added to `vat_returns`:**
+   - `settings` (jsonb) - The VAT period calendar and scheme (`scheme`,
+     `flatRateSector`) the return's figures used, copied from
+     `user_settings.vat_settings` each time the return is saved
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'vat_returns' AND column_name = 'settings'
+  ) THEN
+    ALTER TABLE vat_returns ADD COLUMN settings jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,24 @@
+/*
+# Export Profiles Setting
+
+Accounting package export mappings (categories to the user's accounts,
+VAT rates to the package's tax rates) are saved with the user's other
+settings, so they only have to be set up once.
+
+## Changes Made:
+
+1. **New Column Added to `user_settings`:**
+   - `export_profiles` (jsonb) - Mappings by accounting package id
+     (`xero`, `quickbooks`, `sage50`, `freeagent`), each with
+     `accountCodes`, `defaultAccount` and `taxRates`
+*/
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'user_settings' AND column_name = 'export_profiles'
+  ) THEN
+    ALTER TABLE user_settings ADD COLUMN export_profiles jsonb;
+  END IF;
+END $$;
@@ -0,0 +1,179 @@
+// Purchase exports in the import layouts of the accounting packages our
+// users' accountants work in. Each package gets a profile mapping our
+// categories to the user's chart of accounts and our VAT rates to the
+// package's tax rate names.
+import { isForeignCurrency, ukVatPercentage } from './currency';
+import { purchaseDate, purchaseVatBreakdown, toDateKey } from './vatReturn';
+import { reclaimsInputVat } from './vatSchemes';
+
+// Our VAT treatments a purchase line can have. 'none' covers purchases
+// with no UK VAT to reclaim: foreign currency, or non-capital purchases on
+// the Flat Rate Scheme.
+export const TAX_RATE_KEYS = [
+  { key: '20', label: 'Standard rate (20%)' },
+  { key: '5', label: 'Reduced rate (5%)' },
+  { key: '0', label: 'Zero rated (0%)' },
+  { key: 'none', label: 'No VAT to reclaim' }
+];
+
+export const UNCATEGORIZED = 'Uncategorized';
+
+export const ACCOUNTING_PACKAGES = [
+  {
+    id: 'xero',
+    label: 'Xero',
+    fileType: 'Bills import',
+    accountLabel: 'Account code',
+    defaultAccount: '310',
+    taxRates: { '20': '20% (VAT on Expenses)', '5': '5% (VAT on Expenses)', '0': 'Zero Rated Expenses', none: 'No VAT' },
+    hint: 'Import under Business > Bills to pay > Import, with amounts tax exclusive.'
+  },
+  {
+    id: 'quickbooks',
+    label: 'QuickBooks Online',
+    fileType: 'Bills import',
+    accountLabel: 'Account',
+    defaultAccount: 'Cost of sales',
+    taxRates: { '20': '20.0% S', '5': '5.0% R', '0': '0.0% Z', none: 'No VAT' },
+    hint: 'Import under Settings > Import data > Bills. Accounts are matched by name.'
+  },
+  {
+    id: 'sage50',
+    label: 'Sage 50',
+    fileType: 'Batch purchase invoices',
+    accountLabel: 'Nominal code',
+    defaultAccount: '5000',
+    taxRates: { '20': 'T1', '5': 'T5', '0': 'T0', none: 'T9' },
+    hint: 'Import under File > Import > Audit Trail Transactions. Supplier account references must already exist.'
+  },
+  {
+    id: 'freeagent',
+    label: 'FreeAgent',
+    fileType: 'Bank statement',
+    accountLabel: 'Category',
+    defaultAccount: 'Cost of Sales',
+    taxRates: { '20': '20%', '5': '5%', '0': '0%', none: 'No VAT' },
+    hint: 'Upload to the bank account the purchases were paid from. FreeAgent statements have no category column, so the category and VAT rate are added to each description.'
+  }
+];
+
+export const findAccountingPackage = (packageId) => (
+  ACCOUNTING_PACKAGES.find(option => option.id === packageId) || ACCOUNTING_PACKAGES[0]
+);
+
+/**
+ * A package's mappings with anything never set filled in from its
+ * defaults. `accountCodes` maps our category names to the user's
+ * accounts, and purchases in an unmapped category go to `defaultAccount`.
+ * Fields the user has cleared stay blank until the export fills them.
+ */
+export const normaliseExportProfile = (packageId, profile = {}) => {
+  const accountingPackage = findAccountingPackage(packageId);
+  return {
+    accountCodes: { ...(profile.accountCodes || {}) },
+    defaultAccount: profile.defaultAccount ?? accountingPackage.defaultAccount,
+    taxRates: { ...accountingPackage.taxRates, ...(profile.taxRates || {}) }
+  };
+};
+
+// The mappings an export uses: blanks fall back to the package's defaults
+const exportMappings = (accountingPackage, profile) => ({
+  accountCodes: profile.accountCodes,
+  defaultAccount: profile.defaultAccount || accountingPackage.defaultAccount,
+  taxRates: Object.fromEntries(TAX_RATE_KEYS.map(({ key }) => [
+    key,
+    profile.taxRates[key] || accountingPackage.taxRates[key]
+  ]))
+});
+
+const roundPence = (value) => Math.round(value * 100) / 100;
+
+// "2024-04-01" as "01/04/2024", the date order all four packages read
+const ukDate = (date) => toDateKey(date).split('-').reverse().join('/');
+
+// The VAT treatment of a purchase under the user's scheme
+export const taxRateKey = (item, settings) => {
+  if (isForeignCurrency(item)) return 'none';
+  const { gross } = purchaseVatBreakdown(item);
+  if (!reclaimsInputVat(item, gross, settings)) return 'none';
+  const rate = String(ukVatPercentage(item));
+  return TAX_RATE_KEYS.some(option => option.key === rate) ? rate : 'none';
+};
+
+/**
+ * One bill line per purchase, in pounds, with its account and tax rate
+ * name from the profile. VAT that can't be reclaimed stays in the net
+ * amount so the line still adds up to what was paid.
+ */
+const accountingLines = (items, profile, settings) => items.map(item => {
+  const { net, vat, gross } = purchaseVatBreakdown(item);
+  const taxKey = taxRateKey(item, settings);
+  const category = item.category || UNCATEGORIZED;
+  const invoiceDate = purchaseDate(item);
+
+  return {
+    item,
+    invoiceDate: ukDate(invoiceDate),
+    paidDate: item.paidDate === null ? null : ukDate(item.paidDate || invoiceDate),
+    supplier: item.supplier || 'Sundry supplier',
+    reference: `PUR-${String(item.id ?? '').slice(0, 8).toUpperCase()}`,
+    description: `${item.quantity} x ${item.name}`,
+    net: roundPence(taxKey === 'none' ? gross : net),
+    vat: roundPence(taxKey === 'none' ? 0 : vat),
+    gross: roundPence(gross),
+    account: profile.accountCodes[category] || profile.defaultAccount,
+    taxRate: profile.taxRates[taxKey]
+  };
+});
+
+// Sage supplier account references are up to eight capitals and digits
+const sageAccountReference = (supplier) => (
+  supplier.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 8) || 'SUNDRY'
+);
+
+const LAYOUTS = {
+  xero: {
+    header: ['*ContactName', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'],
+    row: (line) => [
+      line.supplier, line.reference, line.invoiceDate, line.paidDate || line.invoiceDate,
+      line.description, 1, line.net.toFixed(2), line.account, line.taxRate, 'GBP'
+    ]
+  },
+  quickbooks: {
+    header: ['Bill No', 'Supplier', 'Bill Date', 'Due Date', 'Memo', 'Account', 'Line Description', 'Line Amount', 'Line Tax Code', 'Line Tax Amount'],
+    row: (line) => [
+      line.reference, line.supplier, line.invoiceDate, line.paidDate || line.invoiceDate, line.item.description || '',
+      line.account, line.description, line.net.toFixed(2), line.taxRate, line.vat.toFixed(2)
+    ]
+  },
+  sage50: {
+    header: ['Type', 'Account Reference', 'Nominal A/C Ref', 'Department Code', 'Date', 'Reference', 'Details', 'Net Amount', 'Tax Code', 'Tax Amount'],
+    row: (line) => [
+      'PI', sageAccountReference(line.supplier), line.account, 0, line.invoiceDate,
+      line.reference, line.description, line.net.toFixed(2), line.taxRate, line.vat.toFixed(2)
+    ]
+  },
+  // Money out, on the day it left the account. No header row.
+  freeagent: {
+    header: null,
+    skip: (line) => !line.paidDate,
+    row: (line) => [
+      line.paidDate, (-line.gross).toFixed(2),
+      `${line.supplier}: ${line.description} (${line.account}, ${line.taxRate})`
+    ]
+  }
+};
+
+/**
+ * The CSV lines for a package's import file: the header row, if it has
+ * one, then a row per purchase. FreeAgent's bank statement leaves out
+ * purchases not yet paid.
+ */
+export const buildAccountingExport = (packageId, items, profile, settings) => {
+  const accountingPackage = findAccountingPackage(packageId);
+  const layout = LAYOUTS[accountingPackage.id];
+  const rows = accountingLines(items, exportMappings(accountingPackage, profile), settings)
+    .filter(line => !layout.skip?.(line))
+    .map(layout.row);
+  return layout.header ? [layout.header, ...rows] : rows;
+};
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { buildAccountingExport, normaliseExportProfile, taxRateKey } from './accountingExports';
+
+const standard = { scheme: 'standard' };
+
+const paper = {
+  id: 'abcdef123456',
+  name: 'Printer paper',
+  quantity: 2,
+  unitPrice: 60,
+  vatIncluded: true,
+  vatPercentage: 20,
+  category: 'Office',
+  supplier: 'Viking',
+  dateAdded: '2024-02-10',
+  paidDate: '2024-02-12'
+};
+
+// Zero rated, in a category with no account mapped and no supplier
+const milk = {
+  id: 'milk0001',
+  name: 'Milk',
+  quantity: 1,
+  unitPrice: 1.45,
+  vatIncluded: true,
+  vatPercentage: 0,
+  category: 'Food',
+  dateAdded: '2024-02-11'
+};
+
+const exportFor = (packageId, items = [paper, milk]) => buildAccountingExport(
+  packageId,
+  items,
+  normaliseExportProfile(packageId, { accountCodes: { Office: 'OFFICE' } }),
+  standard
+);
+
+describe('buildAccountingExport', () => {
+  it('writes a Xero bills import', () => {
+    expect(exportFor('xero')).toEqual([
+      ['*ContactName', '*InvoiceNumber', '*InvoiceDate', '*DueDate', 'Description', '*Quantity', '*UnitAmount', '*AccountCode', '*TaxType', 'Currency'],
+      ['Viking', 'PUR-ABCDEF12', '10/02/2024', '12/02/2024', '2 x Printer paper', 1, '100.00', 'OFFICE', '20% (VAT on Expenses)', 'GBP'],
+      ['Sundry supplier', 'PUR-MILK0001', '11/02/2024', '11/02/2024', '1 x Milk', 1, '1.45', '310', 'Zero Rated Expenses', 'GBP']
+    ]);
+  });
+
+  it('writes a QuickBooks Online bills import', () => {
+    expect(exportFor('quickbooks')).toEqual([
+      ['Bill No', 'Supplier', 'Bill Date', 'Due Date', 'Memo', 'Account', 'Line Description', 'Line Amount', 'Line Tax Code', 'Line Tax Amount'],
+      ['PUR-ABCDEF12', 'Viking', '10/02/2024', '12/02/2024', '', 'OFFICE', '2 x Printer paper', '100.00', '20.0% S', '20.00'],
+      ['PUR-MILK0001', 'Sundry supplier', '11/02/2024', '11/02/2024', '', 'Cost of sales', '1 x Milk', '1.45', '0.0% Z', '0.00']
+    ]);
+  });
+
+  it('writes Sage 50 batch purchase invoices', () => {
+    expect(exportFor('sage50')).toEqual([
+      ['Type', 'Account Reference', 'Nominal A/C Ref', 'Department Code', 'Date', 'Reference', 'Details', 'Net Amount', 'Tax Code', 'Tax Amount'],
+      ['PI', 'VIKING', 'OFFICE', 0, '10/02/2024', 'PUR-ABCDEF12', '2 x Printer paper', '100.00', 'T1', '20.00'],
+      ['PI', 'SUNDRYSU', '5000', 0, '11/02/2024', 'PUR-MILK0001', '1 x Milk', '1.45', 'T0', '0.00']
+    ]);
+  });
+
+  it('writes a FreeAgent bank statement without a header, leaving out unpaid purchases', () => {
+    expect(exportFor('freeagent', [paper, milk, { ...paper, id: 'unpaid01', paidDate: null }])).toEqual([
+      ['12/02/2024', '-120.00', 'Viking: 2 x Printer paper (OFFICE, 20%)'],
+      ['11/02/2024', '-1.45', 'Sundry supplier: 1 x Milk (Cost of Sales, 0%)']
+    ]);
+  });
+
+  it('uses the package defaults for mappings the user has cleared', () => {
+    const rows = buildAccountingExport('xero', [paper], normaliseExportProfile('xero', {
+      defaultAccount: '',
+      taxRates: { '20': '' }
+    }), standard);
+
+    expect(rows[1].slice(7, 9)).toEqual(['310', '20% (VAT on Expenses)']);
+  });
+});
+
+describe('taxRateKey', () => {
+  it('uses the purchase VAT rate', () => {
+    expect(taxRateKey(paper, standard)).toBe('20');
+    expect(taxRateKey({ ...paper, vatPercentage: 5 }, standard)).toBe('5');
+    expect(taxRateKey(milk, standard)).toBe('0');
+  });
+
+  it('has no VAT to reclaim on foreign purchases', () => {
+    expect(taxRateKey({ ...paper, currency: 'EUR', exchangeRate: 1.17 }, standard)).toBe('none');
+  });
+
+  it('has no VAT to reclaim on everyday purchases under the Flat Rate Scheme', () => {
+    expect(taxRateKey(paper, { scheme: 'flat-rate' })).toBe('none');
+  });
+
+  it('has no tax rate for a rate the packages do not list', () => {
+    expect(taxRateKey({ ...paper, vatPercentage: 12.5 }, standard)).toBe('none');
+  });
+});
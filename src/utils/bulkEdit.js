@@ -0,0 +1,50 @@
+// Changes applied to many purchases at once from the Purchases page. Each
+// edit is applied to full records so the whole batch can be written back
+// (and undone) with a single save.
+
+/**
+ * Move a YYYY-MM-DD (or ISO) date by a number of days, keeping the same
+ * format it came in.
+ */
+export const shiftDate = (date, days) => {
+  if (!date) return date;
+  const [day, time] = String(date).split('T');
+  const shifted = new Date(`${day}T00:00:00Z`);
+  if (isNaN(shifted)) return date;
+
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  const shiftedDay = shifted.toISOString().split('T')[0];
+  return time ? `${shiftedDay}T${time}` : shiftedDay;
+};
+
+/**
+ * Apply an edit to each purchase. An edit sets any of category,
+ * vatIncluded and vatPercentage, and/or moves the date by shiftDays.
+ */
+export const applyBulkEdit = (items, edit) => items.map(item => {
+  const updated = { ...item };
+
+  if (edit.category) updated.category = edit.category;
+  if (edit.vatIncluded !== undefined) updated.vatIncluded = edit.vatIncluded;
+  if (edit.vatPercentage !== undefined) updated.vatPercentage = edit.vatPercentage;
+  if (edit.shiftDays) updated.dateAdded = shiftDate(item.dateAdded, edit.shiftDays);
+
+  return updated;
+});
+
+// Short description of an edit for the undo prompt
+export const describeBulkEdit = (edit, count) => {
+  const changes = [];
+  if (edit.category) changes.push(`category set to ${edit.category}`);
+  if (edit.vatPercentage !== undefined || edit.vatIncluded !== undefined) {
+    const rate = edit.vatPercentage !== undefined ? `${edit.vatPercentage}% ` : '';
+    const included = edit.vatIncluded === undefined ? '' : edit.vatIncluded ? 'included' : 'excluded';
+    changes.push(`VAT set to ${rate}${included}`.trim());
+  }
+  if (edit.shiftDays) {
+    const days = Math.abs(edit.shiftDays);
+    changes.push(`date moved ${days} day${days === 1 ? '' : 's'} ${edit.shiftDays > 0 ? 'later' : 'earlier'}`);
+  }
+
+  return `Updated ${count} purchase${count === 1 ? '' : 's'}: ${changes.join(', ')}`;
+};
@@ -0,0 +1,130 @@
+// Purchase categories belong to each user, and rules like "name contains
+// 'screw' → Fixings, VAT 20%" fill them in automatically when purchases
+// are entered by hand, scanned from a receipt or imported.
+
+// Starting categories for a new account, aimed at trades businesses.
+// Users can rename, merge or archive any of them
+export const DEFAULT_PURCHASE_CATEGORIES = [
+  'Materials',
+  'Fixings',
+  'Timber',
+  'Electrical',
+  'Plumbing',
+  'Tools & Equipment',
+  'Plant & Tool Hire',
+  'Safety & PPE',
+  'Fuel',
+  'Vehicle',
+  'Subcontractors',
+  'Office & Admin',
+  'Other'
+];
+
+// Longest category name the purchase validation accepts
+export const MAX_CATEGORY_NAME_LENGTH = 50;
+
+export const RULE_FIELDS = [
+  { value: 'name', label: 'Item name' },
+  { value: 'supplier', label: 'Supplier' },
+  { value: 'description', label: 'Description' }
+];
+
+export const RULE_MATCH_TYPES = [
+  { value: 'contains', label: 'contains' },
+  { value: 'starts_with', label: 'starts with' },
+  { value: 'equals', label: 'is exactly' }
+];
+
+/**
+ * Tidy a category name and check it can be saved. Returns the cleaned
+ * name, or throws with a message fit for the user.
+ */
+export const validateCategoryName = (name, categories = [], ignoreId = null) => {
+  const cleaned = String(name || '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) {
+    throw new Error('Category name is required');
+  }
+  if (cleaned.length > MAX_CATEGORY_NAME_LENGTH) {
+    throw new Error(`Category names can be at most ${MAX_CATEGORY_NAME_LENGTH} characters`);
+  }
+  const clash = categories.find(category => (
+    category.id !== ignoreId && category.name.toLowerCase() === cleaned.toLowerCase()
+  ));
+  if (clash) {
+    throw new Error(`There is already a category called "${clash.name}"`);
+  }
+  return cleaned;
+};
+
+export const ruleMatches = (rule, item) => {
+  const pattern = String(rule.pattern || '').trim().toLowerCase();
+  if (!pattern) return false;
+
+  const value = String(item[rule.field] || '').trim().toLowerCase();
+  if (!value) return false;
+
+  switch (rule.matchType) {
+    case 'equals':
+      return value === pattern;
+    case 'starts_with':
+      return value.startsWith(pattern);
+    default:
+      return value.includes(pattern);
+  }
+};
+
+/**
+ * The first enabled rule, in priority order, that matches the purchase.
+ * Rules pointing at an archived category are skipped.
+ */
+export const findMatchingRule = (item, rules, categories) => {
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+
+  return [...rules]
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0))
+    .find(rule => {
+      const category = rule.categoryId ? categoriesById.get(rule.categoryId) : null;
+      if (rule.categoryId && (!category || category.archived)) return false;
+      return ruleMatches(rule, item);
+    }) || null;
+};
+
+/**
+ * Apply the matching rule's category and VAT to a purchase. Callers decide
+ * when it should run (only on purchases nobody has categorised yet); pass
+ * keepVat when the VAT rate came from the receipt itself.
+ */
+export const applyCategoryRules = (item, rules, categories, { keepVat = false } = {}) => {
+  const rule = findMatchingRule(item, rules, categories);
+  if (!rule) return item;
+
+  const updated = { ...item };
+  const category = categories.find(c => c.id === rule.categoryId);
+  if (category) updated.category = category.name;
+
+  if (!keepVat) {
+    if (rule.vatPercentage !== null && rule.vatPercentage !== undefined) {
+      updated.vatPercentage = rule.vatPercentage;
+    }
+    if (rule.vatIncluded !== null && rule.vatIncluded !== undefined) {
+      updated.vatIncluded = rule.vatIncluded;
+    }
+  }
+
+  return updated;
+};
+
+export const describeRule = (rule, categories) => {
+  const field = RULE_FIELDS.find(option => option.value === rule.field)?.label || 'Item name';
+  const match = RULE_MATCH_TYPES.find(option => option.value === rule.matchType)?.label || 'contains';
+  const outcomes = [];
+
+  const category = categories.find(c => c.id === rule.categoryId);
+  if (category) outcomes.push(category.name);
+  if (rule.vatPercentage !== null && rule.vatPercentage !== undefined) {
+    outcomes.push(`VAT ${rule.vatPercentage}%${rule.vatIncluded === false ? ' (excluded)' : ''}`);
+  }
+
+  return `${field} ${match} "${rule.pattern}" → ${outcomes.join(', ') || 'no change'}`;
+};
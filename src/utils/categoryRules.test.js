@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyCategoryRules,
+  describeRule,
+  findMatchingRule,
+  ruleMatches,
+  validateCategoryName
+} from './categoryRules';
+
+const categories = [
+  { id: 'fixings', name: 'Fixings' },
+  { id: 'timber', name: 'Timber' },
+  { id: 'old', name: 'Old stock', archived: true }
+];
+
+const rule = (id, overrides = {}) => ({
+  id,
+  field: 'name',
+  matchType: 'contains',
+  pattern: 'screw',
+  categoryId: 'fixings',
+  priority: 0,
+  enabled: true,
+  ...overrides
+});
+
+describe('ruleMatches', () => {
+  it('compares without regard to case or surrounding spaces', () => {
+    const item = { name: '  Wood SCREWS 4x40 ', supplier: 'Screwfix' };
+
+    expect(ruleMatches(rule('r'), item)).toBe(true);
+    expect(ruleMatches(rule('r', { matchType: 'starts_with', pattern: 'wood' }), item)).toBe(true);
+    expect(ruleMatches(rule('r', { matchType: 'starts_with', pattern: 'screws' }), item)).toBe(false);
+    expect(ruleMatches(rule('r', { field: 'supplier', matchType: 'equals', pattern: ' screwfix' }), item)).toBe(true);
+  });
+
+  it('never matches on a blank pattern or a missing field', () => {
+    expect(ruleMatches(rule('r', { pattern: '  ' }), { name: 'Screws' })).toBe(false);
+    expect(ruleMatches(rule('r', { field: 'description' }), { name: 'Screws' })).toBe(false);
+  });
+});
+
+describe('findMatchingRule', () => {
+  const item = { name: 'Decking screws', supplier: 'Travis Perkins' };
+
+  it('takes the matching rule with the lowest priority number', () => {
+    const rules = [
+      rule('later', { priority: 2 }),
+      rule('first', { priority: 1, pattern: 'decking', categoryId: 'timber' }),
+      rule('unrelated', { priority: 0, pattern: 'nails' })
+    ];
+
+    expect(findMatchingRule(item, rules, categories).id).toBe('first');
+  });
+
+  it('skips disabled rules and rules for archived or deleted categories', () => {
+    const rules = [
+      rule('disabled', { priority: 0, enabled: false }),
+      rule('archived', { priority: 1, categoryId: 'old' }),
+      rule('deleted', { priority: 2, categoryId: 'gone' }),
+      rule('live', { priority: 3 })
+    ];
+
+    expect(findMatchingRule(item, rules, categories).id).toBe('live');
+    expect(findMatchingRule(item, rules.slice(0, 3), categories)).toBeNull();
+  });
+});
+
+describe('applyCategoryRules', () => {
+  const vatRule = rule('r', { vatPercentage: 0, vatIncluded: false });
+
+  it('sets the category and VAT from the rule', () => {
+    expect(applyCategoryRules({ name: 'Screws', vatPercentage: 20 }, [vatRule], categories))
+      .toEqual({ name: 'Screws', category: 'Fixings', vatPercentage: 0, vatIncluded: false });
+  });
+
+  it('leaves VAT read from the receipt alone when asked to', () => {
+    expect(applyCategoryRules({ name: 'Screws', vatPercentage: 20 }, [vatRule], categories, { keepVat: true }))
+      .toEqual({ name: 'Screws', category: 'Fixings', vatPercentage: 20 });
+  });
+
+  it('returns the purchase untouched when no rule matches', () => {
+    const item = { name: 'Sand' };
+    expect(applyCategoryRules(item, [vatRule], categories)).toBe(item);
+  });
+});
+
+describe('category names and rule summaries', () => {
+  it('tidies names and rejects blanks and clashes with other categories', () => {
+    expect(validateCategoryName('  Hand   tools ', categories)).toBe('Hand tools');
+    expect(validateCategoryName('timber', categories, 'timber')).toBe('timber');
+    expect(() => validateCategoryName('   ', categories)).toThrow('Category name is required');
+    expect(() => validateCategoryName('TIMBER', categories)).toThrow('There is already a category called "Timber"');
+  });
+
+  it('describes what a rule does', () => {
+    expect(describeRule(rule('r', { vatPercentage: 20, vatIncluded: false }), categories))
+      .toBe('Item name contains "screw" → Fixings, VAT 20% (excluded)');
+    expect(describeRule(rule('r', { categoryId: null }), categories)).toBe('Item name contains "screw" → no change');
+  });
+});
@@ -0,0 +1,182 @@
+// Purchases in other currencies. Each purchase keeps what was paid in its
+// own currency (originalUnitPrice) and the rate used, while unitPrice holds
+// the sterling equivalent, so every total, report and export adds up in GBP.
+// Rates are quoted as HMRC publishes them: currency units per £1.
+
+export const BASE_CURRENCY = 'GBP';
+
+export const CURRENCIES = [
+  { code: 'GBP', symbol: '£', label: 'Pound sterling' },
+  { code: 'EUR', symbol: '€', label: 'Euro' },
+  { code: 'USD', symbol: '$', label: 'US dollar' },
+  { code: 'JPY', symbol: '¥', label: 'Japanese yen' },
+  { code: 'INR', symbol: '₹', label: 'Indian rupee' }
+];
+
+const SYMBOL_CURRENCIES = Object.fromEntries(CURRENCIES.map(currency => [currency.symbol, currency.code]));
+
+export const normaliseCurrency = (code) => {
+  const upper = String(code || '').trim().toUpperCase();
+  if (SYMBOL_CURRENCIES[upper]) return SYMBOL_CURRENCIES[upper];
+  return /^[A-Z]{3}$/.test(upper) ? upper : BASE_CURRENCY;
+};
+
+export const currencySymbol = (code) => (
+  CURRENCIES.find(currency => currency.code === normaliseCurrency(code))?.symbol || `${normaliseCurrency(code)} `
+);
+
+export const isForeignCurrency = (item) => normaliseCurrency(item?.currency) !== BASE_CURRENCY;
+
+export const formatMoney = (value, code = BASE_CURRENCY) => {
+  const amount = parseFloat(value) || 0;
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency: normaliseCurrency(code) }).format(amount);
+  } catch {
+    return `${normaliseCurrency(code)} ${amount.toFixed(2)}`;
+  }
+};
+
+/**
+ * The currency a receipt or price is in, from its symbols or ISO codes.
+ * Sterling wins ties, so a UK receipt that mentions "€" once (a card
+ * surcharge line, say) stays in pounds.
+ */
+export const detectCurrency = (text) => {
+  const counts = {};
+  const source = String(text || '');
+  for (const currency of CURRENCIES) {
+    const symbolCount = source.split(currency.symbol).length - 1;
+    const codeCount = (source.match(new RegExp(`\\b${currency.code}\\b`, 'g')) || []).length;
+    counts[currency.code] = symbolCount + codeCount;
+  }
+
+  const [best] = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  if (!best || best[1] === 0 || best[1] <= counts[BASE_CURRENCY]) return BASE_CURRENCY;
+  return best[0];
+};
+
+const roundPrice = (value) => Math.round(value * 10000) / 10000;
+
+// Sterling for an amount in a currency quoted at `rate` units per £1
+export const toGbp = (amount, rate) => roundPrice((parseFloat(amount) || 0) / rate);
+
+/**
+ * The rate for `currency` on `date` from a rate table: the latest entry
+ * that starts on or before the date. Returns the entry or null.
+ */
+export const findExchangeRate = (rates, currency, date) => {
+  const code = normaliseCurrency(currency);
+  const day = String(date || '').split('T')[0];
+  let best = null;
+  for (const entry of rates || []) {
+    if (entry.currency !== code || (day && entry.date > day)) continue;
+    if (!best || entry.date > best.date) best = entry;
+  }
+  return best;
+};
+
+/**
+ * Set a purchase's sterling unit price from its original price and rate.
+ * Sterling purchases get a rate of 1. Foreign purchases carry no UK VAT to
+ * reclaim, so their VAT rate is cleared; whatever foreign VAT was paid is
+ * part of the cost. Throws if a foreign purchase has no usable rate.
+ */
+export const convertPurchase = (item) => {
+  const currency = normaliseCurrency(item.currency);
+
+  if (currency === BASE_CURRENCY) {
+    return {
+      ...item,
+      currency,
+      exchangeRate: 1,
+      originalUnitPrice: item.unitPrice
+    };
+  }
+
+  const rate = parseFloat(item.exchangeRate);
+  if (!(rate > 0)) {
+    throw new Error(`An exchange rate is needed for ${currency} purchases`);
+  }
+
+  const originalUnitPrice = parseFloat(item.originalUnitPrice ?? item.unitPrice) || 0;
+  return {
+    ...item,
+    currency,
+    exchangeRate: rate,
+    originalUnitPrice,
+    unitPrice: toGbp(originalUnitPrice, rate),
+    vatIncluded: false,
+    vatPercentage: 0
+  };
+};
+
+// The UK VAT rate that applies to a purchase: none on foreign purchases
+export const ukVatPercentage = (item) => (
+  isForeignCurrency(item) ? 0 : parseFloat(item.vatPercentage) || 0
+);
+
+// A local date as YYYY-MM-DD. SheetJS date cells are local midnight, so
+// toISOString() would give the day before during British Summer Time.
+const localDateKey = (date) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+// "01/04/2024", "2024-04-01", a Date or an Excel serial day as YYYY-MM-DD
+const parseRateDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : localDateKey(value);
+  }
+  if (typeof value === 'number') {
+    // Serial day 1 is 1 January 1900, counting Excel's phantom 29 February
+    return localDateKey(new Date(1899, 11, 30 + Math.floor(value)));
+  }
+
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+  const uk = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (uk) return `${uk[3]}-${uk[2].padStart(2, '0')}-${uk[1].padStart(2, '0')}`;
+  return null;
+};
+
+/**
+ * Read a rate table from spreadsheet rows (objects keyed by column heading).
+ * Takes HMRC's monthly exchange rate files as they are ("Currency Code",
+ * "Currency Units per £1", "Start Date") as well as simple
+ * Date / Currency / Rate sheets. Returns { rates, skipped }, where rates are
+ * { currency, date, rate } and skipped counts rows that couldn't be read.
+ */
+export const parseRateTable = (rows) => {
+  const rates = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const entries = Object.entries(row).map(([heading, value]) => [heading.toLowerCase(), value]);
+    const column = (pattern, exclude = /$^/) => entries.find(([key]) => pattern.test(key) && !exclude.test(key))?.[1];
+
+    // "Currency Code" before "Currency", which HMRC uses for the name ("Yen")
+    const code = String(column(/code/) ?? column(/currency/, /per|rate/) ?? '').trim().toUpperCase();
+    const currency = /^[A-Z]{3}$/.test(code) ? code : null;
+    const rate = parseFloat(String(column(/rate|per/) ?? '').replace(/,/g, '')) || null;
+    const date = parseRateDate(column(/date|from|month/, /end|to\b/));
+
+    if (currency && currency !== BASE_CURRENCY && rate > 0 && date) {
+      rates.push({ currency, date, rate });
+    } else {
+      skipped += 1;
+    }
+  }
+
+  return { rates, skipped };
+};
+
+// New rates replace any already held for the same currency and date
+export const mergeRateTables = (existing, incoming) => {
+  const merged = new Map();
+  for (const entry of [...existing, ...incoming]) {
+    merged.set(`${entry.currency}|${entry.date}`, entry);
+  }
+  return [...merged.values()].sort((a, b) => (
+    a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date)
+  ));
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { parseRateTable } from './currency';
+
+// Rate dates are UK dates; run these on UK time whatever the machine uses
+process.env.TZ = 'Europe/London';
+
+describe('parseRateTable', () => {
+  it('reads HMRC rate files', () => {
+    const { rates, skipped } = parseRateTable([
+      { 'Country/Territories': 'USA', 'Currency': 'Dollar', 'Currency Code': 'USD', 'Currency Units per £1': '1.2734', 'Start Date': '01/07/2024', 'End Date': '31/07/2024' },
+      { 'Country/Territories': 'UK', 'Currency': 'Pound', 'Currency Code': 'GBP', 'Currency Units per £1': '1', 'Start Date': '01/07/2024' }
+    ]);
+
+    expect(rates).toEqual([{ currency: 'USD', date: '2024-07-01', rate: 1.2734 }]);
+    expect(skipped).toBe(1);
+  });
+
+  it('keeps the day of a summer date cell', () => {
+    // SheetJS gives date cells as local midnight, an hour before UTC midnight in BST
+    const { rates } = parseRateTable([{ Date: new Date(2024, 6, 1), Currency: 'EUR', Rate: 1.18 }]);
+
+    expect(rates[0].date).toBe('2024-07-01');
+  });
+
+  it('reads Excel serial days', () => {
+    const { rates } = parseRateTable([{ Date: 45474, Currency: 'EUR', Rate: 1.18 }]);
+
+    expect(rates[0].date).toBe('2024-07-01');
+  });
+});
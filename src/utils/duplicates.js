@@ -0,0 +1,222 @@
+// Duplicate detection for purchases and receipts. The same receipt often
+// gets scanned twice and spreadsheets overlap earlier imports, so new
+// entries are compared against what the user already has before saving.
+
+// Item names at least this similar (0-1) count as the same item
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Merchant names are shorter and OCR mangles them more, so allow more slack
+const MERCHANT_SIMILARITY_THRESHOLD = 0.75;
+
+// Image hashes differing in at most this many of their 256 bits are the
+// same photo. Resizing, recompressing or trimming the edges changes
+// around 30 bits; different receipts differ by 70 or more
+export const IMAGE_HASH_MAX_DISTANCE = 48;
+
+// What to do with an incoming entry that matches an existing one
+export const DUPLICATE_ACTIONS = {
+  MERGE: 'merge',
+  SKIP: 'skip',
+  KEEP_BOTH: 'keep'
+};
+
+/**
+ * Lower-case a name and strip punctuation, pack sizes and repeated spaces
+ * so "Coca-Cola 500ml" and "COCA COLA 500 ML" compare equal.
+ */
+export const normaliseName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/(\d)\s+(ml|l|g|kg|pk|x)\b/g, '$1$2')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Sørensen–Dice coefficient over character bigrams: tolerant of the odd
+// misread character, which edit distance on short names is not
+export const nameSimilarity = (a, b) => {
+  const first = normaliseName(a).replace(/ /g, '');
+  const second = normaliseName(b).replace(/ /g, '');
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+  if (first.length < 2 || second.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const bigram = first.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const bigram = second.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (first.length + second.length - 2);
+};
+
+const toDay = (date) => (date ? String(date).split('T')[0] : null);
+
+const sameAmount = (a, b) => (
+  a !== null && a !== undefined && b !== null && b !== undefined &&
+  Math.abs(parseFloat(a) - parseFloat(b)) < 0.005
+);
+
+/**
+ * Find the existing purchase that an incoming one duplicates: same date,
+ * same unit price and a near-identical name. Returns
+ * { existing, similarity } for the closest match, or null.
+ */
+export const findDuplicatePurchase = (item, existingItems) => {
+  const day = toDay(item.dateAdded);
+  let best = null;
+
+  for (const existing of existingItems) {
+    if (toDay(existing.dateAdded) !== day) continue;
+    if (!sameAmount(existing.unitPrice, item.unitPrice)) continue;
+
+    const similarity = nameSimilarity(existing.name, item.name);
+    if (similarity >= NAME_SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { existing, similarity };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Check a list of incoming purchases against the existing ones. Returns an
+ * entry per duplicate: { index, item, existing, similarity }. Each existing
+ * purchase is matched at most once, so two identical lines on one receipt
+ * only flag a single duplicate if the earlier scan saved one of them.
+ */
+export const findDuplicatePurchases = (items, existingItems) => {
+  const remaining = [...existingItems];
+  const duplicates = [];
+
+  items.forEach((item, index) => {
+    const match = findDuplicatePurchase(item, remaining);
+    if (match) {
+      remaining.splice(remaining.indexOf(match.existing), 1);
+      duplicates.push({ index, item, ...match });
+    }
+  });
+
+  return duplicates;
+};
+
+/**
+ * Split incoming purchases by the choices made in the review step:
+ * { toAdd, toMerge: [{ existing, item }], skipped }. Duplicates without a
+ * choice are skipped.
+ */
+export const applyDuplicateActions = (items, duplicates, actions) => {
+  const byIndex = new Map(duplicates.map(duplicate => [duplicate.index, duplicate]));
+  const result = { toAdd: [], toMerge: [], skipped: 0 };
+
+  items.forEach((item, index) => {
+    const duplicate = byIndex.get(index);
+    const action = duplicate ? actions[index] : DUPLICATE_ACTIONS.KEEP_BOTH;
+
+    if (action === DUPLICATE_ACTIONS.KEEP_BOTH) {
+      result.toAdd.push(item);
+    } else if (action === DUPLICATE_ACTIONS.MERGE) {
+      result.toMerge.push({ existing: duplicate.existing, item });
+    } else {
+      result.skipped++;
+    }
+  });
+
+  return result;
+};
+
+// Every duplicate starts out as the given action until the user picks
+export const defaultDuplicateActions = (duplicates, action = DUPLICATE_ACTIONS.SKIP) => (
+  Object.fromEntries(duplicates.map(({ index }) => [index, action]))
+);
+
+/**
+ * Fold an incoming purchase into the existing one it duplicates. The
+ * existing record keeps its id and receipt link; any other field the
+ * incoming entry fills in wins.
+ */
+export const mergePurchase = (existing, incoming) => {
+  const filled = Object.fromEntries(
+    Object.entries(incoming).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+
+  return {
+    ...existing,
+    ...filled,
+    id: existing.id,
+    receiptId: existing.receiptId || incoming.receiptId || null
+  };
+};
+
+/**
+ * Number of differing bits between two hex image hashes, or null when
+ * either is missing or they are different lengths.
+ */
+export const hammingDistance = (a, b) => {
+  if (!a || !b || a.length !== b.length) return null;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+/**
+ * Find an existing receipt (a row from the receipts table) that the
+ * incoming one duplicates, either because the image looks the same or
+ * because merchant, date and total all match. Returns
+ * { receipt, reasons, distance } where reasons lists 'image' and/or
+ * 'details', or null.
+ */
+export const findDuplicateReceipt = (incoming, existingReceipts) => {
+  let best = null;
+
+  for (const receipt of existingReceipts) {
+    const reasons = [];
+
+    const distance = hammingDistance(incoming.imageHash, receipt.image_hash);
+    if (distance !== null && distance <= IMAGE_HASH_MAX_DISTANCE) {
+      reasons.push('image');
+    }
+
+    if (
+      incoming.merchantName && receipt.merchant_name &&
+      incoming.transactionDate && toDay(incoming.transactionDate) === toDay(receipt.transaction_date) &&
+      sameAmount(incoming.totalAmount, receipt.total_amount) &&
+      nameSimilarity(incoming.merchantName, receipt.merchant_name) >= MERCHANT_SIMILARITY_THRESHOLD
+    ) {
+      reasons.push('details');
+    }
+
+    if (reasons.length === 0) continue;
+
+    // Prefer matches on both counts, then the closest image
+    const rank = reasons.length * 100 - (distance ?? IMAGE_HASH_MAX_DISTANCE + 1);
+    if (!best || rank > best.rank) {
+      best = { receipt, reasons, distance, rank };
+    }
+  }
+
+  if (!best) return null;
+  const { rank, ...match } = best;
+  return match;
+};
+
+export const describeReceiptMatch = (match) => {
+  if (!match) return '';
+  if (match.reasons.length === 2) return 'Same photo, merchant, date and total';
+  return match.reasons[0] === 'image' ? 'Same photo' : 'Same merchant, date and total';
+};
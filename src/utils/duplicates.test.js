@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DUPLICATE_ACTIONS,
+  applyDuplicateActions,
+  findDuplicatePurchases,
+  findDuplicateReceipt,
+  hammingDistance,
+  mergePurchase,
+  nameSimilarity
+} from './duplicates';
+
+const purchase = (id, name, unitPrice, dateAdded = '2024-03-01') => ({ id, name, unitPrice, dateAdded });
+
+describe('nameSimilarity', () => {
+  it('ignores case, punctuation and spacing in pack sizes', () => {
+    expect(nameSimilarity('Coca-Cola 500ml', 'COCA COLA 500 ML')).toBe(1);
+  });
+
+  it('tolerates a misread character', () => {
+    expect(nameSimilarity('Semi Skimmed Milk', 'Semi Skimmed Mi1k')).toBeGreaterThan(0.85);
+  });
+
+  it('tells different items apart', () => {
+    expect(nameSimilarity('Semi Skimmed Milk', 'Sliced White Bread')).toBeLessThan(0.5);
+  });
+});
+
+describe('findDuplicatePurchases', () => {
+  const existing = [
+    purchase('a', 'Semi Skimmed Milk', 1.45),
+    purchase('b', 'White Bread', 1.1)
+  ];
+
+  it('matches on date, unit price and a near-identical name', () => {
+    const duplicates = findDuplicatePurchases([
+      purchase(null, 'Semi Skimmed Mi1k', 1.45),
+      purchase(null, 'White Bread', 1.1, '2024-03-02T10:00:00Z'),
+      purchase(null, 'White Bread', 1.25)
+    ], existing);
+
+    expect(duplicates.map(duplicate => [duplicate.index, duplicate.existing.id])).toEqual([[0, 'a']]);
+  });
+
+  it('matches each saved purchase once', () => {
+    const duplicates = findDuplicatePurchases([
+      purchase(null, 'White Bread', 1.1),
+      purchase(null, 'White Bread', 1.1)
+    ], existing);
+
+    expect(duplicates.map(duplicate => duplicate.index)).toEqual([0]);
+  });
+});
+
+describe('applyDuplicateActions', () => {
+  it('splits incoming purchases by the choices made', () => {
+    const items = ['milk', 'bread', 'eggs', 'jam'].map(name => ({ name }));
+    const duplicates = [
+      { index: 0, existing: { id: 'a' } },
+      { index: 1, existing: { id: 'b' } },
+      { index: 2, existing: { id: 'c' } }
+    ];
+
+    const result = applyDuplicateActions(items, duplicates, {
+      0: DUPLICATE_ACTIONS.MERGE,
+      1: DUPLICATE_ACTIONS.KEEP_BOTH
+    });
+
+    expect(result).toEqual({
+      toAdd: [{ name: 'bread' }, { name: 'jam' }],
+      toMerge: [{ existing: { id: 'a' }, item: { name: 'milk' } }],
+      skipped: 1
+    });
+  });
+});
+
+describe('mergePurchase', () => {
+  it('keeps the saved id and receipt and takes filled-in incoming fields', () => {
+    const merged = mergePurchase(
+      { id: 'a', name: 'Milk', supplier: 'Tesco', receiptId: 'r1', description: 'Weekly shop' },
+      { id: 'new', name: 'Milk 2L', supplier: '', receiptId: 'r2', description: null }
+    );
+
+    expect(merged).toEqual({ id: 'a', name: 'Milk 2L', supplier: 'Tesco', receiptId: 'r1', description: 'Weekly shop' });
+  });
+});
+
+describe('findDuplicateReceipt', () => {
+  const saved = {
+    id: 'r1',
+    image_hash: 'ffff0000',
+    merchant_name: 'TESCO STORES',
+    transaction_date: '2024-03-01T00:00:00Z',
+    total_amount: 12.5
+  };
+
+  it('counts the bits two hashes differ in', () => {
+    expect(hammingDistance('ff', 'f0')).toBe(4);
+    expect(hammingDistance('ff', 'fff')).toBeNull();
+  });
+
+  it('matches a photo of the same receipt', () => {
+    expect(findDuplicateReceipt({ imageHash: 'ffff0001' }, [saved])).toMatchObject({ receipt: saved, reasons: ['image'], distance: 1 });
+  });
+
+  it('matches the same merchant, date and total', () => {
+    const match = findDuplicateReceipt({
+      merchantName: 'Tesco Stores',
+      transactionDate: '2024-03-01',
+      totalAmount: '12.50'
+    }, [{ ...saved, image_hash: null }]);
+
+    expect(match.reasons).toEqual(['details']);
+  });
+
+  it('ignores a different total on the same day', () => {
+    expect(findDuplicateReceipt({
+      merchantName: 'Tesco Stores',
+      transactionDate: '2024-03-01',
+      totalAmount: 13.5
+    }, [{ ...saved, image_hash: null }])).toBeNull();
+  });
+});
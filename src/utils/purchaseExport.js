@@ -0,0 +1,44 @@
+// Spreadsheet export of a hand-picked set of purchases, as opposed to the
+// VAT reclaim reports in TaxExportModal which cover a date range.
+import * as XLSX from 'xlsx';
+import { normaliseCurrency, ukVatPercentage } from './currency';
+
+export const toExportRow = (item) => {
+  const quantity = parseFloat(item.quantity) || 0;
+  const unitPrice = parseFloat(item.unitPrice) || 0;
+
+  return {
+    'Item Name': item.name,
+    'Category': item.category || 'Uncategorized',
+    'Supplier': item.supplier || '',
+    'Quantity': quantity,
+    'Unit Price': unitPrice.toFixed(2),
+    'VAT Rate': `${ukVatPercentage(item)}%`,
+    'VAT Included': item.vatIncluded ? 'Yes' : 'No',
+    'Total Value': (quantity * unitPrice).toFixed(2),
+    'Currency': normaliseCurrency(item.currency),
+    'Original Unit Price': (parseFloat(item.originalUnitPrice ?? item.unitPrice) || 0).toFixed(2),
+    'Exchange Rate': parseFloat(item.exchangeRate) || 1,
+    'Date Added': item.dateAdded ? String(item.dateAdded).split('T')[0] : '',
+    'Description': item.description || '',
+    'Receipt': item.receiptId ? 'Yes' : 'No',
+    'SKU/Reference': item.id || ''
+  };
+};
+
+/**
+ * Download the purchases as an .xlsx or .csv file and return its name.
+ */
+export const exportPurchases = (items, format = 'excel', businessName = 'Business') => {
+  const wb = XLSX.utils.book_new();
+  const ws = XLSX.utils.json_to_sheet(items.map(toExportRow));
+  XLSX.utils.book_append_sheet(wb, ws, 'Purchases');
+
+  const dateStr = new Date().toISOString().split('T')[0];
+  const safeName = businessName.replace(/[^a-zA-Z0-9]/g, '_');
+  const extension = format === 'csv' ? 'csv' : 'xlsx';
+  const fileName = `${safeName}_Purchases_${dateStr}.${extension}`;
+
+  XLSX.writeFile(wb, fileName, { bookType: extension });
+  return fileName;
+};
@@ -0,0 +1,184 @@
+// Shared pieces of the purchases query: which columns can be sorted on,
+// how filters are read from and written to the URL, and the cursor format
+// used for pagination. The Supabase and IndexedDB implementations in
+// services/ both build on these so they page through results the same way.
+
+// Sortable fields and the database column behind each
+export const PURCHASE_SORT_COLUMNS = {
+  dateAdded: 'date_added',
+  createdAt: 'created_at',
+  name: 'name',
+  category: 'category',
+  supplier: 'supplier',
+  quantity: 'quantity',
+  unitPrice: 'unit_price',
+  totalValue: 'total_value',
+  vatPercentage: 'vat_percentage',
+  description: 'description'
+};
+
+export const PURCHASE_PAGE_SIZE = 50;
+
+export const DEFAULT_PURCHASE_SORT = { column: 'dateAdded', direction: 'desc' };
+
+// Filter keys and the URL parameter each is stored under
+const FILTER_PARAMS = {
+  category: 'category',
+  supplier: 'supplier',
+  vatRate: 'vat',
+  dateFrom: 'from',
+  dateTo: 'to',
+  minPrice: 'min',
+  maxPrice: 'max'
+};
+
+const NUMERIC_FILTERS = ['vatRate', 'minPrice', 'maxPrice'];
+
+/**
+ * Fill in defaults and drop empty filters. Accepts
+ * { search, filters, sort: { column, direction }, cursor, limit }.
+ */
+export const normalisePurchaseQuery = (query = {}) => {
+  const filters = {};
+  Object.keys(FILTER_PARAMS).forEach(key => {
+    const value = query.filters?.[key];
+    if (value === undefined || value === null || value === '') return;
+
+    if (NUMERIC_FILTERS.includes(key)) {
+      const number = parseFloat(value);
+      if (!isNaN(number)) filters[key] = number;
+    } else {
+      filters[key] = String(value).trim();
+    }
+  });
+
+  const column = PURCHASE_SORT_COLUMNS[query.sort?.column] ? query.sort.column : DEFAULT_PURCHASE_SORT.column;
+  const direction = query.sort?.direction === 'asc' ? 'asc' : 'desc';
+
+  return {
+    search: (query.search || '').trim(),
+    filters,
+    sort: { column, direction },
+    cursor: query.cursor || null,
+    limit: Math.min(Math.max(parseInt(query.limit) || PURCHASE_PAGE_SIZE, 1), 500)
+  };
+};
+
+export const getSortValue = (item, column) => {
+  if (column === 'totalValue') {
+    return (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0);
+  }
+  const value = item[column];
+  return value === undefined || value === '' ? null : value;
+};
+
+// Cursors are opaque to callers: the sort value and id of the last row
+// on the previous page
+export const encodeCursor = (item, column) => (
+  btoa(encodeURIComponent(JSON.stringify([getSortValue(item, column), item.id])))
+);
+
+export const decodeCursor = (cursor) => {
+  try {
+    const [value, id] = JSON.parse(decodeURIComponent(atob(cursor)));
+    return { value, id };
+  } catch {
+    throw new Error('Invalid page cursor');
+  }
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+// Compare two (sort value, id) keys: empty values last in either
+// direction, then by id so rows with equal values keep a stable order
+// across pages
+const compareSortKeys = (first, firstId, second, secondId, direction) => {
+  const flip = direction === 'desc' ? -1 : 1;
+
+  if (first === null && second !== null) return 1;
+  if (second === null && first !== null) return -1;
+  if (first !== null && second !== null) {
+    const order = compareValues(first, second);
+    if (order !== 0) return order * flip;
+  }
+  return compareValues(firstId, secondId) * flip;
+};
+
+export const comparePurchases = (a, b, sort) => compareSortKeys(
+  getSortValue(a, sort.column), a.id,
+  getSortValue(b, sort.column), b.id,
+  sort.direction
+);
+
+// True if the purchase comes after the cursor row in the sort order
+export const isAfterCursor = (item, cursor, sort) => compareSortKeys(
+  getSortValue(item, sort.column), item.id,
+  cursor.value, cursor.id,
+  sort.direction
+) > 0;
+
+const toDay = (date) => (date ? String(date).split('T')[0] : '');
+
+/**
+ * In-memory version of the query filters, for the IndexedDB fallback.
+ */
+export const matchesPurchaseQuery = (item, { search, filters }) => {
+  if (search) {
+    const term = search.toLowerCase();
+    const fields = [item.name, item.category, item.description, item.supplier];
+    if (!fields.some(field => field?.toLowerCase().includes(term))) return false;
+  }
+
+  if (filters.category && item.category !== filters.category) return false;
+  if (filters.supplier && !item.supplier?.toLowerCase().includes(filters.supplier.toLowerCase())) return false;
+  if (filters.vatRate !== undefined && parseFloat(item.vatPercentage) !== filters.vatRate) return false;
+  if (filters.dateFrom && toDay(item.dateAdded) < filters.dateFrom) return false;
+  if (filters.dateTo && toDay(item.dateAdded) > filters.dateTo) return false;
+  if (filters.minPrice !== undefined && parseFloat(item.unitPrice) < filters.minPrice) return false;
+  if (filters.maxPrice !== undefined && parseFloat(item.unitPrice) > filters.maxPrice) return false;
+
+  return true;
+};
+
+/**
+ * Read search, filters and sort from the page URL (?q=&category=&sort=...).
+ */
+export const purchaseQueryFromSearchParams = (searchParams) => {
+  const filters = {};
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    const value = searchParams.get(param);
+    if (value) filters[key] = value;
+  });
+
+  const [column, direction] = (searchParams.get('sort') || '').split(':');
+
+  return normalisePurchaseQuery({
+    search: searchParams.get('q') || '',
+    filters,
+    sort: { column, direction }
+  });
+};
+
+/**
+ * The URL parameters for a query, leaving out anything at its default so
+ * shared links stay short.
+ */
+export const purchaseQueryToSearchParams = (query) => {
+  const { search, filters, sort } = normalisePurchaseQuery(query);
+  const params = new URLSearchParams();
+
+  if (search) params.set('q', search);
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] !== undefined) params.set(param, String(filters[key]));
+  });
+  if (sort.column !== DEFAULT_PURCHASE_SORT.column || sort.direction !== DEFAULT_PURCHASE_SORT.direction) {
+    params.set('sort', `${sort.column}:${sort.direction}`);
+  }
+
+  return params;
+};
+
+export const countActiveFilters = (filters) => Object.keys(normalisePurchaseQuery({ filters }).filters).length;
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import {
+  comparePurchases,
+  decodeCursor,
+  encodeCursor,
+  isAfterCursor,
+  normalisePurchaseQuery,
+  purchaseQueryFromSearchParams,
+  purchaseQueryToSearchParams
+} from './purchaseQuery';
+
+// Page through `items` the way the IndexedDB fallback does
+const pageThrough = (items, sort, limit) => {
+  const ordered = [...items].sort((a, b) => comparePurchases(a, b, sort));
+  const pages = [];
+  let cursor = null;
+
+  do {
+    const after = cursor ? decodeCursor(cursor) : null;
+    const remaining = after ? ordered.filter(item => isAfterCursor(item, after, sort)) : ordered;
+    const page = remaining.slice(0, limit);
+    pages.push(page.map(item => item.id));
+    cursor = remaining.length > limit ? encodeCursor(page[page.length - 1], sort.column) : null;
+  } while (cursor);
+
+  return pages;
+};
+
+describe('page cursors', () => {
+  it('round-trip the sort value and id, whatever the characters', () => {
+    const cursor = encodeCursor({ id: 'p-7', name: 'Café crème £2' }, 'name');
+
+    expect(decodeCursor(cursor)).toEqual({ value: 'Café crème £2', id: 'p-7' });
+  });
+
+  it('carry the worked-out total for a total value sort', () => {
+    expect(decodeCursor(encodeCursor({ id: 'p1', quantity: 3, unitPrice: '2.5' }, 'totalValue'))).toEqual({ value: 7.5, id: 'p1' });
+  });
+
+  it('reject a cursor that was tampered with', () => {
+    expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid page cursor');
+  });
+
+  it('visit every purchase once, with ties and blanks across page breaks', () => {
+    const items = [
+      { id: 'a', unitPrice: 5 },
+      { id: 'b', unitPrice: 5 },
+      { id: 'c', unitPrice: 5 },
+      { id: 'd', unitPrice: 2 },
+      { id: 'e' },
+      { id: 'f', unitPrice: 9 }
+    ];
+
+    expect(pageThrough(items, { column: 'unitPrice', direction: 'desc' }, 2)).toEqual([['f', 'c'], ['b', 'a'], ['d', 'e']]);
+    expect(pageThrough(items, { column: 'unitPrice', direction: 'asc' }, 4)).toEqual([['d', 'a', 'b', 'c'], ['f', 'e']]);
+  });
+});
+
+describe('normalisePurchaseQuery', () => {
+  it('drops empty filters, reads numbers and falls back to the default sort', () => {
+    expect(normalisePurchaseQuery({
+      search: '  milk ',
+      filters: { category: 'Food', supplier: '', vatRate: '20', minPrice: 'abc' },
+      sort: { column: 'password', direction: 'sideways' },
+      limit: 10000
+    })).toEqual({
+      search: 'milk',
+      filters: { category: 'Food', vatRate: 20 },
+      sort: { column: 'dateAdded', direction: 'desc' },
+      cursor: null,
+      limit: 500
+    });
+  });
+
+  it('round-trips through the page URL, leaving out defaults', () => {
+    const query = { search: 'milk', filters: { vatRate: 0, dateFrom: '2024-01-01' }, sort: { column: 'name', direction: 'asc' } };
+    const params = purchaseQueryToSearchParams(query);
+
+    expect(params.toString()).toBe('q=milk&vat=0&from=2024-01-01&sort=name%3Aasc');
+    expect(purchaseQueryFromSearchParams(params)).toMatchObject({
+      search: 'milk',
+      filters: { vatRate: 0, dateFrom: '2024-01-01' },
+      sort: { column: 'name', direction: 'asc' }
+    });
+    expect(purchaseQueryToSearchParams({}).toString()).toBe('');
+  });
+});
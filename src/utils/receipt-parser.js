@@ -1,5 +1,36 @@
-// Enhanced receipt parser with right-side price detection
-export function parseReceipt(text) {
+import { findReceiptTemplate } from './receipt-templates';
+
+// Items scoring below this should be highlighted for review
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Enhanced receipt parser with right-side price detection.
+// Accepts either raw OCR text or the `data` object returned by
+// Tesseract.recognize - when word/line boxes are available the
+// geometry-aware parser is used and plain text is the fallback.
+export function parseReceipt(input) {
+  const text = input && typeof input === 'object' ? input.text || '' : input || '';
+
+  // Known merchants get their own line format before any heuristics
+  const template = findReceiptTemplate(text);
+  if (template) {
+    const templateItems = parseTemplateItems(template, splitLines(text));
+    if (templateItems.length > 0) {
+      return templateItems;
+    }
+  }
+
+  if (input && typeof input === 'object') {
+    const layoutItems = parseReceiptLayout(input);
+    if (layoutItems.length > 0) {
+      return layoutItems;
+    }
+    return parseReceiptText(input.text || '');
+  }
+
+  return parseReceiptText(input);
+}
+
+function parseReceiptText(text) {
   console.log("📝 Parsing receipt text...");
   
   if (!text || text.length < 10) {
@@ -12,10 +43,18 @@ export function parseReceipt(text) {
     .filter(line => line.length > 2);
 
   const items = [];
+  const modifierState = { pendingQuantity: null };
 
   console.log('🔍 Processing lines:', lines.length);
 
   for (const line of lines) {
+    // Multi-buy, discount, void and refund lines adjust the item above
+    const modifier = classifyModifierLine(line);
+    if (modifier) {
+      applyLineModifier(items, modifier, modifierState);
+      continue;
+    }
+
     // Skip obvious non-item lines
     if (shouldSkipLine(line)) continue;
 
@@ -55,11 +94,14 @@ export function parseReceipt(text) {
 
     // Final validation
     if (itemName.length >= 2 && !isItemNameInvalid(itemName)) {
-      const finalItem = {
-        name: capitalizeWords(itemName),
-        quantity: quantity,
-        price: price
-      };
+      // Text-only parsing has no geometry to go on, so an end-of-line
+      // price is the best signal we have
+      const confidence = priceIndex + priceMatch.length >= line.length - 1 ? 0.7 : 0.5;
+      const finalItem = createLineItem(itemName, quantity, price, confidence, modifierState);
+      const vatCode = findVatCode(line);
+      if (vatCode) {
+        finalItem.vatCode = vatCode;
+      }
       
       console.log('✅ Added item:', finalItem);
       items.push(finalItem);
@@ -75,6 +117,415 @@ export function parseReceipt(text) {
   return uniqueItems.slice(0, 30);
 }
 
+// Build an item from a printed line. The price at the right of an item
+// line is the line total, so the saved unit price is that total split
+// across the quantity.
+function createLineItem(itemName, quantity, lineTotal, confidence, modifierState) {
+  // A "2 @ £1.50" line printed above the item applies to it
+  if (modifierState.pendingQuantity) {
+    quantity = modifierState.pendingQuantity.quantity;
+    modifierState.pendingQuantity = null;
+  }
+
+  return {
+    name: capitalizeWords(itemName),
+    quantity: quantity,
+    price: roundMoney(lineTotal / quantity),
+    lineTotal: lineTotal,
+    confidence: confidence
+  };
+}
+
+const PAYMENT_OR_TOTAL_LINE = /\b(sub\s*-?\s*total|total|balance|amount\s*due|change|cash|card|tender(ed)?|payment|paid|visa|mastercard|amex|contactless|cashback)\b/;
+
+// Recognise lines that modify the item above rather than being items
+// themselves. Returns null for ordinary lines.
+function classifyModifierLine(line) {
+  const lower = line.toLowerCase();
+
+  // Summary lines at the foot of the receipt, not per-item adjustments
+  if (/total\s*sav|you\s*saved|savings\s*total|saved\s*today/.test(lower)) {
+    return null;
+  }
+
+  // Totals, tenders and change can be printed negative too ("Cash -10.00"),
+  // so they are ruled out before anything is read as a discount
+  if (PAYMENT_OR_TOTAL_LINE.test(lower)) {
+    return null;
+  }
+
+  // "2 @ £1.50", "3 x 0.99 each"
+  const multiBuyMatch = line.match(/^\s*(\d{1,3})\s*(?:@|x|×)\s*[£$€]?\s*(\d{1,4}[.,]\d{2})\b(?:\s*(?:each|ea))?(?:\s+[£$€]?\s*\d{1,5}[.,]\d{2})?\s*[A-Z]?\s*$/i);
+  if (multiBuyMatch) {
+    const quantity = parseInt(multiBuyMatch[1]);
+    if (quantity > 0 && quantity <= 999) {
+      return {
+        type: 'quantity',
+        quantity,
+        unitPrice: parseFloat(multiBuyMatch[2].replace(',', '.'))
+      };
+    }
+  }
+
+  if (/^\W*void(ed)?\b/i.test(line) || /\bvoid(ed)?\W*$/i.test(line)) {
+    return { type: 'void', amount: findSignedAmount(line) };
+  }
+
+  if (/\brefund(ed)?\b/i.test(line)) {
+    const amount = findSignedAmount(line);
+    return amount ? { type: 'refund', amount: Math.abs(amount) } : null;
+  }
+
+  const amount = findSignedAmount(line);
+  if (amount === null) return null;
+
+  const isPromotion = /(multi\s*-?buy|saving|discount|offer|promo|clubcard|nectar|price\s*cut|reduced|coupon|voucher|money\s*off|\bdeal\b)/.test(lower);
+  if (isPromotion) {
+    return { type: 'discount', amount: Math.abs(amount) };
+  }
+
+  // An unlabelled negative line under an item is a markdown, e.g. Costco's
+  // "TPD/1234567 3.00-", unless it reads like a header or footer line
+  if (amount < 0 && !isNonItemLine(line)) {
+    return { type: 'discount', amount: Math.abs(amount) };
+  }
+
+  return null;
+}
+
+// Rightmost money amount on the line, negative when printed "-1.00",
+// "-£1.00" or "1.00-"
+function findSignedAmount(line) {
+  const pattern = /(-)?\s*[£$€¥₹]?\s*(\d{1,4}[.,]\d{2})(-)?/g;
+  let match;
+  let last = null;
+  while ((match = pattern.exec(line)) !== null) {
+    last = match;
+  }
+  if (!last) return null;
+
+  const value = parseFloat(last[2].replace(',', '.'));
+  return last[1] || last[3] ? -value : value;
+}
+
+function applyLineModifier(items, modifier, modifierState) {
+  const previous = items[items.length - 1];
+
+  if (modifier.type === 'quantity') {
+    if (!previous) {
+      modifierState.pendingQuantity = modifier;
+      return;
+    }
+
+    // The item line may show either the line total or the unit price
+    const printed = previous.lineTotal;
+    if (Math.abs(printed - modifier.unitPrice) <= RECONCILE_TOLERANCE && modifier.quantity > 1) {
+      previous.lineTotal = roundMoney(modifier.unitPrice * modifier.quantity);
+    }
+    previous.quantity = modifier.quantity;
+    previous.price = roundMoney(previous.lineTotal / previous.quantity);
+    console.log('🔢 Applied quantity to', previous.name, modifier);
+    return;
+  }
+
+  if (modifier.type === 'discount') {
+    if (!previous) return;
+    previous.discount = roundMoney((previous.discount || 0) + modifier.amount);
+    previous.lineTotal = roundMoney(Math.max(previous.lineTotal - modifier.amount, 0));
+    previous.price = roundMoney(previous.lineTotal / previous.quantity);
+    console.log('🏷️ Applied discount to', previous.name, modifier.amount);
+    return;
+  }
+
+  if (modifier.type === 'void') {
+    // Void the matching line if the amount is printed, otherwise the last one
+    const amount = modifier.amount !== null ? Math.abs(modifier.amount) : null;
+    const index = amount !== null
+      ? findLastIndex(items, item => Math.abs(item.lineTotal - amount) <= RECONCILE_TOLERANCE)
+      : items.length - 1;
+    if (index >= 0) {
+      console.log('🚫 Voided', items[index].name);
+      items.splice(index, 1);
+    }
+    return;
+  }
+
+  if (modifier.type === 'refund') {
+    // A refund cancels one unit of an earlier item at the same price
+    const index = findLastIndex(items, item =>
+      Math.abs(item.price - modifier.amount) <= RECONCILE_TOLERANCE
+    );
+    if (index < 0) return;
+
+    const item = items[index];
+    if (item.quantity > 1) {
+      item.quantity -= 1;
+      item.lineTotal = roundMoney(item.lineTotal - modifier.amount);
+    } else {
+      items.splice(index, 1);
+    }
+    console.log('↩️ Refunded', item.name, modifier.amount);
+  }
+}
+
+function findLastIndex(array, predicate) {
+  for (let i = array.length - 1; i >= 0; i--) {
+    if (predicate(array[i])) return i;
+  }
+  return -1;
+}
+
+// A single OCR word that looks like a price, e.g. "£1.50", "1,50" or "-0.50"
+const PRICE_WORD_PATTERN = /^[£$€¥₹]?-?[£$€¥₹]?(\d{1,4}[.,]\d{2})[£$€¥₹]?$/;
+
+// Geometry-aware parser for Tesseract output. Uses word bounding boxes
+// to find the column prices are printed in, so multi-column layouts and
+// item names that wrap onto a second line are matched to the right price.
+export function parseReceiptLayout(ocrData) {
+  const lines = extractOcrLines(ocrData);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  console.log('📐 Parsing receipt layout:', lines.length, 'lines');
+
+  const column = findPriceColumn(lines);
+  if (!column) {
+    console.log('❌ No price column found in layout');
+    return [];
+  }
+
+  console.log('💰 Price column:', column);
+
+  const items = [];
+  const modifierState = { pendingQuantity: null };
+  let pendingNameLines = [];
+
+  for (const line of lines) {
+    const modifier = classifyModifierLine(line.text);
+    if (modifier) {
+      applyLineModifier(items, modifier, modifierState);
+      pendingNameLines = [];
+      continue;
+    }
+
+    if (isNonItemLine(line.text)) {
+      pendingNameLines = [];
+      continue;
+    }
+
+    const priceWord = findColumnPriceWord(line, column);
+
+    if (!priceWord) {
+      if (!/[a-zA-Z]{2,}/.test(line.text)) {
+        pendingNameLines = [];
+        continue;
+      }
+
+      // Unpriced text line - may be the first half of a wrapped item name
+      const lastPending = pendingNameLines[pendingNameLines.length - 1] || null;
+      if (lastPending && !isWrappedContinuation(lastPending, line)) {
+        pendingNameLines = [];
+      }
+      pendingNameLines.push(line);
+      continue;
+    }
+
+    // Price-like words left of the column are unit prices, not name text
+    const nameWords = line.words.filter(word =>
+      word !== priceWord &&
+      word.bbox.x1 < column.left &&
+      !PRICE_WORD_PATTERN.test(word.text)
+    );
+
+    // Only join pending lines that sit directly above this one
+    const lastPending = pendingNameLines[pendingNameLines.length - 1] || null;
+    const wrappedLines = lastPending && isWrappedContinuation(lastPending, line)
+      ? pendingNameLines.slice(-2)
+      : [];
+    pendingNameLines = [];
+
+    const nameSourceWords = [
+      ...wrappedLines.flatMap(wrapped => wrapped.words.filter(word => word.bbox.x1 < column.left)),
+      ...nameWords
+    ];
+
+    const rawName = nameSourceWords.map(word => word.text).join(' ');
+    const itemName = cleanItemName(rawName);
+    if (itemName.length < 2 || itemName.length > 80) {
+      console.log('❌ Item name too short/long:', itemName);
+      continue;
+    }
+
+    // Leading quantity, e.g. "2 x WIDGET" or "3 BOLTS"
+    let quantity = 1;
+    const qtyMatch = rawName.match(/^(\d{1,2})\s*[x×*]?\s+(?=\D)/i);
+    if (qtyMatch) {
+      const q = parseInt(qtyMatch[1]);
+      if (q > 0 && q <= 99) {
+        quantity = q;
+      }
+    }
+
+    if (isItemNameInvalid(itemName)) {
+      console.log('❌ Item name invalid:', itemName);
+      continue;
+    }
+
+    const finalItem = createLineItem(
+      itemName,
+      quantity,
+      parsePriceWord(priceWord.text),
+      scoreLayoutItem(nameSourceWords, priceWord, column, wrappedLines.length),
+      modifierState
+    );
+
+    const vatCode = findVatCode(line.text);
+    if (vatCode) {
+      finalItem.vatCode = vatCode;
+    }
+
+    console.log('✅ Added item:', finalItem);
+    items.push(finalItem);
+  }
+
+  const uniqueItems = removeDuplicates(items);
+  console.log('📦 Final layout items:', uniqueItems.length);
+
+  return uniqueItems.slice(0, 30);
+}
+
+// Flatten Tesseract's block/paragraph/line tree into lines of boxed words
+function extractOcrLines(ocrData) {
+  if (!ocrData) return [];
+
+  let rawLines = Array.isArray(ocrData.lines) ? ocrData.lines : [];
+  if (rawLines.length === 0 && Array.isArray(ocrData.blocks)) {
+    rawLines = ocrData.blocks.flatMap(block =>
+      (block.paragraphs || []).flatMap(paragraph => paragraph.lines || [])
+    );
+  }
+
+  return rawLines
+    .map(line => {
+      const words = (line.words || [])
+        .filter(word => word.bbox && word.text && word.text.trim().length > 0)
+        .map(word => ({
+          text: word.text.trim(),
+          confidence: typeof word.confidence === 'number' ? word.confidence : 0,
+          bbox: word.bbox
+        }))
+        .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+
+      return {
+        text: words.map(word => word.text).join(' '),
+        words,
+        bbox: line.bbox || boundingBoxOf(words)
+      };
+    })
+    .filter(line => line.words.length > 0 && line.text.length > 2)
+    .sort((a, b) => a.bbox.y0 - b.bbox.y0);
+}
+
+function boundingBoxOf(words) {
+  return {
+    x0: Math.min(...words.map(word => word.bbox.x0)),
+    y0: Math.min(...words.map(word => word.bbox.y0)),
+    x1: Math.max(...words.map(word => word.bbox.x1)),
+    y1: Math.max(...words.map(word => word.bbox.y1))
+  };
+}
+
+// Cluster the right edges of price-like words; the densest cluster is
+// the price column. Quantities and unit prices printed further left
+// fall outside it.
+function findPriceColumn(lines) {
+  const pageLeft = Math.min(...lines.map(line => line.bbox.x0));
+  const pageRight = Math.max(...lines.map(line => line.bbox.x1));
+  const pageWidth = Math.max(pageRight - pageLeft, 1);
+  const tolerance = Math.max(pageWidth * 0.04, 8);
+
+  const edges = lines
+    .flatMap(line => line.words.filter(word => PRICE_WORD_PATTERN.test(word.text)))
+    .map(word => ({ right: word.bbox.x1, left: word.bbox.x0 }))
+    .sort((a, b) => a.right - b.right);
+
+  if (edges.length === 0) return null;
+
+  const clusters = [];
+  for (const edge of edges) {
+    const current = clusters[clusters.length - 1];
+    if (current && edge.right - current[current.length - 1].right <= tolerance) {
+      current.push(edge);
+    } else {
+      clusters.push([edge]);
+    }
+  }
+
+  // Prefer the biggest cluster; break ties towards the right-hand side
+  const best = clusters.reduce((a, b) => {
+    if (b.length !== a.length) return b.length > a.length ? b : a;
+    return b[0].right > a[0].right ? b : a;
+  });
+
+  const rights = best.map(edge => edge.right);
+  return {
+    left: Math.min(...best.map(edge => edge.left)) - tolerance,
+    right: Math.max(...rights) + tolerance,
+    center: rights[Math.floor(rights.length / 2)],
+    tolerance,
+    support: best.length
+  };
+}
+
+function findColumnPriceWord(line, column) {
+  const candidates = line.words.filter(word =>
+    PRICE_WORD_PATTERN.test(word.text) &&
+    word.bbox.x1 >= column.center - column.tolerance &&
+    word.bbox.x1 <= column.right
+  );
+
+  if (candidates.length === 0) return null;
+
+  const word = candidates[candidates.length - 1];
+  const price = parsePriceWord(word.text);
+  if (price < 0.01 || price > 9999.99) return null;
+
+  return word;
+}
+
+function parsePriceWord(text) {
+  const match = text.match(PRICE_WORD_PATTERN);
+  return match ? parseFloat(match[1].replace(',', '.')) : 0;
+}
+
+// Two lines belong to the same item when the second starts directly
+// below the first without a blank line in between
+function isWrappedContinuation(upper, lower) {
+  const lineHeight = Math.max(upper.bbox.y1 - upper.bbox.y0, 1);
+  const gap = lower.bbox.y0 - upper.bbox.y1;
+  return gap <= lineHeight * 0.8;
+}
+
+function scoreLayoutItem(nameWords, priceWord, column, wrappedLineCount) {
+  const words = [...nameWords, priceWord];
+  const ocrConfidence = words.reduce((sum, word) => sum + word.confidence, 0) / words.length / 100;
+
+  // How well the price lines up with the rest of the column
+  const offset = Math.abs(priceWord.bbox.x1 - column.center);
+  const alignment = Math.max(0, 1 - offset / (column.tolerance * 2));
+
+  // A column backed by a single price is barely a column at all
+  const support = Math.min(column.support / 3, 1);
+
+  let score = ocrConfidence * 0.6 + alignment * 0.25 + support * 0.15;
+  if (wrappedLineCount > 0) {
+    score -= 0.1 * wrappedLineCount;
+  }
+
+  return Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100;
+}
+
 function findRightmostPrice(line) {
   // Enhanced price patterns that prioritize right-side positioning
   const pricePatterns = [
@@ -193,6 +644,28 @@ function isValidPrice(price, line, priceIndex) {
 }
 
 function shouldSkipLine(line) {
+  if (isNonItemLine(line)) return true;
+
+  // Skip very short lines
+  if (line.length < 5) return true;
+  
+  // Skip lines that are just numbers
+  if (/^\d+$/.test(line)) return true;
+  
+  // Skip lines without letters (likely separators or codes)
+  if (!/[a-zA-Z]{2,}/.test(line)) return true;
+  
+  // Skip lines that are mostly uppercase (likely headers)
+  const upperCaseRatio = (line.match(/[A-Z]/g) || []).length / line.length;
+  if (upperCaseRatio > 0.8 && line.length > 10) return true;
+  
+  return false;
+}
+
+// Keyword and format checks that hold regardless of where a line sits on
+// the receipt. The layout parser relies on these alone, since it has the
+// price column to tell items from headers.
+function isNonItemLine(line) {
   const lower = line.toLowerCase();
   const skipWords = [
     'total', 'subtotal', 'tax', 'vat', 'change', 'cash', 'card',
@@ -204,15 +677,6 @@ function shouldSkipLine(line) {
   // Skip lines with common non-item indicators
   if (skipWords.some(word => lower.includes(word))) return true;
   
-  // Skip very short lines
-  if (line.length < 5) return true;
-  
-  // Skip lines that are just numbers
-  if (/^\d+$/.test(line)) return true;
-  
-  // Skip lines without letters (likely separators or codes)
-  if (!/[a-zA-Z]{2,}/.test(line)) return true;
-  
   // Skip lines that are mostly special characters
   if (/^[*\-=_#\s\.]{3,}$/.test(line)) return true;
   
@@ -222,10 +686,6 @@ function shouldSkipLine(line) {
   // Skip lines with only time/date patterns
   if (/^\d{1,2}[\/\-:]\d{1,2}[\/\-:]\d{2,4}/.test(line)) return true;
   
-  // Skip lines that are mostly uppercase (likely headers)
-  const upperCaseRatio = (line.match(/[A-Z]/g) || []).length / line.length;
-  if (upperCaseRatio > 0.8 && line.length > 10) return true;
-  
   return false;
 }
 
@@ -261,16 +721,436 @@ function capitalizeWords(str) {
   return str.toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
 }
 
+// The same product scanned twice is printed as two lines; fold those into
+// one item with the combined quantity rather than dropping the second
 function removeDuplicates(items) {
-  const seen = new Set();
-  return items.filter(item => {
-    const key = item.name.toLowerCase().replace(/\s+/g, '');
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
+  const merged = new Map();
+  const result = [];
+
+  for (const item of items) {
+    const key = `${item.name.toLowerCase().replace(/\s+/g, '')}|${item.price}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.quantity += item.quantity;
+      existing.lineTotal = roundMoney((existing.lineTotal || 0) + (item.lineTotal || 0));
+      existing.confidence = Math.min(existing.confidence, item.confidence);
+      continue;
+    }
+    merged.set(key, item);
+    result.push(item);
+  }
+
+  return result;
+}
+
+// Items are allowed to drift this far from the printed total before a
+// receipt is flagged (rounding on per-line VAT, missed pennies etc.)
+const RECONCILE_TOLERANCE = 0.02;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Full structured parse: line items plus the header and totals blocks.
+// Accepts the same input as parseReceipt.
+export function parseReceiptDetails(input) {
+  const text = input && typeof input === 'object' ? input.text || '' : input || '';
+  const lines = splitLines(text);
+  const template = findReceiptTemplate(text);
+
+  const items = parseReceipt(input);
+  const totals = template
+    ? mergeTotals(extractTemplateTotals(template, lines), extractReceiptTotals(lines))
+    : extractReceiptTotals(lines);
+
+  // A legend printed on the receipt overrides the template's usual codes
+  const printedRates = extractVatLegend(lines, totals.vatLines);
+  const vatRates = { ...(template ? template.vatCodes : {}), ...printedRates };
+  applyVatRates(items, vatRates, getChargedRates(printedRates, totals.vatLines));
+
+  const details = {
+    items,
+    vatRates,
+    templateId: template ? template.id : null,
+    merchant: template ? template.name : extractMerchantName(lines),
+    ...extractTransactionDateTime(lines),
+    vatNumber: extractVatNumber(text),
+    ...totals
+  };
+
+  details.reconciliation = reconcileReceipt(items, totals);
+  console.log('🧾 Receipt details:', { ...details, items: items.length });
+
+  return details;
+}
+
+// The VAT code letter printed after an item's price, e.g. "£1.45 B"
+function findVatCode(line) {
+  const match = line.match(/\d[.,]\d{2}\s*[£$€]?\s*\*?\s*([A-Z])\s*$/);
+  return match ? match[1] : null;
+}
+
+// Map VAT code letters to rates from the legend at the foot of the
+// receipt: "A = 20%", "B 5.00%", "Z ZERO RATED" or a VAT summary line.
+function extractVatLegend(lines, vatLines) {
+  const rates = {};
+
+  vatLines.forEach(vatLine => {
+    if (vatLine.code && vatLine.rate !== null && vatLine.rate !== undefined) {
+      rates[vatLine.code] = vatLine.rate;
+    }
+  });
+
+  for (const line of lines) {
+    if (/\d{1,4}[.,]\d{2}\s*[A-Z]?\s*$/.test(line) && !/%/.test(line)) continue;
+
+    for (const match of line.matchAll(/(?:^|\s|VAT\s*)([A-Z])\s*(?:[=:\-@]|\s)\s*(?:VAT\s*)?(?:@\s*)?(\d{1,2}(?:\.\d{1,2})?)\s*%/gi)) {
+      const code = match[1];
+      if (code !== code.toUpperCase()) continue;
+      if (rates[code] === undefined) {
+        rates[code] = parseFloat(match[2]);
+      }
+    }
+
+    const zeroMatch = line.match(/(?:^|\s)([A-Z])\s*[=:\-]?\s*(?:zero|exempt|nil)(?:\s*-?\s*rated)?\b/i);
+    if (zeroMatch && zeroMatch[1] === zeroMatch[1].toUpperCase() && rates[zeroMatch[1]] === undefined) {
+      rates[zeroMatch[1]] = 0;
+    }
+  }
+
+  return rates;
+}
+
+// Rates the receipt itself shows being charged, from the VAT summary
+// lines when there are any, otherwise from the printed legend
+function getChargedRates(printedRates, vatLines) {
+  const summaryRates = vatLines
+    .map(vatLine => vatLine.rate)
+    .filter(rate => rate !== null && rate !== undefined);
+  const rates = summaryRates.length > 0 ? summaryRates : Object.values(printedRates);
+  return [...new Set(rates)];
+}
+
+// Set each item's VAT rate from its code. When the receipt only ever
+// charges one rate, uncoded items must be at that rate too.
+function applyVatRates(items, vatRates, chargedRates) {
+  items.forEach(item => {
+    if (item.vatCode && vatRates[item.vatCode] !== undefined) {
+      item.vatRate = vatRates[item.vatCode];
+    } else if (!item.vatCode && chargedRates.length === 1) {
+      item.vatRate = chargedRates[0];
+    }
   });
 }
 
+function splitLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+}
+
+function parseTemplateItems(template, lines) {
+  const items = [];
+  const modifierState = { pendingQuantity: null };
+
+  for (const line of lines) {
+    if (template.itemsEnd && template.itemsEnd.test(line) && items.length > 0) break;
+    if ((template.skipLines || []).some(pattern => pattern.test(line))) continue;
+
+    const modifier = classifyModifierLine(line);
+    if (modifier) {
+      applyLineModifier(items, modifier, modifierState);
+      continue;
+    }
+
+    const match = line.match(template.itemLine);
+    if (!match) continue;
+
+    const { name, price, quantity, code } = match.groups;
+    const itemName = cleanItemName(name);
+    if (itemName.length < 2 || isItemNameInvalid(itemName)) continue;
+
+    const item = createLineItem(
+      itemName,
+      quantity ? Math.max(parseInt(quantity), 1) : 1,
+      parseAmount(price),
+      // The line matched a known layout, so only OCR noise can be wrong
+      0.85,
+      modifierState
+    );
+
+    if (code) {
+      item.vatCode = code.toUpperCase();
+    }
+
+    items.push(item);
+  }
+
+  console.log(`🏪 ${template.name} template items:`, items.length);
+  return removeDuplicates(items).slice(0, 50);
+}
+
+function extractTemplateTotals(template, lines) {
+  const totals = template.totals || {};
+  let subtotal = null;
+  let total = null;
+  const vatLines = [];
+
+  for (const line of lines) {
+    const vatMatch = totals.vatLine && line.match(totals.vatLine);
+    if (vatMatch) {
+      const groups = vatMatch.groups || {};
+      const code = groups.code ? groups.code.toUpperCase() : null;
+      const rate = groups.rate !== undefined
+        ? parseFloat(groups.rate)
+        : (code && template.vatCodes ? template.vatCodes[code] : null);
+      const net = groups.net !== undefined ? parseAmount(groups.net) : null;
+      const vat = groups.vat !== undefined ? parseAmount(groups.vat) : null;
+      const gross = groups.gross !== undefined
+        ? parseAmount(groups.gross)
+        : (net !== null && vat !== null ? roundMoney(net + vat) : null);
+
+      if (vat !== null) {
+        vatLines.push({ code, rate, net, vat, gross });
+      }
+      continue;
+    }
+
+    const amounts = extractLineAmounts(line);
+    if (amounts.length === 0) continue;
+
+    if (subtotal === null && totals.subtotal && totals.subtotal.test(line)) {
+      subtotal = amounts[amounts.length - 1];
+    } else if (total === null && totals.total && totals.total.test(line)) {
+      total = amounts[amounts.length - 1];
+    }
+  }
+
+  return {
+    subtotal,
+    total,
+    vatLines,
+    vatTotal: vatLines.length > 0
+      ? roundMoney(vatLines.reduce((sum, vatLine) => sum + vatLine.vat, 0))
+      : null
+  };
+}
+
+// Template figures win; generic extraction fills whatever the template missed
+function mergeTotals(primary, fallback) {
+  const vatLines = primary.vatLines.length > 0 ? primary.vatLines : fallback.vatLines;
+  return {
+    subtotal: primary.subtotal !== null ? primary.subtotal : fallback.subtotal,
+    total: primary.total !== null ? primary.total : fallback.total,
+    vatLines,
+    vatTotal: primary.vatLines.length > 0 ? primary.vatTotal : fallback.vatTotal
+  };
+}
+
+function parseAmount(value) {
+  return parseFloat(String(value).replace(',', '.'));
+}
+
+function extractMerchantName(lines) {
+  // The trading name is almost always one of the first few printed lines
+  for (const line of lines.slice(0, 6)) {
+    const letters = (line.match(/[a-zA-Z]/g) || []).length;
+    if (letters < 3 || letters / line.length < 0.5) continue;
+    if (/\b(tel|phone|vat|www|http|receipt|invoice|welcome)\b/i.test(line)) continue;
+    if (/\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}/.test(line)) continue;
+
+    const name = line.replace(/[^\w\s&'.-]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (name.length >= 3 && name.length <= 50) {
+      return capitalizeWords(name);
+    }
+  }
+  return null;
+}
+
+function extractTransactionDateTime(lines) {
+  let transactionDate = null;
+  let transactionTime = null;
+
+  for (const line of lines) {
+    if (!transactionDate) {
+      transactionDate = parseReceiptDate(line);
+    }
+    if (!transactionTime) {
+      const timeMatch = line.match(/\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?\b/);
+      if (timeMatch) {
+        transactionTime = `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+      }
+    }
+    if (transactionDate && transactionTime) break;
+  }
+
+  return { transactionDate, transactionTime };
+}
+
+// UK receipts print dates day-first; returns an ISO yyyy-mm-dd string
+function parseReceiptDate(line) {
+  let day, month, year;
+
+  const isoMatch = line.match(/\b(20\d{2})[\/\-.](\d{1,2})[\/\-.](\d{1,2})\b/);
+  const numericMatch = line.match(/\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2}|\d{4})\b/);
+  const namedMatch = line.match(/\b(\d{1,2})\s*(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s*(\d{2}|\d{4})\b/i);
+
+  if (isoMatch) {
+    [, year, month, day] = isoMatch;
+  } else if (numericMatch) {
+    [, day, month, year] = numericMatch;
+  } else if (namedMatch) {
+    day = namedMatch[1];
+    month = MONTHS.indexOf(namedMatch[2].toLowerCase()) + 1;
+    year = namedMatch[3];
+  } else {
+    return null;
+  }
+
+  day = parseInt(day);
+  month = parseInt(month);
+  year = parseInt(year);
+  if (year < 100) year += 2000;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day ||
+    year < 2000 ||
+    date.getTime() > Date.now() + 24 * 60 * 60 * 1000
+  ) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+}
+
+function extractVatNumber(text) {
+  // GB VAT numbers are 9 digits (12 for branch traders), often spaced 3-4-2
+  const match = text.match(/vat\s*(?:reg(?:istration)?\.?\s*)?(?:no|number|#)?\.?\s*:?\s*(GB)?\s*(\d{3}\s?\d{4}\s?\d{2}(?:\s?\d{3})?)\b/i);
+  if (!match) return null;
+  return `GB${match[2].replace(/\s/g, '')}`;
+}
+
+function extractLineAmounts(line) {
+  const amounts = [];
+  const pattern = /-?[£$€¥₹]?\s*(\d{1,5}[.,]\d{2})\b/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    amounts.push(parseFloat(match[1].replace(',', '.')));
+  }
+  return amounts;
+}
+
+function extractReceiptTotals(lines) {
+  let subtotal = null;
+  let total = null;
+  const vatLines = [];
+
+  for (const line of lines) {
+    const lower = line.toLowerCase();
+    const amounts = extractLineAmounts(line);
+    if (amounts.length === 0) continue;
+
+    const rateMatch = line.match(/(\d{1,2}(?:[.,]\d{1,2})?)\s*%/);
+    if (rateMatch && (/\bvat\b/i.test(line) || /^[A-Z]\b/.test(line))) {
+      const vatLine = parseVatLine(line, parseFloat(rateMatch[1].replace(',', '.')), amounts);
+      if (vatLine) vatLines.push(vatLine);
+      continue;
+    }
+
+    if (/sub\s*-?\s*total/.test(lower)) {
+      subtotal = amounts[amounts.length - 1];
+    } else if (/(grand\s*total|total\s*(to\s*pay|due)|balance\s*(due|to\s*pay)|amount\s*due|^total\b)/.test(lower) &&
+               !/(saving|discount|vat|items?\b)/.test(lower)) {
+      // Later totals win - "TOTAL" is often repeated above the tender lines
+      if (total === null || /(grand|to\s*pay|due)/.test(lower)) {
+        total = amounts[amounts.length - 1];
+      }
+    }
+  }
+
+  return {
+    subtotal,
+    total,
+    vatLines,
+    vatTotal: vatLines.length > 0
+      ? roundMoney(vatLines.reduce((sum, vatLine) => sum + vatLine.vat, 0))
+      : null
+  };
+}
+
+// "VAT 20% 2.00", "A 20.0% 10.00 2.00" or "A 20% 12.00 10.00 2.00"
+function parseVatLine(line, rate, amounts) {
+  const codeMatch = line.match(/^([A-Z])\b/);
+  const result = { code: codeMatch ? codeMatch[1] : null, rate, net: null, vat: null, gross: null };
+
+  if (amounts.length === 1) {
+    result.vat = amounts[0];
+  } else {
+    // Find the net/vat pair that agrees with the printed rate
+    for (let i = 0; i < amounts.length && result.vat === null; i++) {
+      for (let j = 0; j < amounts.length; j++) {
+        if (i === j) continue;
+        if (Math.abs(amounts[i] * rate / 100 - amounts[j]) <= RECONCILE_TOLERANCE) {
+          result.net = amounts[i];
+          result.vat = amounts[j];
+          break;
+        }
+      }
+    }
+    if (result.vat === null) {
+      result.vat = amounts[amounts.length - 1];
+    } else {
+      const gross = amounts.find(amount => amount !== result.net && amount !== result.vat);
+      result.gross = gross !== undefined ? gross : roundMoney(result.net + result.vat);
+    }
+  }
+
+  return result;
+}
+
+// Check the items add up to the receipt. Shop receipts print VAT-inclusive
+// prices that sum to the total; trade invoices print net prices that sum
+// to the subtotal, with VAT added below. `basis` records which matched.
+export function reconcileReceipt(items, totals) {
+  const itemsTotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const total = totals.total ?? null;
+  const subtotal = totals.subtotal ?? null;
+  const expectedTotal = total !== null ? total : subtotal;
+
+  if (expectedTotal === null || items.length === 0) {
+    return { itemsTotal, expectedTotal, difference: null, status: 'unknown', basis: null };
+  }
+
+  const difference = roundMoney(expectedTotal - itemsTotal);
+  if (Math.abs(difference) <= RECONCILE_TOLERANCE) {
+    return { itemsTotal, expectedTotal, difference, status: 'matched', basis: 'gross' };
+  }
+
+  if (subtotal !== null && total !== null && subtotal < total &&
+      Math.abs(subtotal - itemsTotal) <= RECONCILE_TOLERANCE) {
+    return {
+      itemsTotal,
+      expectedTotal: subtotal,
+      difference: roundMoney(subtotal - itemsTotal),
+      status: 'matched',
+      basis: 'net'
+    };
+  }
+
+  return { itemsTotal, expectedTotal, difference, status: 'mismatch', basis: null };
+}
+
+// Whether a receipt's prices include VAT: they do unless the items only
+// add up to the subtotal. `override` is the user's own answer, when given.
+export function pricesIncludeVat(details, override = null) {
+  return typeof override === 'boolean' ? override : details?.reconciliation?.basis !== 'net';
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
 // Legacy function for compatibility
 export function parseReceiptItems(text) {
   return parseReceipt(text);
@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import { LOW_CONFIDENCE_THRESHOLD, parseReceipt, parseReceiptDetails, parseReceiptLayout, pricesIncludeVat } from './receipt-parser';
+
+// A Tesseract line 20px high at `top`, from words given as [text, x0, x1]
+const ocrLine = (top, words, confidence = 92) => ({
+  words: words.map(([text, x0, x1]) => ({ text, confidence, bbox: { x0, y0: top, x1, y1: top + 20 } }))
+});
+
+const ocrData = (...lines) => ({
+  text: lines.map(line => line.words.map(word => word.text).join(' ')).join('\n'),
+  lines
+});
+
+describe('parseReceiptLayout', () => {
+  it('takes prices from the right-hand column, not unit prices further left', () => {
+    const items = parseReceiptLayout(ocrData(
+      ocrLine(0, [['Milk', 10, 50], ['2L', 55, 75], ['1.45', 380, 420]]),
+      ocrLine(40, [['2', 10, 20], ['x', 25, 35], ['Bread', 40, 90], ['1.10', 250, 290], ['2.20', 380, 420]]),
+      ocrLine(80, [['Apples', 10, 70], ['0.80', 380, 420]]),
+      ocrLine(120, [['TOTAL', 10, 60], ['4.45', 380, 420]])
+    ));
+
+    expect(items.map(item => [item.name, item.quantity])).toEqual([
+      ['Milk 2l', 1],
+      ['Bread', 2],
+      ['Apples', 1]
+    ]);
+    expect(items[0].price).toBe(1.45);
+    expect(items[2].price).toBe(0.8);
+  });
+
+  it('joins a name wrapped onto the line above its price', () => {
+    const items = parseReceiptLayout(ocrData(
+      ocrLine(0, [['Organic', 10, 80], ['free', 85, 120], ['range', 125, 170]]),
+      ocrLine(22, [['eggs', 10, 50], ['6', 55, 62], ['pack', 67, 100], ['2.40', 380, 420]]),
+      ocrLine(62, [['Butter', 10, 70], ['1.95', 380, 420]])
+    ));
+
+    expect(items.map(item => item.name)).toEqual(['Organic Free Range Eggs 6 Pack', 'Butter']);
+    expect(items[0].confidence).toBeLessThan(items[1].confidence);
+  });
+
+  it('keeps a heading separated by a gap out of the next name', () => {
+    const items = parseReceiptLayout(ocrData(
+      ocrLine(0, [['Fresh', 10, 60], ['Produce', 65, 140]]),
+      ocrLine(60, [['Carrots', 10, 80], ['0.60', 380, 420]]),
+      ocrLine(100, [['Onions', 10, 75], ['0.90', 380, 420]])
+    ));
+
+    expect(items.map(item => item.name)).toEqual(['Carrots', 'Onions']);
+  });
+
+  it('scores poorly read items below the review threshold', () => {
+    const items = parseReceiptLayout(ocrData(
+      ocrLine(0, [['Carrots', 10, 80], ['0.60', 380, 420]], 35),
+      ocrLine(40, [['Onions', 10, 75], ['0.90', 380, 420]], 35)
+    ));
+
+    expect(items.every(item => item.confidence < LOW_CONFIDENCE_THRESHOLD)).toBe(true);
+  });
+
+  it('finds nothing without a price column', () => {
+    expect(parseReceiptLayout(ocrData(ocrLine(0, [['Thank', 10, 60], ['you', 65, 100]])))).toEqual([]);
+  });
+});
+
+const receipt = (...lines) => ['Corner Shop', 'High Street', ...lines].join('\n');
+
+describe('parseReceipt line modifiers', () => {
+  it('leaves items alone for negative tender and change lines', () => {
+    const items = parseReceipt(receipt(
+      'Bread loaf white    1.20',
+      'Orange juice 1L     2.50',
+      'Cash              -10.00',
+      'Change             -6.30'
+    ));
+
+    expect(items.map(item => [item.name, item.lineTotal])).toEqual([
+      ['Bread Loaf White', 1.2],
+      ['Orange Juice 1l', 2.5]
+    ]);
+  });
+
+  it('takes a promotion line off the item above', () => {
+    const items = parseReceipt(receipt(
+      'Orange juice 1L     2.50',
+      'Offer saving       -0.50'
+    ));
+
+    expect(items[0]).toMatchObject({ lineTotal: 2, discount: 0.5 });
+  });
+
+  it('drops a voided item', () => {
+    const items = parseReceipt(receipt(
+      'Bread loaf white    1.20',
+      'Orange juice 1L     2.50',
+      'VOID               -2.50'
+    ));
+
+    expect(items.map(item => item.name)).toEqual(['Bread Loaf White']);
+  });
+});
+
+describe('parseReceiptDetails VAT codes', () => {
+  it('reads item rates from the legend under the totals', () => {
+    const details = parseReceiptDetails(receipt(
+      'Crisps multipack   1.00 A',
+      'Unleaded fuel      2.00 B',
+      'Semi skimmed milk  1.45 Z',
+      'TOTAL              4.45',
+      'A = 20%  B = 5%',
+      'Z ZERO RATED'
+    ));
+
+    expect(details.vatRates).toEqual({ A: 20, B: 5, Z: 0 });
+    expect(details.items.map(item => [item.vatCode, item.vatRate])).toEqual([['A', 20], ['B', 5], ['Z', 0]]);
+  });
+
+  it('puts uncoded items at the only rate the receipt charges', () => {
+    const details = parseReceiptDetails(receipt(
+      'Notebook A5        3.60 A',
+      'Pens pack of 10    2.40',
+      'TOTAL              6.00',
+      'VAT A 20.0%   5.00   1.00'
+    ));
+
+    expect(details.items.map(item => item.vatRate)).toEqual([20, 20]);
+  });
+
+  it('leaves uncoded items alone when the receipt charges more than one rate', () => {
+    const details = parseReceiptDetails(receipt(
+      'Notebook A5        3.60 A',
+      'Pens pack of 10    2.40',
+      'Cake               1.05 B',
+      'TOTAL              7.05',
+      'A = 20%  B = 5%'
+    ));
+
+    expect(details.items.map(item => item.vatRate)).toEqual([20, undefined, 5]);
+  });
+});
+
+describe('pricesIncludeVat', () => {
+  const invoice = (...lines) => parseReceiptDetails(receipt(...lines));
+
+  it('takes prices that add up to the subtotal as net of VAT', () => {
+    const details = invoice('Copper pipe 15mm   10.00', 'Elbow joints       5.00', 'SUBTOTAL          15.00', 'VAT 20%            3.00', 'TOTAL             18.00');
+
+    expect(details.reconciliation.basis).toBe('net');
+    expect(pricesIncludeVat(details)).toBe(false);
+  });
+
+  it('takes prices that add up to the total as including VAT', () => {
+    expect(pricesIncludeVat(invoice('Copper pipe 15mm   12.00', 'Elbow joints       6.00', 'TOTAL             18.00'))).toBe(true);
+  });
+
+  it('lets the user overrule the receipt', () => {
+    const details = invoice('Copper pipe 15mm   10.00', 'SUBTOTAL          10.00', 'VAT 20%            2.00', 'TOTAL             12.00');
+
+    expect(pricesIncludeVat(details, true)).toBe(true);
+    expect(pricesIncludeVat(null)).toBe(true);
+  });
+});
@@ -0,0 +1,31 @@
+// Booker receipts as OCR reads them, with the parse we expect.
+export default [
+  {
+    text: `BOOKER WHOLESALE
+Branch 123 Anytown
+VAT Reg No 222 2222 22
+Date 02/04/2024 09:15
+CODE   DESCRIPTION            QTY  PRICE  VALUE VAT
+123456 COCA COLA 24X330ML       2   8.49  16.98 S
+234567 PG TIPS 240 BAGS         1   6.25   6.25 Z
+345678 BLUE ROLL 2PLY 6PK       3   4.00  12.00 S
+GOODS TOTAL                           35.23
+VAT ANALYSIS
+S 20.00  28.98  5.80
+Z  0.00   6.25  0.00
+INVOICE TOTAL                         41.03`,
+    expected: {
+      merchant: 'Booker',
+      transactionDate: '2024-04-02',
+      vatNumber: 'GB222222222',
+      subtotal: 35.23,
+      total: 41.03,
+      vatTotal: 5.8,
+      items: [
+        { name: 'Coca Cola 24x330ml', quantity: 2, price: 8.49, vatCode: 'S' },
+        { name: 'Pg Tips 240 Bags', quantity: 1, price: 6.25, vatCode: 'Z' },
+        { name: 'Blue Roll 2ply 6pk', quantity: 3, price: 4, vatCode: 'S' }
+      ]
+    }
+  }
+];
@@ -0,0 +1,28 @@
+// Costco receipts as OCR reads them, with the parse we expect.
+export default [
+  {
+    text: `COSTCO WHOLESALE
+Watford Warehouse
+VAT REG NO GB 787 9887 89
+Member 111122223333
+E 1234567 KS PAPER TOWEL 12PK   19.99 A
+TPD/1234567                      3.00-
+567890 KS BASMATI RICE 10KG   14.49 Z
+SUBTOTAL                        31.48
+A VAT 20% 2.83
+TOTAL                           31.48
+30/06/2024 12:01`,
+    expected: {
+      merchant: 'Costco',
+      transactionDate: '2024-06-30',
+      vatNumber: 'GB787988789',
+      subtotal: 31.48,
+      total: 31.48,
+      vatTotal: 2.83,
+      items: [
+        { name: 'Ks Paper Towel 12pk', quantity: 1, price: 16.99, vatCode: 'A' },
+        { name: 'Ks Basmati Rice 10kg', quantity: 1, price: 14.49, vatCode: 'Z' }
+      ]
+    }
+  }
+];
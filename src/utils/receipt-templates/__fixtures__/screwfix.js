@@ -0,0 +1,27 @@
+// Screwfix receipts as OCR reads them, with the parse we expect.
+export default [
+  {
+    text: `SCREWFIX DIRECT
+Trade Counter Leeds
+VAT No. GB 232 4565 12
+21/05/2024 07:58
+ITEM  DESCRIPTION               QTY  TOTAL
+13220 Goldscrew Woodscrews 4x40   2  £11.98
+45112 No Nonsense Silicone Clr    1   £3.49
+Total ex VAT                     £12.89
+VAT @ 20%                         £2.58
+Total inc VAT                    £15.47`,
+    expected: {
+      merchant: 'Screwfix',
+      transactionDate: '2024-05-21',
+      vatNumber: 'GB232456512',
+      subtotal: 12.89,
+      total: 15.47,
+      vatTotal: 2.58,
+      items: [
+        { name: 'Goldscrew Woodscrews 4x40', quantity: 2, price: 5.99 },
+        { name: 'No Nonsense Silicone Clr', quantity: 1, price: 3.49 }
+      ]
+    }
+  }
+];
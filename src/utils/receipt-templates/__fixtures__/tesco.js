@@ -0,0 +1,33 @@
+// Tesco receipts as OCR reads them, with the parse we expect.
+export default [
+  {
+    text: `TESCO
+Express
+Kings Road London
+VAT NUMBER: GB 220 4302 31
+SEMI SKIMMED MILK 4PT      £1.45 Z
+COCA COLA 2L               £3.00 A
+2 @ £1.50
+Clubcard Price            -£0.50
+WASHING UP LIQUID          £1.20 A
+SUBTOTAL                   £5.15
+TOTAL                      £5.15
+CARD                       £5.15
+A 20.00%   £3.08   £0.62
+Z  0.00%   £1.45   £0.00
+14/03/2024 17:42`,
+    expected: {
+      merchant: 'Tesco',
+      transactionDate: '2024-03-14',
+      vatNumber: 'GB220430231',
+      total: 5.15,
+      subtotal: 5.15,
+      vatTotal: 0.62,
+      items: [
+        { name: 'Semi Skimmed Milk 4pt', quantity: 1, price: 1.45, vatCode: 'Z', vatRate: 0 },
+        { name: 'Coca Cola 2l', quantity: 2, price: 1.25, vatCode: 'A', vatRate: 20 },
+        { name: 'Washing Up Liquid', quantity: 1, price: 1.2, vatCode: 'A', vatRate: 20 }
+      ]
+    }
+  }
+];
@@ -0,0 +1,20 @@
+// Booker cash & carry invoices: product code, description, quantity,
+// unit price, line value and VAT code in fixed columns, with a VAT
+// analysis table at the foot.
+export default {
+  id: 'booker',
+  name: 'Booker',
+  match: [/\bbooker\b/i],
+  vatCodes: { S: 20, R: 5, Z: 0, E: 0 },
+  itemLine: /^\d{5,7}\s+(?<name>.+?)\s+(?<quantity>\d{1,3})\s+(?<unitPrice>\d{1,4}\.\d{2})\s+(?<price>\d{1,5}\.\d{2})\s+(?<code>[SRZE])$/,
+  skipLines: [
+    /^code\s+description/i,
+    /^(pack|case)\s+size/i
+  ],
+  itemsEnd: /^(goods\s*total|vat\s*analysis|sub\s*-?\s*total)\b/i,
+  totals: {
+    subtotal: /^goods\s*total\b/i,
+    total: /^(invoice\s*total|total\s*due)\b/i,
+    vatLine: /^(?<code>[SRZE])\s+(?<rate>\d{1,2}(?:\.\d{1,2})?)%?\s+(?<net>\d+\.\d{2})\s+(?<vat>\d+\.\d{2})$/
+  }
+};
@@ -0,0 +1,19 @@
+// Costco warehouse receipts: item number, description, price and VAT
+// code. Instant savings appear as "TPD/<item number>" lines.
+export default {
+  id: 'costco',
+  name: 'Costco',
+  match: [/\bcostco\b/i],
+  vatCodes: { A: 20, B: 5, Z: 0 },
+  itemLine: /^(?:E\s+)?\d{4,7}\s+(?<name>[A-Za-z].*?)\s+(?<price>\d{1,4}\.\d{2})\s*(?<code>[ABZ])$/,
+  skipLines: [
+    /^member\b/i,
+    /^\*+\s*$/
+  ],
+  itemsEnd: /^(sub\s*-?\s*total|total)\b/i,
+  totals: {
+    subtotal: /^sub\s*-?\s*total\b/i,
+    total: /^total\b/i,
+    vatLine: /^(?<code>[ABZ])\s+vat\s+(?<rate>\d{1,2}(?:\.\d{1,2})?)%\s+(?<vat>\d+\.\d{2})$/i
+  }
+};
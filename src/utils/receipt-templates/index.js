@@ -0,0 +1,60 @@
+// Merchant-specific receipt templates.
+//
+// A template is a plain object exported from its own module:
+//
+//   id         unique key, e.g. 'tesco'
+//   name       merchant name saved against the receipt
+//   match      regexes tested against the receipt header (first lines)
+//   vatCodes   VAT code letter -> rate printed on this merchant's receipts
+//   itemLine   regex for an item line; named groups `name` and `price`
+//              (line total) are required, `quantity`, `unitPrice` and
+//              `code` (VAT letter) are optional
+//   skipLines  regexes for lines inside the item block that aren't items
+//   itemsEnd   regex for the first line after the item block
+//   totals     { subtotal, total, vatLine } - vatLine may use the named
+//              groups `code`, `rate`, `net`, `vat` and `gross`
+//
+// Add a template by creating a module next to this file and listing it
+// below, or at runtime with registerReceiptTemplate(). Sample receipts for
+// each template live in __fixtures__ and run with `npm test`.
+import tesco from './tesco';
+import booker from './booker';
+import screwfix from './screwfix';
+import costco from './costco';
+
+// Only the top of the receipt is checked when matching a merchant
+const HEADER_LINES = 8;
+
+const templates = [tesco, booker, screwfix, costco];
+
+export function registerReceiptTemplate(template) {
+  if (!template || !template.id || !Array.isArray(template.match) || !template.itemLine) {
+    throw new Error('Receipt templates need an id, match patterns and an itemLine pattern');
+  }
+
+  const index = templates.findIndex(existing => existing.id === template.id);
+  if (index >= 0) {
+    templates[index] = template;
+  } else {
+    templates.push(template);
+  }
+}
+
+export function getReceiptTemplates() {
+  return [...templates];
+}
+
+export function findReceiptTemplate(text) {
+  if (!text) return null;
+
+  const header = text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .slice(0, HEADER_LINES)
+    .join('\n');
+
+  return templates.find(template =>
+    template.match.some(pattern => pattern.test(header))
+  ) || null;
+}
@@ -0,0 +1,19 @@
+// Screwfix trade counter receipts: five digit product code, description,
+// quantity and line total. VAT is a single standard-rate summary line.
+export default {
+  id: 'screwfix',
+  name: 'Screwfix',
+  match: [/\bscrewfix\b/i],
+  vatCodes: { S: 20, Z: 0 },
+  itemLine: /^(?:\d{5}\s+)?(?<name>[A-Za-z].*?)\s+(?<quantity>\d{1,3})\s+£?(?<price>\d{1,5}\.\d{2})$/,
+  skipLines: [
+    /^(qty|item)\s+/i,
+    /trade\s*counter/i
+  ],
+  itemsEnd: /^total\s*(ex|exc|inc)/i,
+  totals: {
+    subtotal: /^total\s*(ex|exc)\.?\s*vat\b/i,
+    total: /^total\s*(inc|incl)\.?\s*vat\b/i,
+    vatLine: /^vat\s*@?\s*(?<rate>\d{1,2}(?:\.\d{1,2})?)%\s+£?(?<vat>\d+\.\d{2})$/i
+  }
+};
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { parseReceiptDetails } from '../receipt-parser';
+import tescoSamples from './__fixtures__/tesco';
+import bookerSamples from './__fixtures__/booker';
+import screwfixSamples from './__fixtures__/screwfix';
+import costcoSamples from './__fixtures__/costco';
+
+const fixtures = {
+  tesco: tescoSamples,
+  booker: bookerSamples,
+  screwfix: screwfixSamples,
+  costco: costcoSamples
+};
+
+const HEADER_FIELDS = ['merchant', 'transactionDate', 'vatNumber', 'subtotal', 'total', 'vatTotal'];
+
+describe.each(Object.entries(fixtures))('%s template', (templateId, samples) => {
+  it.each(samples.map((sample, index) => [index + 1, sample]))('parses sample %i', (_, { text, expected }) => {
+    const details = parseReceiptDetails(text);
+
+    expect(details.templateId).toBe(templateId);
+    HEADER_FIELDS.filter(field => expected[field] !== undefined).forEach(field => {
+      expect(details[field], field).toBe(expected[field]);
+    });
+    if (expected.items) {
+      expect(details.items).toHaveLength(expected.items.length);
+      expected.items.forEach((expectedItem, index) => {
+        expect(details.items[index]).toMatchObject(expectedItem);
+      });
+    }
+  });
+});
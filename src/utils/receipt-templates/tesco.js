@@ -0,0 +1,19 @@
+// Tesco store receipts. Prices carry a leading £, Clubcard and multi-buy
+// savings are printed under the item they apply to.
+export default {
+  id: 'tesco',
+  name: 'Tesco',
+  match: [/\btesco\b/i],
+  vatCodes: { A: 20, B: 5, C: 0, Z: 0 },
+  itemLine: /^(?<name>[A-Za-z0-9].*?)\s+£?(?<price>\d{1,4}\.\d{2})\s*(?<code>[A-Z])?$/,
+  skipLines: [
+    /clubcard\s*(points|statement|no)/i,
+    /^\s*£?\d+\.\d{2}\s*$/
+  ],
+  itemsEnd: /^(sub\s*-?\s*total|total|balance\s*due)\b/i,
+  totals: {
+    subtotal: /^sub\s*-?\s*total\b/i,
+    total: /^(total|balance\s*due)\b/i,
+    vatLine: /^(?<code>[A-Z])\s+(?<rate>\d{1,2}(?:\.\d{1,2})?)%\s+£?(?<net>\d+\.\d{2})\s+£?(?<vat>\d+\.\d{2})$/
+  }
+};
@@ -14,6 +14,12 @@ const SECURITY_CONFIG = {
     'application/vnd.ms-excel',
     'text/csv'
   ],
+  RECEIPT_FILE_TYPES: [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'application/pdf'
+  ],
   XSS_PATTERNS: [
     /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
     /javascript:/gi,
@@ -231,8 +237,11 @@ export const clearFailedAttempts = (email) => {
   localStorage.removeItem(key);
 };
 
+export const RECEIPT_FILE_TYPES = SECURITY_CONFIG.RECEIPT_FILE_TYPES;
+
 // File validation for uploads
-export const validateFile = (file) => {
+// Defaults to the spreadsheet types accepted by the Excel importer
+export const validateFile = (file, allowedTypes = SECURITY_CONFIG.ALLOWED_FILE_TYPES, typeDescription = 'Excel and CSV files') => {
   const errors = [];
   
   if (!file) {
@@ -246,8 +255,8 @@ export const validateFile = (file) => {
   }
   
   // File type check
-  if (!SECURITY_CONFIG.ALLOWED_FILE_TYPES.includes(file.type)) {
-    errors.push('Invalid file type. Only Excel and CSV files are allowed');
+  if (!allowedTypes.includes(file.type)) {
+    errors.push(`Invalid file type. Only ${typeDescription} are allowed`);
   }
   
   // File name validation
@@ -274,6 +283,11 @@ export const validateFile = (file) => {
   };
 };
 
+// Receipt photos and PDF invoices
+export const validateReceiptFile = (file) => {
+  return validateFile(file, SECURITY_CONFIG.RECEIPT_FILE_TYPES, 'JPG, PNG, WebP and PDF files');
+};
+
 // Session management
 export const createSession = (userData) => {
   const sessionData = {
@@ -440,6 +454,7 @@ export default {
   recordFailedAttempt,
   clearFailedAttempts,
   validateFile,
+  validateReceiptFile,
   createSession,
   validateSession,
   clearSession,
@@ -0,0 +1,53 @@
+// Shared pieces of the report downloads (VAT reclaim, closing stock):
+// file naming, CSV quoting and the download itself.
+import * as XLSX from 'xlsx';
+
+// "Acme_Ltd_VAT_Reclaim_Report_2024-04-05.xlsx"
+export const exportFileName = (businessName, report, extension) => {
+  const dateStr = new Date().toISOString().split('T')[0];
+  const safeName = (businessName || 'Business').replace(/[^a-zA-Z0-9]/g, '_');
+  return `${safeName}_${report}_${dateStr}.${extension}`;
+};
+
+// Quote a field when it holds a comma, quote or line break, doubling any quotes
+export const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Download a CSV file. Lines are either ready-made strings (report
+ * headings) or arrays of fields, which are quoted as needed.
+ */
+export const downloadCsv = (lines, fileName) => {
+  const csvContent = lines
+    .map(line => (Array.isArray(line) ? line.map(csvField).join(',') : line))
+    .join('\n');
+
+  const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Download an Excel workbook. Each sheet is { name, rows } for a table of
+ * objects (one column per key) or { name, cells } for rows of cells.
+ */
+export const downloadWorkbook = (sheets, fileName) => {
+  const wb = XLSX.utils.book_new();
+  for (const sheet of sheets) {
+    const ws = sheet.rows
+      ? XLSX.utils.json_to_sheet(sheet.rows)
+      : XLSX.utils.aoa_to_sheet(sheet.cells);
+    XLSX.utils.book_append_sheet(wb, ws, sheet.name);
+  }
+  XLSX.writeFile(wb, fileName);
+};
@@ -0,0 +1,110 @@
+// Stock is a ledger of movements per product: purchases book stock in,
+// usage books it out and adjustments correct it either way. The quantity
+// on hand is the sum of a product's movements.
+import { ukVatPercentage } from './currency';
+
+export const MAX_PRODUCT_NAME_LENGTH = 100;
+
+export const MOVEMENT_TYPES = [
+  { value: 'opening', label: 'Opening stock' },
+  { value: 'purchase', label: 'Purchase' },
+  { value: 'usage', label: 'Used' },
+  { value: 'adjustment', label: 'Adjustment' }
+];
+
+// Types that are booked by hand rather than from a purchase
+export const MANUAL_MOVEMENT_TYPES = ['usage', 'adjustment'];
+
+export const STOCK_UNITS = ['each', 'box', 'pack', 'bag', 'roll', 'metre', 'litre', 'kg'];
+
+export const movementTypeLabel = (type) => (
+  MOVEMENT_TYPES.find(option => option.value === type)?.label || type
+);
+
+// Quantities are kept to 3 decimal places (metres, litres) so sums don't drift
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+export const normaliseProductName = (name) => (
+  String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_PRODUCT_NAME_LENGTH)
+);
+
+/**
+ * The saved product a purchase or search refers to: the same SKU, or else
+ * the same name ignoring case and spacing. Unlike suppliers there is no
+ * fuzzy match, as booking stock against the wrong product is worse than
+ * creating a second one.
+ */
+export const matchProduct = ({ name, sku }, products) => {
+  const cleanedSku = String(sku || '').trim().toLowerCase();
+  if (cleanedSku) {
+    const bySku = products.find(product => (product.sku || '').toLowerCase() === cleanedSku);
+    if (bySku) return bySku;
+  }
+
+  const cleanedName = normaliseProductName(name).toLowerCase();
+  if (!cleanedName) return null;
+  return products.find(product => product.name.toLowerCase() === cleanedName) || null;
+};
+
+// Cost of one unit net of VAT, which is how stock is valued
+export const netUnitCost = (item) => {
+  const unitPrice = parseFloat(item.unitPrice) || 0;
+  const rate = ukVatPercentage(item);
+  return item.vatIncluded ? unitPrice / (1 + rate / 100) : unitPrice;
+};
+
+// The stock-in movement for a saved purchase
+export const purchaseMovement = (item) => ({
+  productId: item.productId,
+  purchaseId: item.id,
+  quantity: parseFloat(item.quantity) || 0,
+  unitCost: netUnitCost(item),
+  occurredAt: String(item.dateAdded || new Date().toISOString()).split('T')[0]
+});
+
+/**
+ * Quantity booked by hand, signed the way it is stored: usage is always
+ * out of stock, an adjustment can go either way. Throws with a message
+ * fit for the user.
+ */
+export const signedQuantity = (type, quantity) => {
+  const value = parseFloat(quantity);
+  if (isNaN(value) || value === 0) {
+    throw new Error('Enter a quantity other than zero');
+  }
+  if (type === 'usage') {
+    if (value < 0) throw new Error('Enter the quantity used as a positive number');
+    return -roundQuantity(value);
+  }
+  return roundQuantity(value);
+};
+
+// Quantity on hand per product id
+export const stockOnHand = (movements) => {
+  const levels = new Map();
+  for (const movement of movements) {
+    const current = levels.get(movement.productId) || 0;
+    levels.set(movement.productId, roundQuantity(current + (parseFloat(movement.quantity) || 0)));
+  }
+  return levels;
+};
+
+export const hasReorderPoint = (product) => (
+  product.reorderPoint !== null && product.reorderPoint !== undefined && product.reorderPoint !== ''
+);
+
+export const isLowStock = (product, onHand) => (
+  hasReorderPoint(product) && onHand <= parseFloat(product.reorderPoint)
+);
+
+/**
+ * What a change in stock means for the product's low stock alert: 'alert'
+ * the first time it falls to the reorder point, 'reset' once it is back
+ * above, so the next dip alerts again. Null when nothing changes.
+ */
+export const reorderAlertAction = (product, onHand) => {
+  if (isLowStock(product, onHand)) {
+    return product.lowStockAlertedAt ? null : 'alert';
+  }
+  return product.lowStockAlertedAt ? 'reset' : null;
+};
@@ -0,0 +1,139 @@
+// Closing stock valuation for year-end accounts. Works through each
+// product's stock movements in date order, costing what was used and what
+// is left either first in, first out or at a running weighted average.
+// Costs are net of VAT, as booked by the purchases.
+
+export const VALUATION_METHODS = [
+  { value: 'fifo', label: 'FIFO (first in, first out)' },
+  { value: 'weighted_average', label: 'Weighted average cost' }
+];
+
+export const valuationMethodLabel = (method) => (
+  VALUATION_METHODS.find(option => option.value === method)?.label || method
+);
+
+const roundMoney = (value) => Math.round(value * 10000) / 10000;
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Date order, with stock in before stock out on the same day so a purchase
+// and the usage it was bought for don't briefly go negative
+const compareMovements = (a, b) => (
+  String(a.occurredAt).localeCompare(String(b.occurredAt))
+  || (b.quantity > 0) - (a.quantity > 0)
+  || String(a.createdAt || '').localeCompare(String(b.createdAt || ''))
+);
+
+/**
+ * Value one product's stock on hand at the end of `asOf` (YYYY-MM-DD, or
+ * empty for everything booked). Stock booked in without a cost (a count
+ * adjustment upwards) is costed at the current cost: the newest FIFO layer,
+ * or the running average. Returns { quantity, value, unitCost, shortfall },
+ * where shortfall is how far more was booked out than was ever in; it is
+ * left at no value rather than guessed at.
+ */
+export const valueProductStock = (movements, method = 'fifo', asOf = '') => {
+  const ordered = movements
+    .filter(movement => !asOf || String(movement.occurredAt) <= asOf)
+    .sort(compareMovements);
+
+  let shortfall = 0;
+
+  if (method === 'weighted_average') {
+    let quantity = 0;
+    let value = 0;
+
+    for (const movement of ordered) {
+      const moved = parseFloat(movement.quantity) || 0;
+      const averageCost = quantity > 0 ? value / quantity : 0;
+
+      if (moved > 0) {
+        const unitCost = movement.unitCost ?? averageCost;
+        // Stock that was short is made good first, at no value
+        const covered = Math.min(moved, shortfall);
+        shortfall -= covered;
+        quantity += moved - covered;
+        value += (moved - covered) * unitCost;
+      } else if (moved < 0) {
+        const out = Math.min(-moved, quantity);
+        shortfall += -moved - out;
+        quantity -= out;
+        value -= out * averageCost;
+      }
+    }
+
+    quantity = roundQuantity(quantity);
+    value = quantity > 0 ? roundMoney(value) : 0;
+    return { quantity, value, unitCost: quantity > 0 ? roundMoney(value / quantity) : 0, shortfall: roundQuantity(shortfall) };
+  }
+
+  // FIFO: a queue of cost layers, oldest first
+  const layers = [];
+  for (const movement of ordered) {
+    const moved = parseFloat(movement.quantity) || 0;
+
+    if (moved > 0) {
+      const lastCost = layers.length > 0 ? layers[layers.length - 1].unitCost : 0;
+      const covered = Math.min(moved, shortfall);
+      shortfall -= covered;
+      if (moved - covered > 0) {
+        layers.push({ quantity: moved - covered, unitCost: movement.unitCost ?? lastCost });
+      }
+    } else if (moved < 0) {
+      let remaining = -moved;
+      while (remaining > 0 && layers.length > 0) {
+        const layer = layers[0];
+        const taken = Math.min(remaining, layer.quantity);
+        layer.quantity -= taken;
+        remaining -= taken;
+        if (layer.quantity <= 0.0005) layers.shift();
+      }
+      shortfall += remaining;
+    }
+  }
+
+  const quantity = roundQuantity(layers.reduce((sum, layer) => sum + layer.quantity, 0));
+  const value = roundMoney(layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0));
+  return { quantity, value, unitCost: quantity > 0 ? roundMoney(value / quantity) : 0, shortfall: roundQuantity(shortfall) };
+};
+
+/**
+ * Closing stock for every product with stock (or a shortfall) at `asOf`.
+ * Returns { method, asOf, rows, totalValue, shortfalls }, rows sorted by
+ * category then name:
+ * { productId, name, sku, category, unit, quantity, unitCost, value, shortfall }
+ */
+export const valueClosingStock = (products, movements, { method = 'fifo', asOf = '' } = {}) => {
+  const movementsByProduct = new Map();
+  for (const movement of movements) {
+    if (!movementsByProduct.has(movement.productId)) movementsByProduct.set(movement.productId, []);
+    movementsByProduct.get(movement.productId).push(movement);
+  }
+
+  const rows = [];
+  for (const product of products) {
+    const productMovements = movementsByProduct.get(product.id);
+    if (!productMovements) continue;
+
+    const valuation = valueProductStock(productMovements, method, asOf);
+    if (valuation.quantity === 0 && valuation.shortfall === 0) continue;
+
+    rows.push({
+      productId: product.id,
+      name: product.name,
+      sku: product.sku || '',
+      category: product.category || 'Uncategorized',
+      unit: product.unit || 'each',
+      ...valuation
+    });
+  }
+
+  rows.sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+
+  return {
+    method,
+    asOf,
+    rows,
+    totalValue: roundMoney(rows.reduce((sum, row) => sum + row.value, 0)),
+    shortfalls: rows.filter(row => row.shortfall > 0).length
+  };
+};
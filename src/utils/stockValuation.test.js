@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { valueProductStock, valueClosingStock } from './stockValuation';
+
+const bought = (occurredAt, quantity, unitCost) => ({ occurredAt, quantity, unitCost });
+const used = (occurredAt, quantity) => ({ occurredAt, quantity: -quantity, unitCost: null });
+
+describe('valueProductStock FIFO', () => {
+  it('uses up the oldest layer first and leaves part of the next', () => {
+    const valuation = valueProductStock([
+      bought('2024-01-01', 10, 2),
+      used('2024-01-02', 4),
+      bought('2024-01-03', 5, 3),
+      used('2024-01-04', 8)
+    ], 'fifo');
+
+    expect(valuation).toEqual({ quantity: 3, value: 9, unitCost: 3, shortfall: 0 });
+  });
+
+  it('leaves a sale beyond stock on hand as a shortfall at no value', () => {
+    const valuation = valueProductStock([
+      bought('2024-01-01', 5, 2),
+      used('2024-01-02', 8)
+    ], 'fifo');
+
+    expect(valuation).toEqual({ quantity: 0, value: 0, unitCost: 0, shortfall: 3 });
+  });
+
+  it('makes good a shortfall before adding a new layer', () => {
+    const valuation = valueProductStock([
+      bought('2024-01-01', 5, 2),
+      used('2024-01-02', 8),
+      bought('2024-01-03', 4, 2.5)
+    ], 'fifo');
+
+    expect(valuation).toEqual({ quantity: 1, value: 2.5, unitCost: 2.5, shortfall: 0 });
+  });
+
+  it('books stock in before stock out on the same day', () => {
+    const valuation = valueProductStock([
+      used('2024-01-01', 3),
+      bought('2024-01-01', 5, 2)
+    ], 'fifo');
+
+    expect(valuation).toMatchObject({ quantity: 2, value: 4, shortfall: 0 });
+  });
+
+  it('ignores movements after the valuation date', () => {
+    const valuation = valueProductStock([
+      bought('2024-03-31', 5, 2),
+      used('2024-04-01', 5)
+    ], 'fifo', '2024-03-31');
+
+    expect(valuation).toMatchObject({ quantity: 5, value: 10 });
+  });
+});
+
+describe('valueProductStock weighted average', () => {
+  const movements = [
+    bought('2024-01-01', 10, 2),
+    used('2024-01-02', 4),
+    bought('2024-01-03', 6, 4),
+    used('2024-01-04', 3)
+  ];
+
+  it('re-costs the average after a purchase between sales', () => {
+    // 6 left at £2, plus 6 at £4, averages £3; the next sale takes 3 at £3
+    expect(valueProductStock(movements, 'weighted_average')).toEqual({ quantity: 9, value: 27, unitCost: 3, shortfall: 0 });
+  });
+
+  it('values the same movements differently on FIFO', () => {
+    expect(valueProductStock(movements, 'fifo')).toEqual({ quantity: 9, value: 30, unitCost: 3.3333, shortfall: 0 });
+  });
+
+  it('leaves a sale beyond stock on hand as a shortfall at no value', () => {
+    const valuation = valueProductStock([
+      bought('2024-01-01', 5, 2),
+      used('2024-01-02', 8)
+    ], 'weighted_average');
+
+    expect(valuation).toEqual({ quantity: 0, value: 0, unitCost: 0, shortfall: 3 });
+  });
+
+  it('costs stock counted in without a cost at the running average', () => {
+    const valuation = valueProductStock([
+      bought('2024-01-01', 2, 2),
+      bought('2024-01-02', 2, 4),
+      { occurredAt: '2024-01-03', quantity: 2, unitCost: null }
+    ], 'weighted_average');
+
+    expect(valuation).toMatchObject({ quantity: 6, value: 18, unitCost: 3 });
+  });
+});
+
+describe('valueClosingStock', () => {
+  it('totals products with stock or a shortfall, by category then name', () => {
+    const products = [
+      { id: 'p1', name: 'Paper', category: 'Stationery' },
+      { id: 'p2', name: 'Beans', category: 'Food' },
+      { id: 'p3', name: 'Pens', category: 'Stationery' }
+    ];
+    const closing = valueClosingStock(products, [
+      { ...bought('2024-01-01', 4, 5), productId: 'p1' },
+      { ...bought('2024-01-01', 2, 1), productId: 'p2' },
+      { ...used('2024-01-02', 1), productId: 'p3' }
+    ]);
+
+    expect(closing.rows.map(row => [row.name, row.value, row.shortfall])).toEqual([
+      ['Beans', 2, 0],
+      ['Paper', 20, 0],
+      ['Pens', 0, 1]
+    ]);
+    expect(closing).toMatchObject({ method: 'fifo', totalValue: 22, shortfalls: 1 });
+  });
+});
@@ -0,0 +1,80 @@
+// Closing stock report for the accountant, in the same Excel and CSV
+// layouts as the VAT reclaim reports.
+import { exportFileName, downloadCsv, downloadWorkbook } from './spreadsheet';
+import { valuationMethodLabel } from './stockValuation';
+
+const toValuationRow = (row) => ({
+  'Product': row.name,
+  'SKU': row.sku,
+  'Category': row.category,
+  'Quantity': row.quantity,
+  'Unit': row.unit,
+  'Unit Cost (Net)': row.unitCost.toFixed(2),
+  'Value (Net)': row.value.toFixed(2),
+  'Note': row.shortfall > 0 ? `${row.shortfall} more booked out than in, not valued` : ''
+});
+
+const asOfLabel = (asOf) => (asOf ? new Date(asOf).toLocaleDateString('en-GB') : 'All movements');
+
+/**
+ * Download a closing stock report made by valueClosingStock as .xlsx or
+ * .csv, and return the file name.
+ */
+export const exportStockValuation = (report, format = 'excel', businessName = '') => {
+  const rows = report.rows.map(toValuationRow);
+
+  if (format === 'csv') {
+    const headers = Object.keys(rows[0] || {});
+    const fileName = exportFileName(businessName, 'Closing_Stock', 'csv');
+    downloadCsv([
+      `Closing Stock Valuation - ${businessName || 'Business'}`,
+      `Stock At: ${asOfLabel(report.asOf)}`,
+      `Method: ${valuationMethodLabel(report.method)}`,
+      `Generated: ${new Date().toLocaleString('en-GB')}`,
+      `Total Closing Stock (Net): ${report.totalValue.toFixed(2)}`,
+      '',
+      headers,
+      ...rows.map(row => headers.map(header => row[header]))
+    ], fileName);
+    return fileName;
+  }
+
+  // Category totals for the summary sheet
+  const categories = {};
+  for (const row of report.rows) {
+    categories[row.category] = (categories[row.category] || 0) + row.value;
+  }
+
+  const summary = [
+    ['CLOSING STOCK VALUATION', ''],
+    ['Business Name:', businessName || ''],
+    ['Stock At:', asOfLabel(report.asOf)],
+    ['Valuation Method:', valuationMethodLabel(report.method)],
+    ['Generated on:', new Date().toLocaleDateString('en-GB')],
+    ['', ''],
+    ['Products In Stock:', report.rows.length],
+    ['Total Closing Stock (Net):', report.totalValue.toFixed(2)],
+    ['', ''],
+    ['BY CATEGORY', ''],
+    ...Object.entries(categories)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([category, value]) => [category, value.toFixed(2)]),
+    ['', ''],
+    ['NOTES', ''],
+    ['Costs:', 'Net of VAT, from the purchases that booked the stock in'],
+    ['Method:', report.method === 'fifo'
+      ? 'Stock used is costed from the oldest purchases first; what is left is valued at the most recent costs'
+      : 'Stock is valued at the running average cost of everything bought, updated with each purchase'],
+    ['Upward adjustments:', 'Costed at the current cost when booked'],
+    ...(report.shortfalls > 0
+      ? [['Shortfalls:', `${report.shortfalls} products had more booked out than in; the difference is not valued`]]
+      : [])
+  ];
+
+  const fileName = exportFileName(businessName, 'Closing_Stock', 'xlsx');
+  downloadWorkbook([
+    { name: 'Closing Stock', rows },
+    { name: 'Valuation Summary', cells: summary }
+  ], fileName);
+  return fileName;
+};
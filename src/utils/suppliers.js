@@ -0,0 +1,159 @@
+// Suppliers: recognising them from receipt headers and spreadsheet
+// columns, and totalling what was spent with each.
+import { nameSimilarity } from './duplicates';
+import { ukVatPercentage } from './currency';
+
+// Names at least this similar count as the same supplier; receipt
+// headers are OCR'd, so "B&Q" may come through as "B & Q" or "BQ"
+const SUPPLIER_NAME_THRESHOLD = 0.75;
+
+export const MAX_SUPPLIER_NAME_LENGTH = 100;
+
+// "GB 123 4567 89" and "123456789" are the same VAT number
+export const normaliseVatNumber = (vatNumber) => (
+  String(vatNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^GB/, '')
+);
+
+/**
+ * Find the saved supplier for a name and/or VAT number: an exact VAT
+ * number match first, then an exact name, then the closest similar name.
+ */
+export const matchSupplier = ({ name, vatNumber }, suppliers) => {
+  const vat = normaliseVatNumber(vatNumber);
+  if (vat) {
+    const byVat = suppliers.find(supplier => normaliseVatNumber(supplier.vatNumber) === vat);
+    if (byVat) return byVat;
+  }
+
+  const cleaned = String(name || '').trim().toLowerCase();
+  if (!cleaned) return null;
+
+  const exact = suppliers.find(supplier => supplier.name.toLowerCase() === cleaned);
+  if (exact) return exact;
+
+  let best = null;
+  let bestSimilarity = SUPPLIER_NAME_THRESHOLD;
+  for (const supplier of suppliers) {
+    const similarity = nameSimilarity(supplier.name, name);
+    if (similarity >= bestSimilarity) {
+      best = supplier;
+      bestSimilarity = similarity;
+    }
+  }
+  return best;
+};
+
+/**
+ * Link a purchase to its supplier and fill in the supplier's default
+ * category and VAT rate. Categorisation rules run afterwards and win.
+ */
+export const applySupplierDefaults = (item, supplier, categories = [], { keepVat = false } = {}) => {
+  if (!supplier) return item;
+
+  const updated = { ...item, supplier: supplier.name, supplierId: supplier.id };
+  const category = categories.find(c => c.id === supplier.defaultCategoryId && !c.archived);
+  if (category) updated.category = category.name;
+  if (!keepVat && supplier.defaultVatPercentage !== null && supplier.defaultVatPercentage !== undefined) {
+    updated.vatPercentage = supplier.defaultVatPercentage;
+  }
+  return updated;
+};
+
+/**
+ * Net, VAT and gross for a purchase. Prices are entered either including
+ * or excluding VAT, so the split is worked out from whichever it was.
+ */
+export const purchaseAmounts = (item) => {
+  const cost = (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0);
+  const rate = ukVatPercentage(item);
+
+  if (item.vatIncluded) {
+    const vat = cost * (rate / (100 + rate));
+    return { net: cost - vat, vat, gross: cost };
+  }
+  const vat = cost * (rate / 100);
+  return { net: cost, vat, gross: cost + vat };
+};
+
+// "2024-03" for months, "2024-Q1" for quarters
+export const periodKey = (date, period = 'month') => {
+  const [year, month] = String(date || '').split('T')[0].split('-');
+  if (!year || !month) return null;
+  return period === 'quarter'
+    ? `${year}-Q${Math.ceil(parseInt(month) / 3)}`
+    : `${year}-${month}`;
+};
+
+export const formatPeriod = (key) => {
+  const [year, part] = key.split('-');
+  if (part.startsWith('Q')) return `${part} ${year}`;
+  return new Date(Date.UTC(parseInt(year), parseInt(part) - 1, 1))
+    .toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+// Every period from the first key to the last, so charts show the gaps
+export const periodRange = (first, last, period = 'month') => {
+  if (!first || !last) return [];
+  const step = period === 'quarter' ? 3 : 1;
+  const toIndex = (key) => {
+    const [year, part] = key.split('-');
+    const month = part.startsWith('Q') ? (parseInt(part.slice(1)) - 1) * 3 : parseInt(part) - 1;
+    return parseInt(year) * 12 + month;
+  };
+
+  const keys = [];
+  for (let index = toIndex(first); index <= toIndex(last); index += step) {
+    const year = Math.floor(index / 12);
+    const month = String((index % 12) + 1).padStart(2, '0');
+    keys.push(periodKey(`${year}-${month}-01`, period));
+  }
+  return keys;
+};
+
+/**
+ * Total spend per supplier between two dates (inclusive, YYYY-MM-DD,
+ * either may be empty). Purchases with no supplier are grouped together
+ * under a null supplierId. Returns rows sorted by gross spend:
+ * { supplierId, name, count, net, vat, gross, periods: { key: { net, vat, gross } } }
+ */
+export const summariseSupplierSpend = (purchases, suppliers, { from = '', to = '', period = 'month' } = {}) => {
+  const suppliersById = new Map(suppliers.map(supplier => [supplier.id, supplier]));
+  const rows = new Map();
+
+  for (const item of purchases) {
+    const day = String(item.dateAdded || '').split('T')[0];
+    if (from && day < from) continue;
+    if (to && day > to) continue;
+
+    const supplier = item.supplierId ? suppliersById.get(item.supplierId) : null;
+    const key = supplier ? supplier.id : 'none';
+    if (!rows.has(key)) {
+      rows.set(key, {
+        supplierId: supplier ? supplier.id : null,
+        name: supplier ? supplier.name : 'No supplier',
+        count: 0,
+        net: 0,
+        vat: 0,
+        gross: 0,
+        periods: {}
+      });
+    }
+
+    const row = rows.get(key);
+    const amounts = purchaseAmounts(item);
+    row.count++;
+    row.net += amounts.net;
+    row.vat += amounts.vat;
+    row.gross += amounts.gross;
+
+    const bucket = periodKey(day, period);
+    if (bucket) {
+      row.periods[bucket] = row.periods[bucket] || { net: 0, vat: 0, gross: 0 };
+      row.periods[bucket].net += amounts.net;
+      row.periods[bucket].vat += amounts.vat;
+      row.periods[bucket].gross += amounts.gross;
+    }
+  }
+
+  return [...rows.values()].sort((a, b) => b.gross - a.gross);
+};
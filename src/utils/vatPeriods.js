@@ -0,0 +1,147 @@
+// The VAT period calendar. HMRC puts each quarterly filer on one of three
+// staggers, so a business's quarters end in March, June, September and
+// December, or a month later, or two. Monthly filers return every calendar
+// month, and the annual accounting scheme has one period a year ending in
+// a month of the trader's choosing.
+import { toDateKey, formatVatPeriod, periodsOverlap } from './vatReturn';
+
+export const VAT_FREQUENCIES = [
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'annual', label: 'Annual accounting scheme' }
+];
+
+export const QUARTERLY_STAGGERS = [
+  { value: 1, label: 'Stagger 1: quarters ending March, June, September and December' },
+  { value: 2, label: 'Stagger 2: quarters ending April, July, October and January' },
+  { value: 3, label: 'Stagger 3: quarters ending May, August, November and February' }
+];
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export const DEFAULT_VAT_SETTINGS = {
+  frequency: 'quarterly',
+  stagger: 1,
+  // Month (1 to 12) the annual accounting year ends in
+  yearEndMonth: 3
+};
+
+// Fill in anything missing or out of range from the defaults
+export const normaliseVatSettings = (settings = {}) => {
+  const frequency = VAT_FREQUENCIES.some(option => option.value === settings.frequency)
+    ? settings.frequency
+    : DEFAULT_VAT_SETTINGS.frequency;
+  const stagger = parseInt(settings.stagger, 10);
+  const yearEndMonth = parseInt(settings.yearEndMonth, 10);
+
+  return {
+    ...settings,
+    frequency,
+    stagger: [1, 2, 3].includes(stagger) ? stagger : DEFAULT_VAT_SETTINGS.stagger,
+    yearEndMonth: yearEndMonth >= 1 && yearEndMonth <= 12 ? yearEndMonth : DEFAULT_VAT_SETTINGS.yearEndMonth
+  };
+};
+
+// "Quarterly, stagger 1" for headings and hints
+export const describeVatSettings = (settings) => {
+  const { frequency, stagger, yearEndMonth } = normaliseVatSettings(settings);
+  if (frequency === 'monthly') return 'Monthly';
+  if (frequency === 'annual') return `Annual, year ending ${MONTH_NAMES[yearEndMonth - 1]}`;
+  return `Quarterly, stagger ${stagger}`;
+};
+
+// Period length in months, and a month (1 to 12) that a period ends in
+const periodShape = (settings) => {
+  const { frequency, stagger, yearEndMonth } = normaliseVatSettings(settings);
+  if (frequency === 'monthly') return { length: 1, endMonth: 12 };
+  if (frequency === 'annual') return { length: 12, endMonth: yearEndMonth };
+  return { length: 3, endMonth: stagger + 2 };
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Months are counted from year 0 so periods can cross year ends
+const monthStart = (monthIndex) => `${Math.floor(monthIndex / 12)}-${pad((monthIndex % 12) + 1)}-01`;
+
+const monthEnd = (monthIndex) => {
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+  return `${year}-${pad(month + 1)}-${pad(new Date(year, month + 1, 0).getDate())}`;
+};
+
+// A local date as a date key, without the UTC shift toISOString() gives
+const localDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const shiftDay = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return localDateKey(date);
+};
+
+/**
+ * The VAT period a date falls in, as { start, end } date keys. Returns
+ * null for a missing or unreadable date.
+ */
+export const vatPeriodFor = (date, settings) => {
+  const key = toDateKey(date);
+  const match = /^(\d{4})-(\d{2})-\d{2}$/.exec(key);
+  if (!match) return null;
+
+  const { length, endMonth } = periodShape(settings);
+  const monthIndex = parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1;
+  const endIndex = monthIndex + ((((endMonth - 1 - monthIndex) % length) + length) % length);
+
+  return { start: monthStart(endIndex - length + 1), end: monthEnd(endIndex) };
+};
+
+export const nextVatPeriod = (period, settings) => vatPeriodFor(shiftDay(period.end, 1), settings);
+
+export const previousVatPeriod = (period, settings) => vatPeriodFor(shiftDay(period.start, -1), settings);
+
+// Whether a saved period lines up with the calendar, or was set by hand
+export const isCalendarPeriod = (period, settings) => {
+  const calendarPeriod = vatPeriodFor(period.start, settings);
+  return !!calendarPeriod && calendarPeriod.start === period.start && calendarPeriod.end === period.end;
+};
+
+/**
+ * The period running today and the `count - 1` before it, latest first,
+ * for period pickers.
+ */
+export const recentVatPeriods = (settings, count = 8, today = new Date()) => {
+  const periods = [];
+  let period = vatPeriodFor(localDateKey(today), settings);
+  while (period && periods.length < count) {
+    periods.push(period);
+    period = previousVatPeriod(period, settings);
+  }
+  return periods;
+};
+
+// The latest period to have ended: the one a return is usually due for
+export const lastCompletedVatPeriod = (settings, today = new Date()) => (
+  previousVatPeriod(vatPeriodFor(localDateKey(today), settings), settings)
+);
+
+export const periodLabel = (period) => formatVatPeriod({ periodStart: period.start, periodEnd: period.end });
+
+/**
+ * The first period after `date` that no submitted return covers: where an
+ * adjustment to a filed period is booked.
+ */
+export const nextOpenVatPeriod = (vatReturns, date, settings) => {
+  const submitted = vatReturns
+    .filter(vatReturn => vatReturn.status === 'submitted')
+    .map(vatReturn => ({ start: vatReturn.periodStart, end: vatReturn.periodEnd }));
+
+  let period = vatPeriodFor(shiftDay(toDateKey(date), 1), settings);
+  // Bounded so a bad record can't spin forever; a century of monthly returns
+  for (let step = 0; period && step < 1200; step += 1) {
+    if (!submitted.some(filed => periodsOverlap(period, filed))) return period;
+    period = nextVatPeriod(period, settings);
+  }
+  return null;
+};
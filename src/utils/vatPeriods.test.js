@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { vatPeriodFor, nextVatPeriod, nextOpenVatPeriod, recentVatPeriods, isCalendarPeriod } from './vatPeriods';
+
+const quarterly = (stagger) => ({ frequency: 'quarterly', stagger });
+const period = (start, end) => ({ start, end });
+
+describe('vatPeriodFor', () => {
+  it.each([
+    [1, '2024-02-15', period('2024-01-01', '2024-03-31')],
+    [1, '2024-12-01', period('2024-10-01', '2024-12-31')],
+    [2, '2024-02-15', period('2024-02-01', '2024-04-30')],
+    [2, '2024-01-15', period('2023-11-01', '2024-01-31')],
+    [3, '2024-02-15', period('2023-12-01', '2024-02-29')],
+    [3, '2024-06-30', period('2024-06-01', '2024-08-31')]
+  ])('puts stagger %i quarters round %s', (stagger, date, expected) => {
+    expect(vatPeriodFor(date, quarterly(stagger))).toEqual(expected);
+  });
+
+  it('keeps the last day of a period in that period', () => {
+    expect(vatPeriodFor('2024-03-31', quarterly(1))).toEqual(period('2024-01-01', '2024-03-31'));
+    expect(vatPeriodFor('2024-04-01', quarterly(1))).toEqual(period('2024-04-01', '2024-06-30'));
+    expect(vatPeriodFor('2024-03-31T23:30:00', quarterly(1))).toEqual(period('2024-01-01', '2024-03-31'));
+  });
+
+  it('runs annual accounting years to the chosen month', () => {
+    const settings = { frequency: 'annual', yearEndMonth: 3 };
+
+    expect(vatPeriodFor('2024-03-31', settings)).toEqual(period('2023-04-01', '2024-03-31'));
+    expect(vatPeriodFor('2024-04-01', settings)).toEqual(period('2024-04-01', '2025-03-31'));
+    expect(vatPeriodFor('2024-07-04', { frequency: 'annual', yearEndMonth: 12 })).toEqual(period('2024-01-01', '2024-12-31'));
+  });
+
+  it('returns calendar months for monthly filers', () => {
+    expect(vatPeriodFor('2024-02-10', { frequency: 'monthly' })).toEqual(period('2024-02-01', '2024-02-29'));
+  });
+
+  it('falls back to stagger 1 for settings it cannot read', () => {
+    expect(vatPeriodFor('2024-02-15', { frequency: 'fortnightly', stagger: 7 })).toEqual(period('2024-01-01', '2024-03-31'));
+  });
+
+  it('returns null for a missing date', () => {
+    expect(vatPeriodFor('', quarterly(1))).toBeNull();
+  });
+});
+
+describe('moving between periods', () => {
+  it('steps over the year end', () => {
+    expect(nextVatPeriod(period('2023-11-01', '2024-01-31'), quarterly(2))).toEqual(period('2024-02-01', '2024-04-30'));
+  });
+
+  it('lists the running period first', () => {
+    const periods = recentVatPeriods(quarterly(1), 3, new Date(2024, 4, 20));
+
+    expect(periods).toEqual([
+      period('2024-04-01', '2024-06-30'),
+      period('2024-01-01', '2024-03-31'),
+      period('2023-10-01', '2023-12-31')
+    ]);
+  });
+
+  it('tells calendar periods from ones set by hand', () => {
+    expect(isCalendarPeriod(period('2024-01-01', '2024-03-31'), quarterly(1))).toBe(true);
+    expect(isCalendarPeriod(period('2024-01-01', '2024-03-31'), quarterly(2))).toBe(false);
+  });
+});
+
+describe('nextOpenVatPeriod', () => {
+  const vatReturns = [
+    { status: 'submitted', periodStart: '2024-01-01', periodEnd: '2024-03-31' },
+    { status: 'submitted', periodStart: '2024-04-01', periodEnd: '2024-06-30' },
+    { status: 'draft', periodStart: '2024-07-01', periodEnd: '2024-09-30' }
+  ];
+
+  it('skips every submitted period after the date', () => {
+    expect(nextOpenVatPeriod(vatReturns, '2024-02-10', quarterly(1))).toEqual(period('2024-07-01', '2024-09-30'));
+  });
+
+  it('starts from the day after the date', () => {
+    expect(nextOpenVatPeriod([], '2024-03-31', quarterly(1))).toEqual(period('2024-04-01', '2024-06-30'));
+  });
+
+  it('skips a period overlapping a return filed on another calendar', () => {
+    const filed = [{ status: 'submitted', periodStart: '2024-02-01', periodEnd: '2024-04-30' }];
+
+    expect(nextOpenVatPeriod(filed, '2024-01-10', quarterly(1))).toEqual(period('2024-07-01', '2024-09-30'));
+  });
+});
@@ -0,0 +1,237 @@
+// The PDF VAT report for HMRC enquiries, drawn in the browser so it can be
+// made offline: a cover page with the period, the nine boxes and a
+// category breakdown, a table of every purchase, and an appendix of the
+// receipts behind them.
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { VAT_BOXES } from './vatReturn';
+import { formatMoney } from './currency';
+
+const MARGIN = 14;
+const THUMBNAIL_SIZE = 600;
+const HEADING_COLOUR = [30, 64, 175];
+
+const formatBox = (box, value) => (
+  box.wholePounds ? `£${Math.trunc(value || 0).toLocaleString('en-GB')}` : formatMoney(value)
+);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '');
+
+const tableStyles = {
+  margin: { left: MARGIN, right: MARGIN },
+  styles: { fontSize: 8, cellPadding: 1.5 },
+  headStyles: { fillColor: HEADING_COLOUR }
+};
+
+const heading = (doc, text, y) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  doc.text(text, MARGIN, y);
+  doc.setFont('helvetica', 'normal');
+  return y + 4;
+};
+
+/**
+ * A receipt image shrunk to a JPEG data URL for the appendix. Throws with
+ * a reason the report can show when it can't be fetched (offline,
+ * deleted) or isn't an image.
+ */
+export const receiptThumbnail = async (url) => {
+  if (!url) throw new Error('No download link for the file; you may be offline');
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error('The file could not be downloaded; you may be offline');
+  }
+  if (!response.ok) throw new Error(`The file could not be downloaded (HTTP ${response.status})`);
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/')) throw new Error(`The file is not an image (${blob.type || 'unknown type'})`);
+
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return { dataUrl: canvas.toDataURL('image/jpeg', 0.7), width: canvas.width, height: canvas.height };
+  } catch (error) {
+    throw new Error('The image could not be read');
+  }
+};
+
+const drawCover = (doc, report) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.text('VAT Report', MARGIN, 22);
+  doc.setFontSize(12);
+  doc.text(report.businessName || 'Business', MARGIN, 30);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  const details = [
+    `Period: ${report.period}`,
+    `VAT scheme: ${report.scheme}`,
+    `Generated: ${new Date().toLocaleString('en-GB')}`,
+    `Purchases: ${report.lines.length}, of which ${report.lines.filter(line => line.receiptRef).length} have a receipt`
+  ];
+  if (report.boxesSource) details.push(report.boxesSource);
+  const notEmbedded = report.receipts.filter(receipt => !receipt.thumbnail).length;
+  if (notEmbedded > 0) {
+    details.push(`${notEmbedded} of ${report.receipts.length} receipts could not be shown in the appendix; they are listed at its end`);
+  }
+  doc.text(details, MARGIN, 40);
+
+  let y = heading(doc, 'VAT return boxes', 40 + details.length * 5 + 6);
+  autoTable(doc, {
+    ...tableStyles,
+    startY: y,
+    head: [['Box', 'Description', 'Amount']],
+    body: VAT_BOXES.map(box => [box.box, box.label, formatBox(box, report.boxes[box.key])]),
+    columnStyles: { 0: { cellWidth: 12 }, 2: { halign: 'right', cellWidth: 32 } }
+  });
+
+  y = heading(doc, 'Purchases by category', doc.lastAutoTable.finalY + 10);
+  const totals = report.categories.reduce((sum, row) => ({
+    count: sum.count + row.count,
+    net: sum.net + row.net,
+    vat: sum.vat + row.vat,
+    gross: sum.gross + row.gross
+  }), { count: 0, net: 0, vat: 0, gross: 0 });
+  autoTable(doc, {
+    ...tableStyles,
+    startY: y,
+    head: [['Category', 'Purchases', 'Net', 'VAT reclaimed', 'Gross']],
+    body: report.categories.map(row => [row.category, row.count, formatMoney(row.net), formatMoney(row.vat), formatMoney(row.gross)]),
+    foot: [['Total', totals.count, formatMoney(totals.net), formatMoney(totals.vat), formatMoney(totals.gross)]],
+    footStyles: { fillColor: [229, 231, 235], textColor: 20 },
+    columnStyles: { 1: { halign: 'right' }, 2: { halign: 'right' }, 3: { halign: 'right' }, 4: { halign: 'right' } }
+  });
+};
+
+const drawLines = (doc, report) => {
+  doc.addPage();
+  autoTable(doc, {
+    ...tableStyles,
+    startY: heading(doc, 'Purchases', 20),
+    head: [['Date', 'Item', 'Supplier', 'Category', 'Rate', 'Net', 'VAT', 'Gross', 'Receipt']],
+    body: report.lines.map(line => [
+      formatDate(line.date),
+      line.name,
+      line.supplier || '',
+      line.category,
+      line.reclaims ? `${line.vatRate}%` : 'None',
+      formatMoney(line.net),
+      formatMoney(line.vat),
+      formatMoney(line.gross),
+      line.receiptRef || ''
+    ]),
+    columnStyles: { 5: { halign: 'right' }, 6: { halign: 'right' }, 7: { halign: 'right' } }
+  });
+  let y = doc.lastAutoTable.finalY + 6;
+  if (y > doc.internal.pageSize.getHeight() - 16) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.setFontSize(8);
+  doc.text('Rate "None": no VAT to reclaim under the scheme, or a purchase in another currency.', MARGIN, y);
+};
+
+// Two lines at most under a thumbnail
+const describePurchases = (names) => (
+  names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ')
+);
+
+// Two receipts across, three down, each with what it is evidence for
+const drawAppendix = (doc, report) => {
+  if (report.receipts.length === 0) return;
+
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const cellWidth = (pageWidth - MARGIN * 3) / 2;
+  const imageHeight = 62;
+  const cellHeight = imageHeight + 22;
+
+  report.receipts.forEach((receipt, index) => {
+    const slot = index % 6;
+    if (slot === 0) {
+      doc.addPage();
+      heading(doc, 'Appendix: receipt evidence', 20);
+    }
+    const x = MARGIN + (slot % 2) * (cellWidth + MARGIN);
+    const y = 28 + Math.floor(slot / 2) * cellHeight;
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.text(`${receipt.ref} ${receipt.merchant || receipt.fileName || ''}`.trim(), x, y, { maxWidth: cellWidth });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.text(
+      [
+        [formatDate(receipt.date), receipt.total !== null && receipt.total !== undefined ? formatMoney(receipt.total) : ''].filter(Boolean).join(' · '),
+        `For: ${describePurchases(receipt.purchases)}`
+      ],
+      x,
+      y + 4,
+      { maxWidth: cellWidth }
+    );
+
+    const top = y + 11;
+    if (receipt.thumbnail) {
+      const scale = Math.min(cellWidth / receipt.thumbnail.width, imageHeight / receipt.thumbnail.height);
+      doc.addImage(receipt.thumbnail.dataUrl, 'JPEG', x, top, receipt.thumbnail.width * scale, receipt.thumbnail.height * scale);
+    } else {
+      doc.setDrawColor(180);
+      doc.rect(x, top, cellWidth, imageHeight);
+      doc.text(`Image not shown: ${receipt.missingReason || 'not available'}`, x + 3, top + imageHeight / 2, { maxWidth: cellWidth - 6 });
+    }
+  });
+
+  // Everything above without an image, so whoever reads the report knows
+  // which originals to ask for
+  const notEmbedded = report.receipts.filter(receipt => !receipt.thumbnail);
+  if (notEmbedded.length === 0) return;
+  doc.addPage();
+  autoTable(doc, {
+    ...tableStyles,
+    startY: heading(doc, 'Receipts not shown in this report', 20),
+    head: [['Receipt', 'Merchant', 'File', 'Date', 'Reason']],
+    body: notEmbedded.map(receipt => [
+      receipt.ref,
+      receipt.merchant || '',
+      receipt.fileName || '',
+      formatDate(receipt.date),
+      receipt.missingReason || 'Not available'
+    ]),
+    columnStyles: { 0: { cellWidth: 16 } }
+  });
+};
+
+const numberPages = (doc, report) => {
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page += 1) {
+    doc.setPage(page);
+    doc.setFontSize(7);
+    doc.setTextColor(120);
+    doc.text(`${report.businessName || 'Business'} · VAT report · ${report.period} · Page ${page} of ${pages}`, MARGIN, doc.internal.pageSize.getHeight() - 8);
+    doc.setTextColor(0);
+  }
+};
+
+/**
+ * Draw the report. `report` holds the business name, period and scheme
+ * labels, the nine `boxes`, `categories` ({ category, count, net, vat,
+ * gross }), purchase `lines` and the `receipts` for the appendix, each
+ * with a thumbnail from receiptThumbnail() or a `missingReason`.
+ */
+export const buildVatReportPdf = (report) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  drawCover(doc, report);
+  drawLines(doc, report);
+  drawAppendix(doc, report);
+  numberPages(doc, report);
+  return doc;
+};
@@ -0,0 +1,288 @@
+// A VAT return for one VAT period, in the nine boxes HMRC asks for and in
+// the shape Making Tax Digital takes it. Purchases give the input side
+// (boxes 4 and 7) and the sales ledger the output side (boxes 1 and 6).
+// Boxes 2, 8 and 9 only apply to Northern Ireland goods trade with the EU,
+// so they are entered by hand. The user's VAT scheme decides which period
+// a purchase or sale falls in and how VAT on sales is worked out.
+import { ukVatPercentage } from './currency';
+import { taxPointDate, reclaimsInputVat, isFlatRate, flatRateForPeriod } from './vatSchemes';
+
+export const VAT_BOXES = [
+  { box: 1, key: 'vatDueSales', label: 'VAT due on sales and other outputs' },
+  { box: 2, key: 'vatDueAcquisitions', label: 'VAT due on acquisitions from EU member states (NI only)' },
+  { box: 3, key: 'totalVatDue', label: 'Total VAT due (boxes 1 and 2)' },
+  { box: 4, key: 'vatReclaimedCurrPeriod', label: 'VAT reclaimed on purchases and other inputs' },
+  { box: 5, key: 'netVatDue', label: 'Net VAT to pay to HMRC or reclaim' },
+  { box: 6, key: 'totalValueSalesExVAT', label: 'Total value of sales, excluding VAT', wholePounds: true },
+  { box: 7, key: 'totalValuePurchasesExVAT', label: 'Total value of purchases, excluding VAT', wholePounds: true },
+  { box: 8, key: 'totalValueGoodsSuppliedExVAT', label: 'Goods supplied to EU member states, excluding VAT (NI only)', wholePounds: true },
+  { box: 9, key: 'totalAcquisitionsExVAT', label: 'Goods acquired from EU member states, excluding VAT (NI only)', wholePounds: true }
+];
+
+// The boxes a trader fills in by hand
+export const MANUAL_BOXES = ['vatDueAcquisitions', 'totalValueGoodsSuppliedExVAT', 'totalAcquisitionsExVAT'];
+
+export const SALES_VAT_RATES = [20, 5, 0];
+
+const roundPence = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Boxes 6 to 9 are whole pounds, with the pence left off
+const wholePounds = (value) => Math.trunc(value);
+
+export const toDateKey = (value) => (value ? String(value).split('T')[0] : '');
+
+export const dateInPeriod = (date, period) => {
+  const key = toDateKey(date);
+  return !!key && key >= period.start && key <= period.end;
+};
+
+const formatDay = (date) => new Date(`${toDateKey(date)}T00:00:00`).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+// "1 Jan 2024 to 31 Mar 2024" for a saved return
+export const formatVatPeriod = ({ periodStart, periodEnd }) => `${formatDay(periodStart)} to ${formatDay(periodEnd)}`;
+
+export const periodsOverlap = (a, b) => a.start <= b.end && b.start <= a.end;
+
+// The date a purchase was made
+export const purchaseDate = (item) => item.dateAdded || item.createdAt;
+
+// The date a purchase or sale counts towards a return on under the
+// scheme; null for an unpaid one on cash accounting
+export const purchaseTaxDate = (item, settings) => taxPointDate(purchaseDate(item), item.paidDate, settings);
+
+export const saleTaxDate = (sale, settings) => taxPointDate(sale.date, sale.paidDate, settings);
+
+// Whole months in a period, for the flat rate limited cost test
+const periodMonths = (period) => {
+  const [startYear, startMonth] = period.start.split('-').map(Number);
+  const [endYear, endMonth] = period.end.split('-').map(Number);
+  return Math.max(1, (endYear - startYear) * 12 + endMonth - startMonth + 1);
+};
+
+// Net, VAT and gross for a purchase line, whichever way its price was entered
+export const purchaseVatBreakdown = (item) => {
+  const rate = ukVatPercentage(item);
+  const cost = (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0);
+
+  if (item.vatIncluded) {
+    const vat = cost * rate / (100 + rate);
+    return { net: cost - vat, vat, gross: cost };
+  }
+
+  const vat = cost * rate / 100;
+  return { net: cost, vat, gross: cost + vat };
+};
+
+// The part of a purchase that goes in boxes 4 and 7 under the scheme
+export const reclaimableBreakdown = (item, settings) => {
+  const breakdown = purchaseVatBreakdown(item);
+  return reclaimsInputVat(item, breakdown.gross, settings) ? breakdown : { net: 0, vat: 0, gross: breakdown.gross };
+};
+
+export const saleVatAmount = ({ netAmount, vatRate }) => (
+  roundPence((parseFloat(netAmount) || 0) * (parseFloat(vatRate) || 0) / 100)
+);
+
+/**
+ * From the first to the last day anything counts towards a return under
+ * the scheme: the period for an "all time" report, so month counts and
+ * labels come from real dates. Null when there is nothing to report.
+ */
+export const recordsPeriod = ({ purchases = [], sales = [], purchaseAdjustments = [], settings = {} }) => {
+  const dates = [
+    ...purchases.map(item => purchaseTaxDate(item, settings)),
+    ...sales.map(sale => saleTaxDate(sale, settings)),
+    ...purchaseAdjustments.map(entry => entry.date)
+  ].map(toDateKey).filter(Boolean).sort();
+
+  return dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null;
+};
+
+/**
+ * The nine boxes for a period. `adjustments` holds the boxes entered by
+ * hand, `purchaseAdjustments` the corrections to earlier returns booked in
+ * this period, and `settings` the user's VAT settings. Returns the boxes
+ * keyed by their MTD names, with the purchases, sales and corrections that
+ * went into them and, on the Flat Rate Scheme, how the rate was chosen.
+ */
+export const computeVatReturn = ({ purchases = [], sales = [], purchaseAdjustments = [], period, adjustments = {}, settings = {} }) => {
+  const periodPurchases = purchases.filter(item => dateInPeriod(purchaseTaxDate(item, settings), period));
+  const periodSales = sales.filter(sale => dateInPeriod(saleTaxDate(sale, settings), period));
+  const periodAdjustments = purchaseAdjustments.filter(entry => dateInPeriod(entry.date, period));
+
+  const purchaseTotals = periodAdjustments.reduce((totals, entry) => ({
+    net: totals.net + (parseFloat(entry.netAmount) || 0),
+    vat: totals.vat + (parseFloat(entry.vatAmount) || 0)
+  }), periodPurchases.reduce((totals, item) => {
+    const { net, vat } = reclaimableBreakdown(item, settings);
+    return { net: totals.net + net, vat: totals.vat + vat };
+  }, { net: 0, vat: 0 }));
+
+  const salesTotals = periodSales.reduce((totals, sale) => ({
+    net: totals.net + (parseFloat(sale.netAmount) || 0),
+    vat: totals.vat + (parseFloat(sale.vatAmount) || 0)
+  }), { net: 0, vat: 0 });
+
+  // Flat rate VAT is a percentage of turnover including VAT, which is also
+  // what box 6 shows. Capital assets don't count as goods for the limited
+  // cost test.
+  let flatRate = null;
+  if (isFlatRate(settings)) {
+    const turnover = salesTotals.net + salesTotals.vat;
+    const relevantGoods = periodPurchases
+      .filter(item => !item.capitalAsset)
+      .reduce((sum, item) => sum + purchaseVatBreakdown(item).gross, 0);
+    flatRate = {
+      ...flatRateForPeriod({ relevantGoods, turnover, months: periodMonths(period) }, settings),
+      turnover,
+      relevantGoods
+    };
+  }
+
+  const vatDueSales = roundPence(flatRate ? flatRate.turnover * flatRate.rate / 100 : salesTotals.vat);
+  const vatDueAcquisitions = roundPence(parseFloat(adjustments.vatDueAcquisitions) || 0);
+  const totalVatDue = roundPence(vatDueSales + vatDueAcquisitions);
+  const vatReclaimedCurrPeriod = roundPence(purchaseTotals.vat);
+
+  return {
+    boxes: {
+      vatDueSales,
+      vatDueAcquisitions,
+      totalVatDue,
+      vatReclaimedCurrPeriod,
+      netVatDue: roundPence(Math.abs(totalVatDue - vatReclaimedCurrPeriod)),
+      totalValueSalesExVAT: wholePounds(flatRate ? flatRate.turnover : salesTotals.net),
+      totalValuePurchasesExVAT: wholePounds(purchaseTotals.net),
+      totalValueGoodsSuppliedExVAT: wholePounds(parseFloat(adjustments.totalValueGoodsSuppliedExVAT) || 0),
+      totalAcquisitionsExVAT: wholePounds(parseFloat(adjustments.totalAcquisitionsExVAT) || 0)
+    },
+    purchases: periodPurchases,
+    sales: periodSales,
+    purchaseAdjustments: periodAdjustments,
+    flatRate
+  };
+};
+
+// Box 5 is always positive, so whether it is owed or due back comes from
+// comparing boxes 3 and 4
+export const isRepayment = (boxes) => boxes.vatReclaimedCurrPeriod > boxes.totalVatDue;
+
+/**
+ * A placeholder period key. HMRC issues the real key with each obligation,
+ * and it should be copied from there before submitting.
+ */
+export const suggestPeriodKey = (period) => {
+  const end = new Date(`${period.end}T00:00:00`);
+  if (isNaN(end.getTime())) return '';
+  return `${String(end.getFullYear()).slice(2)}A${Math.ceil((end.getMonth() + 1) / 3)}`;
+};
+
+// The body of POST /organisations/vat/{vrn}/returns
+export const toMtdPayload = (boxes, periodKey) => ({
+  periodKey: String(periodKey || '').trim().toUpperCase(),
+  ...Object.fromEntries(VAT_BOXES.map(({ key }) => [key, boxes[key]])),
+  finalised: true
+});
+
+const MAX_MONETARY = 9999999999999.99;
+const MAX_WHOLE = 9999999999999;
+
+const hasPence = (value, places) => {
+  const factor = 10 ** places;
+  return Math.abs(Math.round(value * factor) - value * factor) > 1e-6;
+};
+
+/**
+ * Check a payload against the rules HMRC applies to a VAT return
+ * submission. Returns HMRC-style errors ({ code, message, path }), empty
+ * when the return would be accepted.
+ */
+export const validateMtdPayload = (payload) => {
+  const errors = [];
+  const fail = (code, message, path) => errors.push({ code, message, path });
+
+  if (!payload || typeof payload !== 'object') {
+    return [{ code: 'INVALID_REQUEST', message: 'Invalid request', path: '' }];
+  }
+
+  if (!/^[A-Z0-9#]{4}$/.test(payload.periodKey || '')) {
+    fail('INVALID_PERIODKEY', 'Invalid period key', '/periodKey');
+  }
+
+  for (const { key, wholePounds: whole } of VAT_BOXES) {
+    const value = payload[key];
+    const path = `/${key}`;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      fail('INVALID_NUMERIC_VALUE', 'please provide a numeric field', path);
+      continue;
+    }
+
+    if (whole) {
+      if (hasPence(value, 0) || Math.abs(value) > MAX_WHOLE) {
+        fail('INVALID_WHOLE_AMOUNT', 'amount should be a whole number between -9999999999999 and 9999999999999', path);
+      }
+    } else if (key === 'netVatDue') {
+      if (value < 0 || value > 99999999999.99 || hasPence(value, 2)) {
+        fail('INVALID_MONETARY_AMOUNT', 'amount should be a monetary value (to 2 decimal places), between 0 and 99,999,999,999.99', path);
+      }
+    } else if (hasPence(value, 2) || Math.abs(value) > MAX_MONETARY) {
+      fail('INVALID_MONETARY_AMOUNT', 'amount should be a monetary value (to 2 decimal places), between -9,999,999,999,999.99 and 9,999,999,999,999.99', path);
+    }
+  }
+
+  if (errors.some(error => error.code === 'INVALID_NUMERIC_VALUE')) {
+    return errors;
+  }
+
+  if (roundPence(payload.vatDueSales + payload.vatDueAcquisitions) !== payload.totalVatDue) {
+    fail('VAT_TOTAL_VALUE', 'totalVatDue should be equal to vatDueSales + vatDueAcquisitions', '/totalVatDue');
+  }
+
+  if (roundPence(Math.abs(payload.totalVatDue - payload.vatReclaimedCurrPeriod)) !== payload.netVatDue) {
+    fail('VAT_NET_VALUE', 'netVatDue should be the difference between the largest and the smallest values among totalVatDue and vatReclaimedCurrPeriod', '/netVatDue');
+  }
+
+  if (payload.finalised !== true) {
+    fail('NOT_FINALISED', 'User has not declared VAT return as final', '/finalised');
+  }
+
+  return errors;
+};
+
+// The submitted return, if any, whose period a date falls in
+export const findSubmittedReturn = (vatReturns, date) => (
+  vatReturns.find(vatReturn => (
+    vatReturn.status === 'submitted' &&
+    dateInPeriod(date, { start: vatReturn.periodStart, end: vatReturn.periodEnd })
+  )) || null
+);
+
+// Set as `code` on the error thrown when an edit would change a filed return
+export const VAT_PERIOD_LOCKED = 'VAT_PERIOD_LOCKED';
+
+/**
+ * What changing a purchase from `before` to `after` (null when it is
+ * deleted or new) does to returns already submitted: the net and VAT to
+ * add to them, with the return affected. Amounts are worked out under the
+ * settings each return was filed with, or the user's current ones. Null
+ * when the filed figures still stand, as they do for a new name or
+ * category.
+ */
+export const filedPurchaseCorrection = (before, after, vatReturns, settings = {}) => {
+  const filedBefore = before ? findSubmittedReturn(vatReturns, purchaseTaxDate(before, settings)) : null;
+  const filedAfter = after ? findSubmittedReturn(vatReturns, purchaseTaxDate(after, settings)) : null;
+  if (!filedBefore && !filedAfter) return null;
+
+  const was = filedBefore ? reclaimableBreakdown(before, filedBefore.settings || settings) : { net: 0, vat: 0 };
+  const now = filedAfter ? reclaimableBreakdown(after, filedAfter.settings || settings) : { net: 0, vat: 0 };
+  const netAmount = roundPence(now.net - was.net);
+  const vatAmount = roundPence(now.vat - was.vat);
+  if (netAmount === 0 && vatAmount === 0) return null;
+
+  return { vatReturn: filedBefore || filedAfter, netAmount, vatAmount };
+};
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { filedPurchaseCorrection, recordsPeriod } from './vatReturn';
+
+const purchase = {
+  id: 'p1',
+  name: 'Printer paper',
+  quantity: 1,
+  unitPrice: 120,
+  vatIncluded: true,
+  vatPercentage: 20,
+  dateAdded: '2024-02-10',
+  paidDate: '2024-02-10',
+  capitalAsset: false
+};
+
+const submittedReturn = (settings) => ({
+  id: 'r1',
+  status: 'submitted',
+  periodStart: '2024-01-01',
+  periodEnd: '2024-03-31',
+  settings
+});
+
+describe('filedPurchaseCorrection', () => {
+  it('prices a deleted purchase under the settings its return was filed with', () => {
+    const correction = filedPurchaseCorrection(purchase, null, [submittedReturn({ scheme: 'standard' })], { scheme: 'flat-rate' });
+
+    expect(correction).toMatchObject({ netAmount: -100, vatAmount: -20 });
+  });
+
+  it('leaves a flat rate return alone when a purchase that reclaimed nothing is deleted', () => {
+    const correction = filedPurchaseCorrection(purchase, null, [submittedReturn({ scheme: 'flat-rate' })], { scheme: 'standard' });
+
+    expect(correction).toBeNull();
+  });
+
+  it('uses the current settings for returns saved before settings were kept', () => {
+    const correction = filedPurchaseCorrection(purchase, null, [submittedReturn(undefined)], { scheme: 'standard' });
+
+    expect(correction).toMatchObject({ vatAmount: -20 });
+  });
+});
+
+describe('recordsPeriod', () => {
+  it('runs from the first record to the last', () => {
+    const period = recordsPeriod({
+      purchases: [purchase, { ...purchase, dateAdded: '2023-11-05T09:30:00Z' }],
+      sales: [{ date: '2024-06-30' }],
+      purchaseAdjustments: [{ date: '2024-04-01' }],
+      settings: { scheme: 'standard' }
+    });
+
+    expect(period).toEqual({ start: '2023-11-05', end: '2024-06-30' });
+  });
+
+  it('leaves out unpaid purchases on cash accounting', () => {
+    const period = recordsPeriod({
+      purchases: [purchase, { ...purchase, dateAdded: '2025-01-15', paidDate: null }],
+      settings: { scheme: 'cash' }
+    });
+
+    expect(period).toEqual({ start: '2024-02-10', end: '2024-02-10' });
+  });
+
+  it('is null when there is nothing to report', () => {
+    expect(recordsPeriod({})).toBeNull();
+  });
+});
@@ -0,0 +1,151 @@
+// The VAT accounting schemes a small business can be on. Standard
+// accounting counts VAT by invoice date. Cash accounting counts it when
+// money changes hands, so unpaid bills and sales wait for a later return.
+// On the Flat Rate Scheme VAT due is a fixed percentage of VAT-inclusive
+// turnover and input VAT isn't reclaimed, except on capital assets of
+// £2,000 or more.
+
+export const VAT_SCHEMES = [
+  { value: 'standard', label: 'Standard accounting', description: 'VAT is due and reclaimed by invoice date.' },
+  { value: 'cash', label: 'Cash accounting', description: 'VAT is due and reclaimed when sales and bills are paid.' },
+  { value: 'flat-rate', label: 'Flat Rate Scheme', description: 'VAT due is a fixed percentage of turnover; only capital assets of £2,000 or more reclaim VAT.' }
+];
+
+// HMRC's flat rate percentages by business sector
+export const FLAT_RATE_SECTORS = [
+  { sector: 'Accountancy or book-keeping', rate: 14.5 },
+  { sector: 'Advertising', rate: 11 },
+  { sector: 'Agricultural services', rate: 11 },
+  { sector: 'Any other activity not listed elsewhere', rate: 12 },
+  { sector: 'Architect, civil and structural engineer or surveyor', rate: 14.5 },
+  { sector: 'Boarding or care of animals', rate: 12 },
+  { sector: 'Business services not listed elsewhere', rate: 12 },
+  { sector: 'Catering services including restaurants and takeaways', rate: 12.5 },
+  { sector: 'Computer and IT consultancy or data processing', rate: 14.5 },
+  { sector: 'Computer repair services', rate: 10.5 },
+  { sector: 'Entertainment or journalism', rate: 12.5 },
+  { sector: 'Estate agency or property management services', rate: 12 },
+  { sector: 'Farming or agriculture not listed elsewhere', rate: 6.5 },
+  { sector: 'Film, radio, television or video production', rate: 13 },
+  { sector: 'Financial services', rate: 13.5 },
+  { sector: 'Forestry or fishing', rate: 10.5 },
+  { sector: 'General building or construction services', rate: 9.5 },
+  { sector: 'Hairdressing or other beauty treatment services', rate: 13 },
+  { sector: 'Hiring or renting goods', rate: 9.5 },
+  { sector: 'Hotel or accommodation', rate: 10.5 },
+  { sector: 'Investigation or security', rate: 12 },
+  { sector: 'Labour-only building or construction services', rate: 14.5 },
+  { sector: 'Laundry or dry-cleaning services', rate: 12 },
+  { sector: 'Lawyer or legal services', rate: 14.5 },
+  { sector: 'Library, archive, museum or other cultural activity', rate: 9.5 },
+  { sector: 'Management consultancy', rate: 14 },
+  { sector: 'Manufacturing fabricated metal products', rate: 10.5 },
+  { sector: 'Manufacturing food', rate: 9 },
+  { sector: 'Manufacturing not listed elsewhere', rate: 9.5 },
+  { sector: 'Manufacturing yarn, textiles or clothing', rate: 9 },
+  { sector: 'Membership organisation', rate: 8 },
+  { sector: 'Mining or quarrying', rate: 10 },
+  { sector: 'Packaging', rate: 9 },
+  { sector: 'Photography', rate: 11 },
+  { sector: 'Post offices', rate: 5 },
+  { sector: 'Printing', rate: 8.5 },
+  { sector: 'Publishing', rate: 11 },
+  { sector: 'Pubs', rate: 6.5 },
+  { sector: 'Real estate activity not listed elsewhere', rate: 14 },
+  { sector: 'Repairing personal or household goods', rate: 10 },
+  { sector: 'Repairing vehicles', rate: 8.5 },
+  { sector: 'Retailing food, confectionery, tobacco, newspapers or children\'s clothing', rate: 4 },
+  { sector: 'Retailing pharmaceuticals, medical goods, cosmetics or toiletries', rate: 8 },
+  { sector: 'Retailing not listed elsewhere', rate: 7.5 },
+  { sector: 'Retailing vehicles or fuel', rate: 6.5 },
+  { sector: 'Secretarial services', rate: 13 },
+  { sector: 'Social work', rate: 11 },
+  { sector: 'Sport or recreation', rate: 8.5 },
+  { sector: 'Transport or storage, including couriers, freight, removals and taxis', rate: 10 },
+  { sector: 'Travel agency', rate: 10.5 },
+  { sector: 'Veterinary medicine', rate: 11 },
+  { sector: 'Wholesaling agricultural products', rate: 8 },
+  { sector: 'Wholesaling food', rate: 7.5 },
+  { sector: 'Wholesaling not listed elsewhere', rate: 8.5 }
+];
+
+// The rate for a business whose goods cost less than 2% of turnover
+export const LIMITED_COST_TRADER_RATE = 16.5;
+
+// A capital asset costing this much or more, including VAT, reclaims its
+// VAT on the Flat Rate Scheme
+export const CAPITAL_ITEM_THRESHOLD = 2000;
+
+export const DEFAULT_VAT_SCHEME = {
+  scheme: 'standard',
+  flatRateSector: FLAT_RATE_SECTORS[3].sector
+};
+
+// Fill in a missing or unknown scheme or sector from the defaults
+export const normaliseVatScheme = (settings = {}) => ({
+  ...settings,
+  scheme: VAT_SCHEMES.some(option => option.value === settings.scheme) ? settings.scheme : DEFAULT_VAT_SCHEME.scheme,
+  flatRateSector: FLAT_RATE_SECTORS.some(option => option.sector === settings.flatRateSector)
+    ? settings.flatRateSector
+    : DEFAULT_VAT_SCHEME.flatRateSector
+});
+
+export const isCashAccounting = (settings) => settings?.scheme === 'cash';
+
+export const isFlatRate = (settings) => settings?.scheme === 'flat-rate';
+
+export const flatRatePercentage = (settings) => (
+  FLAT_RATE_SECTORS.find(option => option.sector === normaliseVatScheme(settings).flatRateSector).rate
+);
+
+// "Flat rate 12%" for cards and report headings
+export const describeVatScheme = (settings) => {
+  if (isFlatRate(settings)) return `Flat rate ${flatRatePercentage(settings)}%`;
+  if (isCashAccounting(settings)) return 'Cash accounting';
+  return 'Standard accounting';
+};
+
+/**
+ * The date a purchase or sale counts towards a return on. Cash accounting
+ * uses the date it was paid, and null while it is unpaid. Records saved
+ * before payment dates were kept have none and count as paid on the day.
+ */
+export const taxPointDate = (invoiceDate, paidDate, settings) => {
+  if (!isCashAccounting(settings)) return invoiceDate;
+  return paidDate === undefined ? invoiceDate : paidDate || null;
+};
+
+// Whether a purchase's VAT can be reclaimed at all under the scheme
+export const reclaimsInputVat = (item, grossCost, settings) => (
+  !isFlatRate(settings) || (!!item.capitalAsset && grossCost >= CAPITAL_ITEM_THRESHOLD)
+);
+
+// Under the test, goods must cost at least 2% of VAT-inclusive turnover,
+// and at least £1,000 a year pro rata, to keep the sector rate
+export const limitedCostThreshold = (turnover, months) => Math.max(turnover * 0.02, 1000 * months / 12);
+
+/**
+ * The percentage VAT due is worked out at for a period, with whether the
+ * limited cost trader rate applied. `relevantGoods` is what was spent on
+ * goods, including VAT.
+ */
+export const flatRateForPeriod = ({ relevantGoods, turnover, months }, settings) => {
+  const threshold = limitedCostThreshold(turnover, months);
+  const limitedCost = relevantGoods < threshold;
+  return {
+    rate: limitedCost ? LIMITED_COST_TRADER_RATE : flatRatePercentage(settings),
+    limitedCost,
+    threshold
+  };
+};
+
+// A form's payment fields for a saved purchase or sale: blank means paid
+// on the invoice date
+export const paymentFormFields = (record) => ({
+  unpaid: record?.paidDate === null,
+  paidDate: record?.paidDate && record.paidDate !== (record.dateAdded || record.date) ? record.paidDate : ''
+});
+
+export const paidDateFromForm = ({ unpaid, paidDate }, invoiceDate) => (
+  unpaid ? null : paidDate || invoiceDate
+);
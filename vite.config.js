@@ -23,7 +23,8 @@ export default defineConfig({
           stripe: ['@stripe/stripe-js', '@stripe/react-stripe-js'],
           ocr: ['tesseract.js'],
           charts: ['chart.js', 'react-chartjs-2'],
-          utils: ['date-fns', 'papaparse', 'xlsx']
+          utils: ['date-fns', 'papaparse', 'xlsx'],
+          pdf: ['jspdf', 'jspdf-autotable']
         }
       }
     }